@@ -1,5 +1,6 @@
 const server = require('./src/app');
 const { database } = require('./src/db');
+const { startJobs } = require('./src/jobs');
 // const { uploadCategoryDb } = require('./src/controllers/uploadCategoryDb');
 require('dotenv').config(); //para leer las variables de entorno
 
@@ -12,5 +13,6 @@ database.sync({ force: false }).then(() => {
   // uploadCategoryDb()    //  Realiza la carga de la categoria en la db
   server.listen(PORT, () => {
     console.log(`Server Listening in Port:${PORT}/`);
+    startJobs();
   });
 });
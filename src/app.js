@@ -167,6 +167,10 @@ server.use(
   express.json({
     limit: '10mb',
     type: ['application/json', 'text/plain'],
+    // Webhook signatures are computed over the exact bytes received
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
   })
 );
 server.use(
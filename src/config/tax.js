@@ -0,0 +1,49 @@
+/**
+ * Tax Configuration Module
+ * Rates per destination, in percent, by product tax category. A region
+ * (ISO 3166-2) overrides its country; categories a jurisdiction does not
+ * list are taxed at its standard rate and 'exempt' is never taxed.
+ * Markets with inclusive pricing already have the tax in catalog prices.
+ * Shipping is not taxed.
+ */
+
+const TAX_CATEGORIES = ['standard', 'reduced', 'exempt'];
+
+const jurisdictions = {
+  US: {
+    name: 'Sales tax',
+    inclusive: false,
+    // Sales tax is only collected in the states we have nexus in
+    rates: { standard: 0 },
+    regions: {
+      'US-CA': { name: 'California sales tax', rates: { standard: 7.25 } },
+      'US-FL': { name: 'Florida sales tax', rates: { standard: 6 } },
+      'US-NY': { name: 'New York sales tax', rates: { standard: 4 } },
+      'US-TX': { name: 'Texas sales tax', rates: { standard: 6.25 } },
+    },
+  },
+  CA: {
+    name: 'GST',
+    inclusive: false,
+    rates: { standard: 5 },
+    regions: {
+      'CA-BC': { name: 'GST + PST', rates: { standard: 12 } },
+      'CA-NS': { name: 'HST', rates: { standard: 14 } },
+      'CA-ON': { name: 'HST', rates: { standard: 13 } },
+      'CA-QC': { name: 'GST + QST', rates: { standard: 14.975 } },
+    },
+  },
+  MX: { name: 'IVA', inclusive: true, rates: { standard: 16 } },
+  AR: { name: 'IVA', inclusive: true, rates: { standard: 21, reduced: 10.5 } },
+  BR: { name: 'ICMS', inclusive: true, rates: { standard: 18 } },
+  CL: { name: 'IVA', inclusive: true, rates: { standard: 19 } },
+  CO: { name: 'IVA', inclusive: true, rates: { standard: 19, reduced: 5 } },
+  PE: { name: 'IGV', inclusive: true, rates: { standard: 18 } },
+  UY: { name: 'IVA', inclusive: true, rates: { standard: 22, reduced: 10 } },
+  VE: { name: 'IVA', inclusive: true, rates: { standard: 16, reduced: 8 } },
+};
+
+module.exports = {
+  TAX_CATEGORIES,
+  jurisdictions,
+};
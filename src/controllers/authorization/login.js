@@ -3,57 +3,98 @@ const { Op } = require("sequelize");
 const sendEmailUsers = require("../../helpers/sendEmailUsers");
 const {
   generateAccessToken,
-  generateRefreshToken,
   hashPassword,
   comparePassword,
 } = require("../../middleware/auth.js");
+const CartService = require("../../services/cartService");
+const EmailVerificationService = require("../../services/emailVerificationService");
+const PasswordResetService = require("../../services/passwordResetService");
+const RefreshTokenService = require("../../services/refreshTokenService");
+const SessionService = require("../../services/sessionService");
+const LoginThrottleService = require("../../services/loginThrottleService");
+const { catchAsync, ValidationError } = require("../../middleware/errorHandler");
+const logger = require("../../utils/logger");
+
+/* THE GUEST CART OF THE SESSION MOVES INTO THE USER'S CART; A FAILED MERGE
+   NEVER FAILS THE LOGIN, THE GUEST CART STAYS IN THE SESSION */
+const mergeGuestCart = async (req, userId) => {
+  const guestCartId = req.session?.cartId;
+  if (!guestCartId) {
+    return null;
+  }
+  try {
+    const cart = await CartService.mergeGuestCart(guestCartId, userId);
+    delete req.session.cartId;
+    return cart?.id || null;
+  } catch (error) {
+    logger.error("Guest cart merge failed", {
+      userId,
+      guestCartId,
+      error: error.message,
+    });
+    return null;
+  }
+};
 
 /* OAuth/Social Login - INSERT USER IN DB */
 const getLogin = async (req, res, next) => {
-  const {
-    name,
-    email,
-    email_verified,
-    nickname,
-    sid,
-    id,
-    picture,
-    rol,
-    status,
-  } = req.body;
-  // const { name, email, email_verified, nickname, sid, id,picture } = req.oidc.user
-  try {
-    // BUSCAR EL ID DEL ROL
-    const role_id = await Rol.findAll({
-      attributes: ["id"],
-      where: { rolName: rol },
+  /* LA IDENTIDAD VIENE DE LA SESION DE AUTH0, NUNCA DEL BODY: SIN ELLA
+     CUALQUIERA PODRIA PEDIR TOKENS PARA UN EMAIL AJENO O UN ROL DE ADMIN.
+     NO PASA POR LoginThrottleService: AQUI NO HAY CONTRASENA QUE ADIVINAR,
+     LOS INTENTOS FALLIDOS LOS LIMITA AUTH0 Y SIN SESION SE RESPONDE 401 SIN
+     TOCAR LA DB, ASI NADIE BLOQUEA CUENTAS AJENAS DESDE ESTE ENDPOINT */
+  if (!req.oidc?.isAuthenticated?.() || !req.oidc.user?.email) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      code: "SOCIAL_LOGIN_REQUIRED",
+      message:
+        "Sign in with the social provider first, or use /login/password",
     });
-    const roleid = role_id.map((e) => e.id);
-
+  }
+  const { name, email, nickname, sid, picture } = req.oidc.user;
+  try {
     // VERIFICA SI EL USUARIO EXISTE
-    const user = await User.findAll({
-      where: {
-        [Op.or]: [{ email: email }, { nickname: nickname }],
-      },
-    });
+    let userData = await User.findOne({ where: { email } });
+
+    // SI EL USUARIO NO EXISTE LO CREA EN LA DB, CON EL ROL POR DEFECTO
+    if (!userData) {
+      const defaultRole = await Rol.findOne({
+        where: { rolName: "user" },
+      });
 
-    let userData;
-    // SI EL USUARIO NO EXISTE LO CREA EN LA DB
-    if (user.length === 0) {
+      if (!defaultRole) {
+        return res.status(500).json({
+          error: "Internal Server Error",
+          message: "Default role not found",
+        });
+      }
+
+      /* EL EMAIL SOLO SE VERIFICA CON EL LINK, COMO EN EL REGISTRO */
       userData = await User.create({
         name,
         nickname,
         email,
-        email_verified,
+        email_verified: false,
         sid,
         picture,
-        status,
-        rol_id: roleid,
+        status: true,
+        rol_id: defaultRole.id,
       });
       sendEmailUsers.sendMail(userData);
       console.log("send email login");
+      EmailVerificationService.send(userData).catch((emailError) => {
+        logger.error("Failed to send verification email", {
+          userId: userData.id,
+          error: emailError.message,
+        });
+      });
     } else {
-      userData = user[0];
+      if (!userData.status) {
+        return res.status(401).json({
+          error: "Unauthorized",
+          message: "Account is deactivated",
+        });
+      }
       sendEmailUsers.sendMail(userData);
       console.log("send email login");
     }
@@ -66,11 +107,20 @@ const getLogin = async (req, res, next) => {
       nickname: userData.nickname,
     };
 
-    const accessToken = generateAccessToken(payload);
-    const refreshToken = generateRefreshToken(payload);
+    // Each login is a session of its own, the access token says which
+    const { session, refreshToken } = await SessionService.start(
+      userData,
+      SessionService.clientOf(req)
+    );
+    const accessToken = generateAccessToken({
+      ...payload,
+      sessionId: session.id,
+    });
+    const cartId = await mergeGuestCart(req, userData.id);
 
     res.json({
       user: userData,
+      cartId,
       accessToken,
       refreshToken,
       tokenType: "Bearer",
@@ -98,6 +148,18 @@ const loginWithPassword = async (req, res) => {
   }
 
   try {
+    // Failed attempts make the next ones wait, then lock the account or IP
+    const blocked = await LoginThrottleService.check(email, req.ip);
+    if (blocked) {
+      res.set("Retry-After", String(blocked.retryAfter));
+      return res.status(429).json({
+        error: "Too Many Requests",
+        code: blocked.code,
+        message: blocked.message,
+        retryAfter: blocked.retryAfter,
+      });
+    }
+
     // Find user by email
     const user = await User.findOne({
       where: { email },
@@ -110,6 +172,7 @@ const loginWithPassword = async (req, res) => {
     });
 
     if (!user) {
+      await LoginThrottleService.recordFailure(email, req.ip);
       return res.status(401).json({
         error: "Unauthorized",
         message: "Invalid email or password",
@@ -134,12 +197,15 @@ const loginWithPassword = async (req, res) => {
 
     const isValidPassword = await comparePassword(password, user.password);
     if (!isValidPassword) {
+      await LoginThrottleService.recordFailure(email, req.ip, user);
       return res.status(401).json({
         error: "Unauthorized",
         message: "Invalid email or password",
       });
     }
 
+    await LoginThrottleService.recordSuccess(email);
+
     // Generate JWT tokens
     const payload = {
       userId: user.id,
@@ -148,14 +214,23 @@ const loginWithPassword = async (req, res) => {
       nickname: user.nickname,
     };
 
-    const accessToken = generateAccessToken(payload);
-    const refreshToken = generateRefreshToken(payload);
+    const { session, refreshToken } = await SessionService.start(
+      user,
+      SessionService.clientOf(req)
+    );
+    const accessToken = generateAccessToken({
+      ...payload,
+      sessionId: session.id,
+    });
+
+    const cartId = await mergeGuestCart(req, user.id);
 
     // Remove password from response
     const { password: _, ...userWithoutPassword } = user.toJSON();
 
     res.json({
       user: userWithoutPassword,
+      cartId,
       accessToken,
       refreshToken,
       tokenType: "Bearer",
@@ -239,8 +314,14 @@ const register = async (req, res) => {
       nickname: newUser.nickname,
     };
 
-    const accessToken = generateAccessToken(payload);
-    const refreshToken = generateRefreshToken(payload);
+    const { session, refreshToken } = await SessionService.start(
+      newUser,
+      SessionService.clientOf(req)
+    );
+    const accessToken = generateAccessToken({
+      ...payload,
+      sessionId: session.id,
+    });
 
     // Remove password from response
     const { password: _, ...userWithoutPassword } = newUser.toJSON();
@@ -254,8 +335,19 @@ const register = async (req, res) => {
       // Don't fail registration if email fails
     }
 
+    /* EL LINK DE VERIFICACION NO BLOQUEA EL REGISTRO, SE PUEDE REENVIAR */
+    EmailVerificationService.send(newUser).catch((emailError) => {
+      logger.error("Failed to send verification email", {
+        userId: newUser.id,
+        error: emailError.message,
+      });
+    });
+
+    const cartId = await mergeGuestCart(req, newUser.id);
+
     res.status(201).json({
       user: userWithoutPassword,
+      cartId,
       accessToken,
       refreshToken,
       tokenType: "Bearer",
@@ -270,8 +362,191 @@ const register = async (req, res) => {
   }
 };
 
+/* VERIFY THE EMAIL OF A REGISTRATION, TOKEN FROM THE EMAIL LINK */
+const verifyEmail = catchAsync(async (req, res) => {
+  const token = req.body?.token || req.query.token;
+  if (!token) {
+    throw new ValidationError("Verification token is required");
+  }
+
+  const user = await EmailVerificationService.verify(token);
+
+  res.status(200).json({
+    success: true,
+    message: "Email verified successfully",
+    data: { userId: user.id, email: user.email, email_verified: true },
+  });
+});
+
+/* SEND A NEW VERIFICATION LINK TO THE SIGNED-IN USER */
+const resendVerificationEmail = catchAsync(async (req, res) => {
+  const result = await EmailVerificationService.resend(req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    message: result.alreadyVerified
+      ? "Email is already verified"
+      : "Verification email sent",
+    data: result,
+  });
+});
+
+/* EMAIL A PASSWORD RESET LINK; THE ANSWER NEVER TELLS IF THE EMAIL EXISTS */
+const forgotPassword = catchAsync(async (req, res) => {
+  await PasswordResetService.request(req.body.email);
+
+  res.status(200).json({
+    success: true,
+    message: "If an account exists for this email, a reset link has been sent",
+  });
+});
+
+/* SET A NEW PASSWORD WITH THE TOKEN OF A RESET LINK */
+const resetPassword = catchAsync(async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  await PasswordResetService.reset(token, newPassword);
+
+  res.status(200).json({
+    success: true,
+    message: "Password reset successfully, sign in with the new password",
+  });
+});
+
+/* CHANGE THE PASSWORD OF THE SIGNED-IN USER; OTHER SESSIONS ARE SIGNED OUT */
+const changePassword = catchAsync(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const user = await PasswordResetService.changePassword(
+    req.user.userId,
+    currentPassword,
+    newPassword
+  );
+
+  // Every session was signed out, this device goes on with a new one
+  const payload = {
+    userId: user.id,
+    email: user.email,
+    role: user.rol_id,
+    nickname: user.nickname,
+  };
+  const { session, refreshToken } = await SessionService.start(
+    user,
+    SessionService.clientOf(req)
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Password changed successfully",
+    data: {
+      accessToken: generateAccessToken({ ...payload, sessionId: session.id }),
+      refreshToken,
+      tokenType: "Bearer",
+      expiresIn: "24h",
+    },
+  });
+});
+
+/* SIGN OUT THE LOGIN OF A REFRESH TOKEN; UNKNOWN TOKENS ARE IGNORED */
+const logout = catchAsync(async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken || typeof refreshToken !== "string") {
+    throw new ValidationError("Refresh token is required");
+  }
+
+  await RefreshTokenService.revoke(refreshToken);
+
+  res.status(200).json({
+    success: true,
+    message: "Logged out successfully",
+  });
+});
+
+/* SIGN THE USER OUT OF EVERY DEVICE */
+const logoutAll = catchAsync(async (req, res) => {
+  await RefreshTokenService.revokeAll(req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    message: "Logged out of every device",
+  });
+});
+
+/* ACTIVE SESSIONS OF THE SIGNED-IN USER, THE CURRENT ONE FLAGGED */
+const getSessions = catchAsync(async (req, res) => {
+  const sessions = await SessionService.list(req.user.userId, {
+    currentSessionId: req.user.sessionId,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: sessions,
+  });
+});
+
+/* SIGN OUT ONE SESSION OF THE SIGNED-IN USER */
+const revokeSession = catchAsync(async (req, res) => {
+  await SessionService.revoke(req.user.userId, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: "Session revoked successfully",
+  });
+});
+
+/* UNLOCK AN ACCOUNT WITH THE LINK OF ITS LOCKOUT EMAIL */
+const unlockAccount = catchAsync(async (req, res) => {
+  const token = req.body?.token || req.query.token;
+  if (!token) {
+    throw new ValidationError("Unlock token is required");
+  }
+
+  await LoginThrottleService.unlock(token);
+
+  res.status(200).json({
+    success: true,
+    message: "Account unlocked, you can sign in again",
+  });
+});
+
+/* ACCOUNTS AND IPS LOCKED RIGHT NOW (ADMIN) */
+const getLockouts = catchAsync(async (req, res) => {
+  const lockouts = await LoginThrottleService.list({ scope: req.query.scope });
+
+  res.status(200).json({
+    success: true,
+    data: lockouts,
+  });
+});
+
+/* CLEAR THE LOCKOUT OF AN ACCOUNT OR IP (ADMIN) */
+const clearLockout = catchAsync(async (req, res) => {
+  const lockout = await LoginThrottleService.clear(
+    req.params.id,
+    req.user.userId
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Lockout cleared successfully",
+    data: lockout,
+  });
+});
+
 module.exports = {
   getLogin,
   loginWithPassword,
   register,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  unlockAccount,
+  getLockouts,
+  clearLockout,
 };
@@ -0,0 +1,109 @@
+const CartService = require('../services/cartService');
+const CartReminderService = require('../services/cartReminderService');
+const { catchAsync } = require('../middleware/errorHandler');
+
+/* GET THE CART OF THE USER OR GUEST, PRICED AGAINST THE CATALOG */
+const getCart = catchAsync(async (req, res) => {
+  const cart = await CartService.find(CartService.ownerOf(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Cart retrieved successfully',
+    data: await CartService.view(cart),
+  });
+});
+
+/* ADD UNITS OF A PRODUCT TO THE CART */
+const addCartItem = catchAsync(async (req, res) => {
+  const { productId, quantity } = req.body;
+  const cart = await CartService.forRequest(req);
+
+  await CartService.addItem(cart, productId, quantity);
+
+  res.status(201).json({
+    success: true,
+    message: 'Product added to the cart',
+    data: await CartService.view(await CartService.refresh(cart)),
+  });
+});
+
+/* SET THE QUANTITY OF A CART LINE, ZERO REMOVES IT */
+const updateCartItem = catchAsync(async (req, res) => {
+  const cart = await CartService.forRequest(req);
+
+  await CartService.updateItem(
+    cart,
+    Number(req.params.productId),
+    req.body.quantity
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Cart updated successfully',
+    data: await CartService.view(await CartService.refresh(cart)),
+  });
+});
+
+/* REMOVE A PRODUCT FROM THE CART */
+const removeCartItem = catchAsync(async (req, res) => {
+  const cart = await CartService.forRequest(req);
+
+  await CartService.removeItem(cart, Number(req.params.productId));
+
+  res.status(200).json({
+    success: true,
+    message: 'Product removed from the cart',
+    data: await CartService.view(await CartService.refresh(cart)),
+  });
+});
+
+/* EMPTY THE CART */
+const clearCart = catchAsync(async (req, res) => {
+  const cart = await CartService.find(CartService.ownerOf(req));
+  if (cart) {
+    await CartService.clear(cart);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Cart emptied successfully',
+    data: await CartService.view(cart && (await CartService.refresh(cart))),
+  });
+});
+
+/* OPEN THE CART OF A REMINDER EMAIL LINK */
+const restoreCart = catchAsync(async (req, res) => {
+  const cart = await CartReminderService.restore(req.params.token);
+  const { userId } = CartService.ownerOf(req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Cart restored successfully',
+    data: {
+      ...(await CartService.view(cart)),
+      // The cart is the owner's once they sign in
+      requiresLogin: userId !== cart.userId,
+    },
+  });
+});
+
+/* HOW MANY REMINDED CARTS WERE BOUGHT */
+const getCartReminderStats = catchAsync(async (req, res) => {
+  const { from, to } = req.query;
+
+  res.status(200).json({
+    success: true,
+    message: 'Cart reminder stats retrieved successfully',
+    data: await CartReminderService.stats({ from, to }),
+  });
+});
+
+module.exports = {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  restoreCart,
+  getCartReminderStats,
+};
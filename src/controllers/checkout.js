@@ -1,7 +1,13 @@
-const { updateOrder } = require('./orders');
-const sendEmailUsers = require('../helpers/sendEmailUsers');
-const StripeService = require('../services/stripeService');
-const { stripeConfig } = require('../config/stripe');
+const CartPricingService = require('../services/cartPricingService');
+const CartService = require('../services/cartService');
+const CouponService = require('../services/couponService');
+const OrderService = require('../services/orderService');
+const PaymentCustomerService = require('../services/paymentCustomerService');
+const ShippingService = require('../services/shippingService');
+const TaxService = require('../services/taxService');
+const PaymentEventService = require('../services/paymentEventService');
+const StockReservationService = require('../services/stockReservationService');
+const { getPaymentProvider } = require('../services/payments');
 const { catchAsync, AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 
@@ -11,11 +17,19 @@ const CLIENT =
   'http://localhost:3000';
 
 /**
- * Create Stripe checkout session
+ * Create a hosted checkout session with the configured payment provider
  * Enhanced with proper error handling, validation, and PCI compliance
  */
 const Checkout = catchAsync(async (req, res) => {
-  const { id, cartProducts, email, name } = req.body;
+  const { id, orderId, email, name, shipping, couponCode } = req.body;
+  const provider = getPaymentProvider();
+
+  // Without cart products the checkout starts from the stored cart
+  const cart = req.body.cartProducts
+    ? null
+    : await CartService.find(CartService.ownerOf(req));
+  const cartProducts =
+    req.body.cartProducts || CartService.toCartProducts(cart);
 
   // Validate request data
   if (
@@ -35,111 +49,120 @@ const Checkout = catchAsync(async (req, res) => {
   logger.info('Checkout initiated', {
     userId: id,
     itemCount: cartProducts.length,
-    testMode: stripeConfig.isTestMode,
+    provider: provider.name,
+    testMode: provider.isTestMode,
   });
 
-  try {
-    // Create Stripe customer
-    const customer = await StripeService.createCustomer({
-      id,
-      email,
-      name,
-      metadata: {
-        checkout_initiated_at: new Date().toISOString(),
-      },
+  // Resolve every line against the catalog: DB prices, offers and stock
+  const { lines: pricedLines, subtotal } =
+    await CartPricingService.validateCart(cartProducts);
+
+  // Checked again against the cart being paid, as it may have changed. Only
+  // the signed-in user is counted against per-customer limits
+  const couponUserId = req.user?.userId ?? null;
+  const coupon = couponCode
+    ? await CouponService.apply({
+        code: couponCode,
+        lines: pricedLines,
+        userId: couponUserId,
+        orderId,
+      })
+    : null;
+  const lines = CouponService.applyToLines(pricedLines, coupon);
+
+  // Rates of the destination chosen on the cart page; fails before any stock is held
+  const { shippingOptions, allowedCountries } =
+    await ShippingService.checkoutOptions({
+      lines,
+      country: shipping?.country,
+      region: shipping?.region,
     });
 
-    // Prepare line items with validation
-    const lineItems = cartProducts.map((item, index) => {
-      if (!item.name || !item.price || !item.quantity) {
-        throw new AppError(
-          `Invalid product data at index ${index}`,
-          400,
-          'INVALID_PRODUCT_DATA'
-        );
-      }
-
-      return {
-        price_data: {
-          currency: 'usd',
-          product_data: {
-            name: item.name,
-            images: item.image_link ? [item.image_link] : [],
-            description: item.description || '',
-            metadata: {
-              product_id: item.id?.toString() || '',
-              brand: item.brand || '',
-            },
-          },
-          unit_amount: Math.round(item.price * 100), // Ensure integer cents
-        },
-        quantity: parseInt(item.quantity, 10),
-      };
-    });
+  // Tax of the same destination, kept on the order with its lines
+  const tax = TaxService.calculate({
+    lines,
+    country: shipping?.country,
+    region: shipping?.region,
+  });
 
-    // Define shipping options
-    const shippingOptions = [
-      {
-        shipping_rate_data: {
-          type: 'fixed_amount',
-          fixed_amount: {
-            amount: 0,
-            currency: 'usd',
-          },
-          display_name: 'Free shipping',
-          delivery_estimate: {
-            minimum: {
-              unit: 'business_day',
-              value: 5,
-            },
-            maximum: {
-              unit: 'business_day',
-              value: 7,
-            },
-          },
-        },
-      },
-      {
-        shipping_rate_data: {
-          type: 'fixed_amount',
-          fixed_amount: {
-            amount: 2500,
-            currency: 'usd',
-          },
-          display_name: 'Fast shipping',
-          delivery_estimate: {
-            minimum: {
-              unit: 'business_day',
-              value: 1,
-            },
-            maximum: {
-              unit: 'business_day',
-              value: 3,
-            },
-          },
-        },
-      },
+  // The session carries the order id so the webhook pays exactly this order
+  const order = await OrderService.prepareCheckout({
+    orderId,
+    userId: id,
+    cart: cartProducts,
+    lines,
+    tax,
+    coupon,
+  });
+
+  // Hold the stock until the session is paid or expires
+  const reservation = await StockReservationService.reserve(lines, {
+    userId: id,
+  });
+
+  try {
+    // Count the coupon against its limits while the session is open; a
+    // retried order paid without a coupon gives its earlier one back
+    if (coupon) {
+      await CouponService.reserve(coupon, {
+        orderId: order.id,
+        userId: couponUserId,
+      });
+    } else if (orderId) {
+      await CouponService.release(order.id);
+    }
+
+    // Reuse the shopper's customer, creating it on the first checkout
+    const customerId = await PaymentCustomerService.customerIdFor(
+      { id, email, name },
+      provider
+    );
+
+    // Tax added on top of the prices is charged as its own line items
+    const lineItems = [
+      ...CartPricingService.toStripeLineItems(lines),
+      ...TaxService.toStripeLineItems(tax),
     ];
 
     // Create checkout session
-    const session = await StripeService.createCheckoutSession({
-      customerId: customer.id,
+    const session = await provider.createCheckoutSession({
+      customerId,
       lineItems,
       successUrl: `${CLIENT}/checkout/success?session_id={CHECKOUT_SESSION_ID}`,
       cancelUrl: `${CLIENT}/cart`,
       shippingOptions,
+      allowedCountries,
+      expiresAt: reservation.expiresAt,
+      clientReferenceId: order.id,
       metadata: {
         user_id: id.toString(),
+        order_id: order.id,
+        reservation_key: reservation.reservationKey,
+        ...(cart && { cart_id: cart.id }),
+        subtotal: subtotal.toFixed(2),
+        ...(coupon && {
+          coupon_code: coupon.code,
+          discount_amount: String(coupon.amount),
+        }),
+        ...TaxService.toMetadata(tax),
         checkout_timestamp: new Date().toISOString(),
       },
     });
 
+    await StockReservationService.attachSession(
+      reservation.reservationKey,
+      session.id
+    );
+    await OrderService.attachSession(order.id, session.id);
+
     // PCI Compliance: Only return necessary data
     res.status(200).json({
       success: true,
       url: session.url,
       sessionId: session.id,
-      testMode: stripeConfig.isTestMode,
+      orderId: order.id,
+      expiresAt: reservation.expiresAt,
+      testMode: provider.isTestMode,
     });
   } catch (error) {
     logger.error('Checkout failed', {
@@ -147,86 +170,52 @@ const Checkout = catchAsync(async (req, res) => {
       error: error.message,
       errorType: error.constructor.name,
     });
+    await StockReservationService.release(reservation.reservationKey).catch(
+      releaseError =>
+        logger.error('Failed to release stock reservation', {
+          reservationKey: reservation.reservationKey,
+          error: releaseError.message,
+        })
+    );
+    if (coupon) {
+      await CouponService.release(order.id).catch(releaseError =>
+        logger.error('Failed to release coupon redemption', {
+          orderId: order.id,
+          error: releaseError.message,
+        })
+      );
+    }
     throw error;
   }
 });
 
 /**
- * Handle Stripe webhooks with proper signature verification
+ * Handle payment provider webhooks with proper signature verification
  * Enhanced with comprehensive error handling and event processing
  */
 const webhook = catchAsync(async (req, res) => {
-  const signature = req.headers['stripe-signature'];
-  const webhookSecret = stripeConfig.webhook.secret;
+  const provider = getPaymentProvider();
+  const signature = req.headers[provider.signatureHeader];
 
   // PCI Compliance: Log webhook attempt without sensitive data
   logger.info('Webhook received', {
+    provider: provider.name,
     hasSignature: !!signature,
-    hasSecret: !!webhookSecret,
-    testMode: stripeConfig.isTestMode,
+    testMode: provider.isTestMode,
   });
 
   try {
-    let event;
-
-    // Verify webhook signature for security
-    if (webhookSecret && signature) {
-      event = StripeService.verifyWebhookSignature(
-        req.body,
-        signature,
-        webhookSecret
-      );
-    } else {
-      // Fallback for development (not recommended for production)
-      if (process.env.NODE_ENV === 'production') {
-        throw new AppError(
-          'Webhook signature verification required in production',
-          400,
-          'WEBHOOK_SIGNATURE_REQUIRED'
-        );
-      }
-
-      logger.warn(
-        'Webhook processed without signature verification (development only)'
-      );
-      event = req.body;
-    }
+    // Verify webhook signature against the body exactly as it was sent
+    const event = provider.verifyWebhook(req.rawBody || req.body, signature);
 
-    // Process the webhook event
-    const result = await StripeService.processWebhookEvent(event);
-
-    // Handle specific event types
-    if (event.type === 'checkout.session.completed' && result.processed) {
-      try {
-        // Update order in database
-        await updateOrder(result.customer, result.session, result.lineItems);
-
-        // Send confirmation email
-        if (result.customerDetails?.email) {
-          const user = {
-            name: result.customerDetails.name,
-            email: result.customerDetails.email,
-          };
-          await sendEmailUsers.sendMail(user);
-          logger.info('Checkout confirmation email sent', {
-            email: result.customerDetails.email,
-            sessionId: result.session.id,
-          });
-        }
-      } catch (error) {
-        logger.error('Post-webhook processing failed', {
-          error: error.message,
-          sessionId: result.session?.id,
-        });
-        // Don't throw here - webhook was processed successfully
-        // The error is in our post-processing, not Stripe's webhook
-      }
-    }
+    // Record the event and apply its side effects once, whatever the retries
+    const outcome = await PaymentEventService.process(event);
 
-    // Return success response to Stripe
+    // Return success response to the provider
     res.status(200).json({
       received: true,
-      processed: result.processed,
+      processed: outcome.result?.processed ?? false,
+      duplicate: outcome.duplicate,
       eventType: event.type,
     });
   } catch (error) {
@@ -236,8 +225,13 @@ const webhook = catchAsync(async (req, res) => {
     });
 
     // Return appropriate error response
-    if (error.code === 'WEBHOOK_SIGNATURE_INVALID') {
+    if (
+      error.code === 'WEBHOOK_SIGNATURE_INVALID' ||
+      error.code === 'WEBHOOK_SIGNATURE_REQUIRED'
+    ) {
       res.status(400).json({ error: 'Invalid signature' });
+    } else if (error.code === 'WEBHOOK_EVENT_INVALID') {
+      res.status(400).json({ error: 'Invalid event' });
     } else {
       res.status(500).json({ error: 'Webhook processing failed' });
     }
@@ -0,0 +1,90 @@
+const CouponService = require('../services/couponService');
+const CartPricingService = require('../services/cartPricingService');
+const CartService = require('../services/cartService');
+const { catchAsync, ValidationError } = require('../middleware/errorHandler');
+
+/* CHECK A COUPON CODE AGAINST THE CART AND RETURN ITS DISCOUNT */
+const applyCoupon = catchAsync(async (req, res) => {
+  const { code, orderId } = req.body;
+  // Per-customer limits are only counted for the signed-in user
+  const userId = req.user?.userId ?? null;
+  const cartProducts =
+    req.body.cartProducts ||
+    CartService.toCartProducts(
+      await CartService.find(CartService.ownerOf(req))
+    );
+  if (cartProducts.length === 0) {
+    throw new ValidationError('The cart is empty');
+  }
+
+  // Lines that can no longer be bought are reported, not discounted
+  const { lines, errors } = await CartPricingService.priceCart(cartProducts);
+  const coupon = await CouponService.apply({ code, lines, userId, orderId });
+
+  res.status(200).json({
+    success: true,
+    message: 'Coupon applied successfully',
+    data: {
+      code: coupon.code,
+      type: coupon.type,
+      value: coupon.value,
+      subtotal: coupon.subtotal,
+      discountAmount: coupon.amount,
+      total: coupon.subtotal - coupon.amount,
+      lines: coupon.lines.filter(line => line.discountAmount > 0),
+      errors,
+    },
+  });
+});
+
+/* LIST EVERY COUPON */
+const getCoupons = catchAsync(async (req, res) => {
+  const coupons = await CouponService.list();
+
+  res.status(200).json({
+    success: true,
+    message: 'Coupons retrieved successfully',
+    data: coupons,
+  });
+});
+
+/* GET ONE COUPON WITH ITS REDEMPTIONS */
+const getCoupon = catchAsync(async (req, res) => {
+  const coupon = await CouponService.get(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Coupon retrieved successfully',
+    data: coupon,
+  });
+});
+
+/* CREATE A COUPON */
+const createCoupon = catchAsync(async (req, res) => {
+  const coupon = await CouponService.create(req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Coupon created successfully',
+    data: coupon,
+  });
+});
+
+/* UPDATE A COUPON; DEACTIVATE IT WITH active: false */
+const updateCoupon = catchAsync(async (req, res) => {
+  const coupon = await CouponService.update(req.params.id, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Coupon updated successfully',
+    data: coupon,
+  });
+});
+
+module.exports = {
+  applyCoupon,
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+};
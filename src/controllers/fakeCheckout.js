@@ -0,0 +1,118 @@
+const PaymentEventService = require('../services/paymentEventService');
+const { getPaymentProvider } = require('../services/payments');
+const { catchAsync, NotFoundError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// Outcomes that send the shopper back to the success page
+const SUCCESS_OUTCOMES = ['succeed', 'async_pending', 'async_succeed'];
+
+const escapeHtml = value =>
+  String(value ?? '').replace(
+    /[&<>"']/g,
+    char =>
+      ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+      })[char]
+  );
+
+const formatAmount = (cents, currency) =>
+  `${(cents / 100).toFixed(2)} ${String(currency).toUpperCase()}`;
+
+/**
+ * The fake provider, or a 404 when another provider is configured
+ */
+const fakeProvider = () => {
+  const provider = getPaymentProvider();
+  if (provider.name !== 'fake') {
+    throw new NotFoundError('Route not found');
+  }
+  return provider;
+};
+
+/* FAKE HOSTED CHECKOUT PAGE OF A SESSION */
+const showFakeCheckout = catchAsync(async (req, res) => {
+  const provider = fakeProvider();
+  const session = await provider.retrieveSession(req.params.sessionId);
+
+  const items = session.line_items
+    .map(
+      item =>
+        `<li>${escapeHtml(item.price_data.product_data?.name)} x ${item.quantity}: ${formatAmount(item.price_data.unit_amount * item.quantity, session.currency)}</li>`
+    )
+    .join('');
+  const actions =
+    session.status === 'open'
+      ? ['succeed', 'decline', 'async_pending', 'expire']
+      : session.payment_status === 'unpaid' && session.status === 'complete'
+        ? ['async_succeed', 'async_fail']
+        : [];
+  const buttons = actions
+    .map(
+      outcome =>
+        `<form method="post" action="${escapeHtml(session.url)}/${outcome}"><button type="submit">${outcome.replace('_', ' ')}</button></form>`
+    )
+    .join('');
+
+  res
+    .status(200)
+    .type('html')
+    .send(
+      `<!doctype html><html><head><title>Fake checkout</title></head><body>` +
+        `<h1>Fake checkout</h1><p>Session ${escapeHtml(session.id)} is ${escapeHtml(session.status)}</p>` +
+        `<ul>${items}</ul><p>Subtotal: ${formatAmount(session.amount_subtotal, session.currency)}</p>` +
+        `${buttons}</body></html>`
+    );
+});
+
+/* PLAY A SHOPPER'S OUTCOME AND DELIVER THE SIGNED EVENTS IT PRODUCES */
+const completeFakeCheckout = catchAsync(async (req, res) => {
+  const provider = fakeProvider();
+  const { sessionId, outcome } = req.params;
+  const { shippingOption, email, name } = req.body || {};
+
+  const events = provider.simulate(sessionId, outcome, {
+    shippingOption: shippingOption === undefined ? 0 : Number(shippingOption),
+    customerDetails: email
+      ? { email, name: name || null, address: null }
+      : null,
+  });
+
+  // Deliver as the webhook would: signed, verified, then processed once
+  const results = [];
+  for (const event of events) {
+    const { payload, signature } = provider.signEvent(event);
+    const verified = provider.verifyWebhook(payload, signature);
+    const { duplicate, result } = await PaymentEventService.process(verified);
+    results.push({ eventId: event.id, type: event.type, duplicate, result });
+  }
+
+  logger.logPayment('fake_checkout_delivered', {
+    sessionId,
+    outcome,
+    events: results.length,
+  });
+
+  const session = await provider.retrieveSession(sessionId);
+  const redirectUrl = SUCCESS_OUTCOMES.includes(outcome)
+    ? String(session.success_url).replace('{CHECKOUT_SESSION_ID}', session.id)
+    : session.cancel_url;
+
+  if (req.accepts(['html', 'json']) === 'json') {
+    return res.status(200).json({
+      success: true,
+      message: 'Checkout outcome delivered',
+      data: { session, events: results, redirectUrl },
+    });
+  }
+
+  return res.redirect(303, redirectUrl);
+});
+
+module.exports = {
+  showFakeCheckout,
+  completeFakeCheckout,
+};
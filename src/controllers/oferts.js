@@ -1,17 +1,20 @@
 const { Product, Ofert } = require("../db");
 const axios = require("axios");
 const { URL_API } = require("./globalConst");
+const OfferService = require("../services/offerService");
+const { NotFoundError } = require("../middleware/errorHandler");
 
-/* GET ALL OFERTS FROM DB */
+/* GET ALL OFERTS FROM DB, WITH THE PRODUCTS EACH CAMPAIGN RESOLVES TO */
 
 const getDbOferts = async (req, res) => {
   try {
     const dbInfo = await Ofert.findAll({
       include: {
         model: Product,
-        attributes: ["name", "id"],
+        attributes: ["name", "id", "brand", "product_type"],
         through: { attributes: [] },
       },
+      order: [["priority", "DESC"], ["id", "ASC"]],
     });
     res.send(dbInfo); 
   } catch (error) {
@@ -19,34 +22,38 @@ const getDbOferts = async (req, res) => {
   }
 };
 
-/* CREATE NEW OFERT IN THE DATABASE */
+/* CREATE NEW OFERT IN THE DATABASE: A CAMPAIGN, OR AN OFERT FOR ONE PRODUCT */
 const createOfert = async (req, res, next) => {
   try {
     /* ME TRAIGO TODOS LOS VALORES DEL CUERPO DE LA PETICION */
     const { products_id} = req.params
     const {
-        startDate,
-        endDate,
-        status,
         image,
         description,
-        discountPercent
+        discountPercent,
+        priority,
     } = req.body;
-    /* DESTROY OFERT OF THE PRODUCT */
-    const destroyOf = await Ofert.findAll({
-      include: {
-        model: Product,
-        where: {
-          id: products_id,
+    /* STATUS FOLLOWS THE START AND END DATES */
+    const { startDate, endDate, status } = OfferService.schedule(req.body);
+    /* PRODUCTS, CATEGORIES, BRANDS AND PRODUCT TYPES THE OFERT APPLIES TO */
+    const targets = OfferService.normalizeTargets(req.body);
+    let destroyOf = [];
+    if (products_id) {
+      targets.productIds = [...new Set([...(targets.productIds || []), Number(products_id)])];
+      /* DESTROY ENDED OFERTS OF THE PRODUCT, RUNNING AND UPCOMING ONES ARE KEPT */
+      destroyOf = await Ofert.findAll({
+        where: OfferService.endedWhere(),
+        include: {
+          model: Product,
+          where: {
+            id: products_id,
+          },
+          through: { attributes: [] },
         },
-        through: { attributes: [] },
-      },
-    });
+      });
 
-    if (destroyOf.length > 0) {
-      await destroyOf[0].destroy();
+      await Promise.all(destroyOf.map((ofert) => ofert.destroy()));
     }
-    
 
     /* CREATE NEW OFERT */
     const newOfert = await Ofert.create({
@@ -56,17 +63,18 @@ const createOfert = async (req, res, next) => {
         image,
         description,
         discountPercent,
-        products_id, 
+        priority,
+        ...targets,
     });
 
-    const products = await Product.findAll({
-      where: { id: products_id }, 
-    });
-    newOfert.addProduct(products);
+    /* LINK THE PRODUCTS THE TARGETS RESOLVE TO */
+    const products = await OfferService.applyTargets(newOfert);
+    OfferService.invalidateProductCaches();
 
     res.status(200).json({
       succMsg: "Ofert Created Successfully!",
       newOfert,
+      products,
       destroyOf
     });
   } catch (error) {
@@ -79,12 +87,10 @@ const updateOfert = async (req, res, next) => {
   try {
     const { id } = req.params;
     const {
-        startDate,
-        endDate,
-        status,
         image,
         description,
         discountPercent,
+        priority,
         products_id,
     } = req.body;
 
@@ -94,6 +100,19 @@ const updateOfert = async (req, res, next) => {
         id: id,
       },
     });
+    if (!ofertDB) {
+      throw new NotFoundError(`Ofert with ID '${id}' not found`);
+    }
+    /* STATUS FOLLOWS THE START AND END DATES */
+    const { startDate, endDate, status } = OfferService.schedule(
+      req.body,
+      ofertDB
+    );
+    /* PRODUCTS_ID IS KEPT FOR CLIENTS THAT MOVE AN OFERT TO ANOTHER PRODUCT */
+    const targets = OfferService.normalizeTargets(req.body);
+    if (products_id) {
+      targets.productIds = [Number(products_id)];
+    }
     /* ACTUALIZO LA OFERTA CON LOS DATOS QUE RECIBO DEL BODY */
     const updatedOfert = await ofertDB.update({
         startDate,
@@ -102,11 +121,18 @@ const updateOfert = async (req, res, next) => {
         image,
         description,
         discountPercent,
-        products_id,
+        priority,
+        ...targets,
     });
+    /* THE PRODUCTS ARE RESOLVED AGAIN WHEN THE TARGETS CHANGE */
+    const products = Object.keys(targets).length > 0
+      ? await OfferService.applyTargets(updatedOfert)
+      : await updatedOfert.getProducts({ attributes: ["id", "name"], joinTableAttributes: [] });
+    OfferService.invalidateProductCaches();
     res.status(200).send({
       succMsg: "Ofert Updated Successfully!",
       updatedOfert,
+      products,
     });
   } catch (error) {
     next(error);
@@ -117,14 +143,17 @@ const updateOfert = async (req, res, next) => {
 const disableOfert = async (req, res, next) => {
   try {
     const { id } = req.params;
-    await Ofert.update(
-      { status: false },
-      {
-        where: {
-          id: id,
-        },
-      }
-    );
+    const ofertDB = await Ofert.findByPk(id);
+    if (!ofertDB) {
+      throw new NotFoundError(`Ofert with ID '${id}' not found`);
+    }
+    /* ENDS THE OFERT NOW SO THE SCHEDULER DOES NOT ENABLE IT AGAIN */
+    await Ofert.update(OfferService.disable(ofertDB), {
+      where: {
+        id: id,
+      },
+    });
+    OfferService.invalidateProductCaches();
 
     const disabledOfert = await Ofert.findByPk(id, {
       attributes: [ 
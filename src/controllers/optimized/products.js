@@ -1,4 +1,4 @@
-const { Product, Categorie, Ofert } = require('../../db');
+const { Product, Categorie } = require('../../db');
 const { Op } = require('sequelize');
 const {
   catchAsync,
@@ -8,6 +8,8 @@ const {
 const { QueryOptimizer } = require('../../middleware/pagination');
 const { cacheInstance } = require('../../middleware/cache');
 const logger = require('../../utils/logger');
+const ProductCatalogService = require('../../services/productCatalogService');
+const OfferService = require('../../services/offerService');
 
 /**
  * Controller otimizado para produtos
@@ -27,12 +29,7 @@ class OptimizedProductsController {
           through: { attributes: [] },
           required: false, // LEFT JOIN para melhor performance
         },
-        {
-          model: Ofert,
-          attributes: ['id', 'discountPercent'],
-          through: { attributes: [] },
-          required: false,
-        },
+        ProductCatalogService.activeOfferInclude(),
       ],
       attributes: {
         exclude: ['createdAt', 'updatedAt'], // Reduzir dados transferidos
@@ -50,7 +47,8 @@ class OptimizedProductsController {
     if (result.data && result.data.length > 0) {
       result.data = result.data.map(product => {
         const productData = product.toJSON();
-        const discount = productData.oferts?.[0]?.discountPercent || 0;
+        const discount =
+          OfferService.bestOffer(productData.oferts)?.discountPercent || 0;
 
         return {
           ...productData,
@@ -90,12 +88,7 @@ class OptimizedProductsController {
           through: { attributes: [] },
           required: true, // INNER JOIN pois precisamos da categoria
         },
-        {
-          model: Ofert,
-          attributes: ['id', 'discountPercent'],
-          through: { attributes: [] },
-          required: false,
-        },
+        ProductCatalogService.activeOfferInclude(),
       ],
       attributes: {
         exclude: ['createdAt', 'updatedAt'],
@@ -175,6 +168,9 @@ class OptimizedProductsController {
       return newProduct;
     });
 
+    // Campanhas por categoria, marca ou tipo passam a incluir o produto
+    await OfferService.syncProduct(result.id);
+
     // Invalidar cache relacionado
     cacheInstance.invalidatePattern('products');
     cacheInstance.invalidatePattern('categories');
@@ -224,6 +220,8 @@ class OptimizedProductsController {
       return product;
     });
 
+    await OfferService.syncProduct(result.id);
+
     // Invalidar cache
     cacheInstance.invalidatePattern('products');
     cacheInstance.invalidatePattern(`product_${id}`);
@@ -9,6 +9,7 @@ const {
 const { QueryOptimizer } = require('../../middleware/pagination');
 const { cacheInstance } = require('../../middleware/cache');
 const logger = require('../../utils/logger');
+const PaymentCustomerService = require('../../services/paymentCustomerService');
 
 /**
  * Controller otimizado para usuários
@@ -177,6 +178,7 @@ class OptimizedUsersController {
   static updateUser = catchAsync(async (req, res) => {
     const { id } = req.params;
     const updateData = req.body;
+    let previous;
 
     const result = await User.sequelize.transaction(async transaction => {
       const user = await User.findByPk(id, { transaction });
@@ -224,10 +226,14 @@ class OptimizedUsersController {
         cleanUpdateData.name = cleanUpdateData.name.trim();
       }
 
+      previous = { email: user.email, name: user.name };
       await user.update(cleanUpdateData, { transaction });
       return user;
     });
 
+    // Manter o cliente do provedor de pagamentos em sincronia
+    await PaymentCustomerService.syncProfile(result, previous);
+
     // Invalidar cache relacionado
     cacheInstance.invalidatePattern('users');
     cacheInstance.invalidatePattern(`user_${id}`);
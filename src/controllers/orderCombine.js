@@ -1,132 +1,74 @@
-/* ORDER COMBINE - SIMPLIFIED VERSION FOR TESTING */
-const orderCombine = async (req, res, next) => {
-  const { alpha, category, price, brand, rating } = req.query;
+const ProductCatalogService = require('../services/productCatalogService');
+const { catchAsync } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
 
-  try {
-    // Mock data para teste
-    const mockProducts = [
-      {
-        id: 1,
-        name: 'iPhone 14 Pro',
-        brand: 'Apple',
-        category: 'electronics',
-        price: 999,
-        rating: 4.9,
-      },
-      {
-        id: 2,
-        name: 'MacBook Air M2',
-        brand: 'Apple',
-        category: 'computers',
-        price: 1299,
-        rating: 4.8,
-      },
-      {
-        id: 3,
-        name: 'Dell XPS 13',
-        brand: 'Dell',
-        category: 'computers',
-        price: 1199,
-        rating: 4.6,
-      },
-      {
-        id: 4,
-        name: 'Surface Pro 9',
-        brand: 'Microsoft',
-        category: 'computers',
-        price: 999,
-        rating: 4.5,
-      },
-      {
-        id: 5,
-        name: 'Samsung Galaxy S23',
-        brand: 'Samsung',
-        category: 'electronics',
-        price: 899,
-        rating: 4.7,
-      },
-      {
-        id: 6,
-        name: 'iPad Air',
-        brand: 'Apple',
-        category: 'electronics',
-        price: 599,
-        rating: 4.4,
-      },
-      {
-        id: 7,
-        name: 'Sony WH-1000XM4',
-        brand: 'Sony',
-        category: 'electronics',
-        price: 349,
-        rating: 4.8,
-      },
-      {
-        id: 8,
-        name: 'AirPods Pro',
-        brand: 'Apple',
-        category: 'electronics',
-        price: 249,
-        rating: 4.7,
-      },
-    ];
+/* ORDER COMBINE - FACETED FILTERING AND SORTING OVER THE CATALOG */
+const orderCombine = catchAsync(async (req, res) => {
+  const {
+    alpha,
+    price,
+    rating,
+    q,
+    brand,
+    category,
+    categorie,
+    product_type,
+    tag,
+    minPrice,
+    maxPrice,
+    minRating,
+    maxRating,
+    onOffer,
+  } = req.query;
 
-    let result = [...mockProducts];
+  const filters = {
+    q,
+    brand,
+    categorie: categorie || category,
+    product_type,
+    tag,
+    minPrice,
+    maxPrice,
+    minRating,
+    maxRating,
+    onOffer,
+  };
+  const { sortBy, order } = ProductCatalogService.resolveSort(
+    req.query,
+    req.pagination
+  );
 
-    // Aplicar filtros
-    if (category) {
-      result = result.filter(product => product.category === category);
-    }
+  const [{ rows, count }, facets] = await Promise.all([
+    ProductCatalogService.find(filters, {
+      limit: req.pagination.limit,
+      offset: req.pagination.offset,
+      sortBy,
+      order,
+    }),
+    ProductCatalogService.facets(filters),
+  ]);
+  const { pagination } = req.createPaginatedResponse(rows, count);
 
-    if (brand) {
-      result = result.filter(product => product.brand === brand);
-    }
+  logger.info('Products filtered and ordered', {
+    filters,
+    sortBy,
+    order,
+    results: rows.length,
+    totalItems: count,
+  });
 
-    // Aplicar ordenações
-    if (alpha) {
-      if (alpha === 'asc') {
-        result.sort((a, b) =>
-          a.name.toLowerCase().localeCompare(b.name.toLowerCase())
-        );
-      } else if (alpha === 'desc') {
-        result.sort((a, b) =>
-          b.name.toLowerCase().localeCompare(a.name.toLowerCase())
-        );
-      }
-    }
-
-    if (price) {
-      if (price === 'asc') {
-        result.sort((a, b) => a.price - b.price);
-      } else if (price === 'desc') {
-        result.sort((a, b) => b.price - a.price);
-      }
-    }
-
-    if (rating) {
-      if (rating === 'asc') {
-        result.sort((a, b) => a.rating - b.rating);
-      } else if (rating === 'desc') {
-        result.sort((a, b) => b.rating - a.rating);
-      }
-    }
-
-    res.status(200).json({
-      success: true,
-      message: 'Products filtered and ordered successfully',
-      data: result,
-      count: result.length,
-      filters: { alpha, category, price, brand, rating },
-      endpoint: '/api/products/orderCombine/',
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      endpoint: '/api/products/orderCombine/',
-    });
-  }
-};
+  res.status(200).json({
+    success: true,
+    message: 'Products filtered and ordered successfully',
+    data: rows,
+    count: rows.length,
+    facets,
+    filters: { ...filters, alpha, price, rating },
+    sort: { sortBy, order },
+    pagination,
+    endpoint: '/api/products/orderCombine/',
+  });
+});
 
 module.exports = {
   orderCombine,
@@ -2,7 +2,7 @@ const { Product, Order, User } = require("../db");
 const axios = require("axios");
 const { Op } = require("sequelize");
 
-const sendEmailUsers = require("../helpers/sendEmailUsers");
+const OrderService = require("../services/orderService");
 
 /* GET ALL ORDERS FROM DB */
 
@@ -128,6 +128,7 @@ const createOrder = async (req, res) => {
     });
     res.status(200).json({
       msg: "Temporary Order Created",
+      orderId: newOrder.id,
       newOrder,
     });
   } catch (error) {
@@ -136,34 +137,15 @@ const createOrder = async (req, res) => {
 };
 //
 // UPDATE ONE ORDER IN THE DATABASE FROM STRIPE //
-const updateOrder = async (customer, data, lineItems) => {
+/* LA ORDEN SE BUSCA POR EL ID ENVIADO A STRIPE EN LA SESION, NUNCA LA ULTIMA CREADA */
+const updateOrder = async (session) => {
   try {
-    const temp = await Order.findOne({
-      order: [["createdAt", "DESC"]],
-    });
-    const updatedOrder = await Order.update(
-      {
-        number: customer.invoice_prefix,
-        status: "created",
-        subtotal: data.amount_subtotal,
-        shipping: data.customer_details,
-        total: data.amount_total,
-      },
-      {
-        where: {
-          id: temp.id,
-        },
-      }
-    );
-    const user = {
-      name: updatedOrder.shipping.name,
-      email: updatedOrder.shipping.email,
-    };
-    //envío de email al usuario al realizar la compra
-    sendEmailUsers.sendMail(user);
-    console.log("send email order");
+    /* EL CAMBIO DE ESTADO ENVIA EL EMAIL DE COMPRA AL USUARIO */
+    const { order } = await OrderService.completeCheckout(session);
+    return order;
   } catch (error) {
     console.log(error);
+    return null;
   }
 };
 
@@ -0,0 +1,50 @@
+const PaymentEventService = require('../services/paymentEventService');
+const { catchAsync } = require('../middleware/errorHandler');
+
+/* LIST THE PAYMENT EVENTS RECEIVED, OPTIONALLY FOR ONE ORDER */
+const getPaymentEvents = catchAsync(async (req, res) => {
+  const { orderId, type, status } = req.query;
+
+  const { rows, count } = await PaymentEventService.list(
+    { orderId, type, status },
+    req.pagination
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Payment events retrieved successfully',
+    ...req.createPaginatedResponse(rows, count),
+  });
+});
+
+/* GET ONE PAYMENT EVENT WITH THE PAYLOAD STRIPE SENT */
+const getPaymentEvent = catchAsync(async (req, res) => {
+  const paymentEvent = await PaymentEventService.get(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Payment event retrieved successfully',
+    data: paymentEvent,
+  });
+});
+
+/* PROCESS A FAILED OR ABANDONED PAYMENT EVENT AGAIN */
+const replayPaymentEvent = catchAsync(async (req, res) => {
+  const { paymentEvent, result } = await PaymentEventService.replay(
+    req.params.id,
+    { actorId: req.user?.userId ?? null }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Payment event replayed successfully',
+    data: paymentEvent,
+    result,
+  });
+});
+
+module.exports = {
+  getPaymentEvents,
+  getPaymentEvent,
+  replayPaymentEvent,
+};
@@ -1,4 +1,4 @@
-const { Product, Categorie, Ofert } = require('../db');
+const { Product, Categorie } = require('../db');
 const axios = require('axios');
 const { URL_API } = require('./globalConst');
 // const { uploadCategoryDb } = require("../controllers/uploadCategoryDb")
@@ -9,6 +9,10 @@ const db = require('../db');
 const { cacheInstance } = require('../middleware/cache');
 const { catchAsync } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
+const StockReservationService = require('../services/stockReservationService');
+const InventoryService = require('../services/inventoryService');
+const ProductCatalogService = require('../services/productCatalogService');
+const OfferService = require('../services/offerService');
 
 /* GET ALL PRODUCTS FROM DB */
 const getAllProducts = async (req, res, next) => {
@@ -21,23 +25,16 @@ const getAllProducts = async (req, res, next) => {
           attributes: ['name'],
           through: { attributes: [] },
         },
-        {
-          model: Ofert,
-          attributes: ['discountPercent'],
-          through: { attributes: [] },
-        },
+        ProductCatalogService.activeOfferInclude(),
       ],
     });
 
-    dbInfo = dbInfo.map(
-      e =>
-        (e = {
-          ...e.dataValues,
-          discountPrice:
-            e.dataValues.price -
-            (e.dataValues.price * e.dataValues.oferts[0]?.discountPercent) /
-              100,
-        })
+    const reserved = await StockReservationService.reservedQuantities(
+      dbInfo.map(e => e.id)
+    );
+
+    dbInfo = dbInfo.map(e =>
+      ProductCatalogService.serialize(e, reserved.get(e.id))
     );
     res.status(200).json(dbInfo);
   } catch (error) {
@@ -85,7 +82,9 @@ const createProduct = async (req, res, next) => {
     const categoriesDb = await Categorie.findAll({
       where: { name: categories },
     });
-    newProduct.addCategorie(categoriesDb);
+    await newProduct.addCategorie(categoriesDb);
+    /* CAMPAIGN OFERTS BY CATEGORY, BRAND OR TYPE PICK UP THE NEW PRODUCT */
+    await OfferService.syncProduct(newProduct.id);
 
     res.status(200).json({
       succMsg: 'Product Created Successfully!',
@@ -123,6 +122,15 @@ const updateProduct = async (req, res, next) => {
         id: id,
       },
     });
+    /* EL STOCK SOLO CAMBIA A TRAVES DEL LEDGER DE INVENTARIO */
+    if (productDB && stock !== undefined) {
+      await InventoryService.setStock(id, stock, {
+        actorId: req.user?.userId ?? null,
+        note: 'Product update',
+      });
+      await productDB.reload();
+    }
+
     /* ACTUALIZO EL PRODUCT CON LOS DATOS QUE RECIBO DEL BODY */
     const updatedProduct = await productDB.update({
       brand,
@@ -134,7 +142,6 @@ const updateProduct = async (req, res, next) => {
       description,
       rating,
       product_type,
-      stock,
       tag_list,
       product_colors,
       status,
@@ -155,8 +162,9 @@ const updateProduct = async (req, res, next) => {
         ],
       });
       await productDB.removeCategorie(oldCategories);
-      updatedProduct.addCategorie(categoriesDb);
+      await updatedProduct.addCategorie(categoriesDb);
     }
+    await OfferService.syncProduct(updatedProduct.id);
 
     res.status(200).send({
       succMsg: 'Product Updated Successfully!',
@@ -1,48 +1,26 @@
-/* GET ALL PRODUCTS BRANDS - SIMPLIFIED VERSION FOR TESTING */
-const getProductsBrand = async (req, res, next) => {
-  const { brand, categorie } = req.query;
+const ProductCatalogService = require('../services/productCatalogService');
+const { catchAsync } = require('../middleware/errorHandler');
 
-  try {
-    // Mock data para teste - substitua pela consulta ao banco quando necessário
-    const mockBrands = [
-      'Apple',
-      'Samsung',
-      'Dell',
-      'Sony',
-      'Microsoft',
-      'HP',
-      'Lenovo',
-      'Asus',
-    ];
+/* GET ALL PRODUCTS BRANDS - BRAND FACET OF THE CATALOG */
+const getProductsBrand = catchAsync(async (req, res) => {
+  const { brand, categorie } = req.query;
 
-    // Filtrar por categoria se fornecida
-    let filteredBrands = mockBrands;
-    if (categorie) {
-      // Simular filtro por categoria
-      const categoryBrands = {
-        electronics: ['Apple', 'Samsung', 'Sony'],
-        computers: ['Dell', 'HP', 'Lenovo', 'Asus'],
-        mobile: ['Apple', 'Samsung'],
-      };
-      filteredBrands = categoryBrands[categorie.toLowerCase()] || mockBrands;
-    }
+  const needle = (brand || '').toLowerCase();
+  const brands = (
+    await ProductCatalogService.columnFacet({ categorie }, 'brand')
+  ).filter(facet => facet.value.toLowerCase().includes(needle));
+  const data = brands.map(facet => facet.value);
 
-    res.status(200).json({
-      success: true,
-      message: 'Product brands retrieved successfully',
-      data: filteredBrands,
-      count: filteredBrands.length,
-      filters: { brand, categorie },
-      endpoint: '/api/products/brand/',
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      endpoint: '/api/products/brand/',
-    });
-  }
-};
+  res.status(200).json({
+    success: true,
+    message: 'Product brands retrieved successfully',
+    data,
+    count: data.length,
+    facets: brands,
+    filters: { brand, categorie },
+    endpoint: '/api/products/brand/',
+  });
+});
 
 module.exports = {
   getProductsBrand,
@@ -0,0 +1,53 @@
+const RefundService = require('../services/refundService');
+const { catchAsync } = require('../middleware/errorHandler');
+const { cacheInstance } = require('../middleware/cache');
+
+/* ISSUE A FULL, PER-LINE OR AMOUNT REFUND FOR ONE ORDER */
+const createRefund = catchAsync(async (req, res) => {
+  const { lines, amount, restock, reason, note } = req.body;
+
+  const { refund, order } = await RefundService.create(req.params.id, {
+    lines,
+    amount,
+    restock,
+    reason,
+    note,
+    actorId: req.user?.userId ?? null,
+  });
+
+  if (refund.restock && refund.appliedAt) {
+    cacheInstance.invalidatePattern('products');
+  }
+
+  res.status(201).json({
+    success: true,
+    message:
+      refund.status === 'succeeded'
+        ? 'Refund issued successfully'
+        : 'Refund requested, waiting for the payment provider',
+    data: refund,
+    order: {
+      id: order.id,
+      number: order.number,
+      status: order.status,
+      total: order.total,
+      refundedAmount: order.refundedAmount,
+    },
+  });
+});
+
+/* LIST THE REFUNDS OF ONE ORDER */
+const getRefunds = catchAsync(async (req, res) => {
+  const { order, refunds } = await RefundService.list(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Refunds retrieved successfully',
+    data: { order, refunds },
+  });
+});
+
+module.exports = {
+  createRefund,
+  getRefunds,
+};
@@ -0,0 +1,118 @@
+const ShippingService = require('../services/shippingService');
+const CartPricingService = require('../services/cartPricingService');
+const { catchAsync } = require('../middleware/errorHandler');
+
+/* QUOTE THE SHIPPING OPTIONS OF A CART FOR THE CART PAGE */
+const quoteShipping = catchAsync(async (req, res) => {
+  const { cartProducts, country, region } = req.body;
+
+  // Lines that can no longer be bought are reported, not quoted
+  const { lines, errors } = await CartPricingService.priceCart(cartProducts);
+  const quote = await ShippingService.quote({ lines, country, region });
+
+  res.status(200).json({
+    success: true,
+    message: quote.options.length
+      ? 'Shipping quoted successfully'
+      : 'No shipping options for this destination',
+    data: { ...quote, errors },
+  });
+});
+
+/* LIST EVERY SHIPPING ZONE WITH ITS METHODS */
+const getShippingZones = catchAsync(async (req, res) => {
+  const zones = await ShippingService.listZones();
+
+  res.status(200).json({
+    success: true,
+    message: 'Shipping zones retrieved successfully',
+    data: zones,
+  });
+});
+
+/* GET ONE SHIPPING ZONE WITH ITS METHODS */
+const getShippingZone = catchAsync(async (req, res) => {
+  const zone = await ShippingService.getZone(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Shipping zone retrieved successfully',
+    data: zone,
+  });
+});
+
+/* CREATE A SHIPPING ZONE */
+const createShippingZone = catchAsync(async (req, res) => {
+  const zone = await ShippingService.createZone(req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Shipping zone created successfully',
+    data: zone,
+  });
+});
+
+/* UPDATE A SHIPPING ZONE */
+const updateShippingZone = catchAsync(async (req, res) => {
+  const zone = await ShippingService.updateZone(req.params.id, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Shipping zone updated successfully',
+    data: zone,
+  });
+});
+
+/* DELETE A SHIPPING ZONE AND ITS METHODS */
+const deleteShippingZone = catchAsync(async (req, res) => {
+  await ShippingService.deleteZone(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Shipping zone deleted successfully',
+  });
+});
+
+/* CREATE A SHIPPING METHOD IN A ZONE */
+const createShippingMethod = catchAsync(async (req, res) => {
+  const method = await ShippingService.createMethod(req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Shipping method created successfully',
+    data: method,
+  });
+});
+
+/* UPDATE A SHIPPING METHOD */
+const updateShippingMethod = catchAsync(async (req, res) => {
+  const method = await ShippingService.updateMethod(req.params.id, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Shipping method updated successfully',
+    data: method,
+  });
+});
+
+/* DELETE A SHIPPING METHOD */
+const deleteShippingMethod = catchAsync(async (req, res) => {
+  await ShippingService.deleteMethod(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Shipping method deleted successfully',
+  });
+});
+
+module.exports = {
+  quoteShipping,
+  getShippingZones,
+  getShippingZone,
+  createShippingZone,
+  updateShippingZone,
+  deleteShippingZone,
+  createShippingMethod,
+  updateShippingMethod,
+  deleteShippingMethod,
+};
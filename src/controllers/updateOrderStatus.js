@@ -1,24 +1,40 @@
-const { Order } = require("../db");
+const OrderStatusService = require('../services/orderStatusService');
+const { catchAsync } = require('../middleware/errorHandler');
 
-const updateOrderStatus = async ( req, res ) => {
+/* UPDATE THE STATUS OF ONE ORDER THROUGH THE TRANSITION TABLE */
+const updateOrderStatus = catchAsync(async (req, res) => {
   const { id } = req.params;
-  const { status } = req.body;
-    try {
-      if(!status){
-          res.status(400).send("Status is required");
-      } else{
-        const dbInfo = await Order.update(
-          { status },
-          { where: { number: id } }
-        );
-        console.log("Order Status Successfully Updated!")
-        res.status(200).send(dbInfo);
-      }
-    } catch (error) {
-      console.log(error);
-    }
-};
+  const { status, note } = req.body;
+
+  const { order, history } = await OrderStatusService.transition(id, status, {
+    actorId: req.user?.userId ?? null,
+    note,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Order Status Successfully Updated!',
+    data: order,
+    history,
+  });
+});
+
+/* GET THE STATUS HISTORY OF ONE ORDER */
+const getOrderStatusHistory = catchAsync(async (req, res) => {
+  const { order, history } = await OrderStatusService.history(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Order status history retrieved successfully',
+    data: {
+      order,
+      history,
+      allowedTransitions: OrderStatusService.TRANSITIONS[order.status],
+    },
+  });
+});
 
 module.exports = {
   updateOrderStatus,
-};
\ No newline at end of file
+  getOrderStatusHistory,
+};
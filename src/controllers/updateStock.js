@@ -1,32 +1,89 @@
-const { Product } = require("../db");
-
-/* DELETE ONE ORDER IN THE DATABASE */
-const updateStockProduct = async (req, res, next) =>
-{
-    const { stock } = req.query
-    const { id } = req.params
-
-    try {
-        await Product.update({ stock: stock }, {
-            where: {
-                id: id
-            }
-        })
-        res.send({
-            message: "Successfully updated the stock product"
-        })
-
-    } catch (error) {
-        res.send({
-            message: error.message
-        })
-
-    }
+const InventoryService = require('../services/inventoryService');
+const { catchAsync } = require('../middleware/errorHandler');
+const { cacheInstance } = require('../middleware/cache');
+
+const actorOf = req => req.user?.userId ?? null;
+
+const invalidateProductCache = id => {
+  cacheInstance.invalidatePattern('products');
+  cacheInstance.invalidatePattern(`product_${id}`);
 };
 
+/* UPDATE STOCK IN THE DATABASE - RECORDED AS AN ADJUSTMENT MOVEMENT */
+const updateStockProduct = catchAsync(async (req, res) => {
+  const { stock } = req.query;
+  const { id } = req.params;
+
+  const movement = await InventoryService.setStock(id, stock, {
+    actorId: actorOf(req),
+  });
+  invalidateProductCache(id);
+
+  res.send({
+    message: 'Successfully updated the stock product',
+    movement,
+  });
+});
+
+/* POST AN INVENTORY MOVEMENT (RESTOCK, ADJUSTMENT, RETURN, DAMAGE...) */
+const createMovement = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const { delta, reason, note, orderId, reference } = req.body;
+
+  const movement = await InventoryService.recordMovement({
+    productId: id,
+    delta,
+    reason,
+    note,
+    orderId,
+    reference,
+    actorId: actorOf(req),
+  });
+  invalidateProductCache(id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Inventory movement recorded successfully',
+    data: movement,
+  });
+});
+
+/* LIST THE MOVEMENT HISTORY OF A PRODUCT */
+const getMovements = catchAsync(async (req, res) => {
+  const { rows, count } = await InventoryService.history(
+    req.params.id,
+    req.pagination
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Inventory movements retrieved successfully',
+    ...req.createPaginatedResponse(rows, count),
+  });
+});
+
+/* RECONCILE THE CACHED STOCK COLUMN AGAINST THE LEDGER */
+const reconcileStock = catchAsync(async (req, res) => {
+  const report = await InventoryService.reconcile(req.params.id, {
+    dryRun: req.body.dryRun === true,
+    actorId: actorOf(req),
+  });
 
+  if (report.repaired) {
+    invalidateProductCache(req.params.id);
+  }
 
+  res.status(200).json({
+    success: true,
+    message:
+      report.drift === 0 ? 'Stock matches the ledger' : 'Stock drift found',
+    data: report,
+  });
+});
 
 module.exports = {
-    updateStockProduct
+  updateStockProduct,
+  createMovement,
+  getMovements,
+  reconcileStock,
 };
@@ -4,6 +4,9 @@ const { User, Rol, Product } = require('../db');
 const axios = require('axios');
 const { URL_API } = require('./globalConst');
 const { Op } = require('sequelize');
+const PaymentCustomerService = require('../services/paymentCustomerService');
+const SessionService = require('../services/sessionService');
+const { NotFoundError } = require('../middleware/errorHandler');
 
 /* GET ALL USERS FROM DB */
 
@@ -84,19 +87,25 @@ const updateUser = async (req, res, next) => {
     } = req.body;
     /* BUSCO EL USER EN LA BD POR EL ID */
     const userDb = await User.findByPk(id);
+    const previous = { email: userDb.email, name: userDb.name };
+    /* UN EMAIL NUEVO QUEDA SIN VERIFICAR, SALVO QUE SE INDIQUE LO CONTRARIO */
+    const emailChanged = email !== undefined && email !== userDb.email;
 
     /* ACTUALIZO EL USER */
     await userDb.update({
       nickname,
       name,
       email,
-      email_verified,
+      email_verified:
+        emailChanged && email_verified === undefined ? false : email_verified,
       sid,
       picture,
       address,
       status,
       rol_id,
     });
+    /* ACTUALIZO EL CLIENTE DEL PROVEEDOR DE PAGOS SI CAMBIO EMAIL O NOMBRE */
+    await PaymentCustomerService.syncProfile(userDb, previous);
     res.status(200).json({ msg: 'User Updated Successfully!' });
   } catch (error) {
     next(error);
@@ -164,6 +173,34 @@ const getAllFavorites = async (req, res) => {
   }
 };
 
+/* GET THE ACTIVE SESSIONS OF A USER (ADMIN) */
+const getUserSessions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userDb = await User.findByPk(id, { attributes: ['id'] });
+    if (!userDb) {
+      throw new NotFoundError('User not found');
+    }
+    const sessions = await SessionService.list(userDb.id);
+    res.status(200).json({ success: true, data: sessions });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/* SIGN OUT ONE SESSION OF A USER (ADMIN) */
+const revokeUserSession = async (req, res, next) => {
+  try {
+    const { id, sessionId } = req.params;
+    await SessionService.revoke(id, sessionId);
+    res
+      .status(200)
+      .json({ success: true, message: 'Session revoked successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getAllUsers,
   getOneUsers,
@@ -173,4 +210,6 @@ module.exports = {
   addFavorite,
   deleteFavorite,
   getAllFavorites,
+  getUserSessions,
+  revokeUserSession,
 };
@@ -222,8 +222,29 @@ process.on('SIGTERM', async () => {
 // Para relacionarlos hacemos un destructuring
 
 // Ejemplo:
-const { Product, Review, Categorie, Order, Rol, User, Ofert } =
-  sequelize.models;
+const {
+  Product,
+  Review,
+  Categorie,
+  Order,
+  Rol,
+  User,
+  Ofert,
+  StockReservation,
+  InventoryMovement,
+  OrderStatusHistory,
+  PaymentEvent,
+  Refund,
+  ShippingZone,
+  ShippingMethod,
+  Coupon,
+  CouponRedemption,
+  Cart,
+  CartItem,
+  PasswordResetToken,
+  RefreshToken,
+  UserSession,
+} = sequelize.models;
 
 /*===========================RELATION Rol - User 1:N==============================*/
 Rol.hasMany(User, { foreignKey: 'rol_id' });
@@ -265,6 +286,66 @@ Review.belongsTo(Product, { foreignKey: 'product_id' });
 Product.belongsToMany(Ofert, { through: 'Product_Oferts' });
 Ofert.belongsToMany(Product, { through: 'Product_Oferts' });
 
+/*===========================RELATION PRODUCTS - STOCK RESERVATIONS 1:N==============================*/
+Product.hasMany(StockReservation, { foreignKey: 'product_id' });
+StockReservation.belongsTo(Product, { foreignKey: 'product_id' });
+
+/*===========================RELATION PRODUCTS - INVENTORY MOVEMENTS 1:N==============================*/
+Product.hasMany(InventoryMovement, { foreignKey: 'product_id' });
+InventoryMovement.belongsTo(Product, { foreignKey: 'product_id' });
+
+/*===========================RELATION ORDER - INVENTORY MOVEMENTS 1:N==============================*/
+Order.hasMany(InventoryMovement, { foreignKey: 'orderId' });
+InventoryMovement.belongsTo(Order, { foreignKey: 'orderId' });
+
+/*===========================RELATION ORDER - STATUS HISTORY 1:N==============================*/
+Order.hasMany(OrderStatusHistory, { foreignKey: 'orderId', as: 'statusHistory' });
+OrderStatusHistory.belongsTo(Order, { foreignKey: 'orderId' });
+
+/*===========================RELATION ORDER - PAYMENT EVENTS 1:N==============================*/
+Order.hasMany(PaymentEvent, { foreignKey: 'orderId', constraints: false });
+PaymentEvent.belongsTo(Order, { foreignKey: 'orderId', constraints: false });
+
+/*===========================RELATION ORDER - REFUNDS 1:N==============================*/
+Order.hasMany(Refund, { foreignKey: 'orderId' });
+Refund.belongsTo(Order, { foreignKey: 'orderId' });
+
+/*===========================RELATION SHIPPING ZONE - METHODS 1:N==============================*/
+ShippingZone.hasMany(ShippingMethod, { foreignKey: 'zoneId', as: 'methods', onDelete: 'CASCADE' });
+ShippingMethod.belongsTo(ShippingZone, { foreignKey: 'zoneId', as: 'zone' });
+
+/*===========================RELATION COUPON - REDEMPTIONS 1:N==============================*/
+Coupon.hasMany(CouponRedemption, { foreignKey: 'couponId', as: 'redemptions' });
+CouponRedemption.belongsTo(Coupon, { foreignKey: 'couponId' });
+
+/*===========================RELATION ORDER - COUPON REDEMPTION 1:1==============================*/
+Order.hasOne(CouponRedemption, { foreignKey: 'orderId', as: 'couponRedemption' });
+CouponRedemption.belongsTo(Order, { foreignKey: 'orderId' });
+
+/*===========================RELATION CART - ITEMS 1:N==============================*/
+Cart.hasMany(CartItem, { foreignKey: 'cartId', as: 'items', onDelete: 'CASCADE' });
+CartItem.belongsTo(Cart, { foreignKey: 'cartId' });
+
+/*===========================RELATION PRODUCTS - CART ITEMS 1:N==============================*/
+Product.hasMany(CartItem, { foreignKey: 'productId' });
+CartItem.belongsTo(Product, { foreignKey: 'productId' });
+
+/*===========================RELATION USER - PASSWORD RESET TOKENS 1:N==============================*/
+User.hasMany(PasswordResetToken, { foreignKey: 'userId', onDelete: 'CASCADE' });
+PasswordResetToken.belongsTo(User, { foreignKey: 'userId' });
+
+/*===========================RELATION USER - REFRESH TOKENS 1:N==============================*/
+User.hasMany(RefreshToken, { foreignKey: 'userId', onDelete: 'CASCADE' });
+RefreshToken.belongsTo(User, { foreignKey: 'userId' });
+
+/*===========================RELATION USER - SESSIONS 1:N==============================*/
+User.hasMany(UserSession, { foreignKey: 'userId', onDelete: 'CASCADE' });
+UserSession.belongsTo(User, { foreignKey: 'userId' });
+
+/*===========================RELATION SESSION - REFRESH TOKENS 1:N==============================*/
+UserSession.hasMany(RefreshToken, { foreignKey: 'familyId', onDelete: 'CASCADE' });
+RefreshToken.belongsTo(UserSession, { foreignKey: 'familyId' });
+
 module.exports = {
   ...sequelize.models, // para poder importar los modelos así: const { Product, User } = require('./db.js');
   database: sequelize, // para importart la conexión { conn } = require('./db.js');
@@ -142,9 +142,14 @@ const emailOrderSuccess = function (user, order) {
   }
 };
 
-const emailOrderFailure = function (user, _order) {
+const emailOrderFailure = function (user, order) {
   try {
     const { user: sanitizedUser } = sanitizeEmailData(user);
+    // Link back to checkout for the same order, or to the cart without one
+    const client = process.env.CLIENT_URL || 'https://tuspacio.vercel.app';
+    const retryUrl = order?.id
+      ? `${client}/checkout/retry?order_id=${encodeURIComponent(order.id)}`
+      : `${client}/cart`;
 
     return {
       from: '"Tu spacio, los expertos en belleza! 🛒🎁" <tuspaciopg@gmail.com>',
@@ -161,7 +166,7 @@ const emailOrderFailure = function (user, _order) {
 
       <h3> por favor valida con tu banco si todo esta bien.</h3>
       <h3> para retomar el pago de tu orden, haz click en el enlace</h3>
-      <a href="#" >Intentar el Pago Nuevamente</a>
+      <a href="${retryUrl}" >Intentar el Pago Nuevamente</a>
       
       <br /><br />All rights reserved by &copy; <a href="https://tuspacio.vercel.app/">Tu Spacio</a></p>
       `,
@@ -339,6 +344,46 @@ const emailShippingNotification = function (user, order) {
   }
 };
 
+const emailOrderRefunded = function (user, order) {
+  try {
+    const { user: sanitizedUser, order: sanitizedOrder } = sanitizeEmailData(
+      user,
+      order
+    );
+    const refund = order?.refund || {};
+    const amount = (Number(refund.amount) || 0) / 100;
+    const currency = String(refund.currency || 'usd').toUpperCase();
+    const lines = Array.isArray(refund.lines) ? refund.lines : [];
+
+    return {
+      from: '"Tu spacio, los expertos en belleza! 🛒🎁" <tuspaciopg@gmail.com>',
+      to: sanitizedUser.email,
+      subject: 'Hemos procesado el reembolso de tu orden',
+      attachDataUrls: true,
+      html: `
+      <div style="background-color: #2b9423; color: #fff; display: flex; flex-direction: column; align-items: center; justify-content: center; padding: 3px 10px; font-weight: bold; border-radius: 5px;">
+      <ul>
+      <h1 style="color: #fff;">Hola ${sanitizedUser.name}, gracias por elegirnos!</h1>
+      </ul>
+      </div>
+      <h2 style="color: #000000">Reembolsamos ${amount.toFixed(2)} ${currency} de tu orden ${sanitizedOrder.number}</h2>
+      ${lines
+        .map(
+          line => `
+      <h4 style="color: #000000"> - ${String(line.name || 'Producto').replace(/[<>]/g, '')} x ${Number(line.quantity) || 1}</h4>
+      `
+        )
+        .join('')}
+      <h3>El dinero se acreditará en tu medio de pago en un plazo de 5 a 10 días hábiles, según tu banco.</h3>
+
+      <br /><br />All rights reserved by &copy; <a href="https://tuspacio.vercel.app/">Tu Spacio</a></p>
+      `,
+    };
+  } catch (error) {
+    throw new Error(`Failed to generate order refund email: ${error.message}`);
+  }
+};
+
 // Enhanced email sending with retry mechanism
 const sendEmailWithRetry = async (
   emailFunction,
@@ -394,6 +439,7 @@ const sendTestEmail = async (testUser, emailType = 'success') => {
       cancelled: emailOrderCancelled,
       admin: emailAdminNotification,
       shipping: emailShippingNotification,
+      refund: emailOrderRefunded,
     };
 
     const emailFunction = emailFunctions[emailType];
@@ -438,6 +484,7 @@ module.exports = {
   emailOrderCancelled,
   emailAdminNotification,
   emailShippingNotification,
+  emailOrderRefunded,
   sendEmailWithRetry,
   testEmailConfiguration,
   sendTestEmail,
@@ -203,6 +203,68 @@ class EmailService {
           </div>
         </div>
       `,
+      cartReminder: data => `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #e85d75; color: #fff; padding: 20px; text-align: center; border-radius: 5px;">
+            <h1>¡Hola ${data.name}!</h1>
+            <p>Dejaste productos en tu carrito</p>
+          </div>
+          <div style="padding: 20px;">
+            <ul>
+              ${data.items.map(item => `<li>${item.quantity} x ${item.name}</li>`).join('')}
+            </ul>
+            <p>Los guardamos para ti, pero el stock puede agotarse.</p>
+            <a href="${data.restoreUrl}" style="background-color: #e85d75; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">
+              Volver a Mi Carrito
+            </a>
+          </div>
+        </div>
+      `,
+      emailVerification: data => `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #2b9423; color: #fff; padding: 20px; text-align: center; border-radius: 5px;">
+            <h1>¡Hola ${data.name}!</h1>
+            <p>Confirma tu dirección de email</p>
+          </div>
+          <div style="padding: 20px;">
+            <p>Para activar todas las funciones de tu cuenta, confirma que este email es tuyo:</p>
+            <a href="${data.verifyUrl}" style="background-color: #2b9423; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">
+              Verificar Mi Email
+            </a>
+            <p style="color: #666; font-size: 12px;">El enlace vence en ${data.expiresIn}. Si no creaste una cuenta, ignora este mensaje.</p>
+          </div>
+        </div>
+      `,
+      passwordReset: data => `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #007bff; color: #fff; padding: 20px; text-align: center; border-radius: 5px;">
+            <h1>¡Hola ${data.name}!</h1>
+            <p>Recibimos un pedido para cambiar tu contraseña</p>
+          </div>
+          <div style="padding: 20px;">
+            <p>Para elegir una nueva contraseña, haz click en el enlace:</p>
+            <a href="${data.resetUrl}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">
+              Cambiar Mi Contraseña
+            </a>
+            <p style="color: #666; font-size: 12px;">El enlace sirve una sola vez y vence en ${data.expiresMinutes} minutos. Si no lo pediste, ignora este mensaje: tu contraseña no cambia.</p>
+          </div>
+        </div>
+      `,
+      accountLocked: data => `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #dc3545; color: #fff; padding: 20px; text-align: center; border-radius: 5px;">
+            <h1>¡Hola ${data.name}!</h1>
+            <p>Bloqueamos el ingreso a tu cuenta por demasiados intentos fallidos</p>
+          </div>
+          <div style="padding: 20px;">
+            <p>El bloqueo termina solo en ${data.lockoutMinutes} minutos. Si fuiste tú, puedes desbloquear tu cuenta ahora:</p>
+            <a href="${data.unlockUrl}" style="background-color: #dc3545; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">
+              Desbloquear Mi Cuenta
+            </a>
+            <p style="color: #666; font-size: 12px;">Si no fuiste tú, alguien intenta adivinar tu contraseña: te recomendamos cambiarla.</p>
+          </div>
+        </div>
+      `,
     };
 
     const template = templates[templateName];
@@ -327,6 +389,158 @@ class EmailService {
     }
   }
 
+  /**
+   * Send a reminder about a cart left without checking out
+   */
+  async sendCartReminderEmail(user, cartData = {}) {
+    try {
+      if (!user?.email || !this.validateEmail(user.email)) {
+        throw new Error('Valid email address is required');
+      }
+
+      const sanitizedName = this.sanitizeInput(user.name) || 'Cliente';
+      const restoreUrl =
+        cartData.restoreUrl ||
+        `${(process.env.WEBSITE_URL || 'https://tuspacio.vercel.app').replace(/\/$/, '')}/cart?restore=${encodeURIComponent(cartData.restoreToken || '')}`;
+
+      const htmlContent = this.renderTemplate('cartReminder', {
+        name: sanitizedName,
+        ...cartData,
+        items: (cartData.items || []).map(item => ({
+          name: this.sanitizeInput(item.name) || 'Producto',
+          quantity: item.quantity,
+        })),
+        restoreUrl,
+      });
+
+      const mailOptions = {
+        from:
+          process.env.EMAIL_FROM ||
+          '"Tu spacio, los expertos en belleza! 🛒🎁" <tuspaciopg@gmail.com>',
+        to: user.email.trim(),
+        subject: `${sanitizedName}, tu carrito te está esperando`,
+        html: htmlContent,
+      };
+
+      return await this.sendEmailWithRetry(mailOptions);
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Failed to send cart reminder email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send the link that verifies a user's email address
+   */
+  async sendVerificationEmail(user, verificationData = {}) {
+    try {
+      if (!user?.email || !this.validateEmail(user.email)) {
+        throw new Error('Valid email address is required');
+      }
+
+      const sanitizedName = this.sanitizeInput(user.name) || 'Cliente';
+      const verifyUrl =
+        verificationData.verifyUrl ||
+        `${(process.env.WEBSITE_URL || 'https://tuspacio.vercel.app').replace(/\/$/, '')}/verify-email?token=${encodeURIComponent(verificationData.token || '')}`;
+
+      const htmlContent = this.renderTemplate('emailVerification', {
+        name: sanitizedName,
+        expiresIn: verificationData.expiresIn || '24h',
+        verifyUrl,
+      });
+
+      const mailOptions = {
+        from:
+          process.env.EMAIL_FROM ||
+          '"Tu spacio, los expertos en belleza! 🛒🎁" <tuspaciopg@gmail.com>',
+        to: user.email.trim(),
+        subject: `${sanitizedName}, confirma tu email`,
+        html: htmlContent,
+      };
+
+      return await this.sendEmailWithRetry(mailOptions);
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Failed to send verification email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a single-use link to choose a new password
+   */
+  async sendPasswordResetEmail(user, resetData = {}) {
+    try {
+      if (!user?.email || !this.validateEmail(user.email)) {
+        throw new Error('Valid email address is required');
+      }
+
+      const sanitizedName = this.sanitizeInput(user.name) || 'Cliente';
+      const resetUrl =
+        resetData.resetUrl ||
+        `${(process.env.WEBSITE_URL || 'https://tuspacio.vercel.app').replace(/\/$/, '')}/reset-password?token=${encodeURIComponent(resetData.token || '')}`;
+
+      const htmlContent = this.renderTemplate('passwordReset', {
+        name: sanitizedName,
+        expiresMinutes: resetData.expiresMinutes || 30,
+        resetUrl,
+      });
+
+      const mailOptions = {
+        from:
+          process.env.EMAIL_FROM ||
+          '"Tu spacio, los expertos en belleza! 🛒🎁" <tuspaciopg@gmail.com>',
+        to: user.email.trim(),
+        subject: 'Cambia tu contraseña de Tu Spacio',
+        html: htmlContent,
+      };
+
+      return await this.sendEmailWithRetry(mailOptions);
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Failed to send password reset email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tell a user their account was locked, with a link to unlock it
+   */
+  async sendAccountLockedEmail(user, lockData = {}) {
+    try {
+      if (!user?.email || !this.validateEmail(user.email)) {
+        throw new Error('Valid email address is required');
+      }
+
+      const sanitizedName = this.sanitizeInput(user.name) || 'Cliente';
+      const unlockUrl =
+        lockData.unlockUrl ||
+        `${(process.env.WEBSITE_URL || 'https://tuspacio.vercel.app').replace(/\/$/, '')}/unlock-account?token=${encodeURIComponent(lockData.token || '')}`;
+
+      const htmlContent = this.renderTemplate('accountLocked', {
+        name: sanitizedName,
+        lockoutMinutes: lockData.lockoutMinutes || 15,
+        unlockUrl,
+      });
+
+      const mailOptions = {
+        from:
+          process.env.EMAIL_FROM ||
+          '"Tu spacio, los expertos en belleza! 🛒🎁" <tuspaciopg@gmail.com>',
+        to: user.email.trim(),
+        subject: 'Bloqueamos el ingreso a tu cuenta de Tu Spacio',
+        html: htmlContent,
+      };
+
+      return await this.sendEmailWithRetry(mailOptions);
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Failed to send account locked email:', error);
+      throw error;
+    }
+  }
+
   /**
    * Test email configuration
    */
@@ -362,6 +576,8 @@ class EmailService {
         orderNumber: 'TEST-123',
         trackingNumber: 'TRACK-456',
         retryUrl: 'https://example.com/retry',
+        restoreUrl: 'https://example.com/cart',
+        items: [{ name: 'Test Product', quantity: 1 }],
       };
 
       switch (emailType) {
@@ -371,6 +587,20 @@ class EmailService {
           return await this.sendOrderFailureEmail(testUser, testOrderData);
         case 'orderShipped':
           return await this.sendOrderShippedEmail(testUser, testOrderData);
+        case 'cartReminder':
+          return await this.sendCartReminderEmail(testUser, testOrderData);
+        case 'passwordReset':
+          return await this.sendPasswordResetEmail(testUser, {
+            resetUrl: 'https://example.com/reset-password',
+          });
+        case 'emailVerification':
+          return await this.sendVerificationEmail(testUser, {
+            verifyUrl: 'https://example.com/verify-email',
+          });
+        case 'accountLocked':
+          return await this.sendAccountLockedEmail(testUser, {
+            unlockUrl: 'https://example.com/unlock-account',
+          });
         default:
           throw new Error(`Unknown email type: ${emailType}`);
       }
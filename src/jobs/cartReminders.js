@@ -0,0 +1,46 @@
+const CartReminderService = require('../services/cartReminderService');
+const logger = require('../utils/logger');
+
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+
+let timer = null;
+
+/**
+ * Email the owners of carts left idle past a reminder interval
+ * @returns {Promise<{sent: number, stopped: number, failed: number}>} Outcome per cart
+ */
+const sweep = async () => {
+  try {
+    return await CartReminderService.sendReminders();
+  } catch (error) {
+    logger.error('Cart reminder sweep failed', { error: error.message });
+    return { sent: 0, stopped: 0, failed: 0 };
+  }
+};
+
+/**
+ * Start sending cart reminders on an interval
+ * @param {number} intervalMs - Sweep interval
+ */
+const start = (
+  intervalMs = Number(process.env.CART_REMINDER_SWEEP_INTERVAL_MS) ||
+    DEFAULT_INTERVAL_MS
+) => {
+  if (timer) {
+    return;
+  }
+
+  timer = setInterval(sweep, intervalMs);
+  // Never keep the process alive just for the reminders
+  timer.unref();
+  logger.info('Cart reminders started', { intervalMs });
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = { start, stop, sweep };
@@ -0,0 +1,21 @@
+const reservationSweeper = require('./reservationSweeper');
+const offerScheduler = require('./offerScheduler');
+const cartReminders = require('./cartReminders');
+
+const jobs = [reservationSweeper, offerScheduler, cartReminders];
+
+/**
+ * Start the background jobs, unless disabled with ENABLE_BACKGROUND_JOBS=false
+ */
+const startJobs = () => {
+  if (process.env.ENABLE_BACKGROUND_JOBS === 'false') {
+    return;
+  }
+  jobs.forEach(job => job.start());
+};
+
+const stopJobs = () => {
+  jobs.forEach(job => job.stop());
+};
+
+module.exports = { startJobs, stopJobs };
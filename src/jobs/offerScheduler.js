@@ -0,0 +1,48 @@
+const OfferService = require('../services/offerService');
+const logger = require('../utils/logger');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+
+/**
+ * Activate offers whose start date has come and expire those past their end
+ * @returns {Promise<{activated: number, expired: number}>} Offers flipped
+ */
+const sweep = async () => {
+  try {
+    return await OfferService.syncStatuses();
+  } catch (error) {
+    logger.error('Offer schedule sweep failed', { error: error.message });
+    return { activated: 0, expired: 0 };
+  }
+};
+
+/**
+ * Start applying the offer schedule on an interval
+ * @param {number} intervalMs - Sweep interval
+ */
+const start = (
+  intervalMs = Number(process.env.OFFER_SCHEDULE_INTERVAL_MS) ||
+    DEFAULT_INTERVAL_MS
+) => {
+  if (timer) {
+    return;
+  }
+
+  // Catch up on transitions missed while the API was down
+  sweep();
+  timer = setInterval(sweep, intervalMs);
+  // Never keep the process alive just for the scheduler
+  timer.unref();
+  logger.info('Offer scheduler started', { intervalMs });
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = { start, stop, sweep };
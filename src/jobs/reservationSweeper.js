@@ -0,0 +1,46 @@
+const StockReservationService = require('../services/stockReservationService');
+const logger = require('../utils/logger');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+
+/**
+ * Expire stock reservations whose checkout session was abandoned
+ * @returns {Promise<number>} Number of reservation lines expired
+ */
+const sweep = async () => {
+  try {
+    return await StockReservationService.sweepExpired();
+  } catch (error) {
+    logger.error('Stock reservation sweep failed', { error: error.message });
+    return 0;
+  }
+};
+
+/**
+ * Start sweeping on an interval
+ * @param {number} intervalMs - Sweep interval
+ */
+const start = (
+  intervalMs = Number(process.env.STOCK_RESERVATION_SWEEP_INTERVAL_MS) ||
+    DEFAULT_INTERVAL_MS
+) => {
+  if (timer) {
+    return;
+  }
+
+  timer = setInterval(sweep, intervalMs);
+  // Never keep the process alive just for the sweeper
+  timer.unref();
+  logger.info('Stock reservation sweeper started', { intervalMs });
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = { start, stop, sweep };
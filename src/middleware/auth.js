@@ -1,13 +1,17 @@
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcrypt");
-const { User } = require("../db.js");
+const { User, Rol } = require("../db.js");
+const RefreshTokenService = require("../services/refreshTokenService");
+const SessionService = require("../services/sessionService");
 
 // JWT Configuration
 const JWT_SECRET =
   process.env.JWT_SECRET ||
   "your-super-secure-jwt-secret-key-minimum-32-characters";
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "24h";
-const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || "7d";
+
+// Refresh tokens are opaque (see RefreshTokenService), access tokens say what they are
+const ACCESS_TOKEN_TYPE = "access";
 
 // Salt rounds for bcrypt (minimum 12 for security)
 const SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
@@ -18,7 +22,7 @@ const SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
  * @returns {string} JWT token
  */
 const generateAccessToken = (payload) => {
-  return jwt.sign(payload, JWT_SECRET, {
+  return jwt.sign({ ...payload, type: ACCESS_TOKEN_TYPE }, JWT_SECRET, {
     algorithm: "HS256",
     expiresIn: JWT_EXPIRES_IN,
     issuer: "tuspacio-api",
@@ -27,30 +31,22 @@ const generateAccessToken = (payload) => {
 };
 
 /**
- * Generate JWT refresh token
- * @param {Object} payload - User payload
- * @returns {string} JWT refresh token
- */
-const generateRefreshToken = (payload) => {
-  return jwt.sign(payload, JWT_SECRET, {
-    algorithm: "HS256",
-    expiresIn: JWT_REFRESH_EXPIRES_IN,
-    issuer: "tuspacio-api",
-    audience: "tuspacio-client",
-  });
-};
-
-/**
- * Verify JWT token
+ * Verify JWT access token. Tokens of any other type are refused
  * @param {string} token - JWT token to verify
  * @returns {Object} Decoded token payload
  */
 const verifyToken = (token) => {
-  return jwt.verify(token, JWT_SECRET, {
+  const decoded = jwt.verify(token, JWT_SECRET, {
     algorithms: ["HS256"],
     issuer: "tuspacio-api",
     audience: "tuspacio-client",
   });
+
+  if (decoded.type !== ACCESS_TOKEN_TYPE) {
+    throw new jwt.JsonWebTokenError("invalid token type");
+  }
+
+  return decoded;
 };
 
 /**
@@ -73,12 +69,22 @@ const comparePassword = async (password, hash) => {
 };
 
 /**
- * JWT Authentication middleware
+ * Whether the login an access token was issued for is still signed in.
+ * Tokens from before sessions were recorded carry no sessionId and expire
+ * on their own
+ * @param {Object} decoded - Decoded token payload
+ * @returns {Promise<boolean>} False once the session has been signed out
+ */
+const isSessionActive = async (decoded) =>
+  !decoded.sessionId || SessionService.isActive(decoded.sessionId);
+
+/**
+ * JWT Authentication middleware. Tokens of a signed out session are refused
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1]; // Bearer TOKEN
 
@@ -89,10 +95,9 @@ const authenticateToken = (req, res, next) => {
     });
   }
 
+  let decoded;
   try {
-    const decoded = verifyToken(token);
-    req.user = decoded;
-    next();
+    decoded = verifyToken(token);
   } catch (error) {
     if (error.name === "TokenExpiredError") {
       return res.status(401).json({
@@ -111,6 +116,21 @@ const authenticateToken = (req, res, next) => {
       });
     }
   }
+
+  try {
+    if (!(await isSessionActive(decoded))) {
+      return res.status(401).json({
+        error: "Unauthorized",
+        code: "SESSION_REVOKED",
+        message: "This session has been signed out",
+      });
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  req.user = decoded;
+  next();
 };
 
 /**
@@ -119,14 +139,15 @@ const authenticateToken = (req, res, next) => {
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1];
 
   if (token) {
     try {
       const decoded = verifyToken(token);
-      req.user = decoded;
+      // A signed out session counts as no token at all
+      req.user = (await isSessionActive(decoded)) ? decoded : null;
     } catch (error) {
       // Silently ignore token errors for optional auth
       req.user = null;
@@ -138,13 +159,34 @@ const optionalAuth = (req, res, next) => {
   next();
 };
 
+/**
+ * Resolve the role name carried by a token. Tokens issued at login carry the
+ * numeric rol_id, so it is looked up in the Rol table.
+ * @param {string|number|Array} role - Role claim from the token
+ * @returns {Promise<string|null>} Role name, or null for unknown/disabled roles
+ */
+const resolveRoleName = async (role) => {
+  const value = Array.isArray(role) ? role[0] : role;
+
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  if (typeof value === "string" && Number.isNaN(Number(value))) {
+    return value;
+  }
+
+  const rol = await Rol.findByPk(value);
+  return rol && rol.status ? rol.rolName : null;
+};
+
 /**
  * Role-based authorization middleware
  * @param {Array<string>} allowedRoles - Array of allowed roles
  * @returns {Function} Express middleware function
  */
 const authorizeRoles = (allowedRoles) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         error: "Unauthorized",
@@ -152,26 +194,104 @@ const authorizeRoles = (allowedRoles) => {
       });
     }
 
-    if (!allowedRoles.includes(req.user.role)) {
+    try {
+      const roleName = await resolveRoleName(req.user.role);
+
+      if (!allowedRoles.includes(roleName)) {
+        return res.status(403).json({
+          error: "Forbidden",
+          message: "Insufficient permissions",
+        });
+      }
+
+      req.user.roleName = roleName;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Verified email middleware, mounted after authenticateToken or optionalAuth.
+ * The flag is read from the database, so verifying takes effect without a
+ * new token. Guests let through by optionalAuth are not checked
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+  if (!req.user) {
+    return next();
+  }
+
+  try {
+    const user = await User.findByPk(req.user.userId, {
+      attributes: ["id", "email_verified"],
+    });
+
+    if (!user || !user.email_verified) {
       return res.status(403).json({
         error: "Forbidden",
-        message: "Insufficient permissions",
+        code: "EMAIL_NOT_VERIFIED",
+        message: "Verify your email address to continue",
       });
     }
 
     next();
-  };
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Checkout buyer middleware, mounted after optionalAuth and
+ * requireVerifiedEmail. Signed-in users always buy as themselves, whatever
+ * the body says. Guests may not name a registered user as the buyer, which
+ * would skip the token and its verified-email check
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const bindCheckoutBuyer = async (req, res, next) => {
+  if (req.user) {
+    req.body.id = req.user.userId;
+    return next();
+  }
+
+  // User ids are integers; guests identify themselves with anything else
+  const id = String(req.body?.id ?? "");
+  if (!/^\d{1,9}$/.test(id)) {
+    return next();
+  }
+
+  try {
+    const user = await User.findByPk(Number(id), { attributes: ["id"] });
+
+    if (user) {
+      return res.status(401).json({
+        error: "Unauthorized",
+        code: "AUTHENTICATION_REQUIRED",
+        message: "Sign in to check out with this account",
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
 };
 
 /**
- * Refresh token endpoint handler
+ * Refresh token endpoint handler. The refresh token is exchanged for the
+ * next one of its family; presenting it again signs that login out
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const refreshTokenHandler = async (req, res) => {
   const { refreshToken } = req.body;
 
-  if (!refreshToken) {
+  if (!refreshToken || typeof refreshToken !== "string") {
     return res.status(401).json({
       error: "Unauthorized",
       message: "Refresh token is required",
@@ -179,64 +299,55 @@ const refreshTokenHandler = async (req, res) => {
   }
 
   try {
-    const decoded = verifyToken(refreshToken);
-
-    // Verify user still exists and is active
-    const user = await User.findByPk(decoded.userId);
-    if (!user || !user.status) {
-      return res.status(401).json({
-        error: "Unauthorized",
-        message: "User not found or inactive",
-      });
-    }
+    const {
+      user,
+      sessionId,
+      refreshToken: newRefreshToken,
+    } = await RefreshTokenService.rotate(refreshToken);
 
-    // Generate new tokens
+    // Generate new access token, for the same session
     const payload = {
       userId: user.id,
       email: user.email,
       role: user.rol_id,
       nickname: user.nickname,
+      sessionId,
     };
 
-    const newAccessToken = generateAccessToken(payload);
-    const newRefreshToken = generateRefreshToken(payload);
-
     res.json({
-      accessToken: newAccessToken,
+      accessToken: generateAccessToken(payload),
       refreshToken: newRefreshToken,
       tokenType: "Bearer",
       expiresIn: JWT_EXPIRES_IN,
     });
   } catch (error) {
-    if (error.name === "TokenExpiredError") {
-      return res.status(401).json({
-        error: "Unauthorized",
-        message: "Refresh token has expired",
-      });
-    } else if (error.name === "JsonWebTokenError") {
+    if (error.statusCode === 401) {
       return res.status(401).json({
         error: "Unauthorized",
-        message: "Invalid refresh token",
-      });
-    } else {
-      console.error("Refresh token error:", error);
-      return res.status(500).json({
-        error: "Internal Server Error",
-        message: "Token refresh failed",
+        code: error.code,
+        message: error.message,
       });
     }
+
+    console.error("Refresh token error:", error);
+    return res.status(500).json({
+      error: "Internal Server Error",
+      message: "Token refresh failed",
+    });
   }
 };
 
 module.exports = {
   generateAccessToken,
-  generateRefreshToken,
   verifyToken,
   hashPassword,
   comparePassword,
   authenticateToken,
   optionalAuth,
   authorizeRoles,
+  requireVerifiedEmail,
+  bindCheckoutBuyer,
+  resolveRoleName,
   refreshTokenHandler,
   JWT_SECRET,
   SALT_ROUNDS,
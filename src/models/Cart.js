@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+module.exports = (sequelize) => {
+  sequelize.define(
+    'cart',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      // Null for guest carts, which are found through the session cookie
+      userId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      // merged: a guest cart moved into the user's cart at login;
+      // ordered: the cart a paid checkout started from
+      status: {
+        type: DataTypes.ENUM('active', 'merged', 'ordered'),
+        allowNull: false,
+        defaultValue: 'active',
+      },
+      // Reminder intervals already covered while the cart sat idle
+      reminderStep: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      lastRemindedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // Opaque token of the restore link sent in reminder emails
+      restoreToken: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        unique: true,
+      },
+      restoredAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // Order paid from this cart
+      orderId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+      orderedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: 'cart',
+      indexes: [
+        // One active cart per user
+        { unique: true, fields: ['user_id'], where: { status: 'active' } },
+        { fields: ['status', 'updated_at'] },
+      ],
+    }
+  );
+};
@@ -0,0 +1,32 @@
+const { DataTypes } = require('sequelize');
+module.exports = (sequelize) => {
+  sequelize.define(
+    'cartItem',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      cartId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      productId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      // Prices are never stored: the cart is priced against the catalog
+      // every time it is read
+      quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: { min: 1 },
+      },
+    },
+    {
+      tableName: 'cart_item',
+      indexes: [{ unique: true, fields: ['cart_id', 'product_id'] }],
+    }
+  );
+};
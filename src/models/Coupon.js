@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+module.exports = (sequelize) => {
+  sequelize.define(
+    'coupon',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      // Entered by the shopper; stored upper-case
+      code: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true,
+        set(value) {
+          this.setDataValue('code', String(value).trim().toUpperCase());
+        },
+      },
+      description: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      type: {
+        type: DataTypes.ENUM('percentage', 'fixed'),
+        allowNull: false,
+      },
+      // Percent off for percentage coupons, cents off for fixed ones
+      value: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: { min: 1 },
+      },
+      // Cart subtotal in cents the coupon starts to apply at
+      minSubtotal: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: { min: 0 },
+      },
+      // Eligible products, categories and brands; all empty means the whole cart
+      productIds: {
+        type: DataTypes.ARRAY(DataTypes.INTEGER),
+        allowNull: false,
+        defaultValue: [],
+      },
+      categoryIds: {
+        type: DataTypes.ARRAY(DataTypes.INTEGER),
+        allowNull: false,
+        defaultValue: [],
+      },
+      brands: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        allowNull: false,
+        defaultValue: [],
+      },
+      // How it combines with product offers: exclude discounted products,
+      // stack on the offer price, or keep the best of both per product
+      offerStacking: {
+        type: DataTypes.ENUM('exclude', 'stack', 'best'),
+        allowNull: false,
+        defaultValue: 'exclude',
+      },
+      // Redemptions allowed in total and per customer; null is unlimited
+      usageLimit: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: { min: 1 },
+      },
+      perCustomerLimit: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: { min: 1 },
+      },
+      startsAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      endsAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+    },
+    {
+      tableName: 'coupon',
+    }
+  );
+};
@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+module.exports = (sequelize) => {
+  sequelize.define(
+    'couponRedemption',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      couponId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      // One coupon per order; a new checkout of the order replaces it
+      orderId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        unique: true,
+      },
+      // Signed-in customer the redemption counts against; null for guests
+      userId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      code: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+      },
+      // Discount in cents granted on the order
+      amount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: { min: 0 },
+      },
+      // pending while the checkout is open; released ones no longer count
+      // against the coupon's limits
+      status: {
+        type: DataTypes.ENUM('pending', 'redeemed', 'released'),
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+    },
+    {
+      tableName: 'coupon_redemption',
+      indexes: [
+        { fields: ['coupon_id', 'status'] },
+        { fields: ['coupon_id', 'user_id', 'status'] },
+      ],
+    }
+  );
+};
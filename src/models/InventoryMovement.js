@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+module.exports = (sequelize) => {
+  sequelize.define(
+    'inventoryMovement',
+    {
+      product_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      // Signed quantity: positive adds units, negative removes them
+      delta: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          notZero(value) {
+            if (value === 0) {
+              throw new Error('Movement delta cannot be zero');
+            }
+          },
+        },
+      },
+      reason: {
+        type: DataTypes.ENUM(
+          'sale',
+          'restock',
+          'adjustment',
+          'return',
+          'damage'
+        ),
+        allowNull: false,
+      },
+      stockAfter: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      actorId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      orderId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+      reference: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      note: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: 'inventory_movement',
+      updatedAt: false,
+      indexes: [
+        { fields: ['product_id', 'created_at'] },
+        { fields: ['order_id'] },
+      ],
+    }
+  );
+};
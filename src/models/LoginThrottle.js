@@ -0,0 +1,43 @@
+const { DataTypes } = require('sequelize');
+module.exports = (sequelize) => {
+  sequelize.define(
+    'loginThrottle',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      // Failed password logins are counted per account and per client IP
+      scope: {
+        type: DataTypes.ENUM('account', 'ip'),
+        allowNull: false,
+      },
+      // Lowercased email for accounts, so unknown emails lock the same way
+      subject: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+      },
+      failures: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      lastFailedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      lockedUntil: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: 'login_throttle',
+      indexes: [
+        { unique: true, fields: ['scope', 'subject'] },
+        { fields: ['locked_until'] },
+      ],
+    }
+  );
+};
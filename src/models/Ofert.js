@@ -42,6 +42,37 @@ module.exports = (sequelize) => {
         // }
         },
 
+        // Campaign targets: hand-picked products, categories, brands and
+        // product types. The products they resolve to are linked through
+        // Product_Oferts
+        productIds: {
+          type: DataTypes.ARRAY(DataTypes.INTEGER),
+          allowNull: false,
+          defaultValue: [],
+        },
+        categoryIds: {
+          type: DataTypes.ARRAY(DataTypes.INTEGER),
+          allowNull: false,
+          defaultValue: [],
+        },
+        brands: {
+          type: DataTypes.ARRAY(DataTypes.STRING),
+          allowNull: false,
+          defaultValue: [],
+        },
+        productTypes: {
+          type: DataTypes.ARRAY(DataTypes.STRING),
+          allowNull: false,
+          defaultValue: [],
+        },
+        // When several offers apply to a product the highest priority wins,
+        // then the highest discount
+        priority: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+
         discountPercent : {
           type: DataTypes.INTEGER,
           allowNull: false,
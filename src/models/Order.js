@@ -22,6 +22,27 @@ module.exports = (sequelize) => {
       type: DataTypes.INTEGER,
       allowNull: true,
     },
+    // Coupon applied at checkout and the discount it granted, in cents
+    couponCode: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+    },
+    discountAmount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    // Tax in cents: included in the subtotal in tax-inclusive markets, added to it elsewhere
+    taxAmount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    // One line per jurisdiction and rate: jurisdiction, name, rate, inclusive, taxableAmount, amount
+    taxLines: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
     total:{
       type: DataTypes.INTEGER,
       allowNull: true,
@@ -31,9 +52,28 @@ module.exports = (sequelize) => {
       allowNull: true,
     },
     status: {
-      type: DataTypes.ENUM('pending','created', 'processing', 'cancelled', 'completed'),
+      type: DataTypes.ENUM('pending','created', 'processing', 'shipped', 'cancelled', 'completed', 'failed', 'expired', 'partially_refunded', 'refunded'),
       allowNull: false,
       defaultValue: 'pending',
     },
+    checkoutSessionId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true,
+    },
+    paymentIntentId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    // Lines as priced at checkout, in cents: what refunds are computed from
+    lineItems: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+    refundedAmount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
   });
 };
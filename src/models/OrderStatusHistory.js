@@ -0,0 +1,33 @@
+const { DataTypes } = require('sequelize');
+module.exports = (sequelize) => {
+  sequelize.define(
+    'orderStatusHistory',
+    {
+      orderId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      fromStatus: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      toStatus: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      actorId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      note: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: 'order_status_history',
+      updatedAt: false,
+      indexes: [{ fields: ['order_id', 'created_at'] }],
+    }
+  );
+};
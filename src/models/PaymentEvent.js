@@ -0,0 +1,67 @@
+const { DataTypes } = require('sequelize');
+module.exports = (sequelize) => {
+  sequelize.define(
+    'paymentEvent',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      // Event id assigned by the payment provider; one row per event
+      eventId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      type: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      status: {
+        type: DataTypes.ENUM(
+          'received',
+          'processing',
+          'processed',
+          'ignored',
+          'failed'
+        ),
+        allowNull: false,
+        defaultValue: 'received',
+      },
+      orderId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+      checkoutSessionId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      payload: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+      },
+      result: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      processedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: 'payment_event',
+      indexes: [{ fields: ['order_id', 'created_at'] }, { fields: ['status'] }],
+    }
+  );
+};
@@ -115,6 +115,25 @@ module.exports = (sequelize) => {
         allowNull: true,
       },
 
+      // Shipping weight in grams; unset uses the default item weight
+      weight: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: {
+          min: 0,
+        },
+      },
+
+      // Tax category: standard, reduced or exempt, rated per destination
+      taxCategory: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'standard',
+        validate: {
+          isIn: [['standard', 'reduced', 'exempt']],
+        },
+      },
+
       status: {
         type: DataTypes.BOOLEAN,
         defaultValue: true,
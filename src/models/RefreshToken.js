@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+module.exports = (sequelize) => {
+  sequelize.define(
+    'refreshToken',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      // Shared by every token rotated from the same login
+      familyId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      // SHA-256 of the opaque token; the token itself is never stored
+      tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      // Set when the token is exchanged for the next one of its family
+      usedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: 'refresh_token',
+      indexes: [{ fields: ['user_id'] }, { fields: ['family_id'] }],
+    }
+  );
+};
@@ -0,0 +1,74 @@
+const { DataTypes } = require('sequelize');
+module.exports = (sequelize) => {
+  sequelize.define(
+    'refund',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      orderId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      // Refund id assigned by the payment provider once it accepted it
+      providerRefundId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        unique: true,
+      },
+      // Amount in cents
+      amount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: { min: 1 },
+      },
+      currency: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'usd',
+      },
+      status: {
+        type: DataTypes.ENUM('pending', 'succeeded', 'failed', 'canceled'),
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      // Refunded order lines: productId, name, quantity, unitAmount, amount
+      lines: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      restock: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      reason: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      note: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      actorId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      // Set once the refund was applied to the order and stock
+      appliedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: 'refund',
+      indexes: [{ fields: ['order_id', 'created_at'] }],
+    }
+  );
+};
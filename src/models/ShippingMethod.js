@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+module.exports = (sequelize) => {
+  sequelize.define(
+    'shippingMethod',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      zoneId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      // Shown to the shopper, e.g. Fast shipping
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      // Rate brackets: minSubtotal, maxSubtotal (cents), minWeight,
+      // maxWeight (grams), amount (cents) and perKgAmount (cents per kg)
+      rates: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      // Subtotal in cents from which the method is free
+      freeOverAmount: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: { min: 0 },
+      },
+      // Delivery estimate in business days
+      minDays: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: { min: 0 },
+      },
+      maxDays: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: { min: 0 },
+      },
+      position: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+    },
+    {
+      tableName: 'shipping_method',
+      indexes: [{ fields: ['zone_id', 'position'] }],
+    }
+  );
+};
@@ -0,0 +1,43 @@
+const { DataTypes } = require('sequelize');
+module.exports = (sequelize) => {
+  sequelize.define(
+    'shippingZone',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      // ISO 3166-1 alpha-2 codes, e.g. US
+      countries: {
+        type: DataTypes.ARRAY(DataTypes.STRING(2)),
+        allowNull: false,
+        validate: {
+          notEmpty(value) {
+            if (!Array.isArray(value) || value.length === 0) {
+              throw new Error('A shipping zone needs at least one country');
+            }
+          },
+        },
+      },
+      // ISO 3166-2 codes, e.g. US-CA; empty covers the whole countries
+      regions: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        allowNull: false,
+        defaultValue: [],
+      },
+      active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+    },
+    {
+      tableName: 'shipping_zone',
+    }
+  );
+};
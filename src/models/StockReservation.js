@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+module.exports = (sequelize) => {
+  sequelize.define(
+    'stockReservation',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      // Groups the lines of one checkout, sent to Stripe as session metadata
+      reservationKey: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      checkoutSessionId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      product_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          min: 1,
+        },
+      },
+      userId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      status: {
+        type: DataTypes.ENUM('active', 'committed', 'released', 'expired'),
+        allowNull: false,
+        defaultValue: 'active',
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+    },
+    {
+      tableName: 'stock_reservation',
+      indexes: [
+        { fields: ['reservation_key'] },
+        { fields: ['product_id', 'status'] },
+        { fields: ['status', 'expires_at'] },
+      ],
+    }
+  );
+};
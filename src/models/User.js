@@ -24,6 +24,11 @@ module.exports = (sequelize) => {
       allowNull: false,
       defaultValue: false,
     },
+    // Last verification email sent, resends are throttled from it
+    email_verification_sent_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
     sid: {
       type: DataTypes.STRING,
       allowNull: true,
@@ -42,6 +47,16 @@ module.exports = (sequelize) => {
       allowNull: false,
       defaultValue: true,
     },
+    // Customer of this user at the payment provider, reused on every checkout
+    payment_customer_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true,
+    },
+    payment_provider: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
     rol_id: {
       type: DataTypes.INTEGER,
       references: {
@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+module.exports = (sequelize) => {
+  sequelize.define(
+    'userSession',
+    {
+      // Also the family ID of the refresh tokens of this login
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      // Short description read from the user agent, e.g. "Chrome on Windows"
+      device: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+      },
+      userAgent: {
+        type: DataTypes.STRING(512),
+        allowNull: true,
+      },
+      ip: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+      },
+      lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      // Moves forward with every refresh, like the tokens of the session
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: 'user_session',
+      indexes: [{ fields: ['user_id'] }],
+    }
+  );
+};
@@ -4,11 +4,31 @@ const {
   getLogin,
   loginWithPassword,
   register,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  unlockAccount,
+  getLockouts,
+  clearLockout,
 } = require("../../controllers/authorization/login.js");
+const { ValidationMiddleware } = require("../../middleware/validation");
+const { ParamSchemas, UserSchemas } = require("../../schemas");
 
-const { refreshTokenHandler } = require("../../middleware/auth.js");
+const {
+  authenticateToken,
+  authorizeRoles,
+  refreshTokenHandler,
+} = require("../../middleware/auth.js");
+
+const admin = [authenticateToken, authorizeRoles(["admin"])];
 
-// OAuth/Social login (existing endpoint)
+// OAuth/Social login, for users with an Auth0 session (throttled by Auth0)
 router.post("/", getLogin);
 
 // Traditional email/password login
@@ -17,7 +37,65 @@ router.post("/password", loginWithPassword);
 // User registration
 router.post("/register", register);
 
-// Token refresh
+// Email verification, from the emailed link (GET) or the client (POST)
+router.get("/verify-email", verifyEmail);
+router.post("/verify-email", verifyEmail);
+
+// New verification link, throttled per user
+router.post("/verify-email/resend", authenticateToken, resendVerificationEmail);
+
+// Password reset from an emailed single-use link
+router.post(
+  "/forgot-password",
+  ValidationMiddleware.validateBody(UserSchemas.forgotPassword),
+  forgotPassword
+);
+router.post(
+  "/reset-password",
+  ValidationMiddleware.validateBody(UserSchemas.resetPassword),
+  resetPassword
+);
+
+// Password change for a signed-in user who knows the current password
+router.post(
+  "/change-password",
+  authenticateToken,
+  ValidationMiddleware.validateBody(UserSchemas.changePassword),
+  changePassword
+);
+
+// Token refresh, each refresh token works once
 router.post("/refresh", refreshTokenHandler);
 
+// Logout of this login, or of every device
+router.post("/logout", logout);
+router.post("/logout-all", authenticateToken, logoutAll);
+
+// Active sessions of the signed-in user, and signing one of them out
+router.get("/sessions", authenticateToken, getSessions);
+router.delete(
+  "/sessions/:id",
+  authenticateToken,
+  ValidationMiddleware.validateParams(ParamSchemas.uuid),
+  revokeSession
+);
+
+// Early unlock from the lockout email, like email verification
+router.get("/unlock-account", unlockAccount);
+router.post("/unlock-account", unlockAccount);
+
+// Login lockouts of accounts and IPs (admin)
+router.get(
+  "/lockouts",
+  admin,
+  ValidationMiddleware.validateQuery(UserSchemas.lockouts),
+  getLockouts
+);
+router.delete(
+  "/lockouts/:id",
+  admin,
+  ValidationMiddleware.validateParams(ParamSchemas.uuid),
+  clearLockout
+);
+
 module.exports = router;
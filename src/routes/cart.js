@@ -0,0 +1,74 @@
+const { Router } = require("express");
+const Joi = require("joi");
+const validator = require("express-joi-validation").createValidator({});
+const { authenticateToken, authorizeRoles, optionalAuth } = require("../middleware/auth.js");
+const { applyCoupon } = require("../controllers/coupons.js");
+const {
+    getCart,
+    addCartItem,
+    updateCartItem,
+    removeCartItem,
+    clearCart,
+    restoreCart,
+    getCartReminderStats,
+} = require("../controllers/cart.js");
+const router = Router();
+
+/* SE CREAN LOS OBJETOS CON LOS TIPOS DE VALIDACIONES */
+/* WITHOUT CARTPRODUCTS THE STORED CART OF THE USER OR GUEST IS USED */
+const applyCouponSchema = Joi.object({
+    cartProducts: Joi.array()
+        .items(
+            Joi.object({
+                id: Joi.number().integer().positive().required(),
+                quantity: Joi.number().integer().min(1).required(),
+            }).unknown(true)
+        )
+        .min(1),
+    code: Joi.string().trim().max(50).required(),
+    orderId: Joi.string().guid(),
+});
+
+const itemParamsSchema = Joi.object({
+    productId: Joi.number().integer().positive().required(),
+});
+
+const addItemSchema = Joi.object({
+    productId: Joi.number().integer().positive().required(),
+    quantity: Joi.number().integer().min(1).default(1),
+});
+
+const updateItemSchema = Joi.object({
+    quantity: Joi.number().integer().min(0).required(),
+});
+
+const restoreParamsSchema = Joi.object({
+    token: Joi.string().hex().length(48).required(),
+});
+
+const reminderStatsQuerySchema = Joi.object({
+    from: Joi.date().iso(),
+    to: Joi.date().iso(),
+});
+
+const admin = [authenticateToken, authorizeRoles(["admin"])];
+
+/* SE ARMAN LAS RUTAS PASANDO LAS VALIDACIONES COMO MIDDLEWARES */
+
+/* THE CART OF THE SIGNED-IN USER, OR OF THE GUEST SESSION (tuspacio.sid) */
+router.get("/", optionalAuth, getCart);
+router.delete("/", optionalAuth, clearCart);
+
+/* CART LINES */
+router.post("/items", optionalAuth, validator.body(addItemSchema), addCartItem);
+router.patch("/items/:productId", optionalAuth, validator.params(itemParamsSchema), validator.body(updateItemSchema), updateCartItem);
+router.delete("/items/:productId", optionalAuth, validator.params(itemParamsSchema), removeCartItem);
+
+/* ABANDONED CART REMINDERS: RESTORE LINK AND RECOVERY REPORT */
+router.get("/restore/:token", optionalAuth, validator.params(restoreParamsSchema), restoreCart);
+router.get("/reminders/stats", admin, validator.query(reminderStatsQuerySchema), getCartReminderStats);
+
+/* VALIDATE A COUPON CODE FOR THE CART */
+router.post("/apply-coupon", optionalAuth, validator.body(applyCouponSchema), applyCoupon);
+
+module.exports = router;
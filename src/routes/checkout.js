@@ -1,9 +1,16 @@
 const { Router } = require("express");
 const { Checkout, webhook } = require("../controllers/checkout.js");
+const {
+    optionalAuth,
+    requireVerifiedEmail,
+    bindCheckoutBuyer,
+} = require("../middleware/auth.js");
 const express = require('express');
 const router = Router();
 
-router.post("/", Checkout);
+/* A SIGNED-IN USER OR GUEST SESSION CAN PAY ITS STORED CART; SIGNED-IN USERS NEED A VERIFIED EMAIL */
+/* AND BUY AS THEMSELVES, GUESTS CANNOT BUY AS A REGISTERED USER */
+router.post("/", optionalAuth, requireVerifiedEmail, bindCheckoutBuyer, Checkout);
 
 router.post('/webhook', express.raw({type: 'application/json'}), webhook);
 
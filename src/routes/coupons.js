@@ -0,0 +1,56 @@
+const { Router } = require("express");
+const Joi = require("joi");
+const validator = require("express-joi-validation").createValidator({});
+const { authenticateToken, authorizeRoles } = require("../middleware/auth.js");
+const {
+    getCoupons,
+    getCoupon,
+    createCoupon,
+    updateCoupon,
+} = require("../controllers/coupons.js");
+const router = Router();
+
+/* SE CREAN LOS OBJETOS CON LOS TIPOS DE VALIDACIONES */
+const paramsSchema = Joi.object({
+    id: Joi.string().guid().required(),
+});
+
+const couponSchema = Joi.object({
+    code: Joi.string().trim().uppercase().regex(/^[A-Z0-9_-]{3,50}$/),
+    description: Joi.string().trim().max(255).allow(null, ""),
+    type: Joi.string().valid("percentage", "fixed"),
+    value: Joi.number().integer().min(1),
+    minSubtotal: Joi.number().integer().min(0).allow(null),
+    productIds: Joi.array().items(Joi.number().integer().positive()),
+    categoryIds: Joi.array().items(Joi.number().integer().positive()),
+    brands: Joi.array().items(Joi.string().trim().max(100)),
+    offerStacking: Joi.string().valid("exclude", "stack", "best"),
+    usageLimit: Joi.number().integer().min(1).allow(null),
+    perCustomerLimit: Joi.number().integer().min(1).allow(null),
+    startsAt: Joi.date().iso().allow(null),
+    endsAt: Joi.date().iso().allow(null),
+    active: Joi.boolean(),
+});
+
+const admin = [authenticateToken, authorizeRoles(["admin"])];
+
+/* SE ARMAN LAS RUTAS PASANDO LAS VALIDACIONES COMO MIDDLEWARES */
+
+/* COUPONS (ADMIN) */
+router.get("/", admin, getCoupons);
+router.get("/:id", admin, validator.params(paramsSchema), getCoupon);
+router.post(
+    "/",
+    admin,
+    validator.body(couponSchema.fork(["code", "type", "value"], schema => schema.required())),
+    createCoupon
+);
+router.patch(
+    "/:id",
+    admin,
+    validator.params(paramsSchema),
+    validator.body(couponSchema.min(1)),
+    updateCoupon
+);
+
+module.exports = router;
@@ -13,7 +13,7 @@ const querySchema = Joi.object({
 });
 
 const paramsSchema = Joi.object({
-    id: Joi.string().regex(/^([a-zA-Z0-9-]+)$/),
+    id: Joi.number().integer().positive().required(),
 });
 
 const bodySchema = Joi.object({
@@ -0,0 +1,37 @@
+const { Router } = require("express");
+const Joi = require("joi");
+const validator = require("express-joi-validation").createValidator({});
+const { FakePaymentProvider } = require("../services/payments");
+const {
+    showFakeCheckout,
+    completeFakeCheckout,
+} = require("../controllers/fakeCheckout.js");
+const router = Router();
+
+/* SE CREAN LOS OBJETOS CON LOS TIPOS DE VALIDACIONES */
+const sessionSchema = Joi.object({
+    sessionId: Joi.string().regex(/^cs_fake_[a-f0-9]+$/).required(),
+});
+
+const outcomeSchema = Joi.object({
+    sessionId: Joi.string().regex(/^cs_fake_[a-f0-9]+$/).required(),
+    outcome: Joi.string().valid(...FakePaymentProvider.OUTCOMES).required(),
+});
+
+const outcomeBodySchema = Joi.object({
+    shippingOption: Joi.number().integer().min(0),
+    email: Joi.string().email(),
+    name: Joi.string().trim().max(100),
+});
+
+/* HOSTED CHECKOUT OF THE FAKE PAYMENT PROVIDER (404 UNLESS PAYMENT_PROVIDER=fake) */
+router.get("/:sessionId", validator.params(sessionSchema), showFakeCheckout);
+
+router.post(
+    "/:sessionId/:outcome",
+    validator.params(outcomeSchema),
+    validator.body(outcomeBodySchema),
+    completeFakeCheckout
+);
+
+module.exports = router;
@@ -23,6 +23,11 @@ const oneCategoriesRoute = require("./oneCategorie.js");
 const ordersRoute = require("./orders");
 const usersRoute = require("./users");
 const checkoutRoute = require("./checkout.js");
+const fakeCheckoutRoute = require("./fakeCheckout.js");
+const paymentEventsRoute = require("./paymentEvents.js");
+const shippingRoute = require("./shipping.js");
+const cartRoute = require("./cart.js");
+const couponsRoute = require("./coupons.js");
 const reviewsRoute = require("./reviews.js");
 const rolesRoute = require("./roles.js");
 const userRoute = require("./updateUserRole.js");
@@ -82,7 +87,12 @@ router.use("/rol", rolesRoute);
 /*_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_ /_/_/_/_/_/_/_/_/_/_/_/_/_/_/_ /_/_/_/_/_/_/_/_/_/_/_/_/_/_/_ 
                 RUTA DE PAGO (Checkout)
 _/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/*/
+router.use("/checkout/fake", fakeCheckoutRoute);
 router.use("/checkout", checkoutRoute);
+router.use("/payment-events", paymentEventsRoute);
+router.use("/shipping", shippingRoute);
+router.use("/cart", cartRoute);
+router.use("/coupons", couponsRoute);
 
 /*_/_/_/_/_/_/_/_/_/_/_/_/_/_/_/_ /_/_/_/_/_/_/_/_/_/_/_/_/_/_/_ /_/_/_/_/_/_/_/_/_/_/_/_/_/_/_ 
 RUTAS DE EMAIL                                                                  
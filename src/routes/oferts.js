@@ -2,6 +2,7 @@ const { Router } = require("express");
 
 const Joi = require("joi");
 const validator = require("express-joi-validation").createValidator({});
+const { authenticateToken, authorizeRoles } = require("../middleware/auth.js");
 
 /* LINKS TO DOCS JOI AND EXPRESS-JOI-VALIDATION 
 https://joi.dev/api/?v=17.6.0
@@ -17,35 +18,59 @@ const paramsSchema = Joi.object({
   id: Joi.string().regex(/^([a-zA-Z0-9-]+)$/),
 });
 
+const productParamsSchema = Joi.object({
+  products_id: Joi.number().integer().positive().required(),
+});
+
+/* DATES ARE ISO 8601, WITHOUT AN OFFSET THEY ARE READ IN STORE_TIMEZONE */
+const offerDate = Joi.string().trim().max(40).allow(null, "");
+
 const bodySchema = Joi.object({
-//   startDate: Joi.date().min(3).max(100).required(),
-//   endDate: Joi.date().min(3).max(100).required(),
-  //status: Joi.srting().min(3).max(100).required(),
-//   description: Joi.string().min(3).max(1500).required(),
-//   discountPercent: Joi.number().min(1).precision(1).required(),
-//   //products_id: Joi.array().items(Joi.string().regex(/^[a-zA-Z\s]+$/)),
-  // status: Joi.boolean(),
-  // stock: Joi.number().min(1).required(),
-  // category_id: Joi.string().min(1).max(50).required(),
+  startDate: offerDate,
+  endDate: offerDate,
+  /* IGNORED: THE STATUS FOLLOWS THE START AND END DATES */
+  status: Joi.boolean(),
+  image: Joi.string().uri().allow(null, ""),
+  description: Joi.string().max(255).allow(null, ""),
+  discountPercent: Joi.number().integer().min(1).max(100),
+  /* HIGHEST PRIORITY WINS WHEN SEVERAL OFERTS APPLY TO A PRODUCT */
+  priority: Joi.number().integer().min(0).max(1000),
+  /* CAMPAIGN TARGETS, A PRODUCT MATCHING ANY OF THEM GETS THE OFERT */
+  productIds: Joi.array().items(Joi.number().integer().positive()),
+  categoryIds: Joi.array().items(Joi.number().integer().positive()),
+  brands: Joi.array().items(Joi.string().trim().max(100)),
+  productTypes: Joi.array().items(Joi.string().trim().max(100)),
+  products_id: Joi.number().integer().positive(),
+});
+
+const createBodySchema = bodySchema.keys({
+  discountPercent: Joi.number().integer().min(1).max(100).required(),
 });
 
+const campaignBodySchema = createBodySchema.or("productIds", "categoryIds", "brands", "productTypes");
+
 const { getDbOferts, createOfert, updateOfert, disableOfert} = require("../controllers/oferts.js");
 
 const router = Router();
 
+const admin = [authenticateToken, authorizeRoles(["admin"])];
+
 /* SE ARMAN LAS RUTAS PASANDO LAS VALIDACIONES COMO MIDDLEWARES */
 
 /* GET ALL OFERTS FRONT THE DATABASE */
 router.get("/", getDbOferts);
 
-/* CREATE NEW OFERT IN THE DATABASE */
-router.post("/:products_id", createOfert);
+/* CREATE NEW CAMPAIGN OFERT FOR PRODUCTS, CATEGORIES, BRANDS OR PRODUCT TYPES (ADMIN) */
+router.post("/", admin, validator.body(campaignBodySchema), createOfert);
+
+/* CREATE NEW OFERT FOR ONE PRODUCT IN THE DATABASE (ADMIN) */
+router.post("/:products_id", admin, validator.params(productParamsSchema), validator.body(createBodySchema), createOfert);
 
-/* UPDATE OFERT IN THE DATABASE */
-router.put("/:id",  updateOfert);
+/* UPDATE OFERT IN THE DATABASE (ADMIN) */
+router.put("/:id", admin, validator.params(paramsSchema), validator.body(bodySchema), updateOfert);
 
-/* DISABLED OFERT IN THE DATABASE */
-router.delete("/:id", validator.params(paramsSchema), disableOfert);
+/* DISABLED OFERT IN THE DATABASE (ADMIN) */
+router.delete("/:id", admin, validator.params(paramsSchema), disableOfert);
 
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,7 @@
 const { Router } = require("express");
 const Joi = require("joi");
 const validator = require("express-joi-validation").createValidator({});
+const { PaginationMiddleware } = require("../middleware/pagination");
 
 /* LINKS TO DOCS JOI AND EXPRESS-JOI-VALIDATION 
 https://joi.dev/api/?v=17.6.0
@@ -15,6 +16,10 @@ const router = Router();
 
 /* ORDERING BY PRICE  */
 
-router.get("/", orderProductsName);
+router.get(
+    "/",
+    PaginationMiddleware.paginate({ defaultLimit: 20 }),
+    orderProductsName
+);
 
 module.exports = router;
\ No newline at end of file
@@ -1,20 +1,55 @@
 const { Router } = require("express");
 const Joi = require("joi");
 const validator = require("express-joi-validation").createValidator({});
+const { PaginationMiddleware } = require("../middleware/pagination");
+const ProductCatalogService = require("../services/productCatalogService");
 
 /* LINKS TO DOCS JOI AND EXPRESS-JOI-VALIDATION 
 https://joi.dev/api/?v=17.6.0
 https://github.com/evanshortiss/express-joi-validation#readme
 */
 
+/* SE CREAN LOS OBJETOS CON LOS TIPOS DE VALIDACIONES */
+const sortDirection = Joi.string().valid("asc", "desc");
+const querySchema = Joi.object({
+    q: Joi.string().trim().max(200),
+    brand: Joi.string().trim().max(500),
+    category: Joi.string().trim().max(500),
+    categorie: Joi.string().trim().max(500),
+    product_type: Joi.string().trim().max(500),
+    tag: Joi.string().trim().max(500),
+    minPrice: Joi.number().min(0),
+    maxPrice: Joi.number().min(0),
+    minRating: Joi.number().min(0).max(5),
+    maxRating: Joi.number().min(0).max(5),
+    onOffer: Joi.boolean(),
+    alpha: sortDirection,
+    price: sortDirection,
+    rating: sortDirection,
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+    sortBy: Joi.string().valid(...ProductCatalogService.SORTABLE_FIELDS),
+    order: Joi.string().valid("asc", "desc", "ASC", "DESC"),
+});
+
 const {
     orderCombine,
 } = require("../controllers/orderCombine.js");
 
 const router = Router();
 
-/* ORDERING BY PRICE  */
+/* FILTERING AND ORDERING WITH FACET COUNTS */
 
-router.get("/", orderCombine);
+router.get(
+    "/",
+    validator.query(querySchema),
+    PaginationMiddleware.paginate({
+        defaultLimit: 20,
+        defaultSort: "relevance",
+        defaultOrder: "DESC",
+        allowedSortFields: ProductCatalogService.SORTABLE_FIELDS,
+    }),
+    orderCombine
+);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
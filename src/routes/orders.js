@@ -1,6 +1,7 @@
 const { Router } = require("express");
 const Joi = require("joi");
 const validator = require("express-joi-validation").createValidator({});
+const { authenticateToken, authorizeRoles } = require("../middleware/auth.js");
 
 /* LINKS TO DOCS JOI AND EXPRESS-JOI-VALIDATION 
 https://joi.dev/api/?v=17.6.0
@@ -23,6 +24,21 @@ const bodySchema = Joi.object({
     products_id: Joi.array().items(Joi.string().regex(/^([a-zA-Z0-9-]+)$/)),
 });
 
+const refundSchema = Joi.object({
+    lines: Joi.array()
+        .items(
+            Joi.object({
+                productId: Joi.number().integer().positive().required(),
+                quantity: Joi.number().integer().min(1).required(),
+            })
+        )
+        .min(1),
+    amount: Joi.number().integer().min(1),
+    restock: Joi.boolean(),
+    reason: Joi.string().trim().max(255),
+    note: Joi.string().trim().max(255),
+}).oxor("lines", "amount");
+
 const {
     getAllOrders,
     getLimitOrders,
@@ -30,9 +46,9 @@ const {
     getOrdersByStatus,
     getOrdersByUserId,
     createOrder,
-    updateOrder,
     deleteOrder
 } = require("../controllers/orders");
+const { createRefund, getRefunds } = require("../controllers/refunds.js");
 const router = Router();
 
 /* SE ARMAN LAS RUTAS PASANDO LAS VALIDACIONES COMO MIDDLEWARES */
@@ -55,12 +71,25 @@ router.get("/user/:id", getOrdersByUserId);
 /* CREATE NEW ORDER IN THE DATABASE */
 router.post("/", createOrder);
 
-/* UPDATE ORDER IN THE DATABASE */
-router.patch(
-  "/:id",
-  //validator.params(paramsSchema),
-  //validator.body(bodySchema),
-  updateOrder
+/* EL ESTADO DE UNA ORDEN SOLO CAMBIA POR PATCH /order/:id (ADMIN) O POR EL
+   WEBHOOK DE STRIPE, NO HAY UPDATE ABIERTO EN ESTA RUTA */
+
+/* REFUNDS OF ONE ORDER, RESTRICTED TO ADMINS */
+router.post(
+    "/:id/refunds",
+    authenticateToken,
+    authorizeRoles(["admin"]),
+    validator.params(paramsSchema),
+    validator.body(refundSchema),
+    createRefund
+);
+
+router.get(
+    "/:id/refunds",
+    authenticateToken,
+    authorizeRoles(["admin"]),
+    validator.params(paramsSchema),
+    getRefunds
 );
 
 /* DELETE ORDER IN THE DATABASE */
@@ -0,0 +1,46 @@
+const { Router } = require("express");
+const Joi = require("joi");
+const validator = require("express-joi-validation").createValidator({});
+const { authenticateToken, authorizeRoles } = require("../middleware/auth.js");
+const { PaginationMiddleware } = require("../middleware/pagination");
+const PaymentEventService = require("../services/paymentEventService");
+const {
+    getPaymentEvents,
+    getPaymentEvent,
+    replayPaymentEvent,
+} = require("../controllers/paymentEvents.js");
+const router = Router();
+
+/* SE CREAN LOS OBJETOS CON LOS TIPOS DE VALIDACIONES */
+const paramsSchema = Joi.object({
+    id: Joi.string().guid().required(),
+});
+
+const listQuerySchema = Joi.object({
+    orderId: Joi.string().regex(/^([a-zA-Z0-9_-]+)$/),
+    type: Joi.string().trim().max(100),
+    status: Joi.string().valid(...PaymentEventService.STATUSES),
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+});
+
+/* PAYMENT EVENTS ARE RESTRICTED TO ADMINS */
+router.use(authenticateToken, authorizeRoles(["admin"]));
+
+router.get(
+    "/",
+    validator.query(listQuerySchema),
+    PaginationMiddleware.paginate({
+        defaultLimit: 50,
+        defaultSort: "createdAt",
+        defaultOrder: "DESC",
+        allowedSortFields: ["createdAt"],
+    }),
+    getPaymentEvents
+);
+
+router.get("/:id", validator.params(paramsSchema), getPaymentEvent);
+
+router.post("/:id/replay", validator.params(paramsSchema), replayPaymentEvent);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const { Router } = require("express");
 const Joi = require("joi");
 const validator = require("express-joi-validation").createValidator({});
+const { PaginationMiddleware } = require("../middleware/pagination");
 
 /* LINKS TO DOCS JOI AND EXPRESS-JOI-VALIDATION 
 https://joi.dev/api/?v=17.6.0
@@ -15,6 +16,10 @@ const router = Router();
 
 /* GET DETAIL PRODUCT FRONT THE DATABASE */
 
-router.get("/", getRatingProduct);
+router.get(
+    "/",
+    PaginationMiddleware.paginate({ defaultLimit: 20 }),
+    getRatingProduct
+);
 
 module.exports = router;
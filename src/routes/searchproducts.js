@@ -1,15 +1,27 @@
 const { Router } = require("express");
 const Joi = require("joi");
 const validator = require("express-joi-validation").createValidator({});
+const { PaginationMiddleware } = require("../middleware/pagination");
+const ProductCatalogService = require("../services/productCatalogService");
 
-/* LINKS TO DOCS JOI AND EXPRESS-JOI-VALIDATION 
+/* LINKS TO DOCS JOI AND EXPRESS-JOI-VALIDATION
 https://joi.dev/api/?v=17.6.0
 https://github.com/evanshortiss/express-joi-validation#readme
 */
 
 /* SE CREAN LOS OBJETOS CON LOS TIPOS DE VALIDACIONES */
-const paramsSchema = Joi.object({
-    id: Joi.string().regex(/^([a-zA-Z0-9-]+)$/),
+const querySchema = Joi.object({
+    q: Joi.string().trim().max(200),
+    name: Joi.string().trim().max(200),
+    product_type: Joi.string().trim().max(200),
+    categorie: Joi.string().trim().max(200),
+    brand: Joi.string().trim().max(200),
+    minPrice: Joi.number().min(0),
+    maxPrice: Joi.number().min(0),
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+    sortBy: Joi.string().valid(...ProductCatalogService.SORTABLE_FIELDS),
+    order: Joi.string().valid("asc", "desc", "ASC", "DESC"),
 });
 
 
@@ -20,6 +32,16 @@ const {
 const router = Router();
 
 
-router.get("/", validator.params(paramsSchema), getSearchProducts);
+router.get(
+    "/",
+    validator.query(querySchema),
+    PaginationMiddleware.paginate({
+        defaultLimit: 20,
+        defaultSort: "relevance",
+        defaultOrder: "DESC",
+        allowedSortFields: ProductCatalogService.SORTABLE_FIELDS,
+    }),
+    getSearchProducts
+);
 
 module.exports = router;
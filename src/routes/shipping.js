@@ -0,0 +1,108 @@
+const { Router } = require("express");
+const Joi = require("joi");
+const validator = require("express-joi-validation").createValidator({});
+const { authenticateToken, authorizeRoles } = require("../middleware/auth.js");
+const {
+    quoteShipping,
+    getShippingZones,
+    getShippingZone,
+    createShippingZone,
+    updateShippingZone,
+    deleteShippingZone,
+    createShippingMethod,
+    updateShippingMethod,
+    deleteShippingMethod,
+} = require("../controllers/shipping.js");
+const router = Router();
+
+/* SE CREAN LOS OBJETOS CON LOS TIPOS DE VALIDACIONES */
+const paramsSchema = Joi.object({
+    id: Joi.string().guid().required(),
+});
+
+const countrySchema = Joi.string().trim().uppercase().regex(/^[A-Z]{2}$/);
+const regionSchema = Joi.string().trim().uppercase().regex(/^([A-Z]{2}-)?[A-Z0-9]{1,3}$/);
+
+const quoteSchema = Joi.object({
+    cartProducts: Joi.array()
+        .items(
+            Joi.object({
+                id: Joi.number().integer().positive().required(),
+                quantity: Joi.number().integer().min(1).required(),
+            }).unknown(true)
+        )
+        .min(1)
+        .required(),
+    country: countrySchema,
+    region: regionSchema,
+});
+
+const zoneSchema = Joi.object({
+    name: Joi.string().trim().max(100),
+    countries: Joi.array().items(countrySchema).min(1),
+    regions: Joi.array().items(Joi.string().trim().uppercase().regex(/^[A-Z]{2}-[A-Z0-9]{1,3}$/)),
+    active: Joi.boolean(),
+});
+
+const rateSchema = Joi.object({
+    minSubtotal: Joi.number().integer().min(0),
+    maxSubtotal: Joi.number().integer().min(1).allow(null),
+    minWeight: Joi.number().integer().min(0),
+    maxWeight: Joi.number().integer().min(1).allow(null),
+    amount: Joi.number().integer().min(0).required(),
+    perKgAmount: Joi.number().integer().min(0),
+});
+
+const methodSchema = Joi.object({
+    zoneId: Joi.string().guid(),
+    name: Joi.string().trim().max(100),
+    rates: Joi.array().items(rateSchema).min(1),
+    freeOverAmount: Joi.number().integer().min(0).allow(null),
+    minDays: Joi.number().integer().min(0).allow(null),
+    maxDays: Joi.number().integer().min(0).allow(null),
+    position: Joi.number().integer().min(0),
+    active: Joi.boolean(),
+});
+
+const admin = [authenticateToken, authorizeRoles(["admin"])];
+
+/* SE ARMAN LAS RUTAS PASANDO LAS VALIDACIONES COMO MIDDLEWARES */
+
+/* QUOTE SHIPPING FOR THE CART PAGE */
+router.post("/quote", validator.body(quoteSchema), quoteShipping);
+
+/* SHIPPING ZONES (ADMIN) */
+router.get("/zones", admin, getShippingZones);
+router.get("/zones/:id", admin, validator.params(paramsSchema), getShippingZone);
+router.post(
+    "/zones",
+    admin,
+    validator.body(zoneSchema.fork(["name", "countries"], schema => schema.required())),
+    createShippingZone
+);
+router.patch(
+    "/zones/:id",
+    admin,
+    validator.params(paramsSchema),
+    validator.body(zoneSchema.min(1)),
+    updateShippingZone
+);
+router.delete("/zones/:id", admin, validator.params(paramsSchema), deleteShippingZone);
+
+/* SHIPPING METHODS (ADMIN) */
+router.post(
+    "/methods",
+    admin,
+    validator.body(methodSchema.fork(["zoneId", "name", "rates"], schema => schema.required())),
+    createShippingMethod
+);
+router.patch(
+    "/methods/:id",
+    admin,
+    validator.params(paramsSchema),
+    validator.body(methodSchema.min(1)),
+    updateShippingMethod
+);
+router.delete("/methods/:id", admin, validator.params(paramsSchema), deleteShippingMethod);
+
+module.exports = router;
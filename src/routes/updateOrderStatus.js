@@ -1,7 +1,34 @@
 const { Router } = require("express");
-const { updateOrderStatus } = require("../controllers/updateOrderStatus.js");
+const Joi = require("joi");
+const validator = require("express-joi-validation").createValidator({});
+const { authenticateToken, authorizeRoles } = require("../middleware/auth.js");
+const OrderStatusService = require("../services/orderStatusService");
+const {
+    updateOrderStatus,
+    getOrderStatusHistory,
+} = require("../controllers/updateOrderStatus.js");
 const router = Router();
 
-router.patch("/:id",updateOrderStatus);
+/* SE CREAN LOS OBJETOS CON LOS TIPOS DE VALIDACIONES */
+const paramsSchema = Joi.object({
+    id: Joi.string().regex(/^([a-zA-Z0-9_-]+)$/).required(),
+});
+
+const bodySchema = Joi.object({
+    status: Joi.string().valid(...OrderStatusService.STATUSES).required(),
+    note: Joi.string().trim().max(255),
+});
+
+/* ORDER STATUS CHANGES ARE RESTRICTED TO ADMINS */
+router.use(authenticateToken, authorizeRoles(["admin"]));
+
+router.patch(
+    "/:id",
+    validator.params(paramsSchema),
+    validator.body(bodySchema),
+    updateOrderStatus
+);
+
+router.get("/:id/history", validator.params(paramsSchema), getOrderStatusHistory);
 
 module.exports = router;
@@ -1,12 +1,87 @@
 const { Router } = require("express");
+const Joi = require("joi");
+const validator = require("express-joi-validation").createValidator({});
+const { authenticateToken, authorizeRoles } = require("../middleware/auth.js");
+const { PaginationMiddleware } = require("../middleware/pagination");
+const InventoryService = require("../services/inventoryService");
 
+/* LINKS TO DOCS JOI AND EXPRESS-JOI-VALIDATION
+https://joi.dev/api/?v=17.6.0
+https://github.com/evanshortiss/express-joi-validation#readme
+*/
+
+/* SE CREAN LOS OBJETOS CON LOS TIPOS DE VALIDACIONES */
+const paramsSchema = Joi.object({
+    id: Joi.number().integer().positive().required(),
+});
+
+const stockQuerySchema = Joi.object({
+    stock: Joi.number().integer().min(0).required(),
+});
+
+const movementSchema = Joi.object({
+    delta: Joi.number().integer().invalid(0).required(),
+    reason: Joi.string().valid(...InventoryService.REASONS).required(),
+    note: Joi.string().trim().max(255),
+    orderId: Joi.string().guid(),
+    reference: Joi.string().trim().max(255),
+});
+
+const historyQuerySchema = Joi.object({
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+});
+
+const reconcileSchema = Joi.object({
+    dryRun: Joi.boolean(),
+});
+
+const {
+    updateStockProduct,
+    createMovement,
+    getMovements,
+    reconcileStock,
+} = require("../controllers/updateStock.js");
 
-const { updateStockProduct } = require("../controllers/updateStock.js");
 const router = Router();
 
+/* EVERY INVENTORY OPERATION IS RESTRICTED TO ADMINS */
+router.use(authenticateToken, authorizeRoles(["admin"]));
+
+/* UPDATE STOCK IN THE DATABASE (RECORDED AS AN ADJUSTMENT) */
+router.put(
+    "/:id",
+    validator.params(paramsSchema),
+    validator.query(stockQuerySchema),
+    updateStockProduct
+);
+
+/* INVENTORY MOVEMENT LEDGER */
+router.post(
+    "/:id/movements",
+    validator.params(paramsSchema),
+    validator.body(movementSchema),
+    createMovement
+);
 
-/* UPDATE STOCK IN THE DATABASE */
-router.put("/:id", updateStockProduct);
+router.get(
+    "/:id/movements",
+    validator.params(paramsSchema),
+    validator.query(historyQuerySchema),
+    PaginationMiddleware.paginate({
+        defaultLimit: 50,
+        defaultSort: "createdAt",
+        defaultOrder: "DESC",
+        allowedSortFields: ["createdAt"],
+    }),
+    getMovements
+);
 
+router.post(
+    "/:id/reconcile",
+    validator.params(paramsSchema),
+    validator.body(reconcileSchema),
+    reconcileStock
+);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -2,6 +2,7 @@
 const { Router } = require('express');
 const Joi = require('joi');
 const validator = require('express-joi-validation').createValidator({});
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
 
 /* LINKS TO DOCS JOI AND EXPRESS-JOI-VALIDATION 
 https://joi.dev/api/?v=17.6.0
@@ -19,6 +20,11 @@ const paramsSchema = Joi.object({
   idProduct: Joi.string().regex(/^([a-zA-Z0-9-]+)$/),
 });
 
+const sessionParamsSchema = Joi.object({
+  id: Joi.number().integer().positive().required(),
+  sessionId: Joi.string().guid(),
+});
+
 const bodySchema = Joi.object({
   nickname: Joi.string().regex(/^([a-zA-Z0-9-]+)$/),
   name: Joi.string().regex(/^[a-zA-Z\s]+$/),
@@ -39,10 +45,14 @@ const {
   addFavorite,
   deleteFavorite,
   getAllFavorites,
+  getUserSessions,
+  revokeUserSession,
 } = require('../controllers/users');
 
 const router = Router();
 
+const admin = [authenticateToken, authorizeRoles(['admin'])];
+
 /* SE ARMAN LAS RUTAS PASANDO LAS VALIDACIONES COMO MIDDLEWARES */
 
 /* GET ALL USERS FRONT THE DATABASE */
@@ -80,6 +90,22 @@ router.delete(
   deleteFavorite
 );
 
+/* GET THE ACTIVE SESSIONS OF A USER (ADMIN) */
+router.get(
+  '/:id/sessions',
+  admin,
+  validator.params(sessionParamsSchema),
+  getUserSessions
+);
+
+/* SIGN OUT ONE SESSION OF A USER (ADMIN) */
+router.delete(
+  '/:id/sessions/:sessionId',
+  admin,
+  validator.params(sessionParamsSchema),
+  revokeUserSession
+);
+
 /* DELETE USER IN THE DATABASE */
 router.delete('/:id', deleteUser);
 
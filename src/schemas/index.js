@@ -47,6 +47,21 @@ const UserSchemas = {
     phone: CommonSchemas.phone.optional(),
   }),
 
+  forgotPassword: Joi.object({
+    email: CommonSchemas.email,
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().hex().length(64).required(),
+    newPassword: CommonSchemas.password,
+    confirmPassword: Joi.string()
+      .valid(Joi.ref("newPassword"))
+      .required()
+      .messages({
+        "any.only": "Password confirmation does not match new password",
+      }),
+  }),
+
   changePassword: Joi.object({
     currentPassword: Joi.string().required(),
     newPassword: CommonSchemas.password,
@@ -57,6 +72,10 @@ const UserSchemas = {
         "any.only": "Password confirmation does not match new password",
       }),
   }),
+
+  lockouts: Joi.object({
+    scope: Joi.string().valid("account", "ip").optional(),
+  }),
 };
 
 // Product schemas
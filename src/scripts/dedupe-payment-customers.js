@@ -0,0 +1,66 @@
+require('dotenv').config();
+const { database } = require('../db');
+const PaymentCustomerService = require('../services/paymentCustomerService');
+const { getPaymentProvider } = require('../services/payments');
+const logger = require('../utils/logger');
+
+/**
+ * Script para deduplicar os clientes do provedor de pagamentos
+ * - Agrupa os clientes por metadata.user_id
+ * - Mantém o cliente já salvo no usuário, ou o mais antigo
+ * - Salva o cliente mantido no usuário e remove os duplicados
+ *
+ * Por padrão só mostra o plano; use --apply para executar
+ */
+
+const dedupePaymentCustomers = async ({ apply = false } = {}) => {
+  try {
+    const provider = getPaymentProvider();
+    logger.info('Buscando clientes no provedor de pagamentos', {
+      provider: provider.name,
+      apply,
+    });
+
+    const report = await PaymentCustomerService.dedupe({ apply, provider });
+
+    report.plan
+      .filter(({ remove }) => remove.length > 0)
+      .forEach(({ userId, keep, remove }) => {
+        logger.info('Clientes duplicados do usuário', { userId, keep, remove });
+      });
+
+    logger.info(
+      apply
+        ? 'Deduplicação concluída com sucesso'
+        : 'Nada foi alterado. Execute com --apply para aplicar',
+      {
+        scanned: report.scanned,
+        users: report.users,
+        duplicates: report.plan.reduce(
+          (sum, { remove }) => sum + remove.length,
+          0
+        ),
+        ...(apply && { linked: report.linked, removed: report.removed }),
+      }
+    );
+
+    return report;
+  } catch (error) {
+    logger.error('Erro durante a deduplicação', {
+      error: error.message,
+      stack: error.stack,
+    });
+    process.exitCode = 1;
+    return null;
+  } finally {
+    // Fechar conexão com o banco
+    await database.close();
+  }
+};
+
+// Executar se o arquivo for chamado diretamente
+if (require.main === module) {
+  dedupePaymentCustomers({ apply: process.argv.includes('--apply') });
+}
+
+module.exports = { dedupePaymentCustomers };
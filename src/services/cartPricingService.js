@@ -0,0 +1,234 @@
+const { Product } = require('../db');
+const ProductCatalogService = require('./productCatalogService');
+const StockReservationService = require('./stockReservationService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Cart Pricing Service
+ * Resolves cart lines against the catalog so checkout never trusts
+ * client-sent prices, names or availability
+ */
+class CartPricingService {
+  /**
+   * Merge cart lines by product and validate their shape
+   * @param {Array<Object>} cartProducts - Cart lines as sent by the client
+   * @returns {{lines: Array<Object>, errors: Array<Object>}} Normalized lines and shape errors
+   */
+  static normalizeLines(cartProducts) {
+    const byProduct = new Map();
+    const errors = [];
+
+    cartProducts.forEach((item, index) => {
+      const productId = Number(item?.id);
+      const quantity = Number(item?.quantity);
+
+      if (!Number.isInteger(productId) || productId <= 0) {
+        errors.push({
+          index,
+          productId: item?.id ?? null,
+          code: 'INVALID_PRODUCT',
+          message: 'Cart line does not reference a valid product id',
+        });
+        return;
+      }
+
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        errors.push({
+          index,
+          productId,
+          code: 'INVALID_QUANTITY',
+          message: 'Quantity must be a positive integer',
+          requested: item?.quantity ?? null,
+        });
+        return;
+      }
+
+      const existing = byProduct.get(productId);
+      if (existing) {
+        existing.quantity += quantity;
+        return;
+      }
+
+      const expectedPrice = Number(item.price);
+      byProduct.set(productId, {
+        index,
+        productId,
+        quantity,
+        expectedPrice: Number.isFinite(expectedPrice) ? expectedPrice : null,
+      });
+    });
+
+    return { lines: [...byProduct.values()], errors };
+  }
+
+  /**
+   * Price a cart against the database: current price with the active offer
+   * applied, enabled products only, quantities within unreserved stock
+   * @param {Array<Object>} cartProducts - Cart lines as sent by the client
+   * @returns {Promise<{lines: Array<Object>, errors: Array<Object>, subtotal: number}>} Priced cart
+   */
+  static async priceCart(cartProducts) {
+    const { lines: requested, errors } = this.normalizeLines(cartProducts);
+
+    const productIds = requested.map(line => line.productId);
+    const [products, reserved] = requested.length
+      ? await Promise.all([
+          Product.findAll({
+            where: { id: productIds },
+            include: [ProductCatalogService.activeOfferInclude()],
+          }),
+          StockReservationService.reservedQuantities(productIds),
+        ])
+      : [[], new Map()];
+    const byId = new Map(products.map(product => [product.id, product]));
+
+    const lines = [];
+    requested.forEach(line => {
+      const product = byId.get(line.productId);
+      const base = { index: line.index, productId: line.productId };
+
+      if (!product) {
+        errors.push({
+          ...base,
+          code: 'PRODUCT_NOT_FOUND',
+          message: 'Product no longer exists',
+        });
+        return;
+      }
+
+      if (!product.status) {
+        errors.push({
+          ...base,
+          code: 'PRODUCT_DISABLED',
+          message: `${product.name} is no longer available`,
+        });
+        return;
+      }
+
+      const available = StockReservationService.availableStock(
+        product,
+        reserved.get(product.id)
+      );
+      if (line.quantity > available) {
+        errors.push({
+          ...base,
+          code: 'INSUFFICIENT_STOCK',
+          message: `Only ${available} units of ${product.name} are available`,
+          requested: line.quantity,
+          available,
+        });
+        return;
+      }
+
+      const { discountPrice, oferts } =
+        ProductCatalogService.serialize(product);
+      const unitAmount = Math.round(discountPrice * 100);
+
+      if (
+        line.expectedPrice !== null &&
+        Math.round(line.expectedPrice * 100) !== unitAmount
+      ) {
+        errors.push({
+          ...base,
+          code: 'PRICE_CHANGED',
+          message: `The price of ${product.name} has changed`,
+          expectedPrice: line.expectedPrice,
+          currentPrice: discountPrice,
+        });
+        return;
+      }
+
+      lines.push({
+        index: line.index,
+        productId: product.id,
+        name: product.name,
+        brand: product.brand,
+        description: product.description,
+        image_link: product.image_link,
+        quantity: line.quantity,
+        weight: product.weight ?? null,
+        taxCategory: product.taxCategory || 'standard',
+        price: Number(product.price),
+        discountPercent: oferts?.[0]?.discountPercent || 0,
+        unitPrice: discountPrice,
+        unitAmount,
+        lineAmount: unitAmount * line.quantity,
+      });
+    });
+
+    errors.sort((a, b) => a.index - b.index);
+
+    return {
+      lines,
+      errors,
+      subtotal: lines.reduce((sum, line) => sum + line.lineAmount, 0) / 100,
+    };
+  }
+
+  /**
+   * Price a cart and reject it when any line is stale
+   * @param {Array<Object>} cartProducts - Cart lines as sent by the client
+   * @returns {Promise<{lines: Array<Object>, subtotal: number}>} Priced cart
+   * @throws {AppError} 409 CART_STALE with a per-line report
+   */
+  static async validateCart(cartProducts) {
+    const { lines, errors, subtotal } = await this.priceCart(cartProducts);
+
+    if (errors.length > 0) {
+      logger.warn('Stale cart rejected at checkout', {
+        lines: cartProducts.length,
+        errors: errors.map(({ productId, code }) => ({ productId, code })),
+      });
+
+      throw new AppError(
+        'Your cart is out of date, please review it before paying',
+        409,
+        'CART_STALE',
+        { lines: errors, cart: lines, subtotal }
+      );
+    }
+
+    return { lines, subtotal };
+  }
+
+  /**
+   * Build Stripe line items from priced cart lines. A line with a coupon
+   * discount that does not divide evenly by its quantity becomes two
+   * items, one cent apart, so the items add up to the discounted amount.
+   * @param {Array<Object>} lines - Lines returned by priceCart, with an optional discountAmount
+   * @param {string} currency - ISO currency code
+   * @returns {Array<Object>} Stripe checkout line items
+   */
+  static toStripeLineItems(lines, currency = 'usd') {
+    return lines.flatMap(line => {
+      const item = (unitAmount, quantity) => ({
+        price_data: {
+          currency,
+          product_data: {
+            name: line.name,
+            images: line.image_link ? [line.image_link] : [],
+            ...(line.description && { description: line.description }),
+            metadata: {
+              product_id: line.productId.toString(),
+              brand: line.brand || '',
+            },
+          },
+          unit_amount: unitAmount,
+        },
+        quantity,
+      });
+
+      const discount = line.discountAmount || 0;
+      const unitDiscount = Math.floor(discount / line.quantity);
+      const centsOver = discount - unitDiscount * line.quantity;
+
+      return [
+        item(line.unitAmount - unitDiscount, line.quantity - centsOver),
+        item(line.unitAmount - unitDiscount - 1, centsOver),
+      ].filter(({ quantity }) => quantity > 0);
+    });
+  }
+}
+
+module.exports = CartPricingService;
@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Cart, CartItem, Order, Product, User } = require('../db');
+const { emailService } = require('../helpers/emailService');
+const { NotFoundError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const HOUR = 60 * 60 * 1000;
+
+// Hours of idleness after which each reminder goes out
+const DEFAULT_INTERVALS_HOURS = [1, 24, 72];
+
+// Carts idle longer than this are given up on, never reminded
+const DEFAULT_MAX_IDLE_HOURS = 7 * 24;
+
+// Carts reminded per sweep
+const BATCH_SIZE = 100;
+
+// Orders that do not mean the customer bought
+const UNPAID_STATUSES = ['pending', 'failed', 'expired', 'cancelled'];
+
+/**
+ * Cart Reminder Service
+ * Emails signed-in customers about carts left idle, up to one reminder per
+ * configured interval, with a link back to the cart, and reports how many
+ * reminded carts were bought. Guest carts have no address to write to
+ */
+class CartReminderService {
+  /**
+   * Reminder intervals in hours, ascending
+   * @param {string} value - Comma-separated hours, CART_REMINDER_INTERVALS_HOURS by default
+   * @returns {Array<number>} Hours of idleness before each reminder
+   */
+  static intervals(value = process.env.CART_REMINDER_INTERVALS_HOURS) {
+    const hours = String(value || '')
+      .split(',')
+      .map(Number)
+      .filter(hour => Number.isFinite(hour) && hour > 0);
+
+    return hours.length
+      ? [...new Set(hours)].sort((a, b) => a - b)
+      : DEFAULT_INTERVALS_HOURS;
+  }
+
+  /**
+   * Hours after which an idle cart is no longer reminded
+   * @returns {number} Hours
+   */
+  static maxIdleHours() {
+    return (
+      Number(process.env.CART_REMINDER_MAX_IDLE_HOURS) || DEFAULT_MAX_IDLE_HOURS
+    );
+  }
+
+  /**
+   * Intervals a cart idle for a time has gone past. A cart found idle past
+   * several of them gets one reminder, not one per interval
+   * @param {number} idleMs - Time since the cart last changed
+   * @param {Array<number>} intervals - Reminder intervals in hours
+   * @returns {number} Reminder step reached
+   */
+  static stepFor(idleMs, intervals) {
+    return intervals.filter(hours => idleMs >= hours * HOUR).length;
+  }
+
+  /**
+   * Condition of the carts due a reminder: active, of a user, idle past
+   * the next interval of their step and not given up on. Reminders are
+   * saved silently, so updatedAt stays the last change by the customer
+   * @param {Date} now - Reference time
+   * @param {Array<number>} intervals - Reminder intervals in hours
+   * @param {number} maxIdleHours - Hours after which carts are given up on
+   * @returns {Object} Sequelize where clause
+   */
+  static dueWhere(now, intervals, maxIdleHours) {
+    return {
+      status: 'active',
+      userId: { [Op.ne]: null },
+      updatedAt: { [Op.gt]: new Date(now.getTime() - maxIdleHours * HOUR) },
+      [Op.or]: intervals.map((hours, step) => ({
+        reminderStep: step,
+        updatedAt: { [Op.lte]: new Date(now.getTime() - hours * HOUR) },
+      })),
+    };
+  }
+
+  /**
+   * Whether the owner of a cart paid an order since it last changed, as
+   * checkouts sent with their own cart products leave the stored cart active
+   * @param {Model} cart - Cart
+   * @returns {Promise<boolean>} True when the customer bought
+   */
+  static async hasPurchasedSince(cart) {
+    const orders = await Order.count({
+      where: {
+        userId: cart.userId,
+        status: { [Op.notIn]: UNPAID_STATUSES },
+        createdAt: { [Op.gte]: cart.updatedAt },
+      },
+    });
+    return orders > 0;
+  }
+
+  /**
+   * Send the reminder a cart is due, or stop reminding it when its owner
+   * cannot be written to or already bought
+   * @param {Model} cart - Cart with its items and their products
+   * @param {Model|null} user - Owner of the cart
+   * @param {Array<number>} intervals - Reminder intervals in hours
+   * @param {Date} now - Reference time
+   * @returns {Promise<string>} sent, stopped or failed
+   */
+  static async remind(cart, user, intervals, now = new Date()) {
+    if (
+      !user ||
+      !user.status ||
+      !emailService.validateEmail(user.email) ||
+      (await this.hasPurchasedSince(cart))
+    ) {
+      await cart.update({ reminderStep: intervals.length }, { silent: true });
+      return 'stopped';
+    }
+
+    const step = this.stepFor(now.getTime() - cart.updatedAt, intervals);
+    const restoreToken =
+      cart.restoreToken || crypto.randomBytes(24).toString('hex');
+
+    try {
+      await emailService.sendCartReminderEmail(user, {
+        restoreToken,
+        reminder: step,
+        items: cart.items.map(item => ({
+          name: item.product?.name,
+          quantity: item.quantity,
+        })),
+      });
+    } catch (error) {
+      // Left at its step, so the next sweep tries again
+      logger.warn('Cart reminder email failed', {
+        cartId: cart.id,
+        error: error.message,
+      });
+      return 'failed';
+    }
+
+    await cart.update(
+      { reminderStep: step, lastRemindedAt: now, restoreToken },
+      { silent: true }
+    );
+    return 'sent';
+  }
+
+  /**
+   * Remind the owners of the carts due a reminder
+   * @param {Date} now - Reference time
+   * @returns {Promise<{sent: number, stopped: number, failed: number}>} Outcome per cart
+   */
+  static async sendReminders(now = new Date()) {
+    const intervals = this.intervals();
+    const carts = await Cart.findAll({
+      where: this.dueWhere(now, intervals, this.maxIdleHours()),
+      // Empty carts are never reminded
+      include: [
+        {
+          model: CartItem,
+          as: 'items',
+          required: true,
+          include: [{ model: Product, attributes: ['id', 'name'] }],
+        },
+      ],
+      order: [['updatedAt', 'ASC']],
+      limit: BATCH_SIZE,
+    });
+
+    const summary = { sent: 0, stopped: 0, failed: 0 };
+    if (carts.length === 0) {
+      return summary;
+    }
+
+    const users = await User.findAll({
+      where: {
+        id: carts
+          .map(cart => cart.userId)
+          .filter(userId => /^\d+$/.test(userId)),
+      },
+      attributes: ['id', 'name', 'email', 'status'],
+    });
+    const usersById = new Map(users.map(user => [String(user.id), user]));
+
+    for (const cart of carts) {
+      const outcome = await this.remind(
+        cart,
+        usersById.get(cart.userId) || null,
+        intervals,
+        now
+      );
+      summary[outcome] += 1;
+    }
+
+    logger.info('Cart reminders processed', summary);
+    return summary;
+  }
+
+  /**
+   * Active cart behind a reminder link. The first visit is recorded
+   * @param {string} token - Restore token of the link
+   * @param {Date} now - Reference time
+   * @returns {Promise<Model>} Cart with its items
+   * @throws {NotFoundError} When the cart was bought, merged or never reminded
+   */
+  static async restore(token, now = new Date()) {
+    const cart = await Cart.findOne({
+      where: { restoreToken: token, status: 'active' },
+      include: [{ model: CartItem, as: 'items' }],
+      order: [[{ model: CartItem, as: 'items' }, 'createdAt', 'ASC']],
+    });
+    if (!cart) {
+      throw new NotFoundError('This cart is no longer available');
+    }
+
+    if (!cart.restoredAt) {
+      await cart.update({ restoredAt: now }, { silent: true });
+    }
+    return cart;
+  }
+
+  /**
+   * How reminded carts ended up, optionally for reminders sent in a period
+   * @param {Object} range - from and to dates of the last reminder
+   * @returns {Promise<Object>} Carts reminded, restored and recovered, the
+   * recovery rate and the revenue of the recovered orders in cents
+   */
+  static async stats({ from, to } = {}) {
+    const where = {
+      lastRemindedAt: {
+        [Op.ne]: null,
+        ...(from && { [Op.gte]: new Date(from) }),
+        ...(to && { [Op.lte]: new Date(to) }),
+      },
+    };
+
+    const [remindedCarts, restoredCarts, recovered] = await Promise.all([
+      Cart.count({ where }),
+      Cart.count({ where: { ...where, restoredAt: { [Op.ne]: null } } }),
+      Cart.findAll({
+        where: { ...where, status: 'ordered' },
+        attributes: ['id', 'orderId'],
+      }),
+    ]);
+
+    const orderIds = recovered.map(cart => cart.orderId).filter(Boolean);
+    const recoveredRevenue = orderIds.length
+      ? (await Order.sum('total', { where: { id: orderIds } })) || 0
+      : 0;
+
+    return {
+      remindedCarts,
+      restoredCarts,
+      recoveredCarts: recovered.length,
+      recoveryRate: remindedCarts
+        ? Math.round((recovered.length / remindedCarts) * 10000) / 10000
+        : 0,
+      recoveredRevenue,
+    };
+  }
+}
+
+CartReminderService.DEFAULT_INTERVALS_HOURS = DEFAULT_INTERVALS_HOURS;
+
+module.exports = CartReminderService;
@@ -0,0 +1,334 @@
+const { Cart, CartItem, database } = require('../db');
+const CartPricingService = require('./cartPricingService');
+const { AppError, NotFoundError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// Most units of one product a cart line can hold
+const MAX_LINE_QUANTITY = 99;
+
+// Pricing errors that make a product impossible to add to a cart
+const UNAVAILABLE = {
+  PRODUCT_NOT_FOUND: 404,
+  PRODUCT_DISABLED: 409,
+  INSUFFICIENT_STOCK: 409,
+};
+
+/**
+ * Cart Service
+ * Stores shopping carts server-side, for signed-in users and for guests
+ * identified by their session, merges a guest cart into the user's cart at
+ * login, and prices carts live against the catalog
+ */
+class CartService {
+  /**
+   * Who a cart belongs to on a request: the signed-in user, or the guest
+   * cart remembered by the session cookie
+   * @param {Object} req - Express request
+   * @returns {{userId: string|null, cartId: string|null}} Cart owner
+   */
+  static ownerOf(req) {
+    const userId = req.user?.userId ?? null;
+    return {
+      userId: userId === null ? null : String(userId),
+      cartId: userId === null ? req.session?.cartId || null : null,
+    };
+  }
+
+  /**
+   * Active cart of an owner
+   * @param {Object} owner - userId, or cartId of a guest cart
+   * @param {Object} options - transaction
+   * @returns {Promise<Model|null>} Cart with its items, or null
+   */
+  static async find({ userId, cartId }, options = {}) {
+    if (!userId && !cartId) {
+      return null;
+    }
+
+    return Cart.findOne({
+      where: userId
+        ? { userId, status: 'active' }
+        : { id: cartId, userId: null, status: 'active' },
+      include: [{ model: CartItem, as: 'items' }],
+      order: [[{ model: CartItem, as: 'items' }, 'createdAt', 'ASC']],
+      transaction: options.transaction,
+    });
+  }
+
+  /**
+   * Active cart of the request, created on first use. A new guest cart is
+   * remembered in the session
+   * @param {Object} req - Express request
+   * @returns {Promise<Model>} Cart with its items
+   */
+  static async forRequest(req) {
+    const owner = this.ownerOf(req);
+    const existing = await this.find(owner);
+    if (existing) {
+      return existing;
+    }
+
+    let cart;
+    try {
+      cart = await Cart.create({ userId: owner.userId });
+    } catch (error) {
+      // Another request created the user's cart first
+      if (owner.userId && error.name === 'SequelizeUniqueConstraintError') {
+        return this.find(owner);
+      }
+      throw error;
+    }
+
+    if (!owner.userId && req.session) {
+      req.session.cartId = cart.id;
+    }
+    cart.items = [];
+    return cart;
+  }
+
+  /**
+   * Reload a cart with its current items after changing them
+   * @param {Model} cart - Cart
+   * @returns {Promise<Model>} Cart with its items
+   */
+  static async refresh(cart) {
+    return cart.reload({
+      include: [{ model: CartItem, as: 'items' }],
+      order: [[{ model: CartItem, as: 'items' }, 'createdAt', 'ASC']],
+    });
+  }
+
+  /**
+   * Mark a cart as changed now; its items do not bump it themselves
+   * @param {Model} cart - Cart
+   * @returns {Promise<Model>} Cart
+   */
+  static async touch(cart) {
+    cart.changed('updatedAt', true);
+    return cart.save();
+  }
+
+  /**
+   * Cart lines in the shape the pricing service and checkout take
+   * @param {Model|Object} cart - Cart with its items
+   * @returns {Array<{id: number, quantity: number}>} Cart products
+   */
+  static toCartProducts(cart) {
+    return (cart?.items || []).map(item => ({
+      id: item.productId,
+      quantity: item.quantity,
+    }));
+  }
+
+  /**
+   * A cart priced against the catalog right now, with the lines that can
+   * no longer be bought reported per product
+   * @param {Model|null} cart - Cart with its items
+   * @returns {Promise<Object>} id, items, errors, itemCount and subtotal
+   */
+  static async view(cart) {
+    const cartProducts = this.toCartProducts(cart);
+    const { lines, errors, subtotal } = cartProducts.length
+      ? await CartPricingService.priceCart(cartProducts)
+      : { lines: [], errors: [], subtotal: 0 };
+
+    return {
+      id: cart?.id || null,
+      items: lines,
+      errors,
+      itemCount: cartProducts.reduce((sum, line) => sum + line.quantity, 0),
+      subtotal,
+    };
+  }
+
+  /**
+   * Check a product can be held in a cart at a quantity
+   * @param {number} productId - Product ID
+   * @param {number} quantity - Units wanted
+   * @throws {AppError} When the product is missing, disabled or short of stock
+   */
+  static async assertAvailable(productId, quantity) {
+    if (quantity > MAX_LINE_QUANTITY) {
+      throw new AppError(
+        `At most ${MAX_LINE_QUANTITY} units of a product fit in the cart`,
+        400,
+        'CART_QUANTITY_LIMIT',
+        { productId, max: MAX_LINE_QUANTITY }
+      );
+    }
+
+    const { errors } = await CartPricingService.priceCart([
+      { id: productId, quantity },
+    ]);
+    const [error] = errors;
+    if (error) {
+      throw new AppError(
+        error.message,
+        UNAVAILABLE[error.code] || 400,
+        error.code,
+        error
+      );
+    }
+  }
+
+  /**
+   * Add units of a product to a cart
+   * @param {Model} cart - Cart with its items
+   * @param {number} productId - Product ID
+   * @param {number} quantity - Units to add
+   * @returns {Promise<Model>} Cart item
+   */
+  static async addItem(cart, productId, quantity) {
+    const existing = cart.items.find(item => item.productId === productId);
+    const total = (existing?.quantity || 0) + quantity;
+    await this.assertAvailable(productId, total);
+
+    const item = existing
+      ? await existing.update({ quantity: total })
+      : await CartItem.create({ cartId: cart.id, productId, quantity });
+    await this.touch(cart);
+    return item;
+  }
+
+  /**
+   * Set the quantity of a cart line; zero removes it
+   * @param {Model} cart - Cart with its items
+   * @param {number} productId - Product ID
+   * @param {number} quantity - Units wanted
+   * @returns {Promise<Model|null>} Cart item, or null once removed
+   * @throws {NotFoundError} When the product is not in the cart
+   */
+  static async updateItem(cart, productId, quantity) {
+    const item = cart.items.find(line => line.productId === productId);
+    if (!item) {
+      throw new NotFoundError(`Product '${productId}' is not in the cart`);
+    }
+
+    if (quantity === 0) {
+      await item.destroy();
+      await this.touch(cart);
+      return null;
+    }
+
+    await this.assertAvailable(productId, quantity);
+    await item.update({ quantity });
+    await this.touch(cart);
+    return item;
+  }
+
+  /**
+   * Remove a product from a cart
+   * @param {Model} cart - Cart with its items
+   * @param {number} productId - Product ID
+   * @throws {NotFoundError} When the product is not in the cart
+   */
+  static async removeItem(cart, productId) {
+    await this.updateItem(cart, productId, 0);
+  }
+
+  /**
+   * Empty a cart
+   * @param {Model} cart - Cart
+   * @returns {Promise<number>} Lines removed
+   */
+  static async clear(cart) {
+    const removed = await CartItem.destroy({ where: { cartId: cart.id } });
+    await this.touch(cart);
+    return removed;
+  }
+
+  /**
+   * Quantities of two carts added per product, capped at the line limit
+   * @param {Array<Object>} target - Items of the cart kept
+   * @param {Array<Object>} source - Items of the cart merged in
+   * @returns {Map<number, number>} Quantity per product
+   */
+  static mergedQuantities(target, source) {
+    const quantities = new Map();
+    [...target, ...source].forEach(item => {
+      quantities.set(
+        item.productId,
+        Math.min(
+          (quantities.get(item.productId) || 0) + item.quantity,
+          MAX_LINE_QUANTITY
+        )
+      );
+    });
+    return quantities;
+  }
+
+  /**
+   * Move a guest cart into a user's cart at login. Without a user cart the
+   * guest cart simply becomes it; otherwise quantities are added per product
+   * and the guest cart is kept as merged. Lines that no longer fit the
+   * stock are reported when the cart is read, never dropped here
+   * @param {string} guestCartId - Cart ID remembered by the session
+   * @param {string|number} userId - User signing in
+   * @returns {Promise<Model|null>} User cart, or null when there was nothing to merge
+   */
+  static async mergeGuestCart(guestCartId, userId) {
+    if (!guestCartId || userId === undefined || userId === null) {
+      return null;
+    }
+
+    const owner = String(userId);
+    const cart = await database.transaction(async transaction => {
+      const guest = await this.find({ cartId: guestCartId }, { transaction });
+      if (!guest) {
+        return null;
+      }
+
+      const userCart = await this.find({ userId: owner }, { transaction });
+      if (!userCart) {
+        return guest.update({ userId: owner }, { transaction });
+      }
+
+      const quantities = this.mergedQuantities(userCart.items, guest.items);
+      await Promise.all(
+        [...quantities].map(([productId, quantity]) => {
+          const item = userCart.items.find(
+            line => line.productId === productId
+          );
+          return item
+            ? item.update({ quantity }, { transaction })
+            : CartItem.create(
+                { cartId: userCart.id, productId, quantity },
+                { transaction }
+              );
+        })
+      );
+      await guest.update({ status: 'merged' }, { transaction });
+      userCart.changed('updatedAt', true);
+      return userCart.save({ transaction });
+    });
+
+    if (cart) {
+      logger.info('Guest cart merged at login', {
+        guestCartId,
+        cartId: cart.id,
+        userId: owner,
+      });
+    }
+    return cart;
+  }
+
+  /**
+   * Close the cart a paid checkout started from, so the shopper starts a
+   * new one
+   * @param {string} cartId - Cart ID carried by the checkout session
+   * @param {string} orderId - Order paid
+   * @param {Date} now - Reference time
+   * @returns {Promise<boolean>} True when the cart was closed
+   */
+  static async markOrdered(cartId, orderId, now = new Date()) {
+    const [updated] = await Cart.update(
+      { status: 'ordered', orderId, orderedAt: now },
+      { where: { id: cartId, status: 'active' } }
+    );
+    return updated > 0;
+  }
+}
+
+CartService.MAX_LINE_QUANTITY = MAX_LINE_QUANTITY;
+
+module.exports = CartService;
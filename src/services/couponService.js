@@ -0,0 +1,501 @@
+const { Op } = require('sequelize');
+const {
+  Coupon,
+  CouponRedemption,
+  Product,
+  Categorie,
+  database,
+} = require('../db');
+const {
+  AppError,
+  NotFoundError,
+  ValidationError,
+} = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// Redemptions that count against a coupon's limits
+const COUNTED_STATUSES = ['pending', 'redeemed'];
+
+// Why a coupon does not apply, as shown to the shopper
+const REJECTIONS = {
+  COUPON_NOT_FOUND: 'This coupon code does not exist',
+  COUPON_INACTIVE: 'This coupon is no longer available',
+  COUPON_NOT_STARTED: 'This coupon is not valid yet',
+  COUPON_EXPIRED: 'This coupon has expired',
+  COUPON_MIN_SUBTOTAL: 'Your cart does not reach the minimum for this coupon',
+  COUPON_NOT_ELIGIBLE: 'No product in your cart is eligible for this coupon',
+  COUPON_USAGE_LIMIT: 'This coupon has been used up',
+  COUPON_CUSTOMER_LIMIT: 'You have already used this coupon',
+  COUPON_SIGN_IN_REQUIRED: 'Sign in to use this coupon',
+};
+
+/**
+ * Coupon Service
+ * Validates discount codes against a priced cart (eligibility, minimum
+ * subtotal, validity window, usage limits and stacking with offers),
+ * splits the discount over the eligible lines and tracks redemptions
+ */
+class CouponService {
+  /**
+   * Code as stored: trimmed and upper-case
+   * @param {string} code - Code as typed
+   * @returns {string} Normalized code
+   */
+  static normalizeCode(code) {
+    return String(code || '')
+      .trim()
+      .toUpperCase();
+  }
+
+  /**
+   * Error for a coupon that does not apply
+   * @param {string} reason - One of REJECTIONS
+   * @param {Object} details - Extra details for the shopper
+   * @returns {AppError} 422 COUPON_INVALID
+   */
+  static rejection(reason, details = {}) {
+    return new AppError(REJECTIONS[reason], 422, 'COUPON_INVALID', {
+      reason,
+      ...details,
+    });
+  }
+
+  /**
+   * First reason a coupon cannot be used for a cart, if any
+   * @param {Object} coupon - Coupon
+   * @param {Object} context - subtotal in cents, usage ({total, customer}; customer
+   * is null when nobody is signed in) and now
+   * @returns {string|null} Rejection reason
+   */
+  static rejectionFor(coupon, { subtotal, usage, now = new Date() }) {
+    if (!coupon.active) {
+      return 'COUPON_INACTIVE';
+    }
+    if (coupon.startsAt && new Date(coupon.startsAt) > now) {
+      return 'COUPON_NOT_STARTED';
+    }
+    if (coupon.endsAt && new Date(coupon.endsAt) <= now) {
+      return 'COUPON_EXPIRED';
+    }
+    if (coupon.minSubtotal && subtotal < coupon.minSubtotal) {
+      return 'COUPON_MIN_SUBTOTAL';
+    }
+    if (coupon.usageLimit && usage.total >= coupon.usageLimit) {
+      return 'COUPON_USAGE_LIMIT';
+    }
+    if (coupon.perCustomerLimit && usage.customer === null) {
+      return 'COUPON_SIGN_IN_REQUIRED';
+    }
+    if (coupon.perCustomerLimit && usage.customer >= coupon.perCustomerLimit) {
+      return 'COUPON_CUSTOMER_LIMIT';
+    }
+    return null;
+  }
+
+  /**
+   * Whether a cart line can be discounted by a coupon: it must match one
+   * of its products, categories or brands (when it lists any) and, unless
+   * the coupon combines with offers, not already be on offer
+   * @param {Object} coupon - Coupon
+   * @param {Object} line - Priced cart line
+   * @param {Map<number, Array<number>>} categoriesByProduct - Category ids per product
+   * @returns {boolean} Eligibility
+   */
+  static isEligible(coupon, line, categoriesByProduct = new Map()) {
+    if (coupon.offerStacking === 'exclude' && line.discountPercent > 0) {
+      return false;
+    }
+
+    const productIds = coupon.productIds || [];
+    const categoryIds = coupon.categoryIds || [];
+    const brands = (coupon.brands || []).map(brand => brand.toLowerCase());
+    if (!productIds.length && !categoryIds.length && !brands.length) {
+      return true;
+    }
+
+    return (
+      productIds.includes(line.productId) ||
+      (categoriesByProduct.get(line.productId) || []).some(id =>
+        categoryIds.includes(id)
+      ) ||
+      (!!line.brand && brands.includes(String(line.brand).toLowerCase()))
+    );
+  }
+
+  /**
+   * Split an amount over weights, proportionally, without losing a cent
+   * @param {number} amount - Amount in cents
+   * @param {Array<number>} weights - Non-negative weights
+   * @returns {Array<number>} Share of each weight
+   */
+  static allocate(amount, weights) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (total === 0) {
+      return weights.map(() => 0);
+    }
+
+    const exact = weights.map(weight => (amount * weight) / total);
+    const shares = exact.map(Math.floor);
+    let left = amount - shares.reduce((sum, share) => sum + share, 0);
+
+    // Largest remainders get the leftover cents
+    exact
+      .map((value, index) => ({ index, remainder: value - shares[index] }))
+      .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+      .forEach(({ index }) => {
+        if (left > 0) {
+          shares[index] += 1;
+          left -= 1;
+        }
+      });
+
+    return shares;
+  }
+
+  /**
+   * Discount of a coupon on each cart line. With 'best' stacking the
+   * coupon is worked out on the price before the offer and a line only
+   * gets what it saves beyond the offer.
+   * @param {Object} coupon - Coupon
+   * @param {Array<Object>} lines - Priced cart lines
+   * @param {Map<number, Array<number>>} categoriesByProduct - Category ids per product
+   * @returns {{amount: number, lines: Array<{productId: number, discountAmount: number}>}} Discount
+   */
+  static discountLines(coupon, lines, categoriesByProduct) {
+    const bases = lines.map(line => {
+      if (!this.isEligible(coupon, line, categoriesByProduct)) {
+        return 0;
+      }
+      return coupon.offerStacking === 'best'
+        ? Math.round(line.price * 100) * line.quantity
+        : line.lineAmount;
+    });
+
+    const shares =
+      coupon.type === 'percentage'
+        ? bases.map(base => Math.round((base * coupon.value) / 100))
+        : this.allocate(
+            Math.min(
+              coupon.value,
+              bases.reduce((sum, base) => sum + base, 0)
+            ),
+            bases
+          );
+
+    const discounted = lines.map((line, index) => {
+      const offerSavings =
+        coupon.offerStacking === 'best' ? bases[index] - line.lineAmount : 0;
+      return {
+        productId: line.productId,
+        discountAmount: Math.min(
+          line.lineAmount,
+          Math.max(0, shares[index] - Math.max(0, offerSavings))
+        ),
+      };
+    });
+
+    return {
+      amount: discounted.reduce((sum, line) => sum + line.discountAmount, 0),
+      lines: discounted,
+    };
+  }
+
+  /**
+   * Check a coupon against a priced cart and work out its discount
+   * @param {Object} coupon - Coupon
+   * @param {Object} cart - lines, usage, categoriesByProduct and now
+   * @returns {Object} couponId, code, type, value, offerStacking, amount and per-line discounts
+   * @throws {AppError} 422 COUPON_INVALID when it does not apply
+   */
+  static evaluate(coupon, { lines, usage, categoriesByProduct, now }) {
+    const subtotal = lines.reduce((sum, line) => sum + line.lineAmount, 0);
+
+    const reason = this.rejectionFor(coupon, { subtotal, usage, now });
+    if (reason) {
+      throw this.rejection(reason, {
+        code: coupon.code,
+        ...(reason === 'COUPON_MIN_SUBTOTAL' && {
+          minSubtotal: coupon.minSubtotal,
+          missing: coupon.minSubtotal - subtotal,
+        }),
+      });
+    }
+
+    const discount = this.discountLines(coupon, lines, categoriesByProduct);
+    if (discount.amount === 0) {
+      throw this.rejection('COUPON_NOT_ELIGIBLE', { code: coupon.code });
+    }
+
+    return {
+      couponId: coupon.id,
+      code: coupon.code,
+      type: coupon.type,
+      value: coupon.value,
+      offerStacking: coupon.offerStacking,
+      subtotal,
+      amount: discount.amount,
+      lines: discount.lines,
+    };
+  }
+
+  /**
+   * Redemptions of a coupon still counting against its limits
+   * @param {Object} coupon - Coupon
+   * @param {Object} options - userId of the signed-in user, orderId to leave out
+   * and transaction
+   * @returns {Promise<{total: number, customer: number|null}>} Usage; customer
+   * is null for a per-customer coupon when nobody is signed in
+   */
+  static async usageOf(coupon, { userId, orderId, transaction } = {}) {
+    const where = {
+      couponId: coupon.id,
+      status: COUNTED_STATUSES,
+      ...(orderId && { orderId: { [Op.ne]: orderId } }),
+    };
+    const signedIn = userId !== undefined && userId !== null;
+
+    const [total, customer] = await Promise.all([
+      coupon.usageLimit ? CouponRedemption.count({ where, transaction }) : 0,
+      coupon.perCustomerLimit && signedIn
+        ? CouponRedemption.count({
+            where: { ...where, userId: String(userId) },
+            transaction,
+          })
+        : null,
+    ]);
+
+    // Without a signed-in user there is nobody to count a per-customer limit for
+    return { total, customer: coupon.perCustomerLimit ? customer : 0 };
+  }
+
+  /**
+   * Category ids of products, loaded only for coupons restricted to categories
+   * @param {Object} coupon - Coupon
+   * @param {Array<number>} productIds - Product ids
+   * @returns {Promise<Map<number, Array<number>>>} Category ids per product
+   */
+  static async categoriesFor(coupon, productIds) {
+    if (!coupon.categoryIds?.length || productIds.length === 0) {
+      return new Map();
+    }
+
+    const products = await Product.findAll({
+      where: { id: productIds },
+      attributes: ['id'],
+      include: [
+        { model: Categorie, attributes: ['id'], through: { attributes: [] } },
+      ],
+    });
+
+    return new Map(
+      products.map(product => [
+        product.id,
+        product.categories.map(category => category.id),
+      ])
+    );
+  }
+
+  /**
+   * Validate a code for a priced cart and work out its discount
+   * @param {Object} request - code, lines (priced), userId of the signed-in
+   * user (null for guests) and orderId being paid
+   * @returns {Promise<Object>} Applied coupon, as returned by evaluate
+   * @throws {AppError} 422 COUPON_INVALID when it does not apply
+   */
+  static async apply({ code, lines, userId, orderId }) {
+    const coupon = await Coupon.findOne({
+      where: { code: this.normalizeCode(code) },
+    });
+    if (!coupon) {
+      throw this.rejection('COUPON_NOT_FOUND', {
+        code: this.normalizeCode(code),
+      });
+    }
+
+    const [usage, categoriesByProduct] = await Promise.all([
+      this.usageOf(coupon, { userId, orderId }),
+      this.categoriesFor(
+        coupon,
+        lines.map(line => line.productId)
+      ),
+    ]);
+
+    return this.evaluate(coupon, { lines, usage, categoriesByProduct });
+  }
+
+  /**
+   * Priced lines with the coupon discount of each
+   * @param {Array<Object>} lines - Priced cart lines
+   * @param {Object|null} applied - Applied coupon
+   * @returns {Array<Object>} Lines with discountAmount in cents
+   */
+  static applyToLines(lines, applied) {
+    const discounts = new Map(
+      (applied?.lines || []).map(line => [line.productId, line.discountAmount])
+    );
+    return lines.map(line => ({
+      ...line,
+      discountAmount: discounts.get(line.productId) || 0,
+    }));
+  }
+
+  /**
+   * Hold a redemption for the order being checked out. The coupon row is
+   * locked while its limits are counted again, so concurrent checkouts
+   * cannot redeem it more often than allowed.
+   * @param {Object} applied - Applied coupon
+   * @param {Object} checkout - orderId, and userId of the signed-in user (null for guests)
+   * @returns {Promise<Model>} Pending redemption
+   * @throws {AppError} 422 COUPON_INVALID when a limit was reached meanwhile
+   */
+  static async reserve(applied, { orderId, userId }) {
+    const redemption = await database.transaction(async transaction => {
+      const coupon = await Coupon.findByPk(applied.couponId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction,
+      });
+      if (!coupon) {
+        throw this.rejection('COUPON_NOT_FOUND', { code: applied.code });
+      }
+
+      const usage = await this.usageOf(coupon, {
+        userId,
+        orderId,
+        transaction,
+      });
+      const reason = this.rejectionFor(coupon, {
+        subtotal: applied.subtotal,
+        usage,
+      });
+      if (reason) {
+        throw this.rejection(reason, { code: coupon.code });
+      }
+
+      // A new checkout of the same order replaces its previous redemption
+      await CouponRedemption.destroy({ where: { orderId }, transaction });
+      return CouponRedemption.create(
+        {
+          couponId: coupon.id,
+          orderId,
+          userId:
+            userId === undefined || userId === null ? null : String(userId),
+          code: coupon.code,
+          amount: applied.amount,
+        },
+        { transaction }
+      );
+    });
+
+    logger.logDatabase('create', 'CouponRedemption', {
+      code: applied.code,
+      orderId,
+      amount: applied.amount,
+    });
+
+    return redemption;
+  }
+
+  /**
+   * Confirm the redemption of a paid order
+   * @param {string} orderId - Order UUID
+   * @returns {Promise<number>} Redemptions confirmed
+   */
+  static async redeem(orderId) {
+    const [count] = await CouponRedemption.update(
+      { status: 'redeemed' },
+      { where: { orderId, status: 'pending' } }
+    );
+    return count;
+  }
+
+  /**
+   * Give back the redemption of an order that was not paid
+   * @param {string} orderId - Order UUID
+   * @returns {Promise<number>} Redemptions released
+   */
+  static async release(orderId) {
+    const [count] = await CouponRedemption.update(
+      { status: 'released' },
+      { where: { orderId, status: 'pending' } }
+    );
+    return count;
+  }
+
+  /**
+   * Every coupon, newest first, for admins
+   * @returns {Promise<Array<Model>>} Coupons
+   */
+  static async list() {
+    return Coupon.findAll({ order: [['createdAt', 'DESC']] });
+  }
+
+  /**
+   * One coupon with its redemptions
+   * @param {string} id - Coupon UUID
+   * @returns {Promise<Model>} Coupon
+   * @throws {NotFoundError} When it does not exist
+   */
+  static async get(id) {
+    const coupon = await Coupon.findByPk(id, {
+      include: [{ model: CouponRedemption, as: 'redemptions' }],
+    });
+    if (!coupon) {
+      throw new NotFoundError(`Coupon '${id}' not found`);
+    }
+    return coupon;
+  }
+
+  /**
+   * Create a coupon
+   * @param {Object} values - Coupon fields
+   * @returns {Promise<Model>} Coupon
+   */
+  static async create(values) {
+    this.validate(values);
+    const coupon = await Coupon.create(values);
+    logger.logDatabase('create', 'Coupon', { couponId: coupon.id });
+    return coupon;
+  }
+
+  /**
+   * Update a coupon
+   * @param {string} id - Coupon UUID
+   * @param {Object} values - Fields to change
+   * @returns {Promise<Model>} Coupon
+   * @throws {NotFoundError} When it does not exist
+   */
+  static async update(id, values) {
+    const coupon = await Coupon.findByPk(id);
+    if (!coupon) {
+      throw new NotFoundError(`Coupon '${id}' not found`);
+    }
+    this.validate({ ...coupon.get({ plain: true }), ...values });
+
+    await coupon.update(values);
+    logger.logDatabase('update', 'Coupon', { couponId: id });
+    return coupon;
+  }
+
+  /**
+   * Check coupon values before they are stored
+   * @param {Object} values - Coupon values
+   * @throws {ValidationError} When they are inconsistent
+   */
+  static validate(values) {
+    if (values.type === 'percentage' && values.value > 100) {
+      throw new ValidationError('A percentage coupon cannot exceed 100%');
+    }
+    if (
+      values.startsAt &&
+      values.endsAt &&
+      new Date(values.endsAt) <= new Date(values.startsAt)
+    ) {
+      throw new ValidationError('endsAt must be after startsAt');
+    }
+  }
+}
+
+CouponService.REJECTIONS = REJECTIONS;
+CouponService.COUNTED_STATUSES = COUNTED_STATUSES;
+
+module.exports = CouponService;
@@ -0,0 +1,165 @@
+const jwt = require('jsonwebtoken');
+const { User } = require('../db');
+const { JWT_SECRET } = require('../middleware/auth');
+const { emailService } = require('../helpers/emailService');
+const { AppError, NotFoundError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const EXPIRES_IN = process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h';
+
+// A dedicated audience keeps verification tokens from passing as access tokens
+const AUDIENCE = 'tuspacio-email-verification';
+
+const ISSUER = 'tuspacio-api';
+
+// Seconds a user waits before another verification email is sent
+const DEFAULT_RESEND_SECONDS = 60;
+
+/**
+ * Email Verification Service
+ * Issues signed, expiring links that prove a user owns the address they
+ * registered with, and flips email_verified when one is followed
+ */
+class EmailVerificationService {
+  /**
+   * Signed verification token for the current email of a user. Changing
+   * the email makes earlier tokens useless
+   * @param {Model|Object} user - User with id and email
+   * @returns {string} Token
+   */
+  static issueToken(user) {
+    return jwt.sign({ userId: user.id, email: user.email }, JWT_SECRET, {
+      algorithm: 'HS256',
+      expiresIn: EXPIRES_IN,
+      issuer: ISSUER,
+      audience: AUDIENCE,
+    });
+  }
+
+  /**
+   * Read a verification token
+   * @param {string} token - Token from the verification link
+   * @returns {{userId: number, email: string}} Payload
+   * @throws {AppError} When the token is expired, tampered with or not a verification token
+   */
+  static readToken(token) {
+    try {
+      return jwt.verify(token, JWT_SECRET, {
+        algorithms: ['HS256'],
+        issuer: ISSUER,
+        audience: AUDIENCE,
+      });
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new AppError(
+          'Verification link has expired',
+          400,
+          'EMAIL_VERIFICATION_EXPIRED'
+        );
+      }
+      throw new AppError(
+        'Invalid verification link',
+        400,
+        'INVALID_EMAIL_VERIFICATION_TOKEN'
+      );
+    }
+  }
+
+  /**
+   * Seconds before another verification email may be sent to a user
+   * @param {Model|Object} user - User
+   * @param {Date} now - Reference time
+   * @returns {number} Seconds to wait, 0 when one may be sent now
+   */
+  static retryAfter(user, now = new Date()) {
+    const wait =
+      Number(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) ||
+      DEFAULT_RESEND_SECONDS;
+    if (!user.email_verification_sent_at) {
+      return 0;
+    }
+
+    const elapsed =
+      (now.getTime() - new Date(user.email_verification_sent_at).getTime()) /
+      1000;
+    return Math.max(0, Math.ceil(wait - elapsed));
+  }
+
+  /**
+   * Email a verification link to a user. The send time is saved first so
+   * concurrent requests are throttled too
+   * @param {Model} user - User
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} Email delivery result
+   */
+  static async send(user, now = new Date()) {
+    await user.update({ email_verification_sent_at: now });
+
+    const result = await emailService.sendVerificationEmail(user, {
+      token: this.issueToken(user),
+      expiresIn: EXPIRES_IN,
+    });
+    logger.info('Verification email sent', { userId: user.id });
+    return result;
+  }
+
+  /**
+   * Send a new verification link, at most once per throttle window
+   * @param {number|string} userId - User asking for the link
+   * @param {Date} now - Reference time
+   * @returns {Promise<{sent: boolean, alreadyVerified: boolean}>} Outcome
+   * @throws {AppError} 429 with retryAfter while the last link is too recent
+   */
+  static async resend(userId, now = new Date()) {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    if (user.email_verified) {
+      return { sent: false, alreadyVerified: true };
+    }
+
+    const retryAfter = this.retryAfter(user, now);
+    if (retryAfter > 0) {
+      throw new AppError(
+        'A verification email was sent recently, try again later',
+        429,
+        'RATE_LIMIT_ERROR',
+        { retryAfter }
+      );
+    }
+
+    await this.send(user, now);
+    return { sent: true, alreadyVerified: false };
+  }
+
+  /**
+   * Mark the email of a verification link as verified. Following the same
+   * link again is harmless
+   * @param {string} token - Token from the verification link
+   * @returns {Promise<Model>} Verified user
+   * @throws {AppError} When the link is expired or invalid, or the email changed since
+   */
+  static async verify(token) {
+    const { userId, email } = this.readToken(token);
+
+    const user = await User.findByPk(userId);
+    if (!user || user.email !== email) {
+      throw new AppError(
+        'Invalid verification link',
+        400,
+        'INVALID_EMAIL_VERIFICATION_TOKEN'
+      );
+    }
+
+    if (!user.email_verified) {
+      await user.update({ email_verified: true });
+      logger.info('Email verified', { userId: user.id });
+    }
+    return user;
+  }
+}
+
+EmailVerificationService.AUDIENCE = AUDIENCE;
+
+module.exports = EmailVerificationService;
@@ -0,0 +1,301 @@
+const { fn, col } = require('sequelize');
+const { Product, InventoryMovement, database } = require('../db');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// Sign each reason must carry: 1 adds units, -1 removes them, 0 either way
+const REASON_SIGNS = {
+  sale: -1,
+  damage: -1,
+  restock: 1,
+  return: 1,
+  adjustment: 0,
+};
+
+const REASONS = Object.keys(REASON_SIGNS);
+
+/**
+ * Inventory Service
+ * Every stock change is written to the InventoryMovement ledger and applied
+ * to the cached Product.stock column in the same transaction
+ */
+class InventoryService {
+  /**
+   * Run a unit of work in the given transaction or a new one
+   * @param {Object} transaction - Outer transaction (optional)
+   * @param {Function} work - Callback receiving the transaction
+   * @returns {Promise<*>} Callback result
+   */
+  static withTransaction(transaction, work) {
+    return transaction ? work(transaction) : database.transaction(work);
+  }
+
+  /**
+   * Validate a movement delta against its reason
+   * @param {number} delta - Signed quantity
+   * @param {string} reason - Movement reason
+   * @throws {ValidationError} When the reason is unknown or the sign is wrong
+   */
+  static validateMovement(delta, reason) {
+    if (!REASONS.includes(reason)) {
+      throw new ValidationError(`Unknown movement reason '${reason}'`, {
+        allowed: REASONS,
+      });
+    }
+
+    if (!Number.isInteger(delta) || delta === 0) {
+      throw new ValidationError('Movement delta must be a non-zero integer');
+    }
+
+    const sign = REASON_SIGNS[reason];
+    if (sign !== 0 && Math.sign(delta) !== sign) {
+      throw new ValidationError(
+        `A '${reason}' movement must ${sign > 0 ? 'add' : 'remove'} units`
+      );
+    }
+  }
+
+  /**
+   * Record the stock a product had before it entered the ledger, so that
+   * summing the ledger always yields the current stock
+   * @param {Model} product - Locked product
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<void>}
+   */
+  static async ensureOpeningBalance(product, transaction) {
+    if (product.stock === 0) {
+      return;
+    }
+
+    const existing = await InventoryMovement.count({
+      where: { product_id: product.id },
+      transaction,
+    });
+
+    if (existing === 0) {
+      await InventoryMovement.create(
+        {
+          product_id: product.id,
+          delta: product.stock,
+          reason: 'adjustment',
+          stockAfter: product.stock,
+          actorId: 'system',
+          note: 'Opening balance',
+        },
+        { transaction }
+      );
+    }
+  }
+
+  /**
+   * Append a movement to the ledger and update the cached stock
+   * @param {Object} movement - productId, delta, reason, actorId, orderId, reference, note
+   * @param {Object} options - transaction; clamp to cap removals at the stock on hand
+   * @returns {Promise<Model|null>} Created movement, or null when nothing moved
+   * @throws {NotFoundError} When the product does not exist
+   * @throws {ConflictError} When the movement would make stock negative
+   */
+  static async recordMovement(movement, { transaction, clamp = false } = {}) {
+    const { productId, reason, actorId, orderId, reference, note } = movement;
+    let delta = Number(movement.delta);
+
+    this.validateMovement(delta, reason);
+
+    return this.withTransaction(transaction, async t => {
+      const product = await Product.findByPk(productId, {
+        lock: t.LOCK.UPDATE,
+        transaction: t,
+      });
+
+      if (!product) {
+        throw new NotFoundError(`Product with ID '${productId}' not found`);
+      }
+
+      if (product.stock + delta < 0) {
+        if (!clamp) {
+          throw new ConflictError(
+            `Cannot remove ${-delta} units of product ${productId}: only ${product.stock} in stock`
+          );
+        }
+
+        logger.warn('Inventory movement clamped to stock on hand', {
+          productId,
+          requested: delta,
+          stock: product.stock,
+          reason,
+        });
+        delta = -product.stock;
+        if (delta === 0) {
+          return null;
+        }
+      }
+
+      await this.ensureOpeningBalance(product, t);
+
+      const stockAfter = product.stock + delta;
+      await product.update({ stock: stockAfter }, { transaction: t });
+
+      const created = await InventoryMovement.create(
+        {
+          product_id: product.id,
+          delta,
+          reason,
+          stockAfter,
+          actorId:
+            actorId === undefined || actorId === null ? null : String(actorId),
+          orderId: orderId || null,
+          reference: reference || null,
+          note: note || null,
+        },
+        { transaction: t }
+      );
+
+      logger.logDatabase('recordMovement', 'InventoryMovement', {
+        productId: product.id,
+        delta,
+        reason,
+        stockAfter,
+        actorId,
+      });
+
+      return created;
+    });
+  }
+
+  /**
+   * Bring a product to an absolute stock level through an adjustment
+   * @param {number} productId - Product ID
+   * @param {number} stock - Target stock
+   * @param {Object} details - actorId and note
+   * @returns {Promise<Model|null>} Adjustment movement, or null if unchanged
+   */
+  static async setStock(productId, stock, { actorId, note, transaction } = {}) {
+    const target = Number(stock);
+    if (!Number.isInteger(target) || target < 0) {
+      throw new ValidationError('Stock must be a non-negative integer');
+    }
+
+    return this.withTransaction(transaction, async t => {
+      const product = await Product.findByPk(productId, {
+        lock: t.LOCK.UPDATE,
+        transaction: t,
+      });
+
+      if (!product) {
+        throw new NotFoundError(`Product with ID '${productId}' not found`);
+      }
+
+      const delta = target - product.stock;
+      if (delta === 0) {
+        return null;
+      }
+
+      return this.recordMovement(
+        {
+          productId,
+          delta,
+          reason: 'adjustment',
+          actorId,
+          note: note || `Stock set to ${target}`,
+        },
+        { transaction: t }
+      );
+    });
+  }
+
+  /**
+   * Movement history of a product, newest first
+   * @param {number} productId - Product ID
+   * @param {Object} options - limit and offset
+   * @returns {Promise<{rows: Array<Model>, count: number}>} Movements
+   */
+  static async history(productId, { limit, offset } = {}) {
+    const product = await Product.findByPk(productId, {
+      attributes: ['id'],
+    });
+
+    if (!product) {
+      throw new NotFoundError(`Product with ID '${productId}' not found`);
+    }
+
+    return InventoryMovement.findAndCountAll({
+      where: { product_id: productId },
+      order: [
+        ['createdAt', 'DESC'],
+        ['id', 'DESC'],
+      ],
+      limit,
+      offset,
+    });
+  }
+
+  /**
+   * Compare the cached stock column with the ledger and optionally repair it.
+   * The ledger is the source of truth.
+   * @param {number} productId - Product ID
+   * @param {Object} options - dryRun to only report, actorId for the log
+   * @returns {Promise<Object>} Reconciliation report
+   */
+  static async reconcile(productId, { dryRun = false, actorId } = {}) {
+    return database.transaction(async transaction => {
+      const product = await Product.findByPk(productId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction,
+      });
+
+      if (!product) {
+        throw new NotFoundError(`Product with ID '${productId}' not found`);
+      }
+
+      await this.ensureOpeningBalance(product, transaction);
+
+      const [ledger] = await InventoryMovement.findAll({
+        where: { product_id: productId },
+        attributes: [
+          [fn('COALESCE', fn('SUM', col('delta')), 0), 'ledgerStock'],
+          [fn('COUNT', col('id')), 'movements'],
+        ],
+        raw: true,
+        transaction,
+      });
+
+      const cachedStock = product.stock;
+      const ledgerStock = Number(ledger.ledgerStock);
+      const drift = cachedStock - ledgerStock;
+      const repaired = drift !== 0 && !dryRun;
+
+      if (drift !== 0) {
+        logger.warn('Inventory drift detected', {
+          productId: product.id,
+          cachedStock,
+          ledgerStock,
+          drift,
+          repaired,
+          actorId,
+        });
+      }
+
+      if (repaired) {
+        await product.update({ stock: ledgerStock }, { transaction });
+      }
+
+      return {
+        productId: product.id,
+        cachedStock,
+        ledgerStock,
+        drift,
+        movements: Number(ledger.movements),
+        repaired,
+        stock: repaired ? ledgerStock : cachedStock,
+      };
+    });
+  }
+}
+
+InventoryService.REASONS = REASONS;
+
+module.exports = InventoryService;
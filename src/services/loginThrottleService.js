@@ -0,0 +1,423 @@
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { LoginThrottle, database } = require('../db');
+const { JWT_SECRET } = require('../middleware/auth');
+const { emailService } = require('../helpers/emailService');
+const { AppError, NotFoundError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// A dedicated audience keeps unlock links from passing as any other token
+const AUDIENCE = 'tuspacio-account-unlock';
+
+const ISSUER = 'tuspacio-api';
+
+const DEFAULTS = {
+  maxAccountFailures: 5,
+  maxIpFailures: 20,
+  lockoutMinutes: 15,
+  windowMinutes: 15,
+  maxDelaySeconds: 30,
+};
+
+// Failures answered right away before the delays start growing
+const FREE_ATTEMPTS = 2;
+
+const positive = (value, fallback) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+};
+
+/**
+ * Login Throttle Service
+ * Counts failed password logins per account and per client IP, makes each
+ * further attempt wait longer, and locks the account or IP for a while once
+ * too many fail. Locked users get an email with a link to unlock early.
+ * Social login is left out on purpose: it only signs in users who already
+ * proved who they are to Auth0, which throttles its own login
+ */
+class LoginThrottleService {
+  /**
+   * Throttle settings, from the environment
+   * @returns {Object} Limits, lockout and window in minutes, max delay in seconds
+   */
+  static settings() {
+    return {
+      maxAccountFailures: positive(
+        process.env.LOGIN_MAX_ACCOUNT_FAILURES,
+        DEFAULTS.maxAccountFailures
+      ),
+      maxIpFailures: positive(
+        process.env.LOGIN_MAX_IP_FAILURES,
+        DEFAULTS.maxIpFailures
+      ),
+      lockoutMinutes: positive(
+        process.env.LOGIN_LOCKOUT_MINUTES,
+        DEFAULTS.lockoutMinutes
+      ),
+      windowMinutes: positive(
+        process.env.LOGIN_FAILURE_WINDOW_MINUTES,
+        DEFAULTS.windowMinutes
+      ),
+      maxDelaySeconds: positive(
+        process.env.LOGIN_MAX_DELAY_SECONDS,
+        DEFAULTS.maxDelaySeconds
+      ),
+    };
+  }
+
+  /**
+   * Throttle keys of a login attempt
+   * @param {string} email - Email the login was tried with
+   * @param {string} ip - Client IP
+   * @returns {Array<{scope: string, subject: string}>} Keys
+   */
+  static subjectsOf(email, ip) {
+    const subjects = [];
+    if (email) {
+      subjects.push({
+        scope: 'account',
+        subject: String(email).trim().toLowerCase(),
+      });
+    }
+    if (ip) {
+      subjects.push({ scope: 'ip', subject: String(ip) });
+    }
+    return subjects;
+  }
+
+  /**
+   * Seconds to wait after a number of failures: none at first, then
+   * doubling up to the maximum
+   * @param {number} failures - Failures in a row
+   * @param {Object} settings - Throttle settings
+   * @returns {number} Seconds
+   */
+  static delaySeconds(failures, settings = this.settings()) {
+    if (failures <= FREE_ATTEMPTS) {
+      return 0;
+    }
+    return Math.min(
+      2 ** (failures - FREE_ATTEMPTS - 1),
+      settings.maxDelaySeconds
+    );
+  }
+
+  /**
+   * Whether the failures of a row still count. They are forgotten after a
+   * quiet window and once a lockout has run out
+   * @param {Model} row - Throttle row
+   * @param {Date} now - Reference time
+   * @param {Object} settings - Throttle settings
+   * @returns {boolean} Whether they count
+   */
+  static isCounting(row, now, settings) {
+    if (!row.lastFailedAt) {
+      return false;
+    }
+    if (row.lockedUntil && new Date(row.lockedUntil) <= now) {
+      return false;
+    }
+    return (
+      now.getTime() - new Date(row.lastFailedAt).getTime() <
+      settings.windowMinutes * 60 * 1000
+    );
+  }
+
+  /**
+   * What keeps a login from being tried now, if anything
+   * @param {Model} row - Throttle row
+   * @param {Date} now - Reference time
+   * @param {Object} settings - Throttle settings
+   * @returns {Object|null} scope, subject, locked and retryAfter in seconds
+   */
+  static blockOf(row, now, settings) {
+    const { scope, subject } = row;
+    if (row.lockedUntil && new Date(row.lockedUntil) > now) {
+      return {
+        scope,
+        subject,
+        locked: true,
+        retryAfter: Math.ceil(
+          (new Date(row.lockedUntil).getTime() - now.getTime()) / 1000
+        ),
+      };
+    }
+    if (!this.isCounting(row, now, settings)) {
+      return null;
+    }
+
+    const wait =
+      new Date(row.lastFailedAt).getTime() +
+      this.delaySeconds(row.failures, settings) * 1000 -
+      now.getTime();
+    return wait > 0
+      ? { scope, subject, locked: false, retryAfter: Math.ceil(wait / 1000) }
+      : null;
+  }
+
+  /**
+   * Check a login attempt before its password is compared
+   * @param {string} email - Email the login is tried with
+   * @param {string} ip - Client IP
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object|null>} The longest block, with code and message, or null
+   */
+  static async check(email, ip, now = new Date()) {
+    const subjects = this.subjectsOf(email, ip);
+    if (subjects.length === 0) {
+      return null;
+    }
+
+    const settings = this.settings();
+    const rows = await LoginThrottle.findAll({
+      where: { [Op.or]: subjects },
+    });
+    const block = rows
+      .map(row => this.blockOf(row, now, settings))
+      .filter(Boolean)
+      .sort((a, b) => b.retryAfter - a.retryAfter)[0];
+    if (!block) {
+      return null;
+    }
+
+    logger.logSecurity('Login attempt blocked', {
+      scope: block.scope,
+      locked: block.locked,
+      email,
+      ip,
+      retryAfter: block.retryAfter,
+    });
+
+    if (!block.locked) {
+      return {
+        ...block,
+        code: 'LOGIN_DELAYED',
+        message: 'Too many failed attempts, wait before trying again',
+      };
+    }
+    return {
+      ...block,
+      code: block.scope === 'account' ? 'ACCOUNT_LOCKED' : 'IP_LOCKED',
+      message:
+        block.scope === 'account'
+          ? 'Account temporarily locked after too many failed attempts'
+          : 'Too many failed attempts from this address, try again later',
+    };
+  }
+
+  /**
+   * Count a failed password login against its account and IP, locking
+   * whichever reached its limit
+   * @param {string} email - Email the login was tried with
+   * @param {string} ip - Client IP
+   * @param {Model|null} user - Account of the email, when there is one
+   * @param {Date} now - Reference time
+   * @returns {Promise<Array<Model>>} Updated throttle rows
+   */
+  static async recordFailure(email, ip, user = null, now = new Date()) {
+    const settings = this.settings();
+    const rows = [];
+
+    for (const { scope, subject } of this.subjectsOf(email, ip)) {
+      const max =
+        scope === 'account'
+          ? settings.maxAccountFailures
+          : settings.maxIpFailures;
+
+      // Locked so concurrent failures are all counted
+      const row = await database.transaction(async transaction => {
+        const [found] = await LoginThrottle.findOrCreate({
+          where: { scope, subject },
+          defaults: { failures: 0 },
+          transaction,
+          lock: true,
+        });
+        const failures =
+          (this.isCounting(found, now, settings) ? found.failures : 0) + 1;
+
+        return found.update(
+          {
+            failures,
+            lastFailedAt: now,
+            lockedUntil:
+              failures >= max
+                ? new Date(now.getTime() + settings.lockoutMinutes * 60 * 1000)
+                : null,
+          },
+          { transaction }
+        );
+      });
+      rows.push(row);
+
+      if (row.failures === max) {
+        this.locked(row, user, settings);
+      }
+    }
+
+    logger.logSecurity('Failed password login', {
+      email,
+      ip,
+      failures: Object.fromEntries(rows.map(row => [row.scope, row.failures])),
+    });
+    return rows;
+  }
+
+  /**
+   * Record a lockout, and email the owner of a locked account a link to
+   * unlock it. The email is not awaited
+   * @param {Model} row - Throttle row just locked
+   * @param {Model|null} user - Account of the email, when there is one
+   * @param {Object} settings - Throttle settings
+   */
+  static locked(row, user, settings) {
+    logger.logSecurity(
+      row.scope === 'account' ? 'Account locked' : 'IP address locked',
+      {
+        subject: row.subject,
+        failures: row.failures,
+        lockedUntil: row.lockedUntil,
+      }
+    );
+    if (row.scope !== 'account' || !user) {
+      return;
+    }
+
+    emailService
+      .sendAccountLockedEmail(user, {
+        token: this.issueUnlockToken(row, settings),
+        lockoutMinutes: settings.lockoutMinutes,
+      })
+      .catch(error => {
+        logger.error('Account locked email failed', {
+          userId: user.id,
+          error: error.message,
+        });
+      });
+  }
+
+  /**
+   * Forget the failures of an account after a successful login. The IP
+   * keeps its count, so one known password cannot clear it
+   * @param {string} email - Email of the login
+   * @returns {Promise<void>}
+   */
+  static async recordSuccess(email) {
+    const [account] = this.subjectsOf(email);
+    await LoginThrottle.destroy({ where: account });
+  }
+
+  /**
+   * Signed link to unlock an account, good for this lockout only
+   * @param {Model} row - Locked account row
+   * @param {Object} settings - Throttle settings
+   * @returns {string} Token
+   */
+  static issueUnlockToken(row, settings = this.settings()) {
+    return jwt.sign(
+      {
+        email: row.subject,
+        lockedUntil: new Date(row.lockedUntil).getTime(),
+      },
+      JWT_SECRET,
+      {
+        algorithm: 'HS256',
+        expiresIn: `${settings.lockoutMinutes}m`,
+        issuer: ISSUER,
+        audience: AUDIENCE,
+      }
+    );
+  }
+
+  /**
+   * Unlock an account with the link of its lockout email
+   * @param {string} token - Token from the unlock link
+   * @returns {Promise<Model>} Cleared throttle row
+   * @throws {AppError} When the link is invalid, expired or for another lockout
+   */
+  static async unlock(token) {
+    const invalid = new AppError(
+      'Invalid or expired unlock link',
+      400,
+      'INVALID_UNLOCK_TOKEN'
+    );
+
+    let payload;
+    try {
+      payload = jwt.verify(token, JWT_SECRET, {
+        algorithms: ['HS256'],
+        issuer: ISSUER,
+        audience: AUDIENCE,
+      });
+    } catch (error) {
+      throw invalid;
+    }
+
+    const row = await LoginThrottle.findOne({
+      where: { scope: 'account', subject: payload.email },
+    });
+    if (
+      !row ||
+      !row.lockedUntil ||
+      new Date(row.lockedUntil).getTime() !== payload.lockedUntil
+    ) {
+      throw invalid;
+    }
+
+    await this.reset(row);
+    logger.logSecurity('Account unlocked', {
+      subject: row.subject,
+      by: 'email',
+    });
+    return row;
+  }
+
+  /**
+   * Accounts and IPs locked right now, the longest lockouts first
+   * @param {Object} filters - scope, and now
+   * @returns {Promise<Array<Model>>} Locked rows
+   */
+  static async list({ scope, now = new Date() } = {}) {
+    return LoginThrottle.findAll({
+      where: {
+        lockedUntil: { [Op.gt]: now },
+        ...(scope && { scope }),
+      },
+      order: [['lockedUntil', 'DESC']],
+    });
+  }
+
+  /**
+   * Clear the lockout and failures of an account or IP (admin)
+   * @param {string} id - Throttle row ID
+   * @param {number|string} adminId - Admin clearing it
+   * @returns {Promise<Model>} Cleared row
+   * @throws {NotFoundError} When there is no such row
+   */
+  static async clear(id, adminId) {
+    const row = await LoginThrottle.findByPk(id);
+    if (!row) {
+      throw new NotFoundError('Lockout not found');
+    }
+
+    await this.reset(row);
+    logger.logSecurity('Lockout cleared', {
+      scope: row.scope,
+      subject: row.subject,
+      by: adminId,
+    });
+    return row;
+  }
+
+  /**
+   * Forget the failures and lockout of a row
+   * @param {Model} row - Throttle row
+   * @returns {Promise<Model>} Cleared row
+   */
+  static async reset(row) {
+    return row.update({ failures: 0, lastFailedAt: null, lockedUntil: null });
+  }
+}
+
+LoginThrottleService.AUDIENCE = AUDIENCE;
+
+module.exports = LoginThrottleService;
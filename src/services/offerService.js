@@ -0,0 +1,460 @@
+const { Op, fn, col, where } = require('sequelize');
+const { Ofert, Product, Categorie } = require('../db');
+const { ValidationError } = require('../middleware/errorHandler');
+const { cacheInstance } = require('../middleware/cache');
+const { cache } = require('../utils/cache');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What a campaign can target; a product matching any of them gets the offer
+const TARGET_FIELDS = ['productIds', 'categoryIds', 'brands', 'productTypes'];
+
+// Dates written without an offset are wall-clock times of the store
+const STORE_TIMEZONE = process.env.STORE_TIMEZONE || 'UTC';
+
+const OFFSET_PATTERN = /(?:Z|[+-]\d{2}:?\d{2})$/i;
+const LOCAL_DATE_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+
+/**
+ * Offer Service
+ * Decides when an offer is in effect from its start and end dates, picks the
+ * best offer of a product, links campaigns to the products they target, and
+ * keeps the stored status of every offer in line with its window so listings
+ * and caches follow the schedule
+ */
+class OfferService {
+  /**
+   * Milliseconds a time zone is ahead of UTC at an instant
+   * @param {Date} date - Instant
+   * @param {string} timeZone - IANA time zone
+   * @returns {number} Offset in milliseconds
+   */
+  static zoneOffset(date, timeZone = STORE_TIMEZONE) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }).formatToParts(date);
+    const part = type => Number(parts.find(p => p.type === type).value);
+
+    const wallClock = Date.UTC(
+      part('year'),
+      part('month') - 1,
+      part('day'),
+      part('hour'),
+      part('minute'),
+      part('second')
+    );
+    return wallClock - (date.getTime() - date.getMilliseconds());
+  }
+
+  /**
+   * Parse an offer date. ISO dates with an offset are taken as given; dates
+   * and times without one are read in the store time zone, and a bare end
+   * date covers that whole day
+   * @param {string|Date|null} value - Date to parse
+   * @param {Object} options - timeZone and endOfDay (bare date ends the day)
+   * @returns {Date|null} Instant, or null when no date was given
+   * @throws {ValidationError} When the value is not a date
+   */
+  static parseDate(
+    value,
+    { timeZone = STORE_TIMEZONE, endOfDay = false } = {}
+  ) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const invalid = () =>
+      new ValidationError(`Invalid offer date '${value}'`, {
+        value,
+        format: 'ISO 8601',
+      });
+
+    if (value instanceof Date) {
+      if (Number.isNaN(value.getTime())) {
+        throw invalid();
+      }
+      return value;
+    }
+
+    const text = String(value).trim();
+    if (OFFSET_PATTERN.test(text)) {
+      const date = new Date(text);
+      if (Number.isNaN(date.getTime())) {
+        throw invalid();
+      }
+      return date;
+    }
+
+    const match = text.match(LOCAL_DATE_PATTERN);
+    if (!match) {
+      throw invalid();
+    }
+
+    const [, year, month, day, hour = 0, minute = 0, second = 0] = match;
+    let wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    if (endOfDay && match[4] === undefined) {
+      wallClock += DAY_MS;
+    }
+
+    // The offset of the wall-clock instant, corrected once for DST changes
+    let instant = wallClock - this.zoneOffset(new Date(wallClock), timeZone);
+    instant = wallClock - this.zoneOffset(new Date(instant), timeZone);
+    return new Date(instant);
+  }
+
+  /**
+   * Whether a window contains an instant: from its start (inclusive) to
+   * its end (exclusive), either side open when missing
+   * @param {Object} ofert - startDate and endDate
+   * @param {Date} now - Instant
+   * @returns {boolean} True inside the window
+   */
+  static isWithinWindow({ startDate, endDate }, now = new Date()) {
+    return (
+      (!startDate || new Date(startDate) <= now) &&
+      (!endDate || new Date(endDate) > now)
+    );
+  }
+
+  /**
+   * Offers of a product inside their window, best first: highest priority,
+   * then highest discount, then the oldest offer. Their status is filtered by
+   * the query loading them
+   * @param {Array<Object>} oferts - Enabled offers of a product
+   * @param {Date} now - Instant
+   * @returns {Array<Object>} Offers in effect
+   */
+  static effectiveOffers(oferts = [], now = new Date()) {
+    return (oferts || [])
+      .filter(ofert => this.isWithinWindow(ofert, now))
+      .sort(
+        (a, b) =>
+          (b.priority || 0) - (a.priority || 0) ||
+          (b.discountPercent || 0) - (a.discountPercent || 0) ||
+          (a.id ?? 0) - (b.id ?? 0)
+      );
+  }
+
+  /**
+   * The single offer that prices a product
+   * @param {Array<Object>} oferts - Enabled offers of a product
+   * @param {Date} now - Instant
+   * @returns {Object|null} Best offer in effect
+   */
+  static bestOffer(oferts, now = new Date()) {
+    return this.effectiveOffers(oferts, now)[0] || null;
+  }
+
+  /**
+   * Sequelize condition on Ofert matching the offers in effect
+   * @param {Date} now - Instant
+   * @returns {Object} Where clause
+   */
+  static effectiveWhere(now = new Date()) {
+    return {
+      status: true,
+      [Op.and]: [
+        { [Op.or]: [{ startDate: null }, { startDate: { [Op.lte]: now } }] },
+        { [Op.or]: [{ endDate: null }, { endDate: { [Op.gt]: now } }] },
+      ],
+    };
+  }
+
+  /**
+   * Sequelize condition on Ofert matching offers that will never apply
+   * again: past their end date, or disabled without a start to wait for
+   * @param {Date} now - Instant
+   * @returns {Object} Where clause
+   */
+  static endedWhere(now = new Date()) {
+    return {
+      [Op.or]: [
+        { endDate: { [Op.lte]: now } },
+        { status: false, startDate: null },
+      ],
+    };
+  }
+
+  /**
+   * SQL condition matching the offers in effect
+   * @param {string} alias - Alias of the ofert table in the query
+   * @param {Date} now - Instant
+   * @returns {string} SQL expression
+   */
+  static effectiveCondition(alias, now = new Date()) {
+    const column = attribute =>
+      `${alias}.${Ofert.rawAttributes[attribute].field}`;
+    const at = Ofert.sequelize.escape(now);
+
+    return `${column('status')} = true AND (${column(
+      'startDate'
+    )} IS NULL OR ${column('startDate')} <= ${at}) AND (${column(
+      'endDate'
+    )} IS NULL OR ${column('endDate')} > ${at})`;
+  }
+
+  /**
+   * Dates and status of an offer being created or edited. The status follows
+   * the window: offers starting later are saved inactive until the scheduler
+   * activates them
+   * @param {Object} values - startDate and endDate as sent by the admin
+   * @param {Object} current - Stored offer being edited (optional)
+   * @param {Date} now - Instant
+   * @returns {{startDate: Date|null, endDate: Date|null, status: boolean}} Values to store
+   * @throws {ValidationError} When a date is invalid or the window is empty
+   */
+  static schedule(values, current = {}, now = new Date()) {
+    const startDate =
+      values.startDate === undefined
+        ? (current.startDate ?? null)
+        : this.parseDate(values.startDate);
+    const endDate =
+      values.endDate === undefined
+        ? (current.endDate ?? null)
+        : this.parseDate(values.endDate, { endOfDay: true });
+
+    if (startDate && endDate && endDate <= startDate) {
+      throw new ValidationError('Offer end date must be after its start date', {
+        startDate,
+        endDate,
+      });
+    }
+
+    return {
+      startDate,
+      endDate,
+      status: this.isWithinWindow({ startDate, endDate }, now),
+    };
+  }
+
+  /**
+   * Values ending an offer now. The end date is moved so the scheduler never
+   * turns it back on
+   * @param {Object} ofert - Stored offer
+   * @param {Date} now - Instant
+   * @returns {{status: boolean, endDate: Date}} Values to store
+   */
+  static disable(ofert, now = new Date()) {
+    const endDate =
+      ofert.endDate && new Date(ofert.endDate) <= now
+        ? new Date(ofert.endDate)
+        : now;
+    return { status: false, endDate };
+  }
+
+  /**
+   * Campaign targets of an offer from admin input: integer ids, trimmed
+   * names, no duplicates. Only the targets given are returned
+   * @param {Object} values - productIds, categoryIds, brands, productTypes
+   * @returns {Object} Normalized targets
+   */
+  static normalizeTargets(values = {}) {
+    const targets = {};
+    TARGET_FIELDS.forEach(field => {
+      if (values[field] === undefined || values[field] === null) {
+        return;
+      }
+      const list = [].concat(values[field]);
+      targets[field] = field.endsWith('Ids')
+        ? [...new Set(list.map(Number).filter(Number.isInteger))]
+        : [...new Set(list.map(value => String(value).trim()).filter(Boolean))];
+    });
+    return targets;
+  }
+
+  /**
+   * Whether an offer was set up with campaign targets. Offers created before
+   * targets existed only have their Product_Oferts links
+   * @param {Object} ofert - Offer
+   * @returns {boolean} True when any target is set
+   */
+  static hasTargets(ofert) {
+    return TARGET_FIELDS.some(field => (ofert[field] || []).length > 0);
+  }
+
+  /**
+   * Whether a product is one of the targets of an offer. Brands and product
+   * types are compared case-insensitively
+   * @param {Object} ofert - Offer with its targets
+   * @param {Object} product - Product with brand, product_type and categories
+   * @returns {boolean} True when any target matches
+   */
+  static matchesTargets(ofert, product) {
+    const lower = value => String(value || '').toLowerCase();
+    const categoryIds = (product.categories || []).map(category => category.id);
+
+    return (
+      (ofert.productIds || []).includes(product.id) ||
+      (ofert.categoryIds || []).some(id => categoryIds.includes(id)) ||
+      (ofert.brands || []).some(
+        brand => lower(brand) === lower(product.brand)
+      ) ||
+      (ofert.productTypes || []).some(
+        type => lower(type) === lower(product.product_type)
+      )
+    );
+  }
+
+  /**
+   * Products an offer's targets resolve to
+   * @param {Object} ofert - Offer with its targets
+   * @param {Object} options - Sequelize options (transaction)
+   * @returns {Promise<Array<Model>>} Matching products
+   */
+  static async resolveProducts(ofert, options = {}) {
+    if (!this.hasTargets(ofert)) {
+      return [];
+    }
+
+    const lowerIn = (column, values) =>
+      where(fn('lower', col(`${Product.name}.${column}`)), {
+        [Op.in]: values.map(value => value.toLowerCase()),
+      });
+    const conditions = [];
+    if (ofert.productIds.length > 0) {
+      conditions.push({ id: ofert.productIds });
+    }
+    if (ofert.categoryIds.length > 0) {
+      conditions.push({ '$categories.id$': ofert.categoryIds });
+    }
+    if (ofert.brands.length > 0) {
+      conditions.push(lowerIn('brand', ofert.brands));
+    }
+    if (ofert.productTypes.length > 0) {
+      conditions.push(lowerIn('product_type', ofert.productTypes));
+    }
+
+    return Product.findAll({
+      attributes: ['id', 'name'],
+      where: { [Op.or]: conditions },
+      include: [
+        {
+          model: Categorie,
+          attributes: [],
+          through: { attributes: [] },
+          required: false,
+        },
+      ],
+      transaction: options.transaction,
+    });
+  }
+
+  /**
+   * Link an offer to the products its targets resolve to, replacing the
+   * previous links
+   * @param {Model} ofert - Stored offer
+   * @param {Object} options - Sequelize options (transaction)
+   * @returns {Promise<Array<Model>>} Linked products
+   */
+  static async applyTargets(ofert, options = {}) {
+    const products = await this.resolveProducts(ofert, options);
+    await ofert.setProducts(products, { transaction: options.transaction });
+
+    logger.logDatabase('setProducts', 'Ofert', {
+      ofertId: ofert.id,
+      products: products.length,
+    });
+    return products;
+  }
+
+  /**
+   * Link or unlink a created or edited product to the campaigns targeting
+   * it, so campaigns by category, brand or type pick up catalog changes.
+   * Offers without targets keep their links
+   * @param {number} productId - Product ID
+   * @returns {Promise<{linked: number, unlinked: number}>} Links changed
+   */
+  static async syncProduct(productId) {
+    const [product, oferts] = await Promise.all([
+      Product.findByPk(productId, {
+        include: [
+          {
+            model: Categorie,
+            attributes: ['id'],
+            through: { attributes: [] },
+          },
+        ],
+      }),
+      Ofert.findAll(),
+    ]);
+    if (!product) {
+      return { linked: 0, unlinked: 0 };
+    }
+
+    const campaigns = oferts.filter(ofert => this.hasTargets(ofert));
+    const linked = campaigns.filter(ofert =>
+      this.matchesTargets(ofert, product)
+    );
+    const unlinked = campaigns.filter(ofert => !linked.includes(ofert));
+
+    await product.addOferts(linked);
+    await product.removeOferts(unlinked);
+    this.invalidateProductCaches();
+
+    return { linked: linked.length, unlinked: unlinked.length };
+  }
+
+  /**
+   * Drop cached product listings and pages so prices follow offer changes
+   */
+  static invalidateProductCaches() {
+    cacheInstance.invalidatePattern('products');
+    cacheInstance.invalidatePattern('product_');
+    cache.deleteMatching('/product');
+  }
+
+  /**
+   * Activate offers whose window has opened and deactivate those whose
+   * window has closed. Offers without a start date are only ever enabled
+   * by an admin
+   * @param {Date} now - Instant
+   * @returns {Promise<{activated: number, expired: number}>} Offers flipped
+   */
+  static async syncStatuses(now = new Date()) {
+    const [[activated], [expired]] = await Promise.all([
+      Ofert.update(
+        { status: true },
+        {
+          where: {
+            status: false,
+            startDate: { [Op.lte]: now },
+            [Op.or]: [{ endDate: null }, { endDate: { [Op.gt]: now } }],
+          },
+        }
+      ),
+      Ofert.update(
+        { status: false },
+        {
+          where: {
+            status: true,
+            [Op.or]: [
+              { endDate: { [Op.lte]: now } },
+              { startDate: { [Op.gt]: now } },
+            ],
+          },
+        }
+      ),
+    ]);
+
+    if (activated > 0 || expired > 0) {
+      this.invalidateProductCaches();
+      logger.info('Offer schedule applied', { activated, expired });
+    }
+
+    return { activated, expired };
+  }
+}
+
+OfferService.STORE_TIMEZONE = STORE_TIMEZONE;
+OfferService.TARGET_FIELDS = TARGET_FIELDS;
+
+module.exports = OfferService;
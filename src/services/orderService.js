@@ -0,0 +1,338 @@
+const { Order } = require('../db');
+const {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require('../middleware/errorHandler');
+const OrderStatusService = require('./orderStatusService');
+const {
+  emailOrderPending,
+  sendEmailWithRetry,
+} = require('../helpers/allEmails');
+const logger = require('../utils/logger');
+
+// Orders a checkout session may still be paid for
+const PAYABLE_STATUSES = ['pending', 'failed'];
+
+// Orders a shopper may open a new checkout session for
+const RETRYABLE_STATUSES = ['failed', 'expired'];
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Order Service
+ * Ties each checkout session to the order it was created for, so payment
+ * data always lands on the order the shopper actually paid
+ */
+class OrderService {
+  /**
+   * Public order number, derived from the order itself
+   * @param {Object} order - Order with id and createdAt
+   * @param {Date} date - Date stamped in the number
+   * @returns {string} Order number, e.g. TS-20240131-1A2B3C4D
+   */
+  static generateNumber(order, date = order.createdAt || new Date()) {
+    const day = new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+    const suffix = String(order.id).replace(/-/g, '').slice(0, 8).toUpperCase();
+    return `TS-${day}-${suffix}`;
+  }
+
+  /**
+   * Pending order a checkout session will be created for. An existing order
+   * must belong to the shopper and still be waiting for payment, or have
+   * failed or expired (it goes back to pending); without one a new pending
+   * order is created from the cart.
+   * @param {Object} checkout - orderId (optional), userId, cart, its priced lines, their tax and the applied coupon
+   * @returns {Promise<Model>} Pending order
+   * @throws {NotFoundError} When the order does not exist for this shopper
+   * @throws {ConflictError} When the order is no longer pending
+   */
+  static async prepareCheckout({
+    orderId,
+    userId,
+    cart,
+    lines = [],
+    tax,
+    coupon,
+  }) {
+    const pricing = {
+      lineItems: this.snapshotLines(lines, tax),
+      subtotal: lines.reduce((sum, line) => sum + line.lineAmount, 0),
+      couponCode: coupon?.code ?? null,
+      discountAmount: coupon?.amount ?? 0,
+      taxAmount: tax?.amount ?? 0,
+      taxLines: tax?.taxLines ?? null,
+    };
+
+    if (!orderId) {
+      const order = await Order.create({
+        userId: String(userId),
+        orderProducts: cart,
+        ...pricing,
+      });
+      logger.logDatabase('create', 'Order', { orderId: order.id, userId });
+      return order;
+    }
+
+    if (!UUID_PATTERN.test(String(orderId))) {
+      throw new ValidationError('orderId must be a valid order UUID');
+    }
+
+    const order = await Order.findByPk(orderId);
+    if (!order || String(order.userId) !== String(userId)) {
+      throw new NotFoundError(`Order '${orderId}' not found`);
+    }
+
+    if (RETRYABLE_STATUSES.includes(order.status)) {
+      const { order: reopened } = await OrderStatusService.transition(
+        order,
+        'pending',
+        {
+          actorId: userId,
+          note: 'Checkout restarted',
+          changes: pricing,
+        }
+      );
+      return reopened;
+    }
+
+    if (order.status !== 'pending') {
+      throw new ConflictError(
+        `Order '${orderId}' is already ${order.status} and cannot be paid again`
+      );
+    }
+
+    return order.update(pricing);
+  }
+
+  /**
+   * Lines as priced at checkout, kept on the order for refunds
+   * @param {Array<Object>} lines - Priced cart lines, with their coupon discount
+   * @param {Object} tax - Tax of the lines, from TaxService.calculate
+   * @returns {Array<Object>} productId, name, quantity, unitAmount, lineAmount, discountAmount, taxAmount and taxInclusive
+   */
+  static snapshotLines(lines, tax) {
+    const taxByProduct = new Map(
+      (tax?.lines || []).map(line => [line.productId, line.taxAmount])
+    );
+
+    return lines.map(
+      ({
+        productId,
+        name,
+        quantity,
+        unitAmount,
+        lineAmount,
+        discountAmount,
+      }) => ({
+        productId,
+        name,
+        quantity,
+        unitAmount,
+        lineAmount,
+        discountAmount: discountAmount || 0,
+        taxAmount: taxByProduct.get(productId) || 0,
+        taxInclusive: tax?.inclusive ?? false,
+      })
+    );
+  }
+
+  /**
+   * Remember the checkout session created for a pending order
+   * @param {string} orderId - Order UUID
+   * @param {string} checkoutSessionId - Checkout session ID
+   * @returns {Promise<void>}
+   */
+  static async attachSession(orderId, checkoutSessionId) {
+    await Order.update(
+      { checkoutSessionId },
+      { where: { id: orderId, status: 'pending' } }
+    );
+  }
+
+  /**
+   * Order id a checkout session was created for
+   * @param {Object} session - Checkout session
+   * @returns {string|null} Order UUID
+   */
+  static orderIdFromSession(session) {
+    return session.client_reference_id || session.metadata?.order_id || null;
+  }
+
+  /**
+   * Order a checkout session was created for
+   * @param {Object} session - Checkout session
+   * @param {Object} options - Sequelize options (transaction)
+   * @returns {Promise<Model>} Order
+   * @throws {AppError} 422 ORDER_REFERENCE_MISSING when the session has no order
+   * @throws {NotFoundError} When the referenced order does not exist
+   */
+  static async orderForSession(session, { transaction } = {}) {
+    const orderId = this.orderIdFromSession(session);
+    if (!orderId) {
+      throw new AppError(
+        'Checkout session is not linked to an order',
+        422,
+        'ORDER_REFERENCE_MISSING',
+        { sessionId: session.id }
+      );
+    }
+
+    const order = await Order.findByPk(orderId, { transaction });
+    if (!order) {
+      throw new NotFoundError(`Order '${orderId}' not found`);
+    }
+
+    return order;
+  }
+
+  /**
+   * Mark the order of a paid checkout session as created and stamp the
+   * payment data on it. Redelivered events for the same session are no-ops.
+   * @param {Object} session - Completed checkout session
+   * @param {Object} options - Sequelize options (transaction)
+   * @returns {Promise<{order: Model, alreadyProcessed: boolean}>} Updated order
+   * @throws {AppError} 422 ORDER_REFERENCE_MISSING when the session has no order
+   * @throws {NotFoundError} When the referenced order does not exist
+   * @throws {ConflictError} When the order was already paid by another session
+   */
+  static async completeCheckout(session, { transaction } = {}) {
+    const order = await this.orderForSession(session, { transaction });
+    const orderId = order.id;
+
+    if (!PAYABLE_STATUSES.includes(order.status)) {
+      if (order.checkoutSessionId === session.id) {
+        return { order, alreadyProcessed: true };
+      }
+      throw new ConflictError(
+        `Order '${orderId}' was already paid by another checkout session`
+      );
+    }
+
+    if (order.checkoutSessionId && order.checkoutSessionId !== session.id) {
+      // The shopper reopened checkout; the older session was paid instead
+      logger.warn('Order paid through a superseded checkout session', {
+        orderId,
+        sessionId: session.id,
+        latestSessionId: order.checkoutSessionId,
+      });
+    }
+
+    const { order: updated } = await OrderStatusService.transition(
+      order,
+      'created',
+      {
+        actorId: 'stripe',
+        note: 'Payment completed',
+        transaction,
+        changes: {
+          number: order.number || this.generateNumber(order),
+          // The session subtotal also counts the tax line items
+          subtotal: order.subtotal ?? session.amount_subtotal,
+          shipping: session.customer_details,
+          total: session.amount_total,
+          checkoutSessionId: session.id,
+          paymentIntentId: session.payment_intent || null,
+        },
+      }
+    );
+
+    return { order: updated, alreadyProcessed: false };
+  }
+
+  /**
+   * Keep the order of a checkout paid by a delayed method pending until the
+   * money arrives, and tell the customer we are waiting for their bank
+   * @param {Object} session - Completed but unpaid checkout session
+   * @returns {Promise<Model>} Order
+   */
+  static async awaitPayment(session) {
+    const order = await this.orderForSession(session);
+
+    await order.update({
+      checkoutSessionId: session.id,
+      paymentIntentId: session.payment_intent || order.paymentIntentId,
+      shipping: session.customer_details || order.shipping,
+    });
+
+    logger.logPayment('payment_pending', {
+      orderId: order.id,
+      sessionId: session.id,
+    });
+
+    OrderStatusService.recipientFor(order)
+      .then(recipient =>
+        recipient
+          ? sendEmailWithRetry(emailOrderPending, recipient, order)
+          : null
+      )
+      .catch(error =>
+        logger.error('Payment pending email failed', {
+          orderId: order.id,
+          error: error.message,
+        })
+      );
+
+    return order;
+  }
+
+  /**
+   * Move the order of a failed payment to 'failed'; the status change sends
+   * the failure email with a link to retry the payment
+   * @param {string} orderId - Order UUID, from session or intent metadata
+   * @param {Object} details - reason of the failure
+   * @returns {Promise<{order: Model|null, changed: boolean}>} Outcome
+   */
+  static async failPayment(orderId, { reason = null } = {}) {
+    const order =
+      orderId && UUID_PATTERN.test(String(orderId))
+        ? await Order.findByPk(orderId)
+        : null;
+
+    if (!order) {
+      logger.warn('Payment failure not linked to an order', { orderId });
+      return { order: null, changed: false };
+    }
+
+    // A later successful attempt or an earlier failure already settled it
+    if (order.status !== 'pending') {
+      return { order, changed: false };
+    }
+
+    const { order: failed } = await OrderStatusService.transition(
+      order,
+      'failed',
+      { actorId: 'stripe', note: reason || 'Payment failed' }
+    );
+    return { order: failed, changed: true };
+  }
+
+  /**
+   * Move the order of an expired checkout session to 'expired', unless the
+   * shopper opened a newer session for it meanwhile
+   * @param {Object} session - Expired checkout session
+   * @returns {Promise<{order: Model, changed: boolean}>} Outcome
+   */
+  static async expireCheckout(session) {
+    const order = await this.orderForSession(session);
+
+    const superseded =
+      order.checkoutSessionId && order.checkoutSessionId !== session.id;
+    if (order.status !== 'pending' || superseded) {
+      return { order, changed: false };
+    }
+
+    const { order: expired } = await OrderStatusService.transition(
+      order,
+      'expired',
+      { actorId: 'stripe', note: 'Checkout session expired' }
+    );
+    return { order: expired, changed: true };
+  }
+}
+
+OrderService.PAYABLE_STATUSES = PAYABLE_STATUSES;
+
+module.exports = OrderService;
@@ -0,0 +1,262 @@
+const { Order, OrderStatusHistory, User, database } = require('../db');
+const {
+  AppError,
+  ValidationError,
+  NotFoundError,
+} = require('../middleware/errorHandler');
+const {
+  emailOrderSuccess,
+  emailOrderFailure,
+  emailOrderCancelled,
+  emailShippingNotification,
+  sendEmailWithRetry,
+} = require('../helpers/allEmails');
+const logger = require('../utils/logger');
+
+// Allowed next statuses for each order status; an empty list is terminal
+const TRANSITIONS = {
+  pending: ['created', 'failed', 'expired', 'cancelled'],
+  created: ['processing', 'cancelled', 'partially_refunded', 'refunded'],
+  processing: [
+    'shipped',
+    'completed',
+    'cancelled',
+    'partially_refunded',
+    'refunded',
+  ],
+  shipped: ['completed', 'partially_refunded', 'refunded'],
+  completed: ['partially_refunded', 'refunded'],
+  cancelled: [],
+  // A declined card can still be retried within the same checkout session
+  failed: ['pending', 'created', 'cancelled'],
+  expired: ['pending', 'cancelled'],
+  // The rest of a partially refunded order is still fulfilled
+  partially_refunded: ['processing', 'shipped', 'completed', 'refunded'],
+  refunded: [],
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+// Customer email sent when an order enters a status
+const STATUS_EMAILS = {
+  created: emailOrderSuccess,
+  shipped: emailShippingNotification,
+  cancelled: emailOrderCancelled,
+  failed: emailOrderFailure,
+};
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Order Status Service
+ * Every status change goes through the transition table, leaves an
+ * OrderStatusHistory record and notifies the customer
+ */
+class OrderStatusService {
+  /**
+   * Whether an order may move from one status to another
+   * @param {string} from - Current status
+   * @param {string} to - Requested status
+   * @returns {boolean} True when the transition is allowed
+   */
+  static canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Where-clause matching an order by UUID or by its public number
+   * @param {string} idOrNumber - Order UUID or number
+   * @returns {Object} Sequelize where clause
+   */
+  static orderWhere(idOrNumber) {
+    return UUID_PATTERN.test(String(idOrNumber))
+      ? { id: idOrNumber }
+      : { number: String(idOrNumber) };
+  }
+
+  /**
+   * Move an order to a new status
+   * @param {string|Model} orderRef - Order, order UUID or order number
+   * @param {string} toStatus - Requested status
+   * @param {Object} options - actorId, note, transaction and extra order changes
+   * @returns {Promise<{order: Model, history: Model}>} Updated order and history record
+   * @throws {ValidationError} When the status is unknown
+   * @throws {NotFoundError} When the order does not exist
+   * @throws {AppError} 409 INVALID_STATUS_TRANSITION for illegal transitions
+   */
+  static async transition(
+    orderRef,
+    toStatus,
+    { actorId = null, note = null, transaction, changes = {} } = {}
+  ) {
+    if (!STATUSES.includes(toStatus)) {
+      throw new ValidationError(`Unknown order status '${toStatus}'`, {
+        allowed: STATUSES,
+      });
+    }
+
+    const run = async t => {
+      const where =
+        typeof orderRef === 'object'
+          ? { id: orderRef.id }
+          : this.orderWhere(orderRef);
+      const order = await Order.findOne({
+        where,
+        lock: t.LOCK.UPDATE,
+        transaction: t,
+      });
+
+      if (!order) {
+        throw new NotFoundError(
+          `Order '${typeof orderRef === 'object' ? orderRef.id : orderRef}' not found`
+        );
+      }
+
+      const fromStatus = order.status;
+      if (!this.canTransition(fromStatus, toStatus)) {
+        throw new AppError(
+          `Order cannot move from '${fromStatus}' to '${toStatus}'`,
+          409,
+          'INVALID_STATUS_TRANSITION',
+          { from: fromStatus, to: toStatus, allowed: TRANSITIONS[fromStatus] }
+        );
+      }
+
+      await order.update({ ...changes, status: toStatus }, { transaction: t });
+
+      const history = await OrderStatusHistory.create(
+        {
+          orderId: order.id,
+          fromStatus,
+          toStatus,
+          actorId:
+            actorId === undefined || actorId === null ? null : String(actorId),
+          note,
+        },
+        { transaction: t }
+      );
+
+      return { order, history, fromStatus };
+    };
+
+    const { order, history, fromStatus } = transaction
+      ? await run(transaction)
+      : await database.transaction(run);
+
+    logger.info('Order status changed', {
+      orderId: order.id,
+      from: fromStatus,
+      to: toStatus,
+      actorId,
+    });
+
+    // Emails must never roll back or fail a status change already committed
+    const notification = this.notify(order, fromStatus);
+    if (transaction && typeof transaction.afterCommit === 'function') {
+      transaction.afterCommit(() => notification());
+    } else {
+      notification();
+    }
+
+    return { order, history };
+  }
+
+  /**
+   * Build the customer notification for a status change
+   * @param {Model} order - Order in its new status
+   * @param {string} fromStatus - Previous status
+   * @returns {Function} Fire-and-forget sender
+   */
+  static notify(order, fromStatus) {
+    return () => {
+      const emailFunction = STATUS_EMAILS[order.status];
+      if (!emailFunction) {
+        return Promise.resolve(null);
+      }
+
+      return this.recipientFor(order)
+        .then(recipient => {
+          if (!recipient) {
+            logger.warn('Order status email skipped: no recipient', {
+              orderId: order.id,
+              status: order.status,
+            });
+            return null;
+          }
+          return sendEmailWithRetry(emailFunction, recipient, order);
+        })
+        .then(result => {
+          if (result) {
+            logger.logEmail('order_status_notification', {
+              orderId: order.id,
+              from: fromStatus,
+              to: order.status,
+              messageId: result.messageId,
+            });
+          }
+          return result;
+        })
+        .catch(error => {
+          logger.error('Order status email failed', {
+            orderId: order.id,
+            status: order.status,
+            error: error.message,
+          });
+          return null;
+        });
+    };
+  }
+
+  /**
+   * Customer to notify about an order: checkout details first, then the user
+   * @param {Model} order - Order
+   * @returns {Promise<{name: string, email: string}|null>} Recipient
+   */
+  static async recipientFor(order) {
+    if (order.shipping?.email) {
+      return { name: order.shipping.name, email: order.shipping.email };
+    }
+
+    const userId = Number(order.userId);
+    if (!Number.isInteger(userId)) {
+      return null;
+    }
+
+    const user = await User.findByPk(userId, {
+      attributes: ['name', 'email'],
+    });
+    return user ? { name: user.name, email: user.email } : null;
+  }
+
+  /**
+   * Status history of an order, oldest first
+   * @param {string} idOrNumber - Order UUID or number
+   * @returns {Promise<{order: Model, history: Array<Model>}>} Order and its history
+   */
+  static async history(idOrNumber) {
+    const order = await Order.findOne({
+      where: this.orderWhere(idOrNumber),
+      attributes: ['id', 'number', 'status'],
+    });
+
+    if (!order) {
+      throw new NotFoundError(`Order '${idOrNumber}' not found`);
+    }
+
+    const history = await OrderStatusHistory.findAll({
+      where: { orderId: order.id },
+      order: [
+        ['createdAt', 'ASC'],
+        ['id', 'ASC'],
+      ],
+    });
+
+    return { order, history };
+  }
+}
+
+OrderStatusService.TRANSITIONS = TRANSITIONS;
+OrderStatusService.STATUSES = STATUSES;
+
+module.exports = OrderStatusService;
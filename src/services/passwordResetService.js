@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { PasswordResetToken, User, database } = require('../db');
+const { hashPassword, comparePassword } = require('../middleware/auth');
+const { emailService } = require('../helpers/emailService');
+const RefreshTokenService = require('./refreshTokenService');
+const {
+  AppError,
+  NotFoundError,
+  ValidationError,
+} = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const DEFAULT_EXPIRES_MINUTES = 30;
+
+/**
+ * Password Reset Service
+ * Emails single-use reset links whose tokens are only stored hashed,
+ * resets and changes passwords, and revokes every refresh token issued
+ * before the change
+ */
+class PasswordResetService {
+  /**
+   * Minutes a reset link stays valid
+   * @returns {number} Minutes
+   */
+  static expiresMinutes() {
+    return (
+      Number(process.env.PASSWORD_RESET_EXPIRES_MINUTES) ||
+      DEFAULT_EXPIRES_MINUTES
+    );
+  }
+
+  /**
+   * Stored form of a reset token
+   * @param {string} token - Token from the reset link
+   * @returns {string} SHA-256 hex digest
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Email a reset link to the owner of an address. Unknown and deactivated
+   * addresses get nothing, and the caller answers the same either way.
+   * Only the latest link of a user works
+   * @param {string} email - Address the reset was requested for
+   * @param {Date} now - Reference time
+   * @returns {Promise<boolean>} Whether a link was issued
+   */
+  static async request(email, now = new Date()) {
+    const user = await User.findOne({ where: { email: email.trim() } });
+    if (!user || !user.status) {
+      logger.info('Password reset requested for no active account');
+      return false;
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresMinutes = this.expiresMinutes();
+    await database.transaction(async transaction => {
+      await PasswordResetToken.destroy({
+        where: { userId: user.id, usedAt: null },
+        transaction,
+      });
+      await PasswordResetToken.create(
+        {
+          userId: user.id,
+          tokenHash: this.hashToken(token),
+          expiresAt: new Date(now.getTime() + expiresMinutes * 60 * 1000),
+        },
+        { transaction }
+      );
+    });
+
+    // Not awaited, so the response takes as long whether or not the account exists
+    emailService
+      .sendPasswordResetEmail(user, { token, expiresMinutes })
+      .catch(error => {
+        logger.error('Password reset email failed', {
+          userId: user.id,
+          error: error.message,
+        });
+      });
+
+    logger.info('Password reset link issued', { userId: user.id });
+    return true;
+  }
+
+  /**
+   * Set a new password and revoke the refresh tokens issued before it
+   * @param {Model} user - User
+   * @param {string} newPassword - Plain text password
+   * @param {Object} options - transaction
+   * @returns {Promise<Model>} Updated user
+   */
+  static async setPassword(user, newPassword, { transaction } = {}) {
+    await user.update(
+      { password: await hashPassword(newPassword) },
+      { transaction }
+    );
+    await RefreshTokenService.revokeAll(user.id, { transaction });
+    return user;
+  }
+
+  /**
+   * Reset a password with the token of a reset link, once
+   * @param {string} token - Token from the reset link
+   * @param {string} newPassword - Plain text password
+   * @param {Date} now - Reference time
+   * @returns {Promise<Model>} User whose password was reset
+   * @throws {AppError} When the token is unknown, used or expired, without telling which
+   */
+  static async reset(token, newPassword, now = new Date()) {
+    const invalid = new AppError(
+      'Invalid or expired reset link',
+      400,
+      'INVALID_PASSWORD_RESET_TOKEN'
+    );
+
+    const user = await database.transaction(async transaction => {
+      const resetToken = await PasswordResetToken.findOne({
+        where: {
+          tokenHash: this.hashToken(token),
+          usedAt: null,
+          expiresAt: { [Op.gt]: now },
+        },
+        transaction,
+      });
+      if (!resetToken) {
+        throw invalid;
+      }
+
+      // Claimed atomically, so two requests with one link cannot both reset
+      const [claimed] = await PasswordResetToken.update(
+        { usedAt: now },
+        { where: { id: resetToken.id, usedAt: null }, transaction }
+      );
+      if (claimed === 0) {
+        throw invalid;
+      }
+
+      const owner = await User.findByPk(resetToken.userId, { transaction });
+      if (!owner || !owner.status) {
+        throw invalid;
+      }
+
+      await this.setPassword(owner, newPassword, { transaction });
+      await PasswordResetToken.destroy({
+        where: { userId: owner.id, usedAt: null },
+        transaction,
+      });
+      return owner;
+    });
+
+    logger.info('Password reset', { userId: user.id });
+    return user;
+  }
+
+  /**
+   * Change the password of a signed-in user who knows the current one
+   * @param {number|string} userId - User ID
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   * @returns {Promise<Model>} Updated user
+   * @throws {AppError} When the current password is wrong or the new one is the same
+   */
+  static async changePassword(userId, currentPassword, newPassword) {
+    const user = await User.findByPk(userId);
+    if (!user || !user.status) {
+      throw new NotFoundError('User not found');
+    }
+    if (!user.password) {
+      throw new AppError(
+        'Password login not available for this account',
+        400,
+        'PASSWORD_NOT_SET'
+      );
+    }
+
+    if (!(await comparePassword(currentPassword, user.password))) {
+      throw new AppError(
+        'Current password is incorrect',
+        401,
+        'INVALID_CURRENT_PASSWORD'
+      );
+    }
+    if (currentPassword === newPassword) {
+      throw new ValidationError(
+        'New password must differ from the current one'
+      );
+    }
+
+    await this.setPassword(user, newPassword);
+    logger.info('Password changed', { userId: user.id });
+    return user;
+  }
+}
+
+module.exports = PasswordResetService;
@@ -0,0 +1,228 @@
+const { User, database } = require('../db');
+const { getPaymentProvider } = require('./payments');
+const logger = require('../utils/logger');
+
+/**
+ * Payment Customer Service
+ * Keeps one payment provider customer per user: created on the first
+ * checkout, reused afterwards and kept in step with the user's profile
+ */
+class PaymentCustomerService {
+  /**
+   * Customer to open a checkout session for. Registered users get their
+   * stored customer, created once under a lock on the user row so that
+   * concurrent checkouts do not create two; guests get a new one.
+   * @param {Object} shopper - id, email and name sent with the checkout
+   * @param {PaymentProvider} provider - Provider the session is opened with
+   * @returns {Promise<string>} Customer ID
+   */
+  static async customerIdFor(
+    { id, email, name },
+    provider = getPaymentProvider()
+  ) {
+    const metadata = { checkout_initiated_at: new Date().toISOString() };
+    const userId = Number(id);
+
+    const created = await database.transaction(async transaction => {
+      const user = Number.isInteger(userId)
+        ? await User.findByPk(userId, {
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+          })
+        : null;
+
+      if (!user) {
+        return null;
+      }
+
+      if (user.payment_customer_id && user.payment_provider === provider.name) {
+        return user.payment_customer_id;
+      }
+
+      const customer = await provider.createCustomer({
+        id: user.id,
+        email: user.email || email,
+        name: user.name || name,
+        metadata,
+      });
+      await user.update(
+        { payment_customer_id: customer.id, payment_provider: provider.name },
+        { transaction }
+      );
+
+      logger.logPayment('customer_linked', {
+        userId: user.id,
+        customerId: customer.id,
+        provider: provider.name,
+      });
+
+      return customer.id;
+    });
+
+    if (created) {
+      return created;
+    }
+
+    // Guest checkout: nothing to attach the customer to
+    const customer = await provider.createCustomer({
+      id,
+      email,
+      name,
+      metadata,
+    });
+    return customer.id;
+  }
+
+  /**
+   * Copy a changed email or name to the user's customer. Failures are
+   * logged and never fail the profile update itself.
+   * @param {Model} user - Updated user
+   * @param {Object} previous - email and name before the update
+   * @param {PaymentProvider} provider - Configured provider
+   * @returns {Promise<Object|null>} Updated customer, or null when nothing was sent
+   */
+  static async syncProfile(user, previous, provider = getPaymentProvider()) {
+    if (!user?.payment_customer_id || user.payment_provider !== provider.name) {
+      return null;
+    }
+
+    if (user.email === previous.email && user.name === previous.name) {
+      return null;
+    }
+
+    try {
+      return await provider.updateCustomer(user.payment_customer_id, {
+        email: user.email,
+        name: user.name,
+      });
+    } catch (error) {
+      logger.error('Failed to sync payment customer profile', {
+        userId: user.id,
+        customerId: user.payment_customer_id,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Which customer each user keeps and which duplicates go: the one stored
+   * on the user when it is among them, otherwise the oldest
+   * @param {Array<Object>} customers - Provider customers
+   * @param {Map<string, string>} storedIds - Customer ID stored per user ID
+   * @returns {Array<{userId: string, keep: string, remove: Array<string>}>} Plan per user
+   */
+  static planDedupe(customers, storedIds = new Map()) {
+    const byUser = new Map();
+    customers.forEach(customer => {
+      const userId = customer.metadata?.user_id;
+      if (!userId) {
+        return;
+      }
+      if (!byUser.has(userId)) {
+        byUser.set(userId, []);
+      }
+      byUser.get(userId).push(customer);
+    });
+
+    return [...byUser.entries()].map(([userId, group]) => {
+      const stored = group.find(
+        customer => customer.id === storedIds.get(userId)
+      );
+      const keep =
+        stored ||
+        group.reduce((oldest, customer) =>
+          customer.created < oldest.created ? customer : oldest
+        );
+
+      return {
+        userId,
+        keep: keep.id,
+        remove: group
+          .filter(customer => customer.id !== keep.id)
+          .map(customer => customer.id),
+      };
+    });
+  }
+
+  /**
+   * Collapse the provider's customers to one per user and store it on the
+   * user. Without apply nothing is changed and the plan is only reported.
+   * @param {Object} options - apply, and the provider to clean up
+   * @returns {Promise<Object>} scanned, users, linked, removed and the plan
+   */
+  static async dedupe({ apply = false, provider = getPaymentProvider() } = {}) {
+    const customers = [];
+    let startingAfter;
+    let hasMore = true;
+    while (hasMore) {
+      const page = await provider.listCustomers({ limit: 100, startingAfter });
+      customers.push(...page.data);
+      hasMore = page.hasMore && page.data.length > 0;
+      startingAfter = page.data[page.data.length - 1]?.id;
+    }
+
+    const userIds = [
+      ...new Set(
+        customers
+          .map(customer => Number(customer.metadata?.user_id))
+          .filter(Number.isInteger)
+      ),
+    ];
+    const users = userIds.length
+      ? await User.findAll({
+          where: { id: userIds },
+          attributes: ['id', 'payment_customer_id', 'payment_provider'],
+        })
+      : [];
+    const usersById = new Map(users.map(user => [String(user.id), user]));
+    const storedIds = new Map(
+      users
+        .filter(user => user.payment_provider === provider.name)
+        .map(user => [String(user.id), user.payment_customer_id])
+    );
+
+    const plan = this.planDedupe(customers, storedIds);
+    const report = {
+      applied: apply,
+      scanned: customers.length,
+      users: plan.length,
+      linked: 0,
+      removed: 0,
+      plan,
+    };
+
+    if (!apply) {
+      return report;
+    }
+
+    for (const { userId, keep, remove } of plan) {
+      const user = usersById.get(userId);
+      if (user && storedIds.get(userId) !== keep) {
+        await user.update({
+          payment_customer_id: keep,
+          payment_provider: provider.name,
+        });
+        report.linked += 1;
+      }
+
+      for (const customerId of remove) {
+        await provider.deleteCustomer(customerId);
+        report.removed += 1;
+      }
+
+      if (remove.length > 0) {
+        logger.logPayment('customers_deduplicated', {
+          userId,
+          kept: keep,
+          removed: remove,
+          provider: provider.name,
+        });
+      }
+    }
+
+    return report;
+  }
+}
+
+module.exports = PaymentCustomerService;
@@ -0,0 +1,386 @@
+const { Op, literal } = require('sequelize');
+const { Order, PaymentEvent } = require('../db');
+const {
+  AppError,
+  NotFoundError,
+  ConflictError,
+} = require('../middleware/errorHandler');
+const { getPaymentProvider } = require('./payments');
+const OrderService = require('./orderService');
+const CouponService = require('./couponService');
+const CartService = require('./cartService');
+const OrderStatusService = require('./orderStatusService');
+const RefundService = require('./refundService');
+const logger = require('../utils/logger');
+
+// Events in these statuses may be (re)claimed for processing
+const CLAIMABLE_STATUSES = ['received', 'failed'];
+
+// An event left in processing this long was abandoned by a worker that
+// crashed or timed out, and may be claimed again
+const DEFAULT_STALE_PROCESSING_MINUTES = 10;
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Payment Event Service
+ * Persists every webhook event by its provider event id so retried
+ * deliveries never repeat side effects, and failed ones can be replayed
+ */
+class PaymentEventService {
+  /**
+   * Order an event refers to, when its object carries one
+   * @param {Object} event - Webhook event
+   * @returns {string|null} Order UUID
+   */
+  static orderIdFor(event) {
+    const object = event.data?.object || {};
+    const orderId = object.client_reference_id || object.metadata?.order_id;
+    return orderId && UUID_PATTERN.test(orderId) ? orderId : null;
+  }
+
+  /**
+   * Checkout session an event refers to
+   * @param {Object} event - Webhook event
+   * @returns {string|null} Checkout session ID
+   */
+  static checkoutSessionIdFor(event) {
+    const object = event.data?.object || {};
+    return object.object === 'checkout.session' ? object.id : null;
+  }
+
+  /**
+   * Store the receipt of an event, or return the row already stored for it
+   * @param {Object} event - Webhook event
+   * @returns {Promise<{paymentEvent: Model, created: boolean}>} Stored event
+   * @throws {AppError} 400 WEBHOOK_EVENT_INVALID when the event has no id or type
+   */
+  static async record(event) {
+    if (!event || !event.id || !event.type) {
+      throw new AppError(
+        'Webhook event must have an id and a type',
+        400,
+        'WEBHOOK_EVENT_INVALID'
+      );
+    }
+
+    const [paymentEvent, created] = await PaymentEvent.findOrCreate({
+      where: { eventId: event.id },
+      defaults: {
+        type: event.type,
+        orderId: this.orderIdFor(event),
+        checkoutSessionId: this.checkoutSessionIdFor(event),
+        payload: event,
+      },
+    });
+
+    return { paymentEvent, created };
+  }
+
+  /**
+   * Atomically mark a stored event as being processed
+   * @param {Model} paymentEvent - Stored event
+   * @returns {Promise<boolean>} False when it is processed or in progress elsewhere
+   */
+  static async claim(paymentEvent) {
+    const [claimed] = await PaymentEvent.update(
+      { status: 'processing', attempts: literal('attempts + 1') },
+      {
+        where: {
+          id: paymentEvent.id,
+          [Op.or]: [
+            { status: CLAIMABLE_STATUSES },
+            {
+              status: 'processing',
+              updatedAt: { [Op.lt]: this.staleProcessingBefore() },
+            },
+          ],
+        },
+      }
+    );
+    return claimed === 1;
+  }
+
+  /**
+   * Minutes after which an event still in processing counts as abandoned
+   * @returns {number} Minutes
+   */
+  static staleProcessingMinutes() {
+    const configured = Number(process.env.PAYMENT_EVENT_STALE_MINUTES);
+    return Number.isFinite(configured) && configured > 0
+      ? configured
+      : DEFAULT_STALE_PROCESSING_MINUTES;
+  }
+
+  /**
+   * Events in processing last touched before this date are abandoned
+   * @returns {Date} Cutoff
+   */
+  static staleProcessingBefore() {
+    return new Date(Date.now() - this.staleProcessingMinutes() * 60 * 1000);
+  }
+
+  /**
+   * Whether a stored event is stuck in processing
+   * @param {Model} paymentEvent - Stored event
+   * @returns {boolean} True when its processing was abandoned
+   */
+  static isStale(paymentEvent) {
+    return (
+      paymentEvent.status === 'processing' &&
+      new Date(paymentEvent.updatedAt) < this.staleProcessingBefore()
+    );
+  }
+
+  /**
+   * Apply the side effects of an event
+   * @param {Object} event - Webhook event
+   * @returns {Promise<Object>} Summary of what was done, stored with the event
+   */
+  static async handle(event) {
+    const result = await getPaymentProvider().processWebhookEvent(event);
+    const summary = {
+      processed: result.processed,
+      reason: result.reason || null,
+    };
+
+    if (!result.processed) {
+      return summary;
+    }
+
+    switch (event.type) {
+      case 'checkout.session.completed':
+        if (result.paymentStatus === 'unpaid') {
+          const order = await OrderService.awaitPayment(result.session);
+          summary.orderId = order.id;
+          summary.paymentStatus = 'unpaid';
+          break;
+        }
+        await this.completeOrder(result, summary);
+        break;
+
+      case 'checkout.session.async_payment_succeeded':
+        await this.completeOrder(result, summary);
+        break;
+
+      case 'checkout.session.async_payment_failed': {
+        const { order, changed } = await OrderService.failPayment(
+          OrderService.orderIdFromSession(result.session),
+          { reason: 'Delayed payment failed' }
+        );
+        summary.orderId = order?.id || null;
+        summary.orderChanged = changed;
+        summary.stockReleased = result.released;
+        summary.couponReleased = await this.releaseCoupon(order, changed);
+        break;
+      }
+
+      case 'payment_intent.payment_failed': {
+        const { order, changed } = await OrderService.failPayment(
+          result.paymentIntent.metadata?.order_id,
+          { reason: result.error?.message }
+        );
+        summary.orderId = order?.id || null;
+        summary.orderChanged = changed;
+        summary.stockReleased = result.released;
+        summary.couponReleased = await this.releaseCoupon(order, changed);
+        break;
+      }
+
+      case 'checkout.session.expired': {
+        const { order, changed } = await OrderService.expireCheckout(
+          result.session
+        );
+        summary.orderId = order.id;
+        summary.orderChanged = changed;
+        summary.stockReleased = result.released;
+        summary.couponReleased = await this.releaseCoupon(order, changed);
+        break;
+      }
+
+      case 'charge.refunded': {
+        const { order, applied } = await RefundService.syncFromCharge(
+          result.charge
+        );
+        summary.orderId = order?.id || null;
+        summary.refundsApplied = applied;
+        break;
+      }
+
+      default:
+        break;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Mark the order of a paid session as created; the status change emails the
+   * customer their confirmation
+   * @param {Object} result - Webhook processing result with the session
+   * @param {Object} summary - Summary to complete
+   * @returns {Promise<void>}
+   */
+  static async completeOrder(result, summary) {
+    const { order, alreadyProcessed } = await OrderService.completeCheckout(
+      result.session
+    );
+    summary.orderId = order.id;
+    summary.orderNumber = order.number;
+    summary.alreadyProcessed = alreadyProcessed;
+    summary.stockCommitted = result.stock?.committed || 0;
+
+    if (!alreadyProcessed && order.couponCode) {
+      summary.couponRedeemed = (await CouponService.redeem(order.id)) > 0;
+    }
+
+    // The stored cart the checkout started from has been bought
+    const cartId = result.session?.metadata?.cart_id;
+    if (!alreadyProcessed && cartId) {
+      summary.cartOrdered = await CartService.markOrdered(cartId, order.id);
+    }
+  }
+
+  /**
+   * Give back the coupon of an order whose payment failed or expired, so
+   * it no longer counts against the coupon's limits
+   * @param {Model|null} order - Order
+   * @param {boolean} changed - Whether the event changed the order
+   * @returns {Promise<boolean>} Whether a redemption was released
+   */
+  static async releaseCoupon(order, changed) {
+    if (!order?.couponCode || !changed) {
+      return false;
+    }
+    return (await CouponService.release(order.id)) > 0;
+  }
+
+  /**
+   * Record an event and process it once. Retried deliveries of an event
+   * already processed, or being processed, are acknowledged without effects.
+   * @param {Object} event - Webhook event
+   * @returns {Promise<{paymentEvent: Model, duplicate: boolean, result: Object}>} Outcome
+   */
+  static async process(event) {
+    const { paymentEvent } = await this.record(event);
+
+    if (!(await this.claim(paymentEvent))) {
+      logger.logPayment('webhook_duplicate', {
+        eventId: event.id,
+        eventType: event.type,
+        status: paymentEvent.status,
+      });
+      return { paymentEvent, duplicate: true, result: paymentEvent.result };
+    }
+
+    try {
+      const result = await this.handle(event);
+      await paymentEvent.update({
+        status: result.processed ? 'processed' : 'ignored',
+        orderId: result.orderId || paymentEvent.orderId,
+        result,
+        error: null,
+        processedAt: new Date(),
+      });
+      return { paymentEvent, duplicate: false, result };
+    } catch (error) {
+      await paymentEvent.update({ status: 'failed', error: error.message });
+      logger.logPayment('webhook_failed', {
+        eventId: event.id,
+        eventType: event.type,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Process a failed, or abandoned, event again from its stored payload
+   * @param {string} id - PaymentEvent ID
+   * @param {Object} options - actorId of the admin replaying it
+   * @returns {Promise<Object>} Processing outcome
+   * @throws {NotFoundError} When the event does not exist
+   * @throws {ConflictError} When the event neither failed nor was abandoned
+   */
+  static async replay(id, { actorId = null } = {}) {
+    const paymentEvent = await PaymentEvent.findByPk(id);
+    if (!paymentEvent) {
+      throw new NotFoundError(`Payment event '${id}' not found`);
+    }
+
+    if (paymentEvent.status !== 'failed' && !this.isStale(paymentEvent)) {
+      throw new ConflictError(
+        `Only failed or abandoned events can be replayed; this one is ${paymentEvent.status}`
+      );
+    }
+
+    logger.logPayment('webhook_replay', {
+      eventId: paymentEvent.eventId,
+      eventType: paymentEvent.type,
+      attempts: paymentEvent.attempts,
+      actorId,
+    });
+
+    return this.process(paymentEvent.payload);
+  }
+
+  /**
+   * Stored events, newest first
+   * @param {Object} filters - orderId (UUID or number), type and status
+   * @param {Object} options - limit and offset
+   * @returns {Promise<{rows: Array<Model>, count: number}>} Events
+   * @throws {NotFoundError} When the order does not exist
+   */
+  static async list({ orderId, type, status } = {}, { limit, offset } = {}) {
+    const where = {};
+
+    if (orderId) {
+      const order = await Order.findOne({
+        where: OrderStatusService.orderWhere(orderId),
+        attributes: ['id'],
+      });
+      if (!order) {
+        throw new NotFoundError(`Order '${orderId}' not found`);
+      }
+      where.orderId = order.id;
+    }
+    if (type) {
+      where.type = type;
+    }
+    if (status) {
+      where.status = status;
+    }
+
+    return PaymentEvent.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset,
+    });
+  }
+
+  /**
+   * One stored event with its payload
+   * @param {string} id - PaymentEvent ID
+   * @returns {Promise<Model>} Stored event
+   * @throws {NotFoundError} When the event does not exist
+   */
+  static async get(id) {
+    const paymentEvent = await PaymentEvent.findByPk(id);
+    if (!paymentEvent) {
+      throw new NotFoundError(`Payment event '${id}' not found`);
+    }
+    return paymentEvent;
+  }
+}
+
+PaymentEventService.STATUSES = [
+  'received',
+  'processing',
+  'processed',
+  'ignored',
+  'failed',
+];
+
+module.exports = PaymentEventService;
@@ -0,0 +1,563 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+const {
+  AppError,
+  NotFoundError,
+  ConflictError,
+} = require('../../middleware/errorHandler');
+const logger = require('../../utils/logger');
+
+// Seconds a signed webhook stays valid, as for Stripe
+const SIGNATURE_TOLERANCE = 300;
+
+// What a shopper can do on the fake hosted checkout page
+const OUTCOMES = [
+  'succeed',
+  'decline',
+  'async_pending',
+  'async_succeed',
+  'async_fail',
+  'expire',
+];
+
+/**
+ * Fake Payment Provider
+ * Offline stand-in for Stripe: keeps customers, sessions, payment intents
+ * and refunds in memory, serves a hosted checkout page of its own and signs
+ * the webhook events it produces, so the whole purchase flow runs locally
+ * and in CI without network access. Never available in production.
+ */
+class FakePaymentProvider extends PaymentProvider {
+  /**
+   * @param {Object} options - webhookSecret and baseUrl of the hosted page
+   * @throws {Error} When NODE_ENV is production
+   */
+  constructor({
+    webhookSecret = process.env.FAKE_PAYMENT_WEBHOOK_SECRET,
+    baseUrl = process.env.FAKE_PAYMENT_BASE_URL,
+  } = {}) {
+    super('fake');
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('The fake payment provider cannot run in production');
+    }
+
+    this.webhookSecret = webhookSecret || 'fake_webhook_secret';
+    this.baseUrl =
+      baseUrl ||
+      `http://localhost:${process.env.PORT || 3001}/api/checkout/fake`;
+    this.reset();
+  }
+
+  /**
+   * Forget every object and pending failure
+   */
+  reset() {
+    this.customers = new Map();
+    this.sessions = new Map();
+    this.paymentIntents = new Map();
+    this.refunds = new Map();
+    this.refundsByKey = new Map();
+    this.failures = new Map();
+  }
+
+  /**
+   * Make the next call to an operation fail, as a provider outage would
+   * @param {string} operation - Name of the provider method, e.g. createCheckoutSession
+   * @param {Error} error - Error to throw
+   */
+  failNext(
+    operation,
+    error = new AppError(
+      'Payment service temporarily unavailable',
+      502,
+      'PAYMENT_SERVICE_ERROR'
+    )
+  ) {
+    const queue = this.failures.get(operation) || [];
+    queue.push(error);
+    this.failures.set(operation, queue);
+  }
+
+  /**
+   * Throw the failure queued for an operation, if any
+   * @param {string} operation - Operation about to run
+   */
+  injectFailure(operation) {
+    const queue = this.failures.get(operation);
+    if (queue && queue.length > 0) {
+      throw queue.shift();
+    }
+  }
+
+  /**
+   * Object ID in the provider's format
+   * @param {string} prefix - Object prefix, e.g. cs or pi
+   * @returns {string} ID
+   */
+  generateId(prefix) {
+    return `${prefix}_fake_${crypto.randomBytes(12).toString('hex')}`;
+  }
+
+  async createCustomer(customerData) {
+    this.injectFailure('createCustomer');
+
+    const { id, email, name, metadata = {} } = customerData;
+    const customer = {
+      id: this.generateId('cus'),
+      object: 'customer',
+      email: email || null,
+      name: name || null,
+      created: Math.floor(Date.now() / 1000),
+      metadata: { user_id: String(id), ...metadata },
+    };
+    this.customers.set(customer.id, customer);
+
+    return this.copy(customer);
+  }
+
+  async updateCustomer(customerId, customerData) {
+    this.injectFailure('updateCustomer');
+
+    const customer = this.customerFor(customerId);
+    const { email, name } = customerData;
+    Object.assign(customer, {
+      ...(email !== undefined && { email }),
+      ...(name !== undefined && { name }),
+    });
+
+    return this.copy(customer);
+  }
+
+  async listCustomers({ limit = 100, startingAfter } = {}) {
+    this.injectFailure('listCustomers');
+
+    // Newest first, as Stripe lists them
+    const customers = [...this.customers.values()].reverse();
+    const start = startingAfter
+      ? customers.findIndex(customer => customer.id === startingAfter) + 1
+      : 0;
+    const data = customers.slice(start, start + limit);
+
+    return {
+      data: data.map(customer => this.copy(customer)),
+      hasMore: start + limit < customers.length,
+    };
+  }
+
+  async deleteCustomer(customerId) {
+    this.injectFailure('deleteCustomer');
+
+    this.customerFor(customerId);
+    this.customers.delete(customerId);
+
+    return { id: customerId, object: 'customer', deleted: true };
+  }
+
+  async createCheckoutSession(sessionData) {
+    this.injectFailure('createCheckoutSession');
+
+    const {
+      customerId,
+      lineItems,
+      successUrl,
+      cancelUrl,
+      mode = 'payment',
+      currency = 'usd',
+      shippingOptions = [],
+      allowedCountries = [],
+      metadata = {},
+      expiresAt = null,
+      clientReferenceId = null,
+    } = sessionData;
+
+    if (!Array.isArray(lineItems) || lineItems.length === 0) {
+      throw new AppError('Line items are required', 400, 'INVALID_LINE_ITEMS');
+    }
+    if (customerId && !this.customers.has(customerId)) {
+      throw new AppError(
+        `Invalid request: no such customer '${customerId}'`,
+        400,
+        'INVALID_PAYMENT_REQUEST'
+      );
+    }
+
+    const amountSubtotal = lineItems.reduce(
+      (sum, item) => sum + item.price_data.unit_amount * item.quantity,
+      0
+    );
+    const id = this.generateId('cs');
+    const session = {
+      id,
+      object: 'checkout.session',
+      url: `${this.baseUrl}/${id}`,
+      mode,
+      currency,
+      status: 'open',
+      payment_status: 'unpaid',
+      customer: customerId || null,
+      customer_details: null,
+      client_reference_id: clientReferenceId ? String(clientReferenceId) : null,
+      metadata,
+      line_items: lineItems,
+      shipping_options: shippingOptions,
+      shipping_address_collection: allowedCountries.length
+        ? { allowed_countries: allowedCountries }
+        : null,
+      amount_subtotal: amountSubtotal,
+      amount_total: amountSubtotal,
+      payment_intent: null,
+      success_url: successUrl,
+      cancel_url: cancelUrl,
+      expires_at: Math.floor(
+        (expiresAt
+          ? new Date(expiresAt).getTime()
+          : Date.now() + 24 * 60 * 60 * 1000) / 1000
+      ),
+    };
+    this.sessions.set(id, session);
+
+    logger.info('Checkout session created', {
+      provider: this.name,
+      sessionId: id,
+      customerId,
+    });
+
+    return this.copy(session);
+  }
+
+  async retrieveSession(sessionId) {
+    this.injectFailure('retrieveSession');
+    return this.copy(this.sessionFor(sessionId));
+  }
+
+  async createRefund(refundData) {
+    this.injectFailure('createRefund');
+
+    const {
+      paymentIntentId,
+      amount,
+      metadata = {},
+      idempotencyKey,
+    } = refundData;
+
+    // The same key returns the original refund, as Stripe does
+    if (idempotencyKey && this.refundsByKey.has(idempotencyKey)) {
+      return { ...this.refundsByKey.get(idempotencyKey) };
+    }
+
+    const paymentIntent = this.paymentIntents.get(paymentIntentId);
+    if (!paymentIntent || paymentIntent.status !== 'succeeded') {
+      throw new AppError(
+        `Invalid request: no succeeded payment '${paymentIntentId}'`,
+        400,
+        'INVALID_PAYMENT_REQUEST'
+      );
+    }
+
+    const refundable = paymentIntent.amount - paymentIntent.amount_refunded;
+    const refundAmount = amount === undefined ? refundable : amount;
+    if (!Number.isInteger(refundAmount) || refundAmount <= 0) {
+      throw new AppError(
+        'Invalid request: refund amount must be a positive integer',
+        400,
+        'INVALID_PAYMENT_REQUEST'
+      );
+    }
+    if (refundAmount > refundable) {
+      throw new AppError(
+        `Invalid request: refund of ${refundAmount} exceeds the ${refundable} left`,
+        400,
+        'INVALID_PAYMENT_REQUEST'
+      );
+    }
+
+    paymentIntent.amount_refunded += refundAmount;
+    const refund = {
+      id: this.generateId('re'),
+      object: 'refund',
+      amount: refundAmount,
+      currency: paymentIntent.currency,
+      payment_intent: paymentIntentId,
+      status: 'succeeded',
+      metadata,
+    };
+    this.refunds.set(refund.id, refund);
+    if (idempotencyKey) {
+      this.refundsByKey.set(idempotencyKey, refund);
+    }
+
+    logger.logPayment('refund_created', {
+      provider: this.name,
+      refundId: refund.id,
+      paymentIntentId,
+      amount: refundAmount,
+      status: refund.status,
+    });
+
+    return { ...refund };
+  }
+
+  /**
+   * Play what a shopper does on the hosted checkout page
+   * @param {string} sessionId - Checkout session ID
+   * @param {string} outcome - One of FakePaymentProvider.OUTCOMES
+   * @param {Object} details - customerDetails and the shippingOption index chosen
+   * @returns {Array<Object>} Webhook events the provider sends, in order
+   * @throws {NotFoundError} When the session does not exist
+   * @throws {ConflictError} When the session cannot take this outcome
+   */
+  simulate(sessionId, outcome, { customerDetails, shippingOption = 0 } = {}) {
+    if (!OUTCOMES.includes(outcome)) {
+      throw new AppError(
+        `Unknown checkout outcome '${outcome}'`,
+        400,
+        'VALIDATION_ERROR',
+        { outcomes: OUTCOMES }
+      );
+    }
+
+    const session = this.sessionFor(sessionId);
+    const settling = ['async_succeed', 'async_fail'].includes(outcome);
+    const awaitingPayment =
+      session.status === 'complete' && session.payment_status === 'unpaid';
+
+    if (settling ? !awaitingPayment : session.status !== 'open') {
+      throw new ConflictError(
+        `Checkout session '${sessionId}' is ${session.status} and cannot ${outcome}`
+      );
+    }
+
+    logger.logPayment('fake_checkout', { sessionId, outcome });
+
+    switch (outcome) {
+      case 'succeed': {
+        const paymentIntent = this.pay(session, {
+          customerDetails,
+          shippingOption,
+        });
+        paymentIntent.status = 'succeeded';
+        session.payment_status = 'paid';
+        return [
+          this.event('checkout.session.completed', session),
+          this.event('payment_intent.succeeded', paymentIntent),
+        ];
+      }
+
+      case 'decline': {
+        const paymentIntent = this.intentFor(session);
+        paymentIntent.status = 'requires_payment_method';
+        paymentIntent.last_payment_error = {
+          type: 'card_error',
+          code: 'card_declined',
+          message: 'Your card was declined.',
+        };
+        return [this.event('payment_intent.payment_failed', paymentIntent)];
+      }
+
+      case 'async_pending': {
+        const paymentIntent = this.pay(session, {
+          customerDetails,
+          shippingOption,
+        });
+        paymentIntent.status = 'processing';
+        return [this.event('checkout.session.completed', session)];
+      }
+
+      case 'async_succeed': {
+        const paymentIntent = this.paymentIntents.get(session.payment_intent);
+        paymentIntent.status = 'succeeded';
+        session.payment_status = 'paid';
+        return [
+          this.event('checkout.session.async_payment_succeeded', session),
+          this.event('payment_intent.succeeded', paymentIntent),
+        ];
+      }
+
+      case 'async_fail': {
+        const paymentIntent = this.paymentIntents.get(session.payment_intent);
+        paymentIntent.status = 'requires_payment_method';
+        return [this.event('checkout.session.async_payment_failed', session)];
+      }
+
+      default:
+        session.status = 'expired';
+        return [this.event('checkout.session.expired', session)];
+    }
+  }
+
+  /**
+   * Complete a session with the shopper's details and chosen shipping
+   * @param {Object} session - Stored session
+   * @param {Object} details - customerDetails and shippingOption index
+   * @returns {Object} Stored payment intent of the session
+   */
+  pay(session, { customerDetails, shippingOption }) {
+    const customer = this.customers.get(session.customer) || {};
+    const shipping =
+      session.shipping_options[shippingOption]?.shipping_rate_data?.fixed_amount
+        ?.amount || 0;
+
+    session.status = 'complete';
+    session.amount_total = session.amount_subtotal + shipping;
+    session.customer_details = customerDetails || {
+      email: customer.email || null,
+      name: customer.name || null,
+      address: null,
+    };
+
+    const paymentIntent = this.intentFor(session);
+    paymentIntent.amount = session.amount_total;
+    return paymentIntent;
+  }
+
+  /**
+   * Payment intent of a session, created on the first payment attempt
+   * @param {Object} session - Stored session
+   * @returns {Object} Stored payment intent
+   */
+  intentFor(session) {
+    if (!session.payment_intent) {
+      const paymentIntent = {
+        id: this.generateId('pi'),
+        object: 'payment_intent',
+        amount: session.amount_total,
+        amount_refunded: 0,
+        currency: session.currency,
+        customer: session.customer,
+        status: 'requires_payment_method',
+        metadata: session.metadata,
+        last_payment_error: null,
+      };
+      this.paymentIntents.set(paymentIntent.id, paymentIntent);
+      session.payment_intent = paymentIntent.id;
+    }
+    return this.paymentIntents.get(session.payment_intent);
+  }
+
+  /**
+   * Stored customer
+   * @param {string} customerId - Customer ID
+   * @returns {Object} Customer
+   * @throws {NotFoundError} When it does not exist
+   */
+  customerFor(customerId) {
+    const customer = this.customers.get(customerId);
+    if (!customer) {
+      throw new NotFoundError(`Customer '${customerId}' not found`);
+    }
+    return customer;
+  }
+
+  /**
+   * Stored session
+   * @param {string} sessionId - Checkout session ID
+   * @returns {Object} Session
+   * @throws {NotFoundError} When it does not exist
+   */
+  sessionFor(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new NotFoundError(`Checkout session '${sessionId}' not found`);
+    }
+    return session;
+  }
+
+  /**
+   * Webhook event carrying a snapshot of an object
+   * @param {string} type - Event type
+   * @param {Object} object - Object the event is about
+   * @returns {Object} Event
+   */
+  event(type, object) {
+    return {
+      id: this.generateId('evt'),
+      object: 'event',
+      type,
+      created: Math.floor(Date.now() / 1000),
+      livemode: false,
+      data: { object: this.copy(object) },
+    };
+  }
+
+  /**
+   * Serialize and sign an event the way it is delivered to the webhook
+   * @param {Object} event - Webhook event
+   * @param {number} timestamp - Signing time in seconds
+   * @returns {{payload: string, signature: string}} Body and signature header
+   */
+  signEvent(event, timestamp = Math.floor(Date.now() / 1000)) {
+    const payload = JSON.stringify(event);
+    return { payload, signature: this.sign(payload, timestamp) };
+  }
+
+  /**
+   * Signature header for a payload: t=<timestamp>,v1=<HMAC-SHA256>
+   * @param {string} payload - Request body
+   * @param {number} timestamp - Signing time in seconds
+   * @returns {string} Signature header value
+   */
+  sign(payload, timestamp) {
+    const digest = crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(`${timestamp}.${payload}`)
+      .digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  verifyWebhook(payload, signature) {
+    const body = Buffer.isBuffer(payload)
+      ? payload.toString('utf8')
+      : typeof payload === 'string'
+        ? payload
+        : JSON.stringify(payload);
+
+    const parts = Object.fromEntries(
+      String(signature || '')
+        .split(',')
+        .map(part => part.split('='))
+    );
+    const timestamp = Number(parts.t);
+    const expected = Buffer.from(this.sign(body, timestamp));
+    const received = Buffer.from(String(signature || ''));
+
+    const valid =
+      Number.isInteger(timestamp) &&
+      Math.abs(Date.now() / 1000 - timestamp) <= SIGNATURE_TOLERANCE &&
+      expected.length === received.length &&
+      crypto.timingSafeEqual(expected, received);
+
+    if (!valid) {
+      logger.error('Webhook signature verification failed', {
+        provider: this.name,
+      });
+      throw new AppError(
+        'Invalid webhook signature',
+        400,
+        'WEBHOOK_SIGNATURE_INVALID'
+      );
+    }
+
+    const event = JSON.parse(body);
+    logger.info('Webhook signature verified', {
+      provider: this.name,
+      eventType: event.type,
+      eventId: event.id,
+    });
+    return event;
+  }
+
+  /**
+   * Deep copy, so callers never hold the provider's own objects
+   * @param {Object} object - Object to copy
+   * @returns {Object} Copy
+   */
+  copy(object) {
+    return JSON.parse(JSON.stringify(object));
+  }
+}
+
+FakePaymentProvider.OUTCOMES = OUTCOMES;
+FakePaymentProvider.SIGNATURE_TOLERANCE = SIGNATURE_TOLERANCE;
+
+module.exports = FakePaymentProvider;
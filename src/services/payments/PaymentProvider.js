@@ -0,0 +1,367 @@
+const { AppError } = require('../../middleware/errorHandler');
+const logger = require('../../utils/logger');
+const StockReservationService = require('../stockReservationService');
+
+/**
+ * Payment Provider
+ * Interface every payment provider implements. Providers speak Stripe's
+ * object shapes (checkout sessions, payment intents, charges, events) so
+ * orders, refunds and the webhook log stay provider-agnostic; the stock
+ * side of each webhook event is handled here once for all of them.
+ */
+class PaymentProvider {
+  /**
+   * @param {string} name - Provider name, as selected by PAYMENT_PROVIDER
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether payments are simulated or made against a sandbox
+   * @returns {boolean} True outside live mode
+   */
+  get isTestMode() {
+    return true;
+  }
+
+  /**
+   * Request header carrying the webhook signature
+   * @returns {string} Lower-case header name
+   */
+  get signatureHeader() {
+    return `${this.name}-signature`;
+  }
+
+  /**
+   * Create a customer
+   * @param {Object} _customerData - id, email, name and metadata
+   * @returns {Promise<Object>} Customer object
+   */
+  async createCustomer(_customerData) {
+    throw this.notImplemented('createCustomer');
+  }
+
+  /**
+   * Update a customer's contact details
+   * @param {string} _customerId - Customer ID
+   * @param {Object} _customerData - email and name
+   * @returns {Promise<Object>} Customer object
+   */
+  async updateCustomer(_customerId, _customerData) {
+    throw this.notImplemented('updateCustomer');
+  }
+
+  /**
+   * List customers one page at a time
+   * @param {Object} _options - limit and startingAfter (customer ID cursor)
+   * @returns {Promise<{data: Array<Object>, hasMore: boolean}>} Page of customers
+   */
+  async listCustomers(_options) {
+    throw this.notImplemented('listCustomers');
+  }
+
+  /**
+   * Delete a customer
+   * @param {string} _customerId - Customer ID
+   * @returns {Promise<Object>} Deletion confirmation
+   */
+  async deleteCustomer(_customerId) {
+    throw this.notImplemented('deleteCustomer');
+  }
+
+  /**
+   * Create a hosted checkout session
+   * @param {Object} _sessionData - customerId, lineItems, URLs, shippingOptions, allowedCountries, metadata, expiresAt, clientReferenceId
+   * @returns {Promise<Object>} Checkout session with the URL to send the shopper to
+   */
+  async createCheckoutSession(_sessionData) {
+    throw this.notImplemented('createCheckoutSession');
+  }
+
+  /**
+   * Retrieve a checkout session
+   * @param {string} _sessionId - Checkout session ID
+   * @returns {Promise<Object>} Checkout session
+   */
+  async retrieveSession(_sessionId) {
+    throw this.notImplemented('retrieveSession');
+  }
+
+  /**
+   * Refund all or part of a payment
+   * @param {Object} _refundData - paymentIntentId, amount in cents, metadata and idempotencyKey
+   * @returns {Promise<Object>} Refund object
+   */
+  async createRefund(_refundData) {
+    throw this.notImplemented('createRefund');
+  }
+
+  /**
+   * Verify a webhook request and parse its event
+   * @param {Buffer|string|Object} _payload - Raw request body
+   * @param {string} _signature - Signature header value
+   * @returns {Object} Verified webhook event
+   * @throws {AppError} 400 WEBHOOK_SIGNATURE_INVALID when it does not verify
+   */
+  verifyWebhook(_payload, _signature) {
+    throw this.notImplemented('verifyWebhook');
+  }
+
+  /**
+   * Process webhook events with proper error handling
+   * @param {Object} event - Webhook event
+   * @returns {Promise<Object>} Processing result
+   */
+  async processWebhookEvent(event) {
+    try {
+      const { type, data } = event;
+
+      logger.info('Processing webhook event', {
+        provider: this.name,
+        eventType: type,
+        eventId: event.id,
+      });
+
+      switch (type) {
+        case 'checkout.session.completed':
+          return await this.handleCheckoutSessionCompleted(data.object);
+
+        case 'checkout.session.async_payment_succeeded':
+          return await this.handleAsyncPaymentSucceeded(data.object);
+
+        case 'checkout.session.async_payment_failed':
+          return await this.handleAsyncPaymentFailed(data.object);
+
+        case 'checkout.session.expired':
+          return await this.handleCheckoutSessionExpired(data.object);
+
+        case 'payment_intent.succeeded':
+          return await this.handlePaymentIntentSucceeded(data.object);
+
+        case 'payment_intent.payment_failed':
+          return await this.handlePaymentIntentFailed(data.object);
+
+        case 'charge.refunded':
+          return await this.handleChargeRefunded(data.object);
+
+        case 'customer.created':
+          return await this.handleCustomerCreated(data.object);
+
+        default:
+          logger.info('Unhandled webhook event type', { eventType: type });
+          return { processed: false, reason: 'Unhandled event type' };
+      }
+    } catch (error) {
+      logger.error('Webhook event processing failed', {
+        provider: this.name,
+        error: error.message,
+        eventType: event.type,
+        eventId: event.id,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Handle checkout session completed event
+   * @param {Object} session - Checkout session object
+   * @returns {Promise<Object>} Processing result
+   */
+  async handleCheckoutSessionCompleted(session) {
+    try {
+      // Delayed payment methods complete the session before the money
+      // arrives; their stock is committed on async_payment_succeeded
+      const stock =
+        session.payment_status === 'unpaid'
+          ? { committed: 0, products: [] }
+          : await this.commitReservation(session.metadata);
+
+      return {
+        processed: true,
+        session,
+        stock,
+        paymentStatus: session.payment_status || 'paid',
+        customerDetails: session.customer_details,
+      };
+    } catch (error) {
+      logger.error('Failed to handle checkout session completed', {
+        error: error.message,
+        sessionId: session.id,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Handle a delayed payment that finally succeeded
+   * @param {Object} session - Checkout session object
+   * @returns {Promise<Object>} Processing result
+   */
+  async handleAsyncPaymentSucceeded(session) {
+    logger.logPayment('async_payment_succeeded', { sessionId: session.id });
+
+    const stock = await this.commitReservation(session.metadata);
+
+    return {
+      processed: true,
+      session,
+      stock,
+      status: 'succeeded',
+      customerDetails: session.customer_details,
+    };
+  }
+
+  /**
+   * Handle a delayed payment that failed
+   * @param {Object} session - Checkout session object
+   * @returns {Promise<Object>} Processing result
+   */
+  async handleAsyncPaymentFailed(session) {
+    logger.logPayment('async_payment_failed', { sessionId: session.id });
+
+    const released = await this.releaseReservation(session.metadata);
+
+    return {
+      processed: true,
+      session,
+      released,
+      status: 'failed',
+    };
+  }
+
+  /**
+   * Handle a checkout session that expired without payment
+   * @param {Object} session - Checkout session object
+   * @returns {Promise<Object>} Processing result
+   */
+  async handleCheckoutSessionExpired(session) {
+    logger.info('Checkout session expired', { sessionId: session.id });
+
+    const released = await this.releaseReservation(session.metadata, 'expired');
+
+    return {
+      processed: true,
+      session,
+      released,
+      status: 'expired',
+    };
+  }
+
+  /**
+   * Handle payment intent succeeded event
+   * @param {Object} paymentIntent - Payment intent object
+   * @returns {Promise<Object>} Processing result
+   */
+  async handlePaymentIntentSucceeded(paymentIntent) {
+    logger.info('Payment succeeded', {
+      paymentIntentId: paymentIntent.id,
+      amount: paymentIntent.amount,
+      currency: paymentIntent.currency,
+    });
+
+    return {
+      processed: true,
+      paymentIntent,
+      status: 'succeeded',
+    };
+  }
+
+  /**
+   * Handle payment intent failed event
+   * @param {Object} paymentIntent - Payment intent object
+   * @returns {Promise<Object>} Processing result
+   */
+  async handlePaymentIntentFailed(paymentIntent) {
+    logger.error('Payment failed', {
+      paymentIntentId: paymentIntent.id,
+      lastPaymentError: paymentIntent.last_payment_error,
+    });
+
+    const released = await this.releaseReservation(paymentIntent.metadata);
+
+    return {
+      processed: true,
+      paymentIntent,
+      released,
+      status: 'failed',
+      error: paymentIntent.last_payment_error,
+    };
+  }
+
+  /**
+   * Handle charge refunded event, including refunds issued from the dashboard
+   * @param {Object} charge - Charge object
+   * @returns {Promise<Object>} Processing result
+   */
+  async handleChargeRefunded(charge) {
+    logger.logPayment('charge_refunded', {
+      chargeId: charge.id,
+      paymentIntentId: charge.payment_intent,
+      amountRefunded: charge.amount_refunded,
+    });
+
+    return {
+      processed: true,
+      charge,
+      status: charge.refunded ? 'refunded' : 'partially_refunded',
+    };
+  }
+
+  /**
+   * Handle customer created event
+   * @param {Object} customer - Customer object
+   * @returns {Promise<Object>} Processing result
+   */
+  async handleCustomerCreated(customer) {
+    logger.info('Customer created via webhook', {
+      customerId: customer.id,
+      email: customer.email,
+    });
+
+    return {
+      processed: true,
+      customer,
+    };
+  }
+
+  /**
+   * Commit the stock reservation referenced by session metadata
+   * @param {Object} metadata - Session metadata
+   * @returns {Promise<{committed: number, products: Array<Object>}>} Commit result
+   */
+  async commitReservation(metadata) {
+    const reservationKey = metadata?.reservation_key;
+    return reservationKey
+      ? StockReservationService.commit(reservationKey)
+      : { committed: 0, products: [] };
+  }
+
+  /**
+   * Release the stock reservation referenced by session or intent metadata
+   * @param {Object} metadata - Session or payment intent metadata
+   * @param {string} status - 'released' or 'expired'
+   * @returns {Promise<number>} Number of reservation lines released
+   */
+  async releaseReservation(metadata, status = 'released') {
+    const reservationKey = metadata?.reservation_key;
+    return reservationKey
+      ? StockReservationService.release(reservationKey, status)
+      : 0;
+  }
+
+  /**
+   * Error for an operation a provider does not support
+   * @param {string} operation - Method name
+   * @returns {AppError} 501 PAYMENT_OPERATION_UNSUPPORTED
+   */
+  notImplemented(operation) {
+    return new AppError(
+      `Payment provider '${this.name}' does not implement ${operation}`,
+      501,
+      'PAYMENT_OPERATION_UNSUPPORTED'
+    );
+  }
+}
+
+module.exports = PaymentProvider;
@@ -0,0 +1,101 @@
+const PaymentProvider = require('./PaymentProvider');
+const { AppError } = require('../../middleware/errorHandler');
+const logger = require('../../utils/logger');
+
+/**
+ * Stripe Payment Provider
+ * Payments through Stripe hosted checkout. The Stripe SDK is only loaded
+ * when this provider is first used, since its configuration requires
+ * STRIPE_SECRET_KEY.
+ */
+class StripePaymentProvider extends PaymentProvider {
+  constructor() {
+    super('stripe');
+  }
+
+  /**
+   * Stripe service, loaded on first use
+   * @returns {Object} StripeService
+   */
+  get service() {
+    return require('../stripeService');
+  }
+
+  /**
+   * Stripe configuration, loaded on first use
+   * @returns {Object} stripeConfig
+   */
+  get config() {
+    return require('../../config/stripe').stripeConfig;
+  }
+
+  get isTestMode() {
+    return Boolean(this.config.isTestMode);
+  }
+
+  async createCustomer(customerData) {
+    return this.service.createCustomer(customerData);
+  }
+
+  async updateCustomer(customerId, customerData) {
+    return this.service.updateCustomer(customerId, customerData);
+  }
+
+  async listCustomers(options) {
+    return this.service.listCustomers(options);
+  }
+
+  async deleteCustomer(customerId) {
+    return this.service.deleteCustomer(customerId);
+  }
+
+  async createCheckoutSession(sessionData) {
+    return this.service.createCheckoutSession(sessionData);
+  }
+
+  async retrieveSession(sessionId) {
+    return this.service.retrieveCheckoutSession(sessionId);
+  }
+
+  async createRefund(refundData) {
+    return this.service.createRefund(refundData);
+  }
+
+  /**
+   * Verify the Stripe-Signature of a webhook request. Outside production an
+   * unsigned request is accepted when no webhook secret is configured.
+   * @param {Buffer|string|Object} payload - Raw request body
+   * @param {string} signature - Stripe-Signature header value
+   * @returns {Object} Verified webhook event
+   * @throws {AppError} 400 WEBHOOK_SIGNATURE_INVALID or WEBHOOK_SIGNATURE_REQUIRED
+   */
+  verifyWebhook(payload, signature) {
+    const webhookSecret = this.config.webhook.secret;
+
+    if (webhookSecret && signature) {
+      return this.service.verifyWebhookSignature(
+        payload,
+        signature,
+        webhookSecret
+      );
+    }
+
+    // Fallback for development (not recommended for production)
+    if (process.env.NODE_ENV === 'production') {
+      throw new AppError(
+        'Webhook signature verification required in production',
+        400,
+        'WEBHOOK_SIGNATURE_REQUIRED'
+      );
+    }
+
+    logger.warn(
+      'Webhook processed without signature verification (development only)'
+    );
+    return Buffer.isBuffer(payload)
+      ? JSON.parse(payload.toString('utf8'))
+      : payload;
+  }
+}
+
+module.exports = StripePaymentProvider;
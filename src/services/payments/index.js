@@ -0,0 +1,63 @@
+const PaymentProvider = require('./PaymentProvider');
+const StripePaymentProvider = require('./StripePaymentProvider');
+const FakePaymentProvider = require('./FakePaymentProvider');
+
+/**
+ * Payment providers
+ * The provider checkout, webhooks and refunds go through is chosen with
+ * PAYMENT_PROVIDER: 'stripe' (default) or 'fake' for offline runs.
+ */
+
+const PROVIDERS = {
+  stripe: StripePaymentProvider,
+  fake: FakePaymentProvider,
+};
+
+const instances = new Map();
+let active = null;
+
+/**
+ * Provider instance, created once per name
+ * @param {string} name - Provider name; defaults to PAYMENT_PROVIDER
+ * @returns {PaymentProvider} Provider
+ * @throws {Error} When no provider has that name
+ */
+const getPaymentProvider = name => {
+  if (!name && active) {
+    return active;
+  }
+
+  const providerName = (
+    name ||
+    process.env.PAYMENT_PROVIDER ||
+    'stripe'
+  ).toLowerCase();
+  const Provider = PROVIDERS[providerName];
+  if (!Provider) {
+    throw new Error(
+      `Unknown payment provider '${providerName}'; expected one of ${Object.keys(PROVIDERS).join(', ')}`
+    );
+  }
+
+  if (!instances.has(providerName)) {
+    instances.set(providerName, new Provider());
+  }
+  return instances.get(providerName);
+};
+
+/**
+ * Use a given provider instead of the configured one, e.g. in tests
+ * @param {PaymentProvider|null} provider - Provider, or null to go back to the configuration
+ */
+const setPaymentProvider = provider => {
+  active = provider;
+};
+
+module.exports = {
+  PaymentProvider,
+  StripePaymentProvider,
+  FakePaymentProvider,
+  PROVIDERS,
+  getPaymentProvider,
+  setPaymentProvider,
+};
@@ -0,0 +1,733 @@
+const { Op, fn, col, literal } = require('sequelize');
+const {
+  Product,
+  Categorie,
+  Ofert,
+  Review,
+  User,
+  Category_Products,
+  Product_Oferts,
+} = require('../db');
+const { NotFoundError } = require('../middleware/errorHandler');
+const StockReservationService = require('./stockReservationService');
+const OfferService = require('./offerService');
+const logger = require('../utils/logger');
+
+/**
+ * Product Catalog Service
+ * Builds catalog queries (full-text search, combinable filters, ordering)
+ * against the Product table so every listing endpoint behaves the same way
+ */
+
+// 'simple' keeps brand and product names intact (no language stemming)
+const SEARCH_CONFIG = 'simple';
+
+const SORTABLE_FIELDS = ['relevance', 'name', 'price', 'rating', 'createdAt'];
+
+// Legacy sort parameters (?alpha=asc, ?price=desc, ?rating=desc) and their fields
+const LEGACY_SORTS = { alpha: 'name', price: 'price', rating: 'rating' };
+
+// Price facet buckets, upper bound exclusive (null = no upper bound)
+const PRICE_RANGES = [
+  [0, 10],
+  [10, 25],
+  [25, 50],
+  [50, 100],
+  [100, null],
+];
+
+// Rating facet thresholds ("4 stars & up")
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+// Stock at or below this level is reported as "low_stock" on the product page
+const LOW_STOCK_THRESHOLD = 5;
+
+const RELATED_PRODUCTS_LIMIT = 8;
+const DETAIL_REVIEWS_LIMIT = 10;
+
+class ProductCatalogService {
+  /**
+   * Quote an identifier for raw SQL fragments
+   * @param {string} identifier - Table, alias or column name
+   * @returns {string} Quoted identifier
+   */
+  static quote(identifier) {
+    return Product.sequelize.getQueryInterface().quoteIdentifier(identifier);
+  }
+
+  /**
+   * Escape a value for raw SQL fragments
+   * @param {*} value - Value to escape
+   * @returns {string} Escaped SQL literal
+   */
+  static escape(value) {
+    return Product.sequelize.escape(value);
+  }
+
+  /**
+   * Split a comma separated query value into a clean list
+   * @param {string|Array} value - Raw query value
+   * @returns {Array<string>} Trimmed, non-empty values
+   */
+  static toList(value) {
+    if (value === undefined || value === null || value === '') {
+      return [];
+    }
+
+    const values = Array.isArray(value) ? value : String(value).split(',');
+    return values.map(item => String(item).trim()).filter(Boolean);
+  }
+
+  /**
+   * Escape LIKE wildcards so user input is matched literally
+   * @param {string} value - Raw value
+   * @returns {string} Value safe for ILIKE comparisons
+   */
+  static escapeLike(value) {
+    return value.replace(/[\\%_]/g, match => `\\${match}`);
+  }
+
+  /**
+   * Build the weighted text search document for a product row
+   * @param {string} alias - Alias of the product table in the query
+   * @returns {string} SQL tsvector expression
+   */
+  static searchDocument(alias = Product.name) {
+    const product = this.quote(alias);
+    const categories = `(SELECT string_agg(c.name, ' ') FROM ${this.quote(
+      Categorie.getTableName()
+    )} c INNER JOIN ${this.quote(
+      Category_Products.getTableName()
+    )} cp ON cp.categorie_id = c.id WHERE cp.product_id = ${product}.id)`;
+
+    const weighted = (expression, weight) =>
+      `setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(${expression}, '')), '${weight}')`;
+
+    return [
+      weighted(`${product}.name`, 'A'),
+      weighted(`${product}.brand`, 'A'),
+      weighted(`replace(${product}.product_type, '_', ' ')`, 'B'),
+      weighted(`array_to_string(${product}.tag_list, ' ')`, 'B'),
+      weighted(categories, 'B'),
+      weighted(`${product}.description`, 'C'),
+    ].join(' || ');
+  }
+
+  /**
+   * Build a prefix tsquery from free text ("mayb lip" => mayb:* & lip:*)
+   * @param {string} text - Free text search term
+   * @returns {string|null} SQL tsquery expression or null when empty
+   */
+  static searchQuery(text) {
+    const terms = String(text || '')
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu);
+
+    if (!terms || terms.length === 0) {
+      return null;
+    }
+
+    const query = terms.map(term => `${term}:*`).join(' & ');
+    return `to_tsquery('${SEARCH_CONFIG}', ${this.escape(query)})`;
+  }
+
+  /**
+   * SQL condition matching products with an offer in effect
+   * @param {string} alias - Alias of the product table in the query
+   * @returns {string} SQL EXISTS expression
+   */
+  static activeOfferCondition(alias = Product.name) {
+    return `EXISTS (SELECT 1 FROM ${this.quote(
+      Product_Oferts.getTableName()
+    )} po INNER JOIN ${this.quote(
+      Ofert.getTableName()
+    )} o ON o.id = po.ofert_id WHERE po.product_id = ${this.quote(
+      alias
+    )}.id AND ${OfferService.effectiveCondition('o')})`;
+  }
+
+  /**
+   * Build the WHERE clause for a set of catalog filters
+   * @param {Object} filters - Catalog filters
+   * @param {Object} options - Builder options
+   * @param {string} options.alias - Alias of the product table in the query
+   * @param {Array<string>} options.exclude - Filter names to leave out
+   * @returns {Object} Sequelize where clause
+   */
+  static buildWhere(filters = {}, { alias = Product.name, exclude = [] } = {}) {
+    const product = this.quote(alias);
+    const active = name => !exclude.includes(name);
+    const conditions = [{ status: true }];
+
+    const tsQuery = active('q') ? this.searchQuery(filters.q) : null;
+    if (tsQuery) {
+      conditions.push(literal(`(${this.searchDocument(alias)}) @@ ${tsQuery}`));
+    }
+
+    if (active('name') && filters.name) {
+      conditions.push({
+        name: { [Op.iLike]: `%${this.escapeLike(String(filters.name))}%` },
+      });
+    }
+
+    const brands = active('brand') ? this.toList(filters.brand) : [];
+    if (brands.length > 0) {
+      conditions.push({
+        brand: {
+          [Op.iLike]: { [Op.any]: brands.map(b => this.escapeLike(b)) },
+        },
+      });
+    }
+
+    const productTypes = active('product_type')
+      ? this.toList(filters.product_type)
+      : [];
+    if (productTypes.length > 0) {
+      conditions.push({
+        product_type: {
+          [Op.iLike]: { [Op.any]: productTypes.map(t => this.escapeLike(t)) },
+        },
+      });
+    }
+
+    const categories = active('categorie')
+      ? this.toList(filters.categorie)
+      : [];
+    if (categories.length > 0) {
+      const names = categories
+        .map(name => this.escape(this.escapeLike(name)))
+        .join(', ');
+      conditions.push(
+        literal(
+          `EXISTS (SELECT 1 FROM ${this.quote(
+            Category_Products.getTableName()
+          )} cp INNER JOIN ${this.quote(
+            Categorie.getTableName()
+          )} c ON c.id = cp.categorie_id WHERE cp.product_id = ${product}.id AND c.name ILIKE ANY (ARRAY[${names}]))`
+        )
+      );
+    }
+
+    if (active('price')) {
+      const price = this.range(filters.minPrice, filters.maxPrice);
+      if (price) {
+        conditions.push({ price });
+      }
+    }
+
+    if (active('rating')) {
+      const rating = this.range(filters.minRating, filters.maxRating);
+      if (rating) {
+        conditions.push({ rating });
+      }
+    }
+
+    const tags = active('tag') ? this.toList(filters.tag) : [];
+    if (tags.length > 0) {
+      conditions.push({ tag_list: { [Op.overlap]: tags } });
+    }
+
+    if (active('onOffer') && filters.onOffer !== undefined) {
+      const onOffer = filters.onOffer === true || filters.onOffer === 'true';
+      const condition = this.activeOfferCondition(alias);
+      conditions.push(literal(onOffer ? condition : `NOT ${condition}`));
+    }
+
+    return { [Op.and]: conditions };
+  }
+
+  /**
+   * Build an inclusive numeric range condition
+   * @param {number|string} min - Lower bound (optional)
+   * @param {number|string} max - Upper bound (optional)
+   * @returns {Object|null} Sequelize range condition or null when unbounded
+   */
+  static range(min, max) {
+    const condition = {};
+    if (min !== undefined && min !== null && min !== '') {
+      condition[Op.gte] = Number(min);
+    }
+    if (max !== undefined && max !== null && max !== '') {
+      condition[Op.lte] = Number(max);
+    }
+    return Object.getOwnPropertySymbols(condition).length > 0
+      ? condition
+      : null;
+  }
+
+  /**
+   * Build the ORDER BY clause for a catalog query
+   * @param {Object} filters - Catalog filters (used for relevance ranking)
+   * @param {string} sortBy - Requested sort field
+   * @param {string} order - ASC or DESC
+   * @returns {Array} Sequelize order clause
+   */
+  static buildOrder(filters = {}, sortBy = 'relevance', order = 'DESC') {
+    const direction = order === 'ASC' ? 'ASC' : 'DESC';
+    const tsQuery = this.searchQuery(filters.q);
+
+    if (sortBy === 'relevance') {
+      if (tsQuery) {
+        return [
+          [
+            literal(`ts_rank_cd(${this.searchDocument()}, ${tsQuery})`),
+            direction,
+          ],
+          ['id', 'ASC'],
+        ];
+      }
+      return [
+        ['rating', 'DESC'],
+        ['id', 'ASC'],
+      ];
+    }
+
+    return [
+      [sortBy, direction],
+      ['id', 'ASC'],
+    ];
+  }
+
+  /**
+   * Include for the offers in effect on a product: enabled and inside their
+   * start and end dates
+   * @param {Array<string>} attributes - Ofert attributes to load
+   * @returns {Object} Sequelize include
+   */
+  static activeOfferInclude(
+    attributes = ['id', 'discountPercent', 'priority']
+  ) {
+    return {
+      model: Ofert,
+      attributes,
+      through: { attributes: [] },
+      where: OfferService.effectiveWhere(),
+      required: false,
+    };
+  }
+
+  /**
+   * Load categories and offers for a page of products and serialize them
+   * @param {Array<Model>} products - Products loaded without associations
+   * @returns {Promise<Array<Object>>} Serialized products
+   */
+  static async hydrate(products) {
+    if (products.length === 0) {
+      return [];
+    }
+
+    const ids = products.map(product => product.id);
+    const [related, reserved] = await Promise.all([
+      Product.findAll({
+        where: { id: ids },
+        attributes: ['id'],
+        include: [
+          {
+            model: Categorie,
+            attributes: ['name'],
+            through: { attributes: [] },
+          },
+          this.activeOfferInclude(),
+        ],
+        order: [[Ofert, 'discountPercent', 'DESC']],
+      }),
+      StockReservationService.reservedQuantities(ids),
+    ]);
+    const byId = new Map(related.map(product => [product.id, product]));
+
+    return products.map(product => {
+      const associations = byId.get(product.id);
+      return this.serialize(
+        {
+          ...product.toJSON(),
+          categories: associations?.categories || [],
+          oferts: associations?.oferts || [],
+        },
+        reserved.get(product.id)
+      );
+    });
+  }
+
+  /**
+   * Serialize a product adding its discounted price and unreserved stock.
+   * Only offers in effect are kept, best first, and the best one prices it
+   * @param {Object} product - Plain product with its oferts
+   * @param {number} reserved - Quantity held by active stock reservations
+   * @returns {Object} Product ready for the API response
+   */
+  static serialize(product, reserved = 0) {
+    const data =
+      typeof product.toJSON === 'function' ? product.toJSON() : product;
+    const oferts = OfferService.effectiveOffers(data.oferts);
+    const discount = oferts[0]?.discountPercent || 0;
+    const price = Number(data.price);
+
+    return {
+      ...data,
+      ...(data.oferts && { oferts }),
+      discountPrice:
+        discount > 0
+          ? Math.round((price - (price * discount) / 100) * 100) / 100
+          : price,
+      ...(data.stock !== undefined && {
+        availableStock: StockReservationService.availableStock(data, reserved),
+      }),
+    };
+  }
+
+  /**
+   * Resolve the sort requested through legacy params (?alpha=asc) or sortBy/order
+   * @param {Object} query - Request query
+   * @param {Object} defaults - Fallback sortBy and order
+   * @returns {{sortBy: string, order: string}} Sort field and direction
+   */
+  static resolveSort(query = {}, defaults = {}) {
+    const legacy = Object.keys(LEGACY_SORTS).find(param =>
+      ['asc', 'desc'].includes(String(query[param]).toLowerCase())
+    );
+
+    if (legacy) {
+      return {
+        sortBy: LEGACY_SORTS[legacy],
+        order: String(query[legacy]).toUpperCase(),
+      };
+    }
+
+    return {
+      sortBy: defaults.sortBy || 'relevance',
+      order: (defaults.order || 'DESC').toUpperCase(),
+    };
+  }
+
+  /**
+   * Ranked, optionally paginated catalog query
+   * @param {Object} filters - q, name, brand, product_type, categorie, price, rating, tag and onOffer filters
+   * @param {Object} options - limit, offset, sortBy, order (limit omitted = all rows)
+   * @returns {Promise<{rows: Array<Object>, count: number}>} Matching products
+   */
+  static async find(filters, options = {}) {
+    const { limit, offset, sortBy, order } = options;
+    const tsQuery = this.searchQuery(filters.q);
+
+    const attributes = tsQuery
+      ? {
+          include: [
+            [
+              literal(`ts_rank_cd(${this.searchDocument()}, ${tsQuery})`),
+              'relevance',
+            ],
+          ],
+        }
+      : undefined;
+
+    logger.logDatabase('findAndCountAll', 'Product', { filters, options });
+
+    const { rows, count } = await Product.findAndCountAll({
+      where: this.buildWhere(filters),
+      attributes,
+      order: this.buildOrder(filters, sortBy, order),
+      limit,
+      offset,
+    });
+
+    return { rows: await this.hydrate(rows), count };
+  }
+
+  /**
+   * Count products per value of a column, ignoring that column's own filter
+   * @param {Object} filters - Catalog filters
+   * @param {string} field - Column to group by
+   * @param {string} filterName - Filter to exclude for the column
+   * @returns {Promise<Array<{value: string, count: number}>>} Facet values
+   */
+  static async columnFacet(filters, field, filterName = field) {
+    const rows = await Product.findAll({
+      where: this.buildWhere(filters, { exclude: [filterName] }),
+      attributes: [
+        [col(field), 'value'],
+        [fn('COUNT', col('id')), 'count'],
+      ],
+      group: [field],
+      order: [[literal('count'), 'DESC']],
+      raw: true,
+    });
+
+    return rows
+      .filter(row => row.value !== null)
+      .map(row => ({ value: row.value, count: Number(row.count) }));
+  }
+
+  /**
+   * Count products per category, ignoring the category filter
+   * @param {Object} filters - Catalog filters
+   * @returns {Promise<Array<{value: string, count: number}>>} Facet values
+   */
+  static async categoryFacet(filters) {
+    const alias = 'products';
+    const rows = await Categorie.findAll({
+      attributes: [
+        ['name', 'value'],
+        [fn('COUNT', fn('DISTINCT', col(`${alias}.id`))), 'count'],
+      ],
+      include: [
+        {
+          model: Product,
+          attributes: [],
+          through: { attributes: [] },
+          where: this.buildWhere(filters, { alias, exclude: ['categorie'] }),
+          required: true,
+        },
+      ],
+      group: [col(`${Categorie.name}.id`), col(`${Categorie.name}.name`)],
+      order: [[literal('count'), 'DESC']],
+      raw: true,
+    });
+
+    return rows.map(row => ({ value: row.value, count: Number(row.count) }));
+  }
+
+  /**
+   * Count products per tag, ignoring the tag filter
+   * @param {Object} filters - Catalog filters
+   * @returns {Promise<Array<{value: string, count: number}>>} Facet values
+   */
+  static async tagFacet(filters) {
+    const rows = await Product.findAll({
+      where: this.buildWhere(filters, { exclude: ['tag'] }),
+      attributes: ['tag_list'],
+      raw: true,
+    });
+
+    const counts = new Map();
+    rows.forEach(row => {
+      new Set(row.tag_list || []).forEach(tag => {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      });
+    });
+
+    return [...counts.entries()]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+  }
+
+  /**
+   * Count products matching each bucket of a single aggregated query
+   * @param {Object} filters - Catalog filters
+   * @param {string} filterName - Filter to exclude while counting
+   * @param {Array<string>} conditions - SQL condition per bucket
+   * @returns {Promise<Array<number>>} Count per bucket, in order
+   */
+  static async bucketCounts(filters, filterName, conditions) {
+    const row = await Product.findOne({
+      where: this.buildWhere(filters, { exclude: [filterName] }),
+      attributes: conditions.map((condition, index) => [
+        literal(`COUNT(*) FILTER (WHERE ${condition})`),
+        `bucket${index}`,
+      ]),
+      raw: true,
+    });
+
+    return conditions.map((_, index) => Number(row?.[`bucket${index}`] || 0));
+  }
+
+  /**
+   * Facet counts for every filter dimension of the storefront sidebar.
+   * Each dimension is counted with all other filters applied but its own,
+   * so the UI can show the alternatives the shopper could still pick.
+   * @param {Object} filters - Catalog filters
+   * @returns {Promise<Object>} Facets keyed by dimension
+   */
+  static async facets(filters) {
+    const product = this.quote(Product.name);
+    const priceConditions = PRICE_RANGES.map(([min, max]) =>
+      max === null
+        ? `${product}.price >= ${min}`
+        : `${product}.price >= ${min} AND ${product}.price < ${max}`
+    );
+    const ratingConditions = RATING_THRESHOLDS.map(
+      min => `${product}.rating >= ${min}`
+    );
+    const offerCondition = this.activeOfferCondition();
+
+    const [brand, categorie, productType, tag, prices, ratings, offers] =
+      await Promise.all([
+        this.columnFacet(filters, 'brand'),
+        this.categoryFacet(filters),
+        this.columnFacet(filters, 'product_type'),
+        this.tagFacet(filters),
+        this.bucketCounts(filters, 'price', priceConditions),
+        this.bucketCounts(filters, 'rating', ratingConditions),
+        this.bucketCounts(filters, 'onOffer', [
+          offerCondition,
+          `NOT ${offerCondition}`,
+        ]),
+      ]);
+
+    return {
+      brand,
+      categorie,
+      product_type: productType,
+      tag,
+      price: PRICE_RANGES.map(([min, max], index) => ({
+        min,
+        max,
+        count: prices[index],
+      })),
+      rating: RATING_THRESHOLDS.map((min, index) => ({
+        min,
+        count: ratings[index],
+      })),
+      onOffer: [
+        { value: true, count: offers[0] },
+        { value: false, count: offers[1] },
+      ],
+    };
+  }
+
+  /**
+   * Score histogram, average and count of a product's reviews
+   * @param {number} productId - Product ID
+   * @returns {Promise<Object>} Review summary
+   */
+  static async reviewSummary(productId) {
+    const rows = await Review.findAll({
+      where: { product_id: productId },
+      attributes: ['score', [fn('COUNT', col('id')), 'count']],
+      group: ['score'],
+      raw: true,
+    });
+
+    const histogram = { 0: 0, 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let count = 0;
+    let total = 0;
+    rows.forEach(row => {
+      const scoreCount = Number(row.count);
+      histogram[row.score] = scoreCount;
+      count += scoreCount;
+      total += row.score * scoreCount;
+    });
+
+    return {
+      average: count > 0 ? Math.round((total / count) * 10) / 10 : null,
+      count,
+      histogram,
+    };
+  }
+
+  /**
+   * Stock availability of a product, net of active reservations
+   * @param {Object} product - Product with its stock
+   * @param {number} reserved - Quantity held by active stock reservations
+   * @returns {{status: string, inStock: boolean, quantity: number}} Availability
+   */
+  static availability(product, reserved = 0) {
+    const quantity = StockReservationService.availableStock(product, reserved);
+    let status = 'in_stock';
+    if (quantity === 0) {
+      status = 'out_of_stock';
+    } else if (quantity <= LOW_STOCK_THRESHOLD) {
+      status = 'low_stock';
+    }
+
+    return { status, inStock: quantity > 0, quantity };
+  }
+
+  /**
+   * Enabled products sharing a category or the brand of a product
+   * @param {Object} product - Product with its categories
+   * @param {number} limit - Maximum number of related products
+   * @returns {Promise<Array<Object>>} Serialized related products
+   */
+  static async relatedProducts(product, limit = RELATED_PRODUCTS_LIMIT) {
+    const categoryIds = (product.categories || []).map(category => category.id);
+    const matches = [{ brand: product.brand }];
+
+    if (categoryIds.length > 0) {
+      matches.push(
+        literal(
+          `EXISTS (SELECT 1 FROM ${this.quote(
+            Category_Products.getTableName()
+          )} cp WHERE cp.product_id = ${this.quote(
+            Product.name
+          )}.id AND cp.categorie_id IN (${categoryIds
+            .map(id => this.escape(id))
+            .join(', ')}))`
+        )
+      );
+    }
+
+    const rows = await Product.findAll({
+      where: {
+        status: true,
+        id: { [Op.ne]: product.id },
+        [Op.or]: matches,
+      },
+      order: [
+        ['rating', 'DESC NULLS LAST'],
+        ['id', 'ASC'],
+      ],
+      limit,
+    });
+
+    return this.hydrate(rows);
+  }
+
+  /**
+   * Full product page payload: product with categories and active offer,
+   * review summary, latest reviews, availability and related products
+   * @param {number|string} id - Product ID
+   * @returns {Promise<Object>} Product detail
+   * @throws {NotFoundError} When the product does not exist or is disabled
+   */
+  static async getProductDetail(id) {
+    const product = await Product.findOne({
+      where: { id, status: true },
+      include: [
+        {
+          model: Categorie,
+          attributes: ['id', 'name'],
+          through: { attributes: [] },
+        },
+        this.activeOfferInclude([
+          'id',
+          'description',
+          'image',
+          'discountPercent',
+          'priority',
+          'startDate',
+          'endDate',
+        ]),
+      ],
+      order: [[Ofert, 'discountPercent', 'DESC']],
+    });
+
+    if (!product) {
+      throw new NotFoundError(`Product with ID '${id}' not found`);
+    }
+
+    const [reviewSummary, reviews, related, reserved] = await Promise.all([
+      this.reviewSummary(product.id),
+      Review.findAll({
+        where: { product_id: product.id },
+        attributes: ['id', 'title', 'text', 'score', 'createdAt'],
+        include: [{ model: User, attributes: ['id', 'name', 'picture'] }],
+        order: [['createdAt', 'DESC']],
+        limit: DETAIL_REVIEWS_LIMIT,
+      }),
+      this.relatedProducts(product),
+      StockReservationService.reservedQuantities([product.id]),
+    ]);
+
+    return {
+      product: this.serialize(product, reserved.get(product.id)),
+      reviewSummary,
+      reviews: reviews.map(review => review.toJSON()),
+      availability: this.availability(product, reserved.get(product.id)),
+      related,
+    };
+  }
+}
+
+ProductCatalogService.SORTABLE_FIELDS = SORTABLE_FIELDS;
+
+module.exports = ProductCatalogService;
@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { RefreshToken, User, UserSession, database } = require('../db');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const DEFAULT_EXPIRES_IN = '7d';
+
+const UNIT_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Refresh Token Service
+ * Issues opaque refresh tokens that are only stored hashed. The tokens of
+ * a login form a family, keyed by its session; each use exchanges the token
+ * for the next one of its family, and presenting a token that was already
+ * exchanged revokes the whole family
+ */
+class RefreshTokenService {
+  /**
+   * Lifetime of a refresh token, from JWT_REFRESH_EXPIRES_IN (e.g. 30m, 12h, 7d)
+   * @param {string} value - Configured lifetime
+   * @returns {number} Milliseconds
+   */
+  static ttlMs(value = process.env.JWT_REFRESH_EXPIRES_IN) {
+    const match = /^(\d+)\s*([smhd])$/.exec(String(value || '').trim());
+    if (!match || Number(match[1]) <= 0) {
+      return this.ttlMs(DEFAULT_EXPIRES_IN);
+    }
+    return Number(match[1]) * UNIT_MS[match[2]];
+  }
+
+  /**
+   * Stored form of a refresh token
+   * @param {string} token - Opaque refresh token
+   * @returns {string} SHA-256 hex digest
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Issue a refresh token in the family of a session
+   * @param {Model|Object} user - User with id
+   * @param {Object} options - familyId (the session ID), transaction and now
+   * @returns {Promise<string>} Opaque refresh token, only ever returned here
+   */
+  static async issue(user, { familyId, transaction, now = new Date() }) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    await RefreshToken.create(
+      {
+        userId: user.id,
+        familyId,
+        tokenHash: this.hashToken(token),
+        expiresAt: new Date(now.getTime() + this.ttlMs()),
+      },
+      { transaction }
+    );
+    return token;
+  }
+
+  /**
+   * Exchange a refresh token for the next one of its family. A token that
+   * was already exchanged means it leaked, so its family is revoked
+   * @param {string} token - Opaque refresh token
+   * @param {Date} now - Reference time
+   * @returns {Promise<{user: Model, sessionId: string, refreshToken: string}>} Owner, session and next token
+   * @throws {AppError} 401 when the token is unknown, expired, revoked or reused
+   */
+  static async rotate(token, now = new Date()) {
+    const stored = await RefreshToken.findOne({
+      where: { tokenHash: this.hashToken(token) },
+    });
+    if (!stored) {
+      throw new AppError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+    }
+    if (stored.revokedAt) {
+      throw new AppError(
+        'Refresh token has been revoked',
+        401,
+        'REFRESH_TOKEN_REVOKED'
+      );
+    }
+    if (stored.usedAt) {
+      return this.reused(stored, now);
+    }
+    if (new Date(stored.expiresAt) <= now) {
+      throw new AppError(
+        'Refresh token has expired',
+        401,
+        'REFRESH_TOKEN_EXPIRED'
+      );
+    }
+
+    const result = await database.transaction(async transaction => {
+      // Claimed atomically, so two requests with one token cannot both rotate
+      const [claimed] = await RefreshToken.update(
+        { usedAt: now },
+        {
+          where: { id: stored.id, usedAt: null, revokedAt: null },
+          transaction,
+        }
+      );
+      if (claimed === 0) {
+        return null;
+      }
+
+      const user = await User.findByPk(stored.userId, { transaction });
+      if (!user || !user.status) {
+        throw new AppError(
+          'User not found or inactive',
+          401,
+          'INVALID_REFRESH_TOKEN'
+        );
+      }
+
+      const refreshToken = await this.issue(user, {
+        familyId: stored.familyId,
+        transaction,
+        now,
+      });
+      await UserSession.update(
+        { lastUsedAt: now, expiresAt: new Date(now.getTime() + this.ttlMs()) },
+        { where: { id: stored.familyId }, transaction }
+      );
+      return { user, sessionId: stored.familyId, refreshToken };
+    });
+
+    return result || this.reused(stored, now);
+  }
+
+  /**
+   * Revoke the family of a token presented after it was exchanged
+   * @param {Model} stored - Reused token
+   * @param {Date} now - Reference time
+   * @throws {AppError} Always, 401 REFRESH_TOKEN_REUSED
+   */
+  static async reused(stored, now) {
+    await this.revokeFamily(stored.familyId, now);
+    logger.logSecurity('Refresh token reuse detected', {
+      userId: stored.userId,
+      familyId: stored.familyId,
+    });
+    throw new AppError(
+      'Refresh token has been revoked',
+      401,
+      'REFRESH_TOKEN_REUSED'
+    );
+  }
+
+  /**
+   * Revoke every token of a family, signing that login out
+   * @param {string} familyId - Family ID
+   * @param {Date} now - Reference time
+   * @returns {Promise<number>} Tokens revoked
+   */
+  static async revokeFamily(familyId, now = new Date()) {
+    const [revoked] = await RefreshToken.update(
+      { revokedAt: now },
+      { where: { familyId, revokedAt: null } }
+    );
+    await UserSession.update(
+      { revokedAt: now },
+      { where: { id: familyId, revokedAt: null } }
+    );
+    return revoked;
+  }
+
+  /**
+   * Sign out the login a refresh token belongs to. Unknown tokens are
+   * ignored, so logging out twice is harmless
+   * @param {string} token - Opaque refresh token
+   * @param {Date} now - Reference time
+   * @returns {Promise<boolean>} Whether a login was signed out
+   */
+  static async revoke(token, now = new Date()) {
+    const stored = await RefreshToken.findOne({
+      where: { tokenHash: this.hashToken(token) },
+    });
+    if (!stored) {
+      return false;
+    }
+
+    const revoked = await this.revokeFamily(stored.familyId, now);
+    logger.info('Refresh token family revoked', {
+      userId: stored.userId,
+      familyId: stored.familyId,
+    });
+    return revoked > 0;
+  }
+
+  /**
+   * Sign a user out everywhere. Access tokens already issued stay valid
+   * until they expire
+   * @param {number|string} userId - User ID
+   * @param {Object} options - transaction and now
+   * @returns {Promise<number>} Tokens revoked
+   */
+  static async revokeAll(userId, { transaction, now = new Date() } = {}) {
+    const [revoked] = await RefreshToken.update(
+      { revokedAt: now },
+      {
+        where: { userId, revokedAt: null, expiresAt: { [Op.gt]: now } },
+        transaction,
+      }
+    );
+    await UserSession.update(
+      { revokedAt: now },
+      { where: { userId, revokedAt: null }, transaction }
+    );
+    logger.info('Refresh tokens revoked', { userId, revoked });
+    return revoked;
+  }
+}
+
+module.exports = RefreshTokenService;
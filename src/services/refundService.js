@@ -0,0 +1,516 @@
+const { Op } = require('sequelize');
+const { Order, Refund, database } = require('../db');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require('../middleware/errorHandler');
+const {
+  emailOrderRefunded,
+  sendEmailWithRetry,
+} = require('../helpers/allEmails');
+const { getPaymentProvider } = require('./payments');
+const InventoryService = require('./inventoryService');
+const OrderStatusService = require('./orderStatusService');
+const logger = require('../utils/logger');
+
+// Orders holding a captured payment that can still be refunded
+const REFUNDABLE_STATUSES = [
+  'created',
+  'processing',
+  'shipped',
+  'completed',
+  'partially_refunded',
+];
+
+// Refunds that count against what is left to refund
+const OUTSTANDING_STATUSES = ['pending', 'succeeded'];
+
+// Provider refund statuses mapped to ours
+const PROVIDER_STATUSES = {
+  succeeded: 'succeeded',
+  pending: 'pending',
+  requires_action: 'pending',
+  failed: 'failed',
+  canceled: 'canceled',
+};
+
+/**
+ * Refund Service
+ * Issues full, per-line and amount refunds through the payment provider,
+ * records them as Refund rows and applies them to the order once succeeded
+ */
+class RefundService {
+  /**
+   * Quantity of each product already covered by outstanding refunds
+   * @param {Array<Object>} refunds - Outstanding refunds of the order
+   * @returns {Map<number, number>} Refunded quantity per product
+   */
+  static refundedQuantities(refunds) {
+    const quantities = new Map();
+    refunds.forEach(refund => {
+      (refund.lines || []).forEach(line => {
+        quantities.set(
+          line.productId,
+          (quantities.get(line.productId) || 0) + line.quantity
+        );
+      });
+    });
+    return quantities;
+  }
+
+  /**
+   * Amount to refund for units of a purchased line: their price, less their
+   * share of the coupon discount, plus their share of tax charged on top.
+   * Shares are taken cumulatively, so refunding every unit returns exactly
+   * what was paid for the line.
+   * @param {Object} line - Purchased line, with discountAmount, taxAmount and taxInclusive
+   * @param {number} quantity - Units to refund
+   * @param {number} alreadyRefunded - Units of the line refunded before
+   * @returns {number} Amount in cents
+   */
+  static lineRefundAmount(line, quantity, alreadyRefunded = 0) {
+    const shareOf = total => {
+      const upTo = units => Math.round((total * units) / line.quantity);
+      return upTo(alreadyRefunded + quantity) - upTo(alreadyRefunded);
+    };
+
+    return (
+      line.unitAmount * quantity -
+      shareOf(line.discountAmount || 0) +
+      (line.taxInclusive ? 0 : shareOf(line.taxAmount || 0))
+    );
+  }
+
+  /**
+   * Work out the amount and lines of a refund request
+   * @param {Object} order - Order with total and lineItems
+   * @param {Array<Object>} refunds - Outstanding refunds of the order
+   * @param {Object} request - lines ({productId, quantity}) or amount in cents; neither for the rest of the order
+   * @returns {{amount: number, lines: Array<Object>}} Refund plan
+   * @throws {ValidationError} When the request exceeds what is left to refund
+   */
+  static planRefund(order, refunds, { lines, amount } = {}) {
+    const remaining =
+      (order.total || 0) -
+      refunds.reduce((sum, refund) => sum + refund.amount, 0);
+    const purchased = new Map(
+      (order.lineItems || []).map(line => [line.productId, line])
+    );
+    const refunded = this.refundedQuantities(refunds);
+
+    let plan;
+    if (Array.isArray(lines) && lines.length > 0) {
+      if (purchased.size === 0) {
+        throw new ValidationError(
+          'This order has no priced lines; refund it by amount instead'
+        );
+      }
+
+      const requested = new Map();
+      lines.forEach(line => {
+        const productId = Number(line.productId);
+        requested.set(
+          productId,
+          (requested.get(productId) || 0) + Number(line.quantity)
+        );
+      });
+
+      const errors = [];
+      const planned = [];
+      requested.forEach((quantity, productId) => {
+        const line = purchased.get(productId);
+        const refundable = line
+          ? line.quantity - (refunded.get(productId) || 0)
+          : 0;
+        if (!line || !Number.isInteger(quantity) || quantity <= 0) {
+          errors.push({ productId, code: 'INVALID_LINE' });
+        } else if (quantity > refundable) {
+          errors.push({
+            productId,
+            code: 'QUANTITY_EXCEEDED',
+            requested: quantity,
+            refundable,
+          });
+        } else {
+          planned.push({
+            productId,
+            name: line.name,
+            quantity,
+            unitAmount: line.unitAmount,
+            amount: this.lineRefundAmount(
+              line,
+              quantity,
+              refunded.get(productId) || 0
+            ),
+          });
+        }
+      });
+
+      if (errors.length > 0) {
+        throw new ValidationError('Some refund lines cannot be refunded', {
+          lines: errors,
+        });
+      }
+
+      plan = {
+        amount: planned.reduce((sum, line) => sum + line.amount, 0),
+        lines: planned,
+      };
+    } else if (amount !== undefined && amount !== null) {
+      plan = { amount: Number(amount), lines: [] };
+    } else {
+      // Everything left: the remaining amount and every unrefunded unit
+      const rest = [];
+      purchased.forEach(line => {
+        const alreadyRefunded = refunded.get(line.productId) || 0;
+        const quantity = line.quantity - alreadyRefunded;
+        if (quantity > 0) {
+          rest.push({
+            productId: line.productId,
+            name: line.name,
+            quantity,
+            unitAmount: line.unitAmount,
+            amount: this.lineRefundAmount(line, quantity, alreadyRefunded),
+          });
+        }
+      });
+      plan = { amount: remaining, lines: rest };
+    }
+
+    if (!Number.isInteger(plan.amount) || plan.amount <= 0) {
+      throw new ValidationError('Nothing left to refund on this order', {
+        remaining,
+      });
+    }
+
+    if (plan.amount > remaining) {
+      throw new ValidationError(
+        'Refund exceeds the amount left to refund on this order',
+        { requested: plan.amount, remaining }
+      );
+    }
+
+    return plan;
+  }
+
+  /**
+   * Refund an order through the payment provider
+   * @param {string} orderRef - Order UUID or number
+   * @param {Object} request - lines or amount, restock, reason, note and actorId
+   * @returns {Promise<{refund: Model, order: Model}>} Refund and order
+   * @throws {NotFoundError} When the order does not exist
+   * @throws {ConflictError} When the order holds no refundable payment
+   * @throws {ValidationError} When the request cannot be refunded
+   */
+  static async create(
+    orderRef,
+    { lines, amount, restock = false, reason, note, actorId = null } = {}
+  ) {
+    // Plan under the order lock so concurrent refunds cannot over-refund
+    const refund = await database.transaction(async transaction => {
+      const order = await Order.findOne({
+        where: OrderStatusService.orderWhere(orderRef),
+        lock: transaction.LOCK.UPDATE,
+        transaction,
+      });
+
+      if (!order) {
+        throw new NotFoundError(`Order '${orderRef}' not found`);
+      }
+
+      if (!REFUNDABLE_STATUSES.includes(order.status)) {
+        throw new ConflictError(
+          `Order '${orderRef}' is ${order.status} and cannot be refunded`
+        );
+      }
+
+      if (!order.paymentIntentId) {
+        throw new ConflictError(
+          `Order '${orderRef}' has no captured payment to refund`
+        );
+      }
+
+      const outstanding = await Refund.findAll({
+        where: { orderId: order.id, status: OUTSTANDING_STATUSES },
+        transaction,
+      });
+      const plan = this.planRefund(order, outstanding, { lines, amount });
+
+      if (restock && plan.lines.length === 0) {
+        throw new ValidationError('Only line refunds can be restocked');
+      }
+
+      return Refund.create(
+        {
+          orderId: order.id,
+          amount: plan.amount,
+          lines: plan.lines,
+          restock: Boolean(restock),
+          reason: reason || null,
+          note: note || null,
+          actorId:
+            actorId === undefined || actorId === null ? null : String(actorId),
+        },
+        { transaction }
+      );
+    });
+
+    const order = await Order.findByPk(refund.orderId);
+
+    let providerRefund;
+    try {
+      providerRefund = await getPaymentProvider().createRefund({
+        paymentIntentId: order.paymentIntentId,
+        amount: refund.amount,
+        metadata: { order_id: order.id, refund_id: refund.id },
+        idempotencyKey: `refund_${refund.id}`,
+      });
+    } catch (error) {
+      await refund.update({ status: 'failed', error: error.message });
+      throw error;
+    }
+
+    await refund.update({
+      providerRefundId: providerRefund.id,
+      currency: providerRefund.currency || refund.currency,
+      status: PROVIDER_STATUSES[providerRefund.status] || 'pending',
+    });
+
+    if (refund.status === 'succeeded') {
+      return this.apply(refund.id);
+    }
+
+    return { refund, order };
+  }
+
+  /**
+   * Apply a succeeded refund to its order once: refunded amount, status,
+   * optional restock of its lines and the customer email
+   * @param {string} refundId - Refund ID
+   * @returns {Promise<{refund: Model, order: Model, applied: boolean}>} Outcome
+   */
+  static async apply(refundId) {
+    const outcome = await database.transaction(async transaction => {
+      const refund = await Refund.findByPk(refundId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction,
+      });
+      const order = await Order.findByPk(refund.orderId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction,
+      });
+
+      if (refund.appliedAt || refund.status !== 'succeeded') {
+        return { refund, order, applied: false };
+      }
+
+      const refundedAmount = Math.min(
+        (order.refundedAmount || 0) + refund.amount,
+        order.total || 0
+      );
+      const target =
+        refundedAmount >= (order.total || 0)
+          ? 'refunded'
+          : 'partially_refunded';
+
+      let updated = order;
+      if (
+        target !== order.status &&
+        OrderStatusService.canTransition(order.status, target)
+      ) {
+        ({ order: updated } = await OrderStatusService.transition(
+          order,
+          target,
+          {
+            actorId: refund.actorId,
+            note: refund.reason || `Refund of ${refund.amount} cents`,
+            transaction,
+            changes: { refundedAmount },
+          }
+        ));
+      } else {
+        await order.update({ refundedAmount }, { transaction });
+      }
+
+      if (refund.restock) {
+        for (const line of refund.lines || []) {
+          await InventoryService.recordMovement(
+            {
+              productId: line.productId,
+              delta: line.quantity,
+              reason: 'return',
+              actorId: refund.actorId,
+              orderId: order.id,
+              reference: refund.id,
+              note: 'Refunded',
+            },
+            { transaction }
+          );
+        }
+      }
+
+      await refund.update({ appliedAt: new Date() }, { transaction });
+
+      return { refund, order: updated, applied: true };
+    });
+
+    if (outcome.applied) {
+      logger.logPayment('refund_applied', {
+        refundId: outcome.refund.id,
+        orderId: outcome.order.id,
+        amount: outcome.refund.amount,
+        restock: outcome.refund.restock,
+      });
+      this.notify(outcome.order, outcome.refund);
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Email the customer a refund confirmation, without failing the refund
+   * @param {Model} order - Refunded order
+   * @param {Model} refund - Applied refund
+   * @returns {Promise<Object|null>} Send result
+   */
+  static notify(order, refund) {
+    const plain = typeof order.get === 'function' ? order.get() : order;
+
+    return OrderStatusService.recipientFor(order)
+      .then(recipient =>
+        recipient
+          ? sendEmailWithRetry(emailOrderRefunded, recipient, {
+              ...plain,
+              refund: {
+                amount: refund.amount,
+                currency: refund.currency,
+                lines: refund.lines,
+              },
+            })
+          : null
+      )
+      .catch(error => {
+        logger.error('Refund email failed', {
+          orderId: order.id,
+          refundId: refund.id,
+          error: error.message,
+        });
+        return null;
+      });
+  }
+
+  /**
+   * Bring refunds in line with a refunded charge. Refunds issued from the
+   * provider dashboard are recorded here too.
+   * @param {Object} charge - Refunded charge
+   * @returns {Promise<{order: Model|null, applied: number}>} Outcome
+   */
+  static async syncFromCharge(charge) {
+    const order = await Order.findOne({
+      where: { paymentIntentId: charge.payment_intent },
+    });
+
+    if (!order) {
+      logger.warn('Refunded charge not linked to an order', {
+        chargeId: charge.id,
+        paymentIntentId: charge.payment_intent,
+      });
+      return { order: null, applied: 0 };
+    }
+
+    const toApply = [];
+
+    if (Array.isArray(charge.refunds?.data)) {
+      for (const providerRefund of charge.refunds.data) {
+        const status = PROVIDER_STATUSES[providerRefund.status] || 'pending';
+        const ownId = providerRefund.metadata?.refund_id;
+        let refund = await Refund.findOne({
+          where: {
+            orderId: order.id,
+            [Op.or]: [
+              { providerRefundId: providerRefund.id },
+              ...(ownId ? [{ id: ownId }] : []),
+            ],
+          },
+        });
+
+        if (refund) {
+          await refund.update({ providerRefundId: providerRefund.id, status });
+        } else {
+          refund = await Refund.create({
+            orderId: order.id,
+            providerRefundId: providerRefund.id,
+            amount: providerRefund.amount,
+            currency: providerRefund.currency || 'usd',
+            status,
+            reason: providerRefund.reason || null,
+            actorId: 'stripe',
+            note: 'Refund issued outside the store',
+          });
+        }
+
+        if (status === 'succeeded') {
+          toApply.push(refund.id);
+        }
+      }
+    } else {
+      // Without the refund list, record whatever the charge refunded beyond
+      // the refunds we already know of
+      const known = await Refund.sum('amount', {
+        where: { orderId: order.id, status: OUTSTANDING_STATUSES },
+      });
+      const missing = (charge.amount_refunded || 0) - (known || 0);
+
+      if (missing > 0) {
+        const refund = await Refund.create({
+          orderId: order.id,
+          amount: missing,
+          currency: charge.currency || 'usd',
+          status: 'succeeded',
+          actorId: 'stripe',
+          note: 'Refund issued outside the store',
+        });
+        toApply.push(refund.id);
+      }
+    }
+
+    let applied = 0;
+    for (const refundId of toApply) {
+      const outcome = await this.apply(refundId);
+      if (outcome.applied) {
+        applied += 1;
+      }
+    }
+
+    return { order, applied };
+  }
+
+  /**
+   * Refunds of an order, newest first
+   * @param {string} orderRef - Order UUID or number
+   * @returns {Promise<{order: Model, refunds: Array<Model>}>} Order and its refunds
+   * @throws {NotFoundError} When the order does not exist
+   */
+  static async list(orderRef) {
+    const order = await Order.findOne({
+      where: OrderStatusService.orderWhere(orderRef),
+      attributes: ['id', 'number', 'status', 'total', 'refundedAmount'],
+    });
+
+    if (!order) {
+      throw new NotFoundError(`Order '${orderRef}' not found`);
+    }
+
+    const refunds = await Refund.findAll({
+      where: { orderId: order.id },
+      order: [['createdAt', 'DESC']],
+    });
+
+    return { order, refunds };
+  }
+}
+
+RefundService.REFUNDABLE_STATUSES = REFUNDABLE_STATUSES;
+
+module.exports = RefundService;
@@ -0,0 +1,165 @@
+const { Op } = require('sequelize');
+const { UserSession, database } = require('../db');
+const RefreshTokenService = require('./refreshTokenService');
+const { NotFoundError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// First match wins, so Edge and Opera come before the Chrome they are built on
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//],
+];
+
+const SYSTEMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/],
+];
+
+const USER_AGENT_MAX_LENGTH = 512;
+
+/**
+ * Session Service
+ * Records every login with the device it came from, lists the active
+ * sessions of a user and signs single sessions out
+ */
+class SessionService {
+  /**
+   * Short description of the device behind a user agent
+   * @param {string} userAgent - User-Agent header
+   * @returns {string|null} e.g. "Firefox on Linux", null when unknown
+   */
+  static describeDevice(userAgent) {
+    if (!userAgent) {
+      return null;
+    }
+
+    const find = list =>
+      (list.find(([, pattern]) => pattern.test(userAgent)) || [])[0];
+    const browser = find(BROWSERS);
+    const system = find(SYSTEMS);
+
+    if (browser && system) {
+      return `${browser} on ${system}`;
+    }
+    return browser || system || 'Unknown device';
+  }
+
+  /**
+   * Client details of a login request
+   * @param {Object} req - Express request object
+   * @returns {{userAgent: string|null, ip: string|null}} Client
+   */
+  static clientOf(req) {
+    const userAgent = req.headers?.['user-agent'];
+    return {
+      userAgent: userAgent ? userAgent.slice(0, USER_AGENT_MAX_LENGTH) : null,
+      ip: req.ip || null,
+    };
+  }
+
+  /**
+   * Record a login and issue the first refresh token of its session
+   * @param {Model|Object} user - User with id
+   * @param {Object} client - userAgent and ip of the login
+   * @param {Date} now - Reference time
+   * @returns {Promise<{session: Model, refreshToken: string}>} Session and token
+   */
+  static async start(
+    user,
+    { userAgent = null, ip = null } = {},
+    now = new Date()
+  ) {
+    return database.transaction(async transaction => {
+      const session = await UserSession.create(
+        {
+          userId: user.id,
+          device: this.describeDevice(userAgent),
+          userAgent,
+          ip,
+          lastUsedAt: now,
+          expiresAt: new Date(now.getTime() + RefreshTokenService.ttlMs()),
+        },
+        { transaction }
+      );
+
+      const refreshToken = await RefreshTokenService.issue(user, {
+        familyId: session.id,
+        transaction,
+        now,
+      });
+      return { session, refreshToken };
+    });
+  }
+
+  /**
+   * Sessions of a user that can still be refreshed, most recently used first
+   * @param {number|string} userId - User ID
+   * @param {Object} options - currentSessionId and now
+   * @returns {Promise<Array<Object>>} Sessions, flagging the current one
+   */
+  static async list(
+    userId,
+    { currentSessionId = null, now = new Date() } = {}
+  ) {
+    const sessions = await UserSession.findAll({
+      where: { userId, revokedAt: null, expiresAt: { [Op.gt]: now } },
+      attributes: [
+        'id',
+        'device',
+        'userAgent',
+        'ip',
+        'createdAt',
+        'lastUsedAt',
+        'expiresAt',
+      ],
+      order: [['lastUsedAt', 'DESC']],
+    });
+
+    return sessions.map(session => ({
+      ...session.toJSON(),
+      current: session.id === currentSessionId,
+    }));
+  }
+
+  /**
+   * Whether a session has not been signed out, so access tokens issued for
+   * it still work
+   * @param {string} sessionId - Session ID carried by the access token
+   * @returns {Promise<boolean>} False once revoked, or when there is no such session
+   */
+  static async isActive(sessionId) {
+    const session = await UserSession.findOne({
+      where: { id: sessionId, revokedAt: null },
+      attributes: ['id'],
+    });
+    return Boolean(session);
+  }
+
+  /**
+   * Sign out one session of a user
+   * @param {number|string} userId - Owner of the session
+   * @param {string} sessionId - Session ID
+   * @param {Date} now - Reference time
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} When the user has no such active session
+   */
+  static async revoke(userId, sessionId, now = new Date()) {
+    const session = await UserSession.findOne({
+      where: { id: sessionId, userId, revokedAt: null },
+    });
+    if (!session) {
+      throw new NotFoundError('Session not found');
+    }
+
+    await RefreshTokenService.revokeFamily(session.id, now);
+    logger.info('Session revoked', { userId, sessionId });
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,490 @@
+const { ShippingZone, ShippingMethod } = require('../db');
+const {
+  AppError,
+  ValidationError,
+  NotFoundError,
+} = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// Weight in grams of an item whose product has none set
+const DEFAULT_ITEM_WEIGHT =
+  Number(process.env.SHIPPING_DEFAULT_ITEM_WEIGHT) || 200;
+
+// Destination assumed when checkout does not say where the cart ships
+const DEFAULT_COUNTRY = (
+  process.env.SHIPPING_DEFAULT_COUNTRY || 'US'
+).toUpperCase();
+
+// Stripe accepts at most this many shipping options per session
+const MAX_CHECKOUT_OPTIONS = 5;
+
+// Used until an admin configures zones: the options checkout always offered
+const DEFAULT_ZONES = [
+  {
+    id: 'default',
+    name: 'Americas',
+    countries: ['US', 'CA', 'MX', 'AR', 'BR', 'CL', 'CO', 'PE', 'UY', 'VE'],
+    regions: [],
+    active: true,
+    methods: [
+      {
+        id: 'default-free',
+        name: 'Free shipping',
+        rates: [{ amount: 0 }],
+        freeOverAmount: null,
+        minDays: 5,
+        maxDays: 7,
+        position: 0,
+        active: true,
+      },
+      {
+        id: 'default-fast',
+        name: 'Fast shipping',
+        rates: [{ amount: 2500 }],
+        freeOverAmount: null,
+        minDays: 1,
+        maxDays: 3,
+        position: 1,
+        active: true,
+      },
+    ],
+  },
+];
+
+/**
+ * Shipping Service
+ * Prices shipping from admin-managed zones and methods: rate brackets by
+ * cart subtotal and weight, free-shipping thresholds and delivery estimates
+ */
+class ShippingService {
+  /**
+   * Total weight of priced cart lines
+   * @param {Array<Object>} lines - Lines with quantity and weight in grams
+   * @returns {number} Weight in grams
+   */
+  static weightOf(lines) {
+    return lines.reduce(
+      (sum, line) =>
+        sum +
+        (Number.isInteger(line.weight) ? line.weight : DEFAULT_ITEM_WEIGHT) *
+          line.quantity,
+      0
+    );
+  }
+
+  /**
+   * Most specific active zone covering a destination: one listing its
+   * region first, then one covering the whole country
+   * @param {Array<Object>} zones - Zones to choose from
+   * @param {Object} destination - country (ISO 3166-1) and optional region (ISO 3166-2)
+   * @returns {Object|null} Zone
+   */
+  static zoneFor(zones, { country, region } = {}) {
+    const countryCode = String(country || '').toUpperCase();
+    const regionCode = this.regionCode(countryCode, region);
+
+    const covering = zones.filter(
+      zone => zone.active !== false && zone.countries.includes(countryCode)
+    );
+
+    return (
+      covering.find(zone => regionCode && zone.regions.includes(regionCode)) ||
+      covering.find(zone => zone.regions.length === 0) ||
+      null
+    );
+  }
+
+  /**
+   * ISO 3166-2 code of a region, accepting CA or US-CA for California
+   * @param {string} country - Country code
+   * @param {string} region - Region code
+   * @returns {string|null} Region code, e.g. US-CA
+   */
+  static regionCode(country, region) {
+    if (!region) {
+      return null;
+    }
+    const code = String(region).toUpperCase();
+    return code.includes('-') ? code : `${country}-${code}`;
+  }
+
+  /**
+   * Price of a method for a cart; null when no rate bracket applies
+   * @param {Object} method - Shipping method
+   * @param {Object} cart - subtotal in cents and weight in grams
+   * @returns {number|null} Amount in cents
+   */
+  static rateFor(method, { subtotal, weight }) {
+    if (method.freeOverAmount !== null && method.freeOverAmount !== undefined) {
+      if (subtotal >= method.freeOverAmount) {
+        return 0;
+      }
+    }
+
+    const within = (value, min, max) =>
+      value >= (min ?? 0) && (max === null || max === undefined || value < max);
+
+    const rate = (method.rates || []).find(
+      bracket =>
+        within(subtotal, bracket.minSubtotal, bracket.maxSubtotal) &&
+        within(weight, bracket.minWeight, bracket.maxWeight)
+    );
+    if (!rate) {
+      return null;
+    }
+
+    const kilograms = Math.ceil(weight / 1000);
+    return rate.amount + (rate.perKgAmount || 0) * kilograms;
+  }
+
+  /**
+   * Shipping options for a cart going to a destination, cheapest first
+   * @param {Array<Object>} zones - Zones with their methods
+   * @param {Object} cart - subtotal in cents, weight in grams, country and region
+   * @returns {{zone: Object|null, options: Array<Object>}} Quote
+   */
+  static quoteFor(zones, { subtotal, weight, country, region }) {
+    const zone = this.zoneFor(zones, { country, region });
+    if (!zone) {
+      return { zone: null, options: [] };
+    }
+
+    const options = (zone.methods || [])
+      .filter(method => method.active !== false)
+      .map(method => ({
+        method,
+        amount: this.rateFor(method, { subtotal, weight }),
+      }))
+      .filter(({ amount }) => amount !== null)
+      .sort(
+        (a, b) => a.amount - b.amount || a.method.position - b.method.position
+      )
+      .map(({ method, amount }) => ({
+        methodId: method.id,
+        name: method.name,
+        amount,
+        currency: 'usd',
+        free: amount === 0,
+        freeOverAmount: method.freeOverAmount ?? null,
+        amountToFree:
+          method.freeOverAmount !== null &&
+          method.freeOverAmount !== undefined &&
+          amount > 0
+            ? method.freeOverAmount - subtotal
+            : null,
+        deliveryEstimate: {
+          minDays: method.minDays ?? null,
+          maxDays: method.maxDays ?? null,
+        },
+      }));
+
+    return { zone, options };
+  }
+
+  /**
+   * Active zones with their active methods, or the built-in defaults while
+   * none are configured
+   * @returns {Promise<Array<Object>>} Zones
+   */
+  static async activeZones() {
+    const zones = await ShippingZone.findAll({
+      where: { active: true },
+      include: [
+        {
+          model: ShippingMethod,
+          as: 'methods',
+          where: { active: true },
+          required: false,
+        },
+      ],
+      order: [
+        ['createdAt', 'ASC'],
+        [{ model: ShippingMethod, as: 'methods' }, 'position', 'ASC'],
+      ],
+    });
+
+    if (zones.length > 0) {
+      return zones.map(zone => zone.get({ plain: true }));
+    }
+
+    const configured = await ShippingZone.count();
+    return configured > 0 ? [] : DEFAULT_ZONES;
+  }
+
+  /**
+   * Quote shipping for priced cart lines
+   * @param {Object} cart - lines (priced) and destination country (defaults to SHIPPING_DEFAULT_COUNTRY) and region
+   * @returns {Promise<Object>} country, region, zone, weight, subtotal and options
+   */
+  static async quote({ lines, country, region }) {
+    // Free-shipping thresholds apply to what is paid after coupons
+    const subtotal = lines.reduce(
+      (sum, line) => sum + line.lineAmount - (line.discountAmount || 0),
+      0
+    );
+    const weight = this.weightOf(lines);
+    const countryCode = String(country || DEFAULT_COUNTRY).toUpperCase();
+    const destination = {
+      country: countryCode,
+      region: this.regionCode(countryCode, region),
+    };
+
+    const zones = await this.activeZones();
+    const { zone, options } = this.quoteFor(zones, {
+      subtotal,
+      weight,
+      ...destination,
+    });
+
+    return {
+      ...destination,
+      zone: zone ? { id: zone.id, name: zone.name } : null,
+      subtotal,
+      weight,
+      options,
+    };
+  }
+
+  /**
+   * Shipping options and allowed countries for a checkout session. The
+   * session only accepts addresses in the zone the options were priced for.
+   * @param {Object} cart - lines (priced) and destination country and region
+   * @returns {Promise<{shippingOptions: Array<Object>, allowedCountries: Array<string>}>} Session shipping
+   * @throws {AppError} 422 SHIPPING_UNAVAILABLE when nothing ships there
+   */
+  static async checkoutOptions({ lines, country, region }) {
+    const quote = await this.quote({ lines, country, region });
+
+    if (quote.options.length === 0) {
+      logger.warn('No shipping options for checkout destination', {
+        country: quote.country,
+        region: quote.region,
+      });
+      throw new AppError(
+        `We do not ship to ${quote.region || quote.country} yet`,
+        422,
+        'SHIPPING_UNAVAILABLE',
+        { country: quote.country, region: quote.region }
+      );
+    }
+
+    return {
+      allowedCountries: [quote.country],
+      shippingOptions: quote.options
+        .slice(0, MAX_CHECKOUT_OPTIONS)
+        .map(option => this.toStripeShippingOption(option)),
+    };
+  }
+
+  /**
+   * Build a Stripe shipping option from a quoted option
+   * @param {Object} option - Option returned by quote
+   * @returns {Object} Stripe shipping_options entry
+   */
+  static toStripeShippingOption(option) {
+    const { minDays, maxDays } = option.deliveryEstimate;
+
+    return {
+      shipping_rate_data: {
+        type: 'fixed_amount',
+        fixed_amount: {
+          amount: option.amount,
+          currency: option.currency,
+        },
+        display_name: option.name,
+        ...(minDays !== null &&
+          maxDays !== null && {
+            delivery_estimate: {
+              minimum: { unit: 'business_day', value: minDays },
+              maximum: { unit: 'business_day', value: maxDays },
+            },
+          }),
+        metadata: { shipping_method_id: String(option.methodId) },
+      },
+    };
+  }
+
+  /**
+   * Check rate brackets before they are stored
+   * @param {Array<Object>} rates - Rate brackets
+   * @throws {ValidationError} When a bracket's bounds are inverted
+   */
+  static validateRates(rates) {
+    rates.forEach((rate, index) => {
+      [
+        ['minSubtotal', 'maxSubtotal'],
+        ['minWeight', 'maxWeight'],
+      ].forEach(([min, max]) => {
+        if (
+          rate[max] !== null &&
+          rate[max] !== undefined &&
+          rate[max] <= (rate[min] ?? 0)
+        ) {
+          throw new ValidationError(
+            `Rate ${index}: ${max} must be greater than ${min}`
+          );
+        }
+      });
+    });
+  }
+
+  /**
+   * Every zone with its methods, for admins
+   * @returns {Promise<Array<Model>>} Zones
+   */
+  static async listZones() {
+    return ShippingZone.findAll({
+      include: [{ model: ShippingMethod, as: 'methods' }],
+      order: [
+        ['createdAt', 'ASC'],
+        [{ model: ShippingMethod, as: 'methods' }, 'position', 'ASC'],
+      ],
+    });
+  }
+
+  /**
+   * One zone
+   * @param {string} id - Zone UUID
+   * @returns {Promise<Model>} Zone
+   * @throws {NotFoundError} When it does not exist
+   */
+  static async getZone(id) {
+    const zone = await ShippingZone.findByPk(id, {
+      include: [{ model: ShippingMethod, as: 'methods' }],
+    });
+    if (!zone) {
+      throw new NotFoundError(`Shipping zone '${id}' not found`);
+    }
+    return zone;
+  }
+
+  /**
+   * Create a zone
+   * @param {Object} values - name, countries, regions and active
+   * @returns {Promise<Model>} Zone
+   */
+  static async createZone(values) {
+    const zone = await ShippingZone.create(this.normalizeZone(values));
+    logger.logDatabase('create', 'ShippingZone', { zoneId: zone.id });
+    return zone;
+  }
+
+  /**
+   * Update a zone
+   * @param {string} id - Zone UUID
+   * @param {Object} values - Fields to change
+   * @returns {Promise<Model>} Zone
+   * @throws {NotFoundError} When it does not exist
+   */
+  static async updateZone(id, values) {
+    const zone = await this.getZone(id);
+    await zone.update(this.normalizeZone(values));
+    logger.logDatabase('update', 'ShippingZone', { zoneId: id });
+    return zone;
+  }
+
+  /**
+   * Delete a zone and its methods
+   * @param {string} id - Zone UUID
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} When it does not exist
+   */
+  static async deleteZone(id) {
+    const zone = await this.getZone(id);
+    await ShippingMethod.destroy({ where: { zoneId: id } });
+    await zone.destroy();
+    logger.logDatabase('delete', 'ShippingZone', { zoneId: id });
+  }
+
+  /**
+   * Create a method in a zone
+   * @param {Object} values - zoneId, name, rates, freeOverAmount, minDays, maxDays, position, active
+   * @returns {Promise<Model>} Method
+   * @throws {NotFoundError} When the zone does not exist
+   */
+  static async createMethod(values) {
+    await this.getZone(values.zoneId);
+    this.validateMethod(values);
+
+    const method = await ShippingMethod.create(values);
+    logger.logDatabase('create', 'ShippingMethod', { methodId: method.id });
+    return method;
+  }
+
+  /**
+   * Update a method
+   * @param {string} id - Method UUID
+   * @param {Object} values - Fields to change
+   * @returns {Promise<Model>} Method
+   * @throws {NotFoundError} When it or its new zone does not exist
+   */
+  static async updateMethod(id, values) {
+    const method = await ShippingMethod.findByPk(id);
+    if (!method) {
+      throw new NotFoundError(`Shipping method '${id}' not found`);
+    }
+    if (values.zoneId && values.zoneId !== method.zoneId) {
+      await this.getZone(values.zoneId);
+    }
+    this.validateMethod({ ...method.get({ plain: true }), ...values });
+
+    await method.update(values);
+    logger.logDatabase('update', 'ShippingMethod', { methodId: id });
+    return method;
+  }
+
+  /**
+   * Delete a method
+   * @param {string} id - Method UUID
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} When it does not exist
+   */
+  static async deleteMethod(id) {
+    const deleted = await ShippingMethod.destroy({ where: { id } });
+    if (!deleted) {
+      throw new NotFoundError(`Shipping method '${id}' not found`);
+    }
+    logger.logDatabase('delete', 'ShippingMethod', { methodId: id });
+  }
+
+  /**
+   * Check a method's rates and delivery estimate
+   * @param {Object} method - Method values
+   * @throws {ValidationError} When they are inconsistent
+   */
+  static validateMethod(method) {
+    this.validateRates(method.rates || []);
+
+    if (
+      method.minDays !== null &&
+      method.minDays !== undefined &&
+      method.maxDays !== null &&
+      method.maxDays !== undefined &&
+      method.maxDays < method.minDays
+    ) {
+      throw new ValidationError('maxDays cannot be less than minDays');
+    }
+  }
+
+  /**
+   * Upper-case country and region codes of zone values
+   * @param {Object} values - Zone values
+   * @returns {Object} Normalized values
+   */
+  static normalizeZone(values) {
+    const zone = { ...values };
+    if (zone.countries) {
+      zone.countries = [...new Set(zone.countries.map(c => c.toUpperCase()))];
+    }
+    if (zone.regions) {
+      zone.regions = [...new Set(zone.regions.map(r => r.toUpperCase()))];
+    }
+    return zone;
+  }
+}
+
+ShippingService.DEFAULT_ZONES = DEFAULT_ZONES;
+ShippingService.DEFAULT_ITEM_WEIGHT = DEFAULT_ITEM_WEIGHT;
+ShippingService.DEFAULT_COUNTRY = DEFAULT_COUNTRY;
+
+module.exports = ShippingService;
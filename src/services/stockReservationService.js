@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+const { Op, fn, col } = require('sequelize');
+const { Product, StockReservation, database } = require('../db');
+const { AppError } = require('../middleware/errorHandler');
+const InventoryService = require('./inventoryService');
+const logger = require('../utils/logger');
+
+// Stripe only accepts checkout sessions expiring between 30 minutes and 24
+// hours after they are created. Stock is reserved before the customer lookup
+// and session creation, so the shortest reservation leaves a margin for them
+const STRIPE_MIN_EXPIRY_MINUTES = 30;
+const SESSION_CREATION_MARGIN_MINUTES = 5;
+const MIN_TTL_MINUTES =
+  STRIPE_MIN_EXPIRY_MINUTES + SESSION_CREATION_MARGIN_MINUTES;
+const MAX_TTL_MINUTES = 24 * 60;
+
+/**
+ * Stock Reservation Service
+ * Holds stock between checkout session creation and payment so concurrent
+ * checkouts cannot sell the same units twice
+ */
+class StockReservationService {
+  /**
+   * Reservation lifetime, aligned with the checkout session expiry
+   * @returns {number} Minutes
+   */
+  static ttlMinutes() {
+    const configured = Number(process.env.STOCK_RESERVATION_TTL_MINUTES);
+    if (!Number.isFinite(configured)) {
+      return MIN_TTL_MINUTES;
+    }
+    return Math.min(Math.max(configured, MIN_TTL_MINUTES), MAX_TTL_MINUTES);
+  }
+
+  /**
+   * Quantities held by active, unexpired reservations
+   * @param {Array<number>} productIds - Product IDs
+   * @param {Object} options - Sequelize options (transaction)
+   * @returns {Promise<Map<number, number>>} Reserved quantity per product
+   */
+  static async reservedQuantities(productIds, { transaction } = {}) {
+    if (productIds.length === 0) {
+      return new Map();
+    }
+
+    const rows = await StockReservation.findAll({
+      where: {
+        product_id: productIds,
+        status: 'active',
+        expiresAt: { [Op.gt]: new Date() },
+      },
+      attributes: ['product_id', [fn('SUM', col('quantity')), 'reserved']],
+      group: ['product_id'],
+      raw: true,
+      transaction,
+    });
+
+    return new Map(rows.map(row => [row.product_id, Number(row.reserved)]));
+  }
+
+  /**
+   * Stock that can still be sold
+   * @param {Object} product - Product with its stock
+   * @param {number} reserved - Quantity held by active reservations
+   * @returns {number} Available units
+   */
+  static availableStock(product, reserved = 0) {
+    return Math.max((Number(product.stock) || 0) - reserved, 0);
+  }
+
+  /**
+   * Reserve the quantities of a priced cart, locking the product rows
+   * @param {Array<Object>} lines - Cart lines with productId and quantity
+   * @param {Object} options - userId of the shopper
+   * @returns {Promise<{reservationKey: string, expiresAt: Date}>} Reservation handle
+   * @throws {AppError} 409 CART_STALE when stock was taken meanwhile
+   */
+  static async reserve(lines, { userId = null } = {}) {
+    const productIds = lines.map(line => line.productId);
+
+    return database.transaction(async transaction => {
+      // Lock in a stable order so concurrent checkouts cannot deadlock
+      const products = await Product.findAll({
+        where: { id: productIds },
+        order: [['id', 'ASC']],
+        lock: transaction.LOCK.UPDATE,
+        transaction,
+      });
+      const byId = new Map(products.map(product => [product.id, product]));
+      const reserved = await this.reservedQuantities(productIds, {
+        transaction,
+      });
+
+      const errors = [];
+      lines.forEach(line => {
+        const product = byId.get(line.productId);
+        const available = product
+          ? this.availableStock(product, reserved.get(line.productId))
+          : 0;
+
+        if (!product || line.quantity > available) {
+          errors.push({
+            index: line.index,
+            productId: line.productId,
+            code: 'INSUFFICIENT_STOCK',
+            message: `Only ${available} units of ${
+              product?.name || 'this product'
+            } are available`,
+            requested: line.quantity,
+            available,
+          });
+        }
+      });
+
+      if (errors.length > 0) {
+        throw new AppError(
+          'Your cart is out of date, please review it before paying',
+          409,
+          'CART_STALE',
+          { lines: errors }
+        );
+      }
+
+      const reservationKey = crypto.randomUUID();
+      const expiresAt = new Date(Date.now() + this.ttlMinutes() * 60 * 1000);
+
+      await StockReservation.bulkCreate(
+        lines.map(line => ({
+          reservationKey,
+          product_id: line.productId,
+          quantity: line.quantity,
+          userId: userId === null ? null : String(userId),
+          expiresAt,
+        })),
+        { transaction }
+      );
+
+      logger.logDatabase('reserve', 'StockReservation', {
+        reservationKey,
+        lines: lines.length,
+        expiresAt: expiresAt.toISOString(),
+      });
+
+      return { reservationKey, expiresAt };
+    });
+  }
+
+  /**
+   * Link a reservation to the checkout session created for it
+   * @param {string} reservationKey - Reservation handle
+   * @param {string} checkoutSessionId - Checkout session ID
+   * @returns {Promise<void>}
+   */
+  static async attachSession(reservationKey, checkoutSessionId) {
+    await StockReservation.update(
+      { checkoutSessionId },
+      { where: { reservationKey } }
+    );
+  }
+
+  /**
+   * Turn a reservation into sale movements once payment completed.
+   * Reservations released or expired meanwhile are committed too: the
+   * customer has paid, so the units are sold regardless.
+   * @param {string} reservationKey - Reservation handle
+   * @param {Object} options - Sequelize options (transaction)
+   * @returns {Promise<{committed: number, products: Array<Object>}>} Commit result
+   */
+  static async commit(reservationKey, { transaction } = {}) {
+    const run = async t => {
+      const reservations = await StockReservation.findAll({
+        where: { reservationKey, status: { [Op.ne]: 'committed' } },
+        lock: t.LOCK.UPDATE,
+        transaction: t,
+      });
+
+      if (reservations.length === 0) {
+        return { committed: 0, products: [] };
+      }
+
+      const quantities = new Map();
+      reservations.forEach(reservation => {
+        quantities.set(
+          reservation.product_id,
+          (quantities.get(reservation.product_id) || 0) + reservation.quantity
+        );
+      });
+
+      const products = await Product.findAll({
+        where: { id: [...quantities.keys()] },
+        order: [['id', 'ASC']],
+        lock: t.LOCK.UPDATE,
+        transaction: t,
+      });
+
+      // Each product leaves a 'sale' movement in the inventory ledger
+      const results = [];
+      for (const product of products) {
+        const quantity = quantities.get(product.id);
+        const movement = await InventoryService.recordMovement(
+          {
+            productId: product.id,
+            delta: -quantity,
+            reason: 'sale',
+            actorId: 'system',
+            reference: reservationKey,
+          },
+          { transaction: t, clamp: true }
+        );
+        results.push({
+          productId: product.id,
+          quantity,
+          stock: movement ? movement.stockAfter : product.stock,
+        });
+      }
+
+      await StockReservation.update(
+        { status: 'committed' },
+        {
+          where: { id: reservations.map(reservation => reservation.id) },
+          transaction: t,
+        }
+      );
+
+      logger.logDatabase('commit', 'StockReservation', {
+        reservationKey,
+        committed: reservations.length,
+      });
+
+      return { committed: reservations.length, products: results };
+    };
+
+    return transaction ? run(transaction) : database.transaction(run);
+  }
+
+  /**
+   * Give back the stock held by an active reservation
+   * @param {string} reservationKey - Reservation handle
+   * @param {string} status - 'released' or 'expired'
+   * @returns {Promise<number>} Number of reservation lines released
+   */
+  static async release(reservationKey, status = 'released') {
+    const [released] = await StockReservation.update(
+      { status },
+      { where: { reservationKey, status: 'active' } }
+    );
+
+    if (released > 0) {
+      logger.logDatabase('release', 'StockReservation', {
+        reservationKey,
+        status,
+        released,
+      });
+    }
+
+    return released;
+  }
+
+  /**
+   * Expire every active reservation past its deadline
+   * @param {Date} now - Reference time
+   * @returns {Promise<number>} Number of reservation lines expired
+   */
+  static async sweepExpired(now = new Date()) {
+    const [expired] = await StockReservation.update(
+      { status: 'expired' },
+      { where: { status: 'active', expiresAt: { [Op.lte]: now } } }
+    );
+
+    if (expired > 0) {
+      logger.info('Expired stock reservations released', { expired });
+    }
+
+    return expired;
+  }
+}
+
+module.exports = StockReservationService;
@@ -1,6 +1,7 @@
 const { stripe, stripeConfig } = require('../config/stripe');
 const { AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
+const { getPaymentProvider } = require('./payments');
 
 /**
  * Stripe Service Module
@@ -44,6 +45,78 @@ class StripeService {
     }
   }
 
+  /**
+   * Update a customer's contact details
+   * @param {string} customerId - Stripe customer ID
+   * @param {Object} customerData - email and name
+   * @returns {Promise<Object>} Stripe customer object
+   */
+  static async updateCustomer(customerId, customerData) {
+    try {
+      const { email, name } = customerData;
+
+      const customer = await this.retryOperation(() =>
+        stripe.customers.update(customerId, { email, name })
+      );
+
+      logger.info('Stripe customer updated', { customerId });
+
+      return customer;
+    } catch (error) {
+      logger.error('Failed to update Stripe customer', {
+        error: error.message,
+        customerId,
+      });
+      throw this.handleStripeError(error, 'Failed to update customer');
+    }
+  }
+
+  /**
+   * List customers, newest first as Stripe returns them
+   * @param {Object} options - limit and startingAfter (customer ID cursor)
+   * @returns {Promise<{data: Array<Object>, hasMore: boolean}>} Page of customers
+   */
+  static async listCustomers({ limit = 100, startingAfter } = {}) {
+    try {
+      const page = await this.retryOperation(() =>
+        stripe.customers.list({
+          limit,
+          ...(startingAfter && { starting_after: startingAfter }),
+        })
+      );
+
+      return { data: page.data, hasMore: page.has_more };
+    } catch (error) {
+      logger.error('Failed to list Stripe customers', {
+        error: error.message,
+      });
+      throw this.handleStripeError(error, 'Failed to list customers');
+    }
+  }
+
+  /**
+   * Delete a customer; its past payments stay in Stripe
+   * @param {string} customerId - Stripe customer ID
+   * @returns {Promise<Object>} Deletion confirmation
+   */
+  static async deleteCustomer(customerId) {
+    try {
+      const deleted = await this.retryOperation(() =>
+        stripe.customers.del(customerId)
+      );
+
+      logger.info('Stripe customer deleted', { customerId });
+
+      return deleted;
+    } catch (error) {
+      logger.error('Failed to delete Stripe customer', {
+        error: error.message,
+        customerId,
+      });
+      throw this.handleStripeError(error, 'Failed to delete customer');
+    }
+  }
+
   /**
    * Create a checkout session
    * @param {Object} sessionData - Checkout session configuration
@@ -59,7 +132,10 @@ class StripeService {
         mode = 'payment',
         currency = 'usd',
         shippingOptions = [],
+        allowedCountries = [],
         metadata = {},
+        expiresAt = null,
+        clientReferenceId = null,
       } = sessionData;
 
       // Validate line items for PCI compliance
@@ -74,26 +150,28 @@ class StripeService {
           currency,
           success_url: successUrl,
           cancel_url: cancelUrl,
-          shipping_address_collection: {
-            allowed_countries: [
-              'US',
-              'CA',
-              'MX',
-              'AR',
-              'BR',
-              'CL',
-              'CO',
-              'PE',
-              'UY',
-              'VE',
-            ],
-          },
+          // Countries of the shipping zone the options were priced for
+          ...(allowedCountries.length > 0 && {
+            shipping_address_collection: {
+              allowed_countries: allowedCountries,
+            },
+          }),
           shipping_options: shippingOptions,
           metadata,
-          // PCI Compliance: Enable automatic tax calculation if available
+          // Payment intent events carry the same order and reservation keys
+          payment_intent_data: { metadata },
+          // Lets the webhook find the order the session was created for
+          ...(clientReferenceId && {
+            client_reference_id: String(clientReferenceId),
+          }),
+          // Tax is computed by TaxService and sent in the line items
           automatic_tax: { enabled: false },
-          // Security: Set session expiration
-          expires_at: Math.floor(Date.now() / 1000) + 24 * 60 * 60, // 24 hours
+          // Security: Set session expiration (defaults to 24 hours)
+          expires_at: Math.floor(
+            (expiresAt
+              ? new Date(expiresAt).getTime()
+              : Date.now() + 24 * 60 * 60 * 1000) / 1000
+          ),
         })
       );
 
@@ -112,6 +190,74 @@ class StripeService {
     }
   }
 
+  /**
+   * Retrieve a checkout session
+   * @param {string} sessionId - Checkout session ID
+   * @returns {Promise<Object>} Stripe checkout session
+   */
+  static async retrieveCheckoutSession(sessionId) {
+    try {
+      const session = await this.retryOperation(() =>
+        stripe.checkout.sessions.retrieve(sessionId)
+      );
+
+      return session;
+    } catch (error) {
+      logger.error('Failed to retrieve checkout session', {
+        error: error.message,
+        sessionId,
+      });
+      throw this.handleStripeError(
+        error,
+        'Failed to retrieve checkout session'
+      );
+    }
+  }
+
+  /**
+   * Refund all or part of a payment
+   * @param {Object} refundData - paymentIntentId, amount in cents, metadata and idempotencyKey
+   * @returns {Promise<Object>} Stripe refund object
+   */
+  static async createRefund(refundData) {
+    const {
+      paymentIntentId,
+      amount,
+      metadata = {},
+      idempotencyKey,
+    } = refundData;
+
+    try {
+      const refund = await this.retryOperation(() =>
+        stripe.refunds.create(
+          {
+            payment_intent: paymentIntentId,
+            amount,
+            metadata,
+          },
+          // The same key makes retried requests return the original refund
+          idempotencyKey ? { idempotencyKey } : undefined
+        )
+      );
+
+      logger.logPayment('refund_created', {
+        refundId: refund.id,
+        paymentIntentId,
+        amount,
+        status: refund.status,
+      });
+
+      return refund;
+    } catch (error) {
+      logger.error('Failed to create refund', {
+        error: error.message,
+        paymentIntentId,
+        amount,
+      });
+      throw this.handleStripeError(error, 'Failed to create refund');
+    }
+  }
+
   /**
    * Retrieve a customer with retry logic
    * @param {string} customerId - Stripe customer ID
@@ -198,120 +344,8 @@ class StripeService {
    * @returns {Promise<Object>} Processing result
    */
   static async processWebhookEvent(event) {
-    try {
-      const { type, data } = event;
-
-      logger.info('Processing webhook event', {
-        eventType: type,
-        eventId: event.id,
-      });
-
-      switch (type) {
-        case 'checkout.session.completed':
-          return await this.handleCheckoutSessionCompleted(data.object);
-
-        case 'payment_intent.succeeded':
-          return await this.handlePaymentIntentSucceeded(data.object);
-
-        case 'payment_intent.payment_failed':
-          return await this.handlePaymentIntentFailed(data.object);
-
-        case 'customer.created':
-          return await this.handleCustomerCreated(data.object);
-
-        default:
-          logger.info('Unhandled webhook event type', { eventType: type });
-          return { processed: false, reason: 'Unhandled event type' };
-      }
-    } catch (error) {
-      logger.error('Webhook event processing failed', {
-        error: error.message,
-        eventType: event.type,
-        eventId: event.id,
-      });
-      throw error;
-    }
-  }
-
-  /**
-   * Handle checkout session completed event
-   * @param {Object} session - Checkout session object
-   * @returns {Promise<Object>} Processing result
-   */
-  static async handleCheckoutSessionCompleted(session) {
-    try {
-      const customer = await this.retrieveCustomer(session.customer);
-      const lineItems = await this.listSessionLineItems(session.id);
-
-      return {
-        processed: true,
-        customer,
-        session,
-        lineItems,
-        customerDetails: session.customer_details,
-      };
-    } catch (error) {
-      logger.error('Failed to handle checkout session completed', {
-        error: error.message,
-        sessionId: session.id,
-      });
-      throw error;
-    }
-  }
-
-  /**
-   * Handle payment intent succeeded event
-   * @param {Object} paymentIntent - Payment intent object
-   * @returns {Promise<Object>} Processing result
-   */
-  static async handlePaymentIntentSucceeded(paymentIntent) {
-    logger.info('Payment succeeded', {
-      paymentIntentId: paymentIntent.id,
-      amount: paymentIntent.amount,
-      currency: paymentIntent.currency,
-    });
-
-    return {
-      processed: true,
-      paymentIntent,
-      status: 'succeeded',
-    };
-  }
-
-  /**
-   * Handle payment intent failed event
-   * @param {Object} paymentIntent - Payment intent object
-   * @returns {Promise<Object>} Processing result
-   */
-  static async handlePaymentIntentFailed(paymentIntent) {
-    logger.error('Payment failed', {
-      paymentIntentId: paymentIntent.id,
-      lastPaymentError: paymentIntent.last_payment_error,
-    });
-
-    return {
-      processed: true,
-      paymentIntent,
-      status: 'failed',
-      error: paymentIntent.last_payment_error,
-    };
-  }
-
-  /**
-   * Handle customer created event
-   * @param {Object} customer - Customer object
-   * @returns {Promise<Object>} Processing result
-   */
-  static async handleCustomerCreated(customer) {
-    logger.info('Customer created via webhook', {
-      customerId: customer.id,
-      email: customer.email,
-    });
-
-    return {
-      processed: true,
-      customer,
-    };
+    // Event handling is shared by every payment provider
+    return getPaymentProvider('stripe').processWebhookEvent(event);
   }
 
   /**
@@ -0,0 +1,182 @@
+const { jurisdictions, TAX_CATEGORIES } = require('../config/tax');
+const ShippingService = require('./shippingService');
+const logger = require('../utils/logger');
+
+/**
+ * Tax Service
+ * Computes the tax of priced cart lines for their destination from the
+ * configured jurisdictions, per product tax category, for markets that
+ * price tax-inclusive as well as those that add it at checkout
+ */
+class TaxService {
+  /**
+   * Jurisdiction taxing a destination: the region's rates when it has its
+   * own, otherwise the country's
+   * @param {Object} destination - country (ISO 3166-1) and optional region
+   * @param {Object} config - Jurisdictions by country code
+   * @returns {Object|null} code, name, inclusive and rates
+   */
+  static jurisdictionFor({ country, region } = {}, config = jurisdictions) {
+    const countryCode = String(country || '').toUpperCase();
+    const countryConfig = config[countryCode];
+    if (!countryConfig) {
+      return null;
+    }
+
+    const regionCode = ShippingService.regionCode(countryCode, region);
+    const regionConfig = regionCode && countryConfig.regions?.[regionCode];
+
+    return {
+      code: regionConfig ? regionCode : countryCode,
+      name: (regionConfig || countryConfig).name,
+      inclusive: countryConfig.inclusive,
+      rates: { ...countryConfig.rates, ...regionConfig?.rates },
+    };
+  }
+
+  /**
+   * Rate of a tax category in a jurisdiction
+   * @param {Object} jurisdiction - Jurisdiction returned by jurisdictionFor
+   * @param {string} category - Product tax category
+   * @returns {number} Rate in percent
+   */
+  static rateFor(jurisdiction, category = 'standard') {
+    if (category === 'exempt') {
+      return 0;
+    }
+    return jurisdiction.rates[category] ?? jurisdiction.rates.standard ?? 0;
+  }
+
+  /**
+   * Tax in an amount: added on top of it, or contained in it when prices
+   * are tax-inclusive
+   * @param {number} amount - Amount in cents
+   * @param {number} rate - Rate in percent
+   * @param {boolean} inclusive - Whether the amount already includes the tax
+   * @returns {number} Tax in cents
+   */
+  static taxOf(amount, rate, inclusive) {
+    if (!rate) {
+      return 0;
+    }
+    return inclusive
+      ? amount - Math.round((amount * 100) / (100 + rate))
+      : Math.round((amount * rate) / 100);
+  }
+
+  /**
+   * Tax of priced cart lines shipped to a destination
+   * @param {Object} cart - lines (priced) and destination country (defaults to SHIPPING_DEFAULT_COUNTRY) and region
+   * @param {Object} config - Jurisdictions by country code
+   * @returns {Object} country, region, jurisdiction, inclusive, per-line tax, taxLines, amount and exclusiveAmount
+   */
+  static calculate({ lines, country, region }, config = jurisdictions) {
+    const countryCode = String(
+      country || ShippingService.DEFAULT_COUNTRY
+    ).toUpperCase();
+    const destination = {
+      country: countryCode,
+      region: ShippingService.regionCode(countryCode, region),
+    };
+    const jurisdiction = this.jurisdictionFor(destination, config);
+
+    if (!jurisdiction) {
+      logger.warn('No tax jurisdiction configured for destination', {
+        country: destination.country,
+        region: destination.region,
+      });
+    }
+
+    const taxedLines = lines.map(line => {
+      const category = TAX_CATEGORIES.includes(line.taxCategory)
+        ? line.taxCategory
+        : 'standard';
+      const rate = jurisdiction ? this.rateFor(jurisdiction, category) : 0;
+      // Coupons reduce what is taxed
+      const taxableAmount = line.lineAmount - (line.discountAmount || 0);
+      return {
+        productId: line.productId,
+        category,
+        rate,
+        taxableAmount,
+        taxAmount: this.taxOf(taxableAmount, rate, jurisdiction?.inclusive),
+      };
+    });
+
+    // One tax line per rate charged, as shown on the receipt
+    const byRate = new Map();
+    taxedLines
+      .filter(line => line.rate > 0)
+      .forEach(line => {
+        const taxLine = byRate.get(line.rate) || {
+          jurisdiction: jurisdiction.code,
+          name: jurisdiction.name,
+          rate: line.rate,
+          inclusive: jurisdiction.inclusive,
+          taxableAmount: 0,
+          amount: 0,
+        };
+        taxLine.taxableAmount += line.taxableAmount;
+        taxLine.amount += line.taxAmount;
+        byRate.set(line.rate, taxLine);
+      });
+
+    const taxLines = [...byRate.values()].sort((a, b) => b.rate - a.rate);
+    const amount = taxLines.reduce((sum, taxLine) => sum + taxLine.amount, 0);
+    const inclusive = jurisdiction?.inclusive ?? false;
+
+    return {
+      ...destination,
+      jurisdiction: jurisdiction?.code ?? null,
+      inclusive,
+      lines: taxedLines,
+      taxLines,
+      amount,
+      // What the shopper pays on top of the line amounts
+      exclusiveAmount: inclusive ? 0 : amount,
+    };
+  }
+
+  /**
+   * Stripe line items charging the tax added on top of the lines; nothing
+   * for tax-inclusive markets, whose tax is already in the line amounts
+   * @param {Object} tax - Result of calculate
+   * @param {string} currency - ISO currency code
+   * @returns {Array<Object>} Stripe checkout line items
+   */
+  static toStripeLineItems(tax, currency = 'usd') {
+    return tax.taxLines
+      .filter(taxLine => !taxLine.inclusive && taxLine.amount > 0)
+      .map(taxLine => ({
+        price_data: {
+          currency,
+          product_data: {
+            name: `${taxLine.name} (${taxLine.rate}%)`,
+            metadata: {
+              tax_jurisdiction: taxLine.jurisdiction,
+              tax_rate: String(taxLine.rate),
+            },
+          },
+          unit_amount: taxLine.amount,
+        },
+        quantity: 1,
+      }));
+  }
+
+  /**
+   * Session metadata describing the tax charged
+   * @param {Object} tax - Result of calculate
+   * @returns {Object} String metadata values
+   */
+  static toMetadata(tax) {
+    return {
+      tax_jurisdiction: tax.jurisdiction || '',
+      tax_amount: String(tax.amount),
+      tax_inclusive: String(tax.inclusive),
+    };
+  }
+}
+
+TaxService.TAX_CATEGORIES = TAX_CATEGORIES;
+
+module.exports = TaxService;
@@ -123,6 +123,22 @@ class Cache {
     return existed;
   }
 
+  /**
+   * Delete every entry whose key contains a pattern
+   * @param {string} pattern - Substring of the keys to delete
+   * @returns {number} Number of keys deleted
+   */
+  deleteMatching(pattern) {
+    const keys = [...this.cache.keys()].filter(key => key.includes(pattern));
+    keys.forEach(key => this.delete(key));
+
+    if (keys.length > 0) {
+      logger.info('Cache invalidated', { pattern, deletedKeys: keys.length });
+    }
+
+    return keys.length;
+  }
+
   /**
    * Clear all entries from the cache
    */
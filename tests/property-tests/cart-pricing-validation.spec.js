@@ -0,0 +1,240 @@
+const { expect } = require('chai');
+const fc = require('fast-check');
+const sinon = require('sinon');
+const { Product, Ofert } = require('../../src/db');
+const CartPricingService = require('../../src/services/cartPricingService');
+const StockReservationService = require('../../src/services/stockReservationService');
+
+/**
+ * **Feature: ecommerce-modernization, Property 16: Server-side cart pricing**
+ * **Validates: Requirements 8.2, 8.4**
+ *
+ * Property-based tests for checkout cart pricing
+ * Tests that prices come from the catalog, offers are applied, and stale
+ * lines (disabled, missing, over-stock, re-priced) are reported per line
+ */
+
+describe('Server-side Cart Pricing Properties', function () {
+  this.timeout(10000);
+
+  let sandbox;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  const buildProduct = ({ id, price, stock, status = true, discount = null }) =>
+    Product.build(
+      {
+        id,
+        name: `Product ${id}`,
+        brand: 'maybelline',
+        price,
+        stock,
+        status,
+        product_type: 'lipstick',
+        oferts: discount ? [{ id: 1, discountPercent: discount }] : [],
+      },
+      { include: [Ofert] }
+    );
+
+  const stubCatalog = (products, reserved = new Map()) => {
+    sandbox.stub(Product, 'findAll').resolves(products);
+    sandbox
+      .stub(StockReservationService, 'reservedQuantities')
+      .resolves(reserved);
+  };
+
+  const productArb = fc.record({
+    id: fc.integer({ min: 1, max: 10000 }),
+    price: fc.integer({ min: 1, max: 100000 }).map(cents => cents / 100),
+    stock: fc.integer({ min: 1, max: 50 }),
+    discount: fc.option(fc.integer({ min: 1, max: 90 }), { nil: null }),
+  });
+
+  describe('Property 16.1: Prices always come from the catalog', () => {
+    it('should charge the database price with the active offer applied', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          productArb,
+          fc.integer({ min: 1, max: 50 }),
+          async (product, quantity) => {
+            fc.pre(quantity <= product.stock);
+            sandbox.restore();
+            stubCatalog([buildProduct(product)]);
+
+            const { lines, subtotal } = await CartPricingService.validateCart([
+              { id: product.id, quantity, name: 'Anything' },
+            ]);
+
+            const expected = product.discount
+              ? Math.round(
+                  (product.price - (product.price * product.discount) / 100) *
+                    100
+                )
+              : Math.round(product.price * 100);
+
+            expect(lines).to.have.lengthOf(1);
+            expect(lines[0].unitAmount).to.equal(expected);
+            expect(lines[0].name).to.equal(`Product ${product.id}`);
+            expect(subtotal).to.equal((expected * quantity) / 100);
+
+            const [item] = CartPricingService.toStripeLineItems(lines);
+            expect(item.price_data.unit_amount).to.equal(expected);
+            expect(item.quantity).to.equal(quantity);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should reject a client price that differs from the catalog price', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          productArb,
+          fc.integer({ min: 1, max: 100000 }),
+          async (product, clientCents) => {
+            sandbox.restore();
+            stubCatalog([buildProduct(product)]);
+
+            const { lines, errors } = await CartPricingService.priceCart([
+              { id: product.id, quantity: 1, price: clientCents / 100 },
+            ]);
+            const [serverLine] = (
+              await CartPricingService.priceCart([
+                { id: product.id, quantity: 1 },
+              ])
+            ).lines;
+
+            if (clientCents === serverLine.unitAmount) {
+              expect(errors).to.be.empty;
+              expect(lines).to.have.lengthOf(1);
+            } else {
+              expect(lines).to.be.empty;
+              expect(errors[0]).to.include({
+                productId: product.id,
+                code: 'PRICE_CHANGED',
+                currentPrice: serverLine.unitPrice,
+              });
+            }
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  describe('Property 16.2: Stale lines are reported per line', () => {
+    it('should flag quantities above stock with the available amount', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          productArb,
+          fc.integer({ min: 1, max: 20 }),
+          async (product, extra) => {
+            sandbox.restore();
+            stubCatalog([buildProduct(product)]);
+
+            const { errors } = await CartPricingService.priceCart([
+              { id: product.id, quantity: product.stock + extra },
+            ]);
+
+            expect(errors).to.deep.equal([
+              {
+                index: 0,
+                productId: product.id,
+                code: 'INSUFFICIENT_STOCK',
+                message: `Only ${product.stock} units of Product ${product.id} are available`,
+                requested: product.stock + extra,
+                available: product.stock,
+              },
+            ]);
+          }
+        ),
+        { numRuns: 30 }
+      );
+    });
+
+    it('should reject the whole cart with a 409 report naming every stale line', async () => {
+      stubCatalog([
+        buildProduct({ id: 1, price: 10, stock: 5 }),
+        buildProduct({ id: 2, price: 20, stock: 5, status: false }),
+        buildProduct({ id: 3, price: 30, stock: 1 }),
+      ]);
+
+      try {
+        await CartPricingService.validateCart([
+          { id: 1, quantity: 2 },
+          { id: 2, quantity: 1 },
+          { id: 3, quantity: 4 },
+          { id: 4, quantity: 1 },
+          { id: 5, quantity: 0 },
+        ]);
+        expect.fail('validateCart should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(409);
+        expect(error.code).to.equal('CART_STALE');
+        expect(
+          error.details.lines.map(line => [line.index, line.code])
+        ).to.deep.equal([
+          [1, 'PRODUCT_DISABLED'],
+          [2, 'INSUFFICIENT_STOCK'],
+          [3, 'PRODUCT_NOT_FOUND'],
+          [4, 'INVALID_QUANTITY'],
+        ]);
+        expect(error.details.cart.map(line => line.productId)).to.deep.equal([
+          1,
+        ]);
+      }
+    });
+
+    it('should merge repeated lines before checking stock', async () => {
+      stubCatalog([buildProduct({ id: 7, price: 5, stock: 3 })]);
+
+      const { errors } = await CartPricingService.priceCart([
+        { id: 7, quantity: 2 },
+        { id: 7, quantity: 2 },
+      ]);
+
+      expect(errors).to.have.lengthOf(1);
+      expect(errors[0]).to.include({
+        code: 'INSUFFICIENT_STOCK',
+        requested: 4,
+      });
+    });
+
+    it('should only sell stock not held by active reservations', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          productArb,
+          fc.integer({ min: 0, max: 60 }),
+          fc.integer({ min: 1, max: 50 }),
+          async (product, held, quantity) => {
+            sandbox.restore();
+            stubCatalog([buildProduct(product)], new Map([[product.id, held]]));
+
+            const { lines, errors } = await CartPricingService.priceCart([
+              { id: product.id, quantity },
+            ]);
+            const available = Math.max(product.stock - held, 0);
+
+            if (quantity <= available) {
+              expect(errors).to.be.empty;
+              expect(lines[0].quantity).to.equal(quantity);
+            } else {
+              expect(lines).to.be.empty;
+              expect(errors[0]).to.include({
+                code: 'INSUFFICIENT_STOCK',
+                available,
+              });
+            }
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+});
@@ -0,0 +1,302 @@
+const { expect } = require('chai');
+const fc = require('fast-check');
+const sinon = require('sinon');
+const { Op } = require('sequelize');
+const { Cart, Order, User } = require('../../src/db');
+const CartReminderService = require('../../src/services/cartReminderService');
+const { emailService } = require('../../src/helpers/emailService');
+
+/**
+ * **Feature: ecommerce-modernization, Property 29: Abandoned cart reminders**
+ * **Validates: Requirements 8.13**
+ *
+ * Property-based tests for abandoned cart reminders
+ * Tests that an idle cart gets at most one email per configured interval,
+ * that reminders stop once the customer buys or cannot be written to, and
+ * that the recovery report only counts reminded carts that were bought
+ */
+
+describe('Cart Reminder Properties', function () {
+  this.timeout(20000);
+
+  const HOUR = 60 * 60 * 1000;
+  const START = new Date('2026-06-15T12:00:00Z');
+
+  let sandbox;
+  let env;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    env = { ...process.env };
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+    process.env = env;
+  });
+
+  // Reads the where clause of the due carts the way the database would
+  const isDue = (cart, where) =>
+    cart.status === where.status &&
+    cart.userId !== null &&
+    cart.updatedAt > where.updatedAt[Op.gt] &&
+    where[Op.or].some(
+      condition =>
+        cart.reminderStep === condition.reminderStep &&
+        cart.updatedAt <= condition.updatedAt[Op.lte]
+    );
+
+  const storedCart = (values = {}) => ({
+    id: 'cart-1',
+    userId: '5',
+    status: 'active',
+    reminderStep: 0,
+    lastRemindedAt: null,
+    restoreToken: null,
+    restoredAt: null,
+    updatedAt: START,
+    items: [{ quantity: 2, product: { name: 'Lipstick' } }],
+    update: sinon.stub().callsFake(async function (changes, options) {
+      Object.assign(this, changes);
+      if (!options?.silent) {
+        this.updatedAt = new Date();
+      }
+      return this;
+    }),
+    ...values,
+  });
+
+  const customer = {
+    id: 5,
+    name: 'Ana',
+    email: 'ana@example.com',
+    status: true,
+  };
+
+  describe('Property 29.1: At most one reminder per interval', () => {
+    it('should read intervals in ascending order and fall back to the defaults', () => {
+      expect(CartReminderService.intervals('72, 1,24,24')).to.deep.equal([
+        1, 24, 72,
+      ]);
+      expect(CartReminderService.intervals('soon,-3')).to.deep.equal(
+        CartReminderService.DEFAULT_INTERVALS_HOURS
+      );
+      expect(CartReminderService.intervals(undefined)).to.deep.equal(
+        CartReminderService.DEFAULT_INTERVALS_HOURS
+      );
+    });
+
+    it('should email an idle cart once per interval reached, before it is given up on', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.uniqueArray(fc.integer({ min: 1, max: 96 }), {
+            minLength: 1,
+            maxLength: 4,
+          }),
+          fc.integer({ min: 24, max: 150 }),
+          fc.integer({ min: 1, max: 12 }),
+          fc.option(fc.integer({ min: 0, max: 150 }), { nil: null }),
+          async (hours, maxIdleHours, everyHours, purchasedAtHour) => {
+            sandbox.restore();
+            process.env.CART_REMINDER_INTERVALS_HOURS = hours.join(',');
+            process.env.CART_REMINDER_MAX_IDLE_HOURS = String(maxIdleHours);
+            const intervals = CartReminderService.intervals();
+            const cart = storedCart();
+
+            sandbox
+              .stub(Cart, 'findAll')
+              .callsFake(async ({ where }) =>
+                isDue(cart, where) ? [cart] : []
+              );
+            sandbox.stub(User, 'findAll').resolves([customer]);
+            sandbox.stub(Order, 'count').resolves(0);
+            const send = sandbox
+              .stub(emailService, 'sendCartReminderEmail')
+              .resolves({ success: true });
+
+            const expected = [];
+            let step = 0;
+            for (let hour = 0; hour <= 160; hour += everyHours) {
+              // Checkouts from the stored cart close it
+              if (purchasedAtHour !== null && hour >= purchasedAtHour) {
+                cart.status = 'ordered';
+              }
+              const now = new Date(START.getTime() + hour * HOUR);
+              await CartReminderService.sendReminders(now);
+
+              const reached = intervals.filter(h => hour >= h).length;
+              if (
+                cart.status === 'active' &&
+                hour < maxIdleHours &&
+                reached > step
+              ) {
+                expected.push(hour);
+                step = reached;
+              }
+            }
+
+            expect(send.callCount).to.equal(expected.length);
+            expect(send.callCount).to.be.at.most(intervals.length);
+            expect(cart.updatedAt).to.equal(START);
+            if (send.called) {
+              const tokens = send
+                .getCalls()
+                .map(call => call.args[1].restoreToken);
+              expect(new Set(tokens).size).to.equal(1);
+              expect(cart.restoreToken).to.equal(tokens[0]);
+              expect(send.firstCall.args[1].items).to.deep.equal([
+                { name: 'Lipstick', quantity: 2 },
+              ]);
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should never remind guest carts', () => {
+      const where = CartReminderService.dueWhere(START, [1], 24);
+      expect(where.userId).to.deep.equal({ [Op.ne]: null });
+    });
+  });
+
+  describe('Property 29.2: Reminders stop when they cannot help', () => {
+    it('should stop for customers who bought or cannot be written to', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.constantFrom('none', 'inactive', 'bad-email', 'purchased', 'ok'),
+          async situation => {
+            sandbox.restore();
+            const cart = storedCart();
+            const user = {
+              none: null,
+              inactive: { ...customer, status: false },
+              'bad-email': { ...customer, email: 'not-an-email' },
+              purchased: customer,
+              ok: customer,
+            }[situation];
+            const count = sandbox
+              .stub(Order, 'count')
+              .resolves(situation === 'purchased' ? 1 : 0);
+            const send = sandbox
+              .stub(emailService, 'sendCartReminderEmail')
+              .resolves({ success: true });
+            const now = new Date(START.getTime() + 30 * HOUR);
+
+            const outcome = await CartReminderService.remind(
+              cart,
+              user,
+              [1, 24, 72],
+              now
+            );
+
+            if (situation === 'ok') {
+              expect(outcome).to.equal('sent');
+              expect(cart.reminderStep).to.equal(2);
+              expect(cart.lastRemindedAt).to.equal(now);
+              return;
+            }
+            expect(outcome).to.equal('stopped');
+            expect(send.called).to.be.false;
+            expect(cart.reminderStep).to.equal(3);
+            expect(cart.lastRemindedAt).to.be.null;
+            if (situation === 'purchased') {
+              const { where } = count.firstCall.args[0];
+              expect(where.userId).to.equal('5');
+              expect(where.createdAt[Op.gte]).to.equal(START);
+            }
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should try again on the next sweep when the email fails', async () => {
+      const cart = storedCart();
+      sandbox.stub(Order, 'count').resolves(0);
+      sandbox
+        .stub(emailService, 'sendCartReminderEmail')
+        .rejects(new Error('SMTP down'));
+
+      const outcome = await CartReminderService.remind(
+        cart,
+        customer,
+        [1, 24],
+        new Date(START.getTime() + 2 * HOUR)
+      );
+
+      expect(outcome).to.equal('failed');
+      expect(cart.update.called).to.be.false;
+      expect(cart.reminderStep).to.equal(0);
+    });
+  });
+
+  describe('Property 29.3: Restore links and the recovery report', () => {
+    it('should record the first visit of a restore link only', async () => {
+      const cart = storedCart({ restoreToken: 'a'.repeat(48) });
+      const findOne = sandbox.stub(Cart, 'findOne').resolves(cart);
+      const first = new Date(START.getTime() + HOUR);
+
+      await CartReminderService.restore(cart.restoreToken, first);
+      await CartReminderService.restore(cart.restoreToken, new Date());
+
+      expect(findOne.firstCall.args[0].where).to.deep.equal({
+        restoreToken: cart.restoreToken,
+        status: 'active',
+      });
+      expect(cart.restoredAt).to.equal(first);
+      expect(cart.updatedAt).to.equal(START);
+
+      findOne.resolves(null);
+      let error = null;
+      try {
+        await CartReminderService.restore('b'.repeat(48));
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.statusCode).to.equal(404);
+    });
+
+    it('should report the share of reminded carts bought and their revenue', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 0, max: 500 }),
+          fc.array(fc.integer({ min: 100, max: 50000 }), { maxLength: 20 }),
+          async (others, totals) => {
+            sandbox.restore();
+            const reminded = others + totals.length;
+            sandbox
+              .stub(Cart, 'count')
+              .callsFake(async ({ where }) =>
+                where.restoredAt ? Math.floor(reminded / 2) : reminded
+              );
+            sandbox.stub(Cart, 'findAll').resolves(
+              totals.map((total, index) => ({
+                id: `cart-${index}`,
+                orderId: `order-${index}`,
+              }))
+            );
+            const sum = sandbox
+              .stub(Order, 'sum')
+              .resolves(totals.reduce((acc, total) => acc + total, 0));
+
+            const stats = await CartReminderService.stats();
+
+            expect(stats.remindedCarts).to.equal(reminded);
+            expect(stats.recoveredCarts).to.equal(totals.length);
+            expect(stats.recoveryRate).to.be.within(0, 1);
+            expect(stats.recoveryRate).to.be.closeTo(
+              reminded ? totals.length / reminded : 0,
+              0.0001
+            );
+            expect(stats.recoveredRevenue).to.equal(
+              totals.reduce((acc, total) => acc + total, 0)
+            );
+            expect(sum.called).to.equal(totals.length > 0);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
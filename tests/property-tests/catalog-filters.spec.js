@@ -0,0 +1,334 @@
+const { expect } = require('chai');
+const fc = require('fast-check');
+const sinon = require('sinon');
+const { Op } = require('sequelize');
+const { Product, Categorie } = require('../../src/db');
+const ProductCatalogService = require('../../src/services/productCatalogService');
+const { PaginationMiddleware } = require('../../src/middleware/pagination');
+const { orderProductsName } = require('../../src/controllers/orderByName');
+const { orderProductsPrice } = require('../../src/controllers/orderByPrice');
+const { getRatingProduct } = require('../../src/controllers/ratingproduct');
+
+/**
+ * **Feature: ecommerce-modernization, Property 36: Faceted catalog filtering**
+ * **Validates: Requirements 8.20**
+ *
+ * Property-based tests for catalog filters and facets
+ * Tests that every filter narrows the catalog query, that each facet is
+ * counted with all filters but its own, and that the legacy sort endpoints
+ * only ever load one page of products
+ */
+
+describe('Catalog Filter Properties', function () {
+  this.timeout(20000);
+
+  const NOW = new Date('2026-06-15T12:00:00Z');
+
+  let sandbox;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    // Offer conditions embed the current time
+    sandbox.useFakeTimers({ now: NOW, toFake: ['Date'] });
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  // Query parameters behind each filter dimension
+  const DIMENSIONS = {
+    q: ['q'],
+    brand: ['brand'],
+    product_type: ['product_type'],
+    categorie: ['categorie'],
+    price: ['minPrice', 'maxPrice'],
+    rating: ['minRating', 'maxRating'],
+    tag: ['tag'],
+    onOffer: ['onOffer'],
+  };
+
+  const word = fc.constantFrom('nyx', 'dior', 'lip', 'vegan', '50%_off', 'a,b');
+
+  const filtersArbitrary = fc.record(
+    {
+      q: word,
+      brand: word,
+      product_type: word,
+      categorie: word,
+      minPrice: fc.integer({ min: 0, max: 50 }),
+      maxPrice: fc.integer({ min: 50, max: 200 }),
+      minRating: fc.integer({ min: 0, max: 3 }),
+      maxRating: fc.integer({ min: 3, max: 5 }),
+      tag: word,
+      onOffer: fc.constantFrom(true, false, 'true', 'false'),
+    },
+    { requiredKeys: [] }
+  );
+
+  const conditionsOf = where => where[Op.and];
+
+  const without = (filters, dimension) => {
+    const rest = { ...filters };
+    DIMENSIONS[dimension].forEach(param => delete rest[param]);
+    return rest;
+  };
+
+  describe('Property 36.1: Every filter narrows the catalog', () => {
+    it('should add one condition per filter given, on top of the enabled check', () => {
+      fc.assert(
+        fc.property(filtersArbitrary, filters => {
+          const conditions = conditionsOf(
+            ProductCatalogService.buildWhere(filters)
+          );
+          const given = Object.values(DIMENSIONS).filter(params =>
+            params.some(param => filters[param] !== undefined)
+          );
+
+          expect(conditions[0]).to.deep.equal({ status: true });
+          expect(conditions).to.have.length(given.length + 1);
+        }),
+        { numRuns: 300 }
+      );
+    });
+
+    it('should leave out exactly the excluded dimension', () => {
+      fc.assert(
+        fc.property(
+          filtersArbitrary,
+          fc.constantFrom(...Object.keys(DIMENSIONS)),
+          (filters, dimension) => {
+            expect(
+              ProductCatalogService.buildWhere(filters, {
+                exclude: [dimension],
+              })
+            ).to.deep.equal(
+              ProductCatalogService.buildWhere(without(filters, dimension))
+            );
+          }
+        ),
+        { numRuns: 300 }
+      );
+    });
+
+    it('should match listed values literally, ignoring case', () => {
+      const [, brand, categorie, tag] = conditionsOf(
+        ProductCatalogService.buildWhere({
+          brand: 'NYX, 50%_off',
+          categorie: "O'Neil",
+          tag: 'vegan,cruelty free',
+        })
+      );
+
+      expect(brand.brand[Op.iLike][Op.any]).to.deep.equal([
+        'NYX',
+        '50\\%\\_off',
+      ]);
+      expect(categorie.val).to.include("ILIKE ANY (ARRAY['O''Neil'])");
+      expect(tag).to.deep.equal({
+        tag_list: { [Op.overlap]: ['vegan', 'cruelty free'] },
+      });
+    });
+
+    it('should bound prices and ratings inclusively, on either side', () => {
+      fc.assert(
+        fc.property(
+          fc.option(fc.integer({ min: 0, max: 100 }), { nil: undefined }),
+          fc.option(fc.integer({ min: 0, max: 100 }), { nil: undefined }),
+          (min, max) => {
+            const range = ProductCatalogService.range(min, max);
+            if (min === undefined && max === undefined) {
+              expect(range).to.be.null;
+              return;
+            }
+            expect(range[Op.gte]).to.equal(min);
+            expect(range[Op.lte]).to.equal(max);
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    it('should filter on offers in effect, or on their absence', () => {
+      const condition = ProductCatalogService.activeOfferCondition();
+      const onOffer = value =>
+        conditionsOf(ProductCatalogService.buildWhere({ onOffer: value }))[1]
+          .val;
+
+      expect(onOffer(true)).to.equal(condition);
+      expect(onOffer('true')).to.equal(condition);
+      expect(onOffer(false)).to.equal(`NOT ${condition}`);
+      expect(onOffer('false')).to.equal(`NOT ${condition}`);
+    });
+  });
+
+  describe('Property 36.2: Each facet ignores its own filter', () => {
+    it('should count every dimension with all the other filters applied', async () => {
+      await fc.assert(
+        fc.asyncProperty(filtersArbitrary, async filters => {
+          sandbox.restore();
+          sandbox.useFakeTimers({ now: NOW, toFake: ['Date'] });
+          const productQueries = sandbox.stub(Product, 'findAll').resolves([]);
+          const categoryQuery = sandbox.stub(Categorie, 'findAll').resolves([]);
+          const bucketQueries = sandbox.stub(Product, 'findOne').resolves(null);
+
+          await ProductCatalogService.facets(filters);
+
+          const whereOf = dimension =>
+            ProductCatalogService.buildWhere(without(filters, dimension));
+          const grouped = field =>
+            productQueries
+              .getCalls()
+              .find(call => call.args[0].group?.[0] === field).args[0].where;
+          const tags = productQueries
+            .getCalls()
+            .find(call => !call.args[0].group).args[0].where;
+          const [prices, ratings, offers] = bucketQueries
+            .getCalls()
+            .map(call => call.args[0].where);
+
+          expect(grouped('brand')).to.deep.equal(whereOf('brand'));
+          expect(grouped('product_type')).to.deep.equal(
+            whereOf('product_type')
+          );
+          expect(tags).to.deep.equal(whereOf('tag'));
+          expect(prices).to.deep.equal(whereOf('price'));
+          expect(ratings).to.deep.equal(whereOf('rating'));
+          expect(offers).to.deep.equal(whereOf('onOffer'));
+          expect(
+            categoryQuery.firstCall.args[0].include[0].where
+          ).to.deep.equal(
+            ProductCatalogService.buildWhere(without(filters, 'categorie'), {
+              alias: 'products',
+            })
+          );
+        }),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should report counts per value, bucket and offer state', async () => {
+      sandbox.stub(Product, 'findAll').callsFake(async ({ group }) => {
+        if (group?.[0] === 'brand') {
+          return [
+            { value: 'nyx', count: '3' },
+            { value: null, count: '2' },
+          ];
+        }
+        if (group) {
+          return [{ value: 'lipstick', count: '4' }];
+        }
+        return [
+          { tag_list: ['vegan', 'vegan', 'natural'] },
+          { tag_list: ['vegan'] },
+          { tag_list: null },
+        ];
+      });
+      sandbox
+        .stub(Categorie, 'findAll')
+        .resolves([{ value: 'Lips', count: '5' }]);
+      sandbox
+        .stub(Product, 'findOne')
+        .callsFake(async ({ attributes }) =>
+          Object.fromEntries(
+            attributes.map(([, name], index) => [name, String(index + 1)])
+          )
+        );
+
+      const facets = await ProductCatalogService.facets({});
+
+      expect(facets.brand).to.deep.equal([{ value: 'nyx', count: 3 }]);
+      expect(facets.product_type).to.deep.equal([
+        { value: 'lipstick', count: 4 },
+      ]);
+      expect(facets.categorie).to.deep.equal([{ value: 'Lips', count: 5 }]);
+      expect(facets.tag).to.deep.equal([
+        { value: 'vegan', count: 2 },
+        { value: 'natural', count: 1 },
+      ]);
+      expect(facets.price.map(bucket => bucket.count)).to.deep.equal([
+        1, 2, 3, 4, 5,
+      ]);
+      expect(facets.price[0]).to.include({ min: 0, max: 10 });
+      expect(facets.price[4]).to.include({ min: 100, max: null });
+      expect(facets.rating.map(bucket => bucket.min)).to.deep.equal([
+        4, 3, 2, 1,
+      ]);
+      expect(facets.onOffer).to.deep.equal([
+        { value: true, count: 1 },
+        { value: false, count: 2 },
+      ]);
+    });
+  });
+
+  describe('Property 36.3: Legacy sort endpoints return one page', () => {
+    const ENDPOINTS = [
+      [orderProductsName, { alpha: 'asc' }, { sortBy: 'name', order: 'ASC' }],
+      [
+        orderProductsPrice,
+        { orderby: 'max-min' },
+        { sortBy: 'price', order: 'DESC' },
+      ],
+      [
+        getRatingProduct,
+        { ratingBy: 'min-max' },
+        { sortBy: 'rating', order: 'ASC' },
+      ],
+    ];
+
+    const call = (handler, query) =>
+      new Promise((resolve, reject) => {
+        const req = { query, originalUrl: '/api/products' };
+        const res = { status: sinon.stub() };
+        res.json = sinon.stub().callsFake(body => resolve({ res, body }));
+        res.status.returns(res);
+
+        PaginationMiddleware.paginate({ defaultLimit: 20 })(req, res, error =>
+          error ? reject(error) : handler(req, res, reject)
+        );
+      });
+
+    it('should ask the catalog for the requested page only', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.constantFrom(...ENDPOINTS),
+          fc.option(fc.integer({ min: 1, max: 10 }), { nil: undefined }),
+          fc.option(fc.integer({ min: 1, max: 500 }), { nil: undefined }),
+          async ([handler, query, sort], page, limit) => {
+            sandbox.restore();
+            const find = sandbox
+              .stub(ProductCatalogService, 'find')
+              .resolves({ rows: [], count: 250 });
+
+            const { res, body } = await call(handler, {
+              ...query,
+              ...(page && { page: String(page) }),
+              ...(limit && { limit: String(limit) }),
+            });
+
+            const expectedLimit = Math.min(limit || 20, 100);
+            const options = find.firstCall.args[1];
+            expect(res.status.calledWith(200)).to.be.true;
+            expect(options).to.deep.equal({
+              limit: expectedLimit,
+              offset: ((page || 1) - 1) * expectedLimit,
+              ...sort,
+            });
+            expect(body.pagination.totalItems).to.equal(250);
+            expect(body.pagination.currentPage).to.equal(page || 1);
+          }
+        ),
+        { numRuns: 60 }
+      );
+    });
+
+    it('should still reject a missing sort direction', async () => {
+      const find = sandbox.stub(ProductCatalogService, 'find');
+
+      const { res } = await call(orderProductsName, {});
+
+      expect(res.status.calledWith(400)).to.be.true;
+      expect(find.called).to.be.false;
+    });
+  });
+});
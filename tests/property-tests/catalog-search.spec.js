@@ -0,0 +1,239 @@
+const { expect } = require('chai');
+const fc = require('fast-check');
+const sinon = require('sinon');
+const { Op } = require('sequelize');
+const { Product } = require('../../src/db');
+const ProductCatalogService = require('../../src/services/productCatalogService');
+const StockReservationService = require('../../src/services/stockReservationService');
+
+/**
+ * **Feature: ecommerce-modernization, Property 35: Catalog full-text search**
+ * **Validates: Requirements 8.19**
+ *
+ * Property-based tests for catalog search
+ * Tests that free text becomes a safe prefix query whatever the shopper
+ * types, that matches are ranked with names and brands above descriptions,
+ * and that disabled products never show up
+ */
+
+describe('Catalog Search Properties', function () {
+  this.timeout(20000);
+
+  let sandbox;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(Product, 'findAll').resolves([]);
+    sandbox
+      .stub(StockReservationService, 'reservedQuantities')
+      .resolves(new Map());
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  const TERM = /^[\p{L}\p{N}]+:\*$/u;
+
+  // Terms of the tsquery literal built for a search, null when there is none
+  const termsOf = text => {
+    const query = ProductCatalogService.searchQuery(text);
+    if (query === null) {
+      return null;
+    }
+    const match = query.match(/^to_tsquery\('simple', '(.*)'\)$/su);
+    expect(match, query).to.not.be.null;
+    return match[1].split(' & ');
+  };
+
+  const conditionsOf = where => where[Op.and];
+
+  const product = (id, values = {}) => {
+    const data = { id, name: `Product ${id}`, price: 10, stock: 3, ...values };
+    return { ...data, toJSON: () => data };
+  };
+
+  describe('Property 35.1: Any text becomes a safe prefix query', () => {
+    it('should only ever pass lowercase word prefixes joined by AND', () => {
+      fc.assert(
+        fc.property(fc.fullUnicodeString({ maxLength: 60 }), text => {
+          const terms = termsOf(text);
+          const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu);
+
+          if (!words) {
+            expect(terms).to.be.null;
+            return;
+          }
+          expect(terms).to.deep.equal(words.map(word => `${word}:*`));
+          terms.forEach(term => expect(term).to.match(TERM));
+        }),
+        { numRuns: 500 }
+      );
+    });
+
+    it('should strip quotes and tsquery operators from odd queries', () => {
+      expect(
+        termsOf('L\'Oréal "lash" | !mascara & (nyx) <-> lip:*')
+      ).to.deep.equal([
+        'l:*',
+        'oréal:*',
+        'lash:*',
+        'mascara:*',
+        'nyx:*',
+        'lip:*',
+      ]);
+      expect(termsOf("'; DROP TABLE products; --")).to.deep.equal([
+        'drop:*',
+        'table:*',
+        'products:*',
+      ]);
+      ['', '   ', '"\'', '&|!():*<->', null, undefined].forEach(text => {
+        expect(termsOf(text)).to.be.null;
+      });
+    });
+
+    it('should leave the search out of the query when there are no terms', () => {
+      ['', '  ', '"&|!"', undefined].forEach(q => {
+        const conditions = conditionsOf(
+          ProductCatalogService.buildWhere({ q })
+        );
+        expect(conditions).to.deep.equal([{ status: true }]);
+        expect(ProductCatalogService.buildOrder({ q })).to.deep.equal([
+          ['rating', 'DESC'],
+          ['id', 'ASC'],
+        ]);
+      });
+    });
+  });
+
+  describe('Property 35.2: Matches are ranked by relevance', () => {
+    it('should weight names and brands above types, tags and categories, and those above descriptions', () => {
+      const parts = ProductCatalogService.searchDocument().split(' || ');
+      const weightOf = column =>
+        parts.find(part => part.includes(column)).match(/'([ABC])'\)$/)[1];
+
+      expect(weightOf('"product".name')).to.equal('A');
+      expect(weightOf('"product".brand')).to.equal('A');
+      expect(weightOf('product_type')).to.equal('B');
+      expect(weightOf('tag_list')).to.equal('B');
+      expect(weightOf('string_agg(c.name')).to.equal('B');
+      expect(weightOf('"product".description')).to.equal('C');
+    });
+
+    it('should rank the matches of a search before any other order, ties by id', () => {
+      fc.assert(
+        fc.property(
+          fc.stringOf(fc.constantFrom('a', 'b', 'l', 'i', 'p', ' '), {
+            minLength: 1,
+            maxLength: 20,
+          }),
+          fc.constantFrom('ASC', 'DESC'),
+          (q, order) => {
+            const tsQuery = ProductCatalogService.searchQuery(q);
+            fc.pre(tsQuery !== null);
+
+            const [rank, tie] = ProductCatalogService.buildOrder(
+              { q },
+              'relevance',
+              order
+            );
+
+            expect(rank[0].val).to.equal(
+              `ts_rank_cd(${ProductCatalogService.searchDocument()}, ${tsQuery})`
+            );
+            expect(rank[1]).to.equal(order);
+            expect(tie).to.deep.equal(['id', 'ASC']);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should return the ranked page in the order of the query, with its relevance', async () => {
+      const ranked = [
+        product(4, { relevance: 0.9 }),
+        product(1, { relevance: 0.5 }),
+        product(9, { relevance: 0.1 }),
+      ];
+      const findAndCountAll = sandbox
+        .stub(Product, 'findAndCountAll')
+        .resolves({ rows: ranked, count: 3 });
+
+      const { rows, count } = await ProductCatalogService.find(
+        { q: 'lip gloss' },
+        { limit: 20, offset: 0, sortBy: 'relevance', order: 'DESC' }
+      );
+
+      const query = findAndCountAll.firstCall.args[0];
+      const tsQuery = ProductCatalogService.searchQuery('lip gloss');
+      expect(query.attributes.include[0][0].val).to.include(tsQuery);
+      expect(query.attributes.include[0][1]).to.equal('relevance');
+      expect(query.order).to.deep.equal(
+        ProductCatalogService.buildOrder(
+          { q: 'lip gloss' },
+          'relevance',
+          'DESC'
+        )
+      );
+      expect(query.limit).to.equal(20);
+      expect(rows.map(row => row.id)).to.deep.equal([4, 1, 9]);
+      expect(rows.map(row => row.relevance)).to.deep.equal([0.9, 0.5, 0.1]);
+      expect(count).to.equal(3);
+    });
+
+    it('should let an explicit sort replace the ranking', () => {
+      expect(
+        ProductCatalogService.buildOrder({ q: 'lip' }, 'price', 'ASC')
+      ).to.deep.equal([
+        ['price', 'ASC'],
+        ['id', 'ASC'],
+      ]);
+    });
+  });
+
+  describe('Property 35.3: Disabled products are never found', () => {
+    it('should only search enabled products, whatever the filters', () => {
+      fc.assert(
+        fc.property(
+          fc.record(
+            {
+              q: fc.string({ maxLength: 20 }),
+              name: fc.string({ maxLength: 10 }),
+              brand: fc.string({ maxLength: 10 }),
+              status: fc.boolean(),
+            },
+            { requiredKeys: [] }
+          ),
+          filters => {
+            const conditions = conditionsOf(
+              ProductCatalogService.buildWhere(filters)
+            );
+            expect(conditions[0]).to.deep.equal({ status: true });
+            expect(
+              conditions.filter(
+                condition => condition && condition.status !== undefined
+              )
+            ).to.have.length(1);
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    it('should put the search and the enabled check in the same query', async () => {
+      const findAndCountAll = sandbox
+        .stub(Product, 'findAndCountAll')
+        .resolves({ rows: [], count: 0 });
+
+      await ProductCatalogService.find({ q: 'mascara' }, { limit: 5 });
+
+      const conditions = conditionsOf(findAndCountAll.firstCall.args[0].where);
+      expect(conditions[0]).to.deep.equal({ status: true });
+      expect(conditions[1].val).to.equal(
+        `(${ProductCatalogService.searchDocument()}) @@ ${ProductCatalogService.searchQuery(
+          'mascara'
+        )}`
+      );
+    });
+  });
+});
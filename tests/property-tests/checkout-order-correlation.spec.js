@@ -0,0 +1,331 @@
+const { expect } = require('chai');
+const fc = require('fast-check');
+const sinon = require('sinon');
+const express = require('express');
+const request = require('supertest');
+const { Order, OrderStatusHistory, database } = require('../../src/db');
+const OrderService = require('../../src/services/orderService');
+const OrderStatusService = require('../../src/services/orderStatusService');
+const ordersRoute = require('../../src/routes/orders');
+
+/**
+ * **Feature: ecommerce-modernization, Property 18: Checkout session to order correlation**
+ * **Validates: Requirements 8.1, 8.2**
+ *
+ * Property-based tests for matching paid checkout sessions to orders
+ * Tests that concurrent shoppers, with interleaved checkouts and webhooks
+ * delivered in any order, only ever have their own payment stamped on their
+ * order, and that no open route can stamp one by hand
+ */
+
+describe('Checkout Order Correlation Properties', function () {
+  this.timeout(20000);
+
+  let sandbox;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  /**
+   * Back the Order model with an in-memory table whose every access is
+   * handed to the fast-check scheduler, so calls interleave arbitrarily
+   */
+  const stubOrders = scheduler => {
+    const rows = new Map();
+    let sequence = 0;
+    const later = (value, label) =>
+      scheduler ? scheduler.schedule(Promise.resolve(value), label) : value;
+
+    const makeRow = values => {
+      sequence += 1;
+      const row = {
+        id: `${String(sequence).padStart(8, '0')}-0000-4000-8000-000000000000`,
+        number: null,
+        status: 'pending',
+        checkoutSessionId: null,
+        createdAt: new Date(Date.UTC(2024, 0, 1, 0, 0, sequence)),
+        ...values,
+        update: async changes => Object.assign(row, changes),
+      };
+      rows.set(row.id, row);
+      return row;
+    };
+
+    sandbox
+      .stub(Order, 'create')
+      .callsFake(async values => later(makeRow(values), 'Order.create'));
+    sandbox
+      .stub(Order, 'findByPk')
+      .callsFake(async id => later(rows.get(id) || null, `findByPk ${id}`));
+    sandbox
+      .stub(Order, 'findOne')
+      .callsFake(async ({ where }) =>
+        later(rows.get(where.id) || null, `findOne ${where.id}`)
+      );
+    sandbox.stub(Order, 'update').callsFake(async (changes, { where }) => {
+      const row = rows.get(where.id);
+      if (row && row.status === where.status) {
+        Object.assign(row, changes);
+      }
+      return later([row ? 1 : 0], `update ${where.id}`);
+    });
+    sandbox
+      .stub(database, 'transaction')
+      .callsFake(work => work({ LOCK: { UPDATE: 'UPDATE' } }));
+    sandbox.stub(OrderStatusHistory, 'create').resolves({});
+    sandbox
+      .stub(OrderStatusService, 'notify')
+      .returns(() => Promise.resolve(null));
+
+    return rows;
+  };
+
+  const sessionFor = (order, index, total) => ({
+    id: `cs_test_${index}`,
+    client_reference_id: order.id,
+    metadata: { order_id: order.id },
+    amount_subtotal: total,
+    amount_total: total,
+    payment_intent: `pi_test_${index}`,
+    customer_details: { name: `Shopper ${index}`, email: `s${index}@test.com` },
+  });
+
+  describe('Property 18.1: Orders never cross between shoppers', () => {
+    it('should stamp every paid session on its own order under any interleaving', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.scheduler(),
+          fc.array(fc.integer({ min: 100, max: 1000000 }), {
+            minLength: 2,
+            maxLength: 6,
+          }),
+          fc.boolean(),
+          async (scheduler, totals, redeliver) => {
+            sandbox.restore();
+            const rows = stubOrders(scheduler);
+
+            // Every shopper checks out and pays concurrently
+            const checkouts = totals.map(async (total, index) => {
+              const order = await OrderService.prepareCheckout({
+                userId: index + 1,
+                cart: [{ id: index + 1, quantity: 1 }],
+              });
+              const session = sessionFor(order, index, total);
+              await OrderService.attachSession(order.id, session.id);
+              await OrderService.completeCheckout(session);
+              if (redeliver) {
+                const again = await OrderService.completeCheckout(session);
+                expect(again.alreadyProcessed).to.equal(true);
+              }
+              return { order, session, userId: String(index + 1) };
+            });
+
+            const settled = scheduler.waitFor(Promise.all(checkouts));
+            await scheduler.waitAll();
+            const results = await settled;
+
+            results.forEach(({ order, session, userId }) => {
+              const row = rows.get(order.id);
+              expect(row.userId).to.equal(userId);
+              expect(row.status).to.equal('created');
+              expect(row.total).to.equal(session.amount_total);
+              expect(row.checkoutSessionId).to.equal(session.id);
+              expect(row.paymentIntentId).to.equal(session.payment_intent);
+              expect(row.shipping).to.deep.equal(session.customer_details);
+            });
+
+            const numbers = results.map(
+              ({ order }) => rows.get(order.id).number
+            );
+            expect(new Set(numbers).size).to.equal(results.length);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should ignore which order was created last when a webhook arrives', async () => {
+      const rows = stubOrders(null);
+      const first = await OrderService.prepareCheckout({ userId: 1, cart: [] });
+      const firstSession = sessionFor(first, 1, 5000);
+      await OrderService.attachSession(first.id, firstSession.id);
+
+      // A second shopper starts checking out before the first one pays
+      const second = await OrderService.prepareCheckout({
+        userId: 2,
+        cart: [],
+      });
+
+      await OrderService.completeCheckout(firstSession);
+
+      expect(rows.get(first.id).status).to.equal('created');
+      expect(rows.get(first.id).total).to.equal(5000);
+      expect(rows.get(second.id).status).to.equal('pending');
+      expect(rows.get(second.id).total).to.equal(undefined);
+    });
+  });
+
+  describe('Property 18.2: Sessions must reference a payable order', () => {
+    it('should reject sessions without an order reference', async () => {
+      stubOrders(null);
+
+      try {
+        await OrderService.completeCheckout({ id: 'cs_test_orphan' });
+        expect.fail('session without an order should be rejected');
+      } catch (error) {
+        expect(error.statusCode).to.equal(422);
+        expect(error.code).to.equal('ORDER_REFERENCE_MISSING');
+        expect(Order.findByPk.called).to.equal(false);
+      }
+    });
+
+    it('should refuse a second session paying an already paid order', async () => {
+      const rows = stubOrders(null);
+      const order = await OrderService.prepareCheckout({ userId: 1, cart: [] });
+      await OrderService.completeCheckout(sessionFor(order, 1, 5000));
+
+      try {
+        await OrderService.completeCheckout(sessionFor(order, 2, 9000));
+        expect.fail('second payment should be rejected');
+      } catch (error) {
+        expect(error.statusCode).to.equal(409);
+      }
+      expect(rows.get(order.id).total).to.equal(5000);
+    });
+
+    it("should not let a shopper check out someone else's order", async () => {
+      stubOrders(null);
+      const order = await OrderService.prepareCheckout({ userId: 1, cart: [] });
+
+      try {
+        await OrderService.prepareCheckout({
+          orderId: order.id,
+          userId: 2,
+          cart: [],
+        });
+        expect.fail('foreign order should be rejected');
+      } catch (error) {
+        expect(error.statusCode).to.equal(404);
+      }
+    });
+  });
+
+  describe('Property 18.3: Failed and abandoned payments', () => {
+    it('should fail a pending order once and let the shopper pay it again', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 1, max: 4 }),
+          fc.boolean(),
+          async (failures, sameSession) => {
+            sandbox.restore();
+            const rows = stubOrders(null);
+            const order = await OrderService.prepareCheckout({
+              userId: 1,
+              cart: [],
+            });
+            const session = sessionFor(order, 1, 5000);
+            await OrderService.attachSession(order.id, session.id);
+
+            const outcomes = [];
+            for (let i = 0; i < failures; i += 1) {
+              outcomes.push(
+                await OrderService.failPayment(order.id, { reason: 'declined' })
+              );
+            }
+            expect(outcomes.map(outcome => outcome.changed)).to.deep.equal(
+              outcomes.map((_, index) => index === 0)
+            );
+            expect(rows.get(order.id).status).to.equal('failed');
+
+            // Another card in the same session, or a fresh checkout
+            let paidWith = session;
+            if (!sameSession) {
+              await OrderService.prepareCheckout({
+                orderId: order.id,
+                userId: 1,
+                cart: [],
+              });
+              expect(rows.get(order.id).status).to.equal('pending');
+              paidWith = sessionFor(order, 2, 5000);
+              await OrderService.attachSession(order.id, paidWith.id);
+            }
+
+            await OrderService.completeCheckout(paidWith);
+            expect(rows.get(order.id).status).to.equal('created');
+            expect(rows.get(order.id).checkoutSessionId).to.equal(paidWith.id);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should expire an order only for its latest checkout session', async () => {
+      const rows = stubOrders(null);
+      const order = await OrderService.prepareCheckout({ userId: 1, cart: [] });
+      const first = sessionFor(order, 1, 5000);
+      const second = sessionFor(order, 2, 5000);
+      await OrderService.attachSession(order.id, first.id);
+      await OrderService.attachSession(order.id, second.id);
+
+      const stale = await OrderService.expireCheckout(first);
+      expect(stale.changed).to.equal(false);
+      expect(rows.get(order.id).status).to.equal('pending');
+
+      const latest = await OrderService.expireCheckout(second);
+      expect(latest.changed).to.equal(true);
+      expect(rows.get(order.id).status).to.equal('expired');
+    });
+
+    it('should leave paid orders alone when a late failure arrives', async () => {
+      const rows = stubOrders(null);
+      const order = await OrderService.prepareCheckout({ userId: 1, cart: [] });
+      await OrderService.completeCheckout(sessionFor(order, 1, 5000));
+
+      const outcome = await OrderService.failPayment(order.id);
+
+      expect(outcome.changed).to.equal(false);
+      expect(rows.get(order.id).status).to.equal('created');
+    });
+  });
+
+  describe('Property 18.4: Orders are only paid through the webhook', () => {
+    it('should not expose an open route that updates orders', async () => {
+      const update = sandbox.stub(Order, 'update');
+      const complete = sandbox.stub(OrderService, 'completeCheckout');
+      const app = express();
+      app.use(express.json());
+      app.use('/orders', ordersRoute);
+
+      const response = await request(app)
+        .patch('/orders/5a4b7c1e-0000-4000-8000-000000000001')
+        .send({ status: 'created', total: 1 })
+        .timeout(2000);
+
+      expect(response.status).to.equal(404);
+      expect(update.called).to.be.false;
+      expect(complete.called).to.be.false;
+    });
+  });
+
+  describe('Order numbers', () => {
+    it('should derive distinct numbers from distinct order ids', () => {
+      fc.assert(
+        fc.property(fc.uuid(), fc.uuid(), (a, b) => {
+          fc.pre(a.slice(0, 8) !== b.slice(0, 8));
+          const date = new Date(Date.UTC(2024, 0, 31));
+          const numberA = OrderService.generateNumber({ id: a }, date);
+          expect(numberA).to.match(/^TS-20240131-[0-9A-F]{8}$/);
+          expect(numberA).to.not.equal(
+            OrderService.generateNumber({ id: b }, date)
+          );
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
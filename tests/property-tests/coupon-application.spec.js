@@ -0,0 +1,517 @@
+const { expect } = require('chai');
+const fc = require('fast-check');
+const sinon = require('sinon');
+const { Coupon, CouponRedemption, database } = require('../../src/db');
+const CouponService = require('../../src/services/couponService');
+const CartPricingService = require('../../src/services/cartPricingService');
+const RefundService = require('../../src/services/refundService');
+const { applyCoupon } = require('../../src/controllers/coupons');
+
+/**
+ * **Feature: ecommerce-modernization, Property 25: Coupon discounts**
+ * **Validates: Requirements 8.9**
+ *
+ * Property-based tests for coupons
+ * Tests that a coupon only discounts eligible lines, never more than they
+ * cost, follows its stacking rule with offers, is rejected outside its
+ * window, below its minimum or past its limits, only counts per-customer
+ * limits for the signed-in user, and that the discount reaches the payment
+ * line items and refunds to the cent
+ */
+
+describe('Coupon Application Properties', function () {
+  this.timeout(20000);
+
+  let sandbox;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  const NO_USAGE = { total: 0, customer: 0 };
+
+  const coupon = (overrides = {}) => ({
+    id: 'coupon-1',
+    code: 'SAVE10',
+    type: 'percentage',
+    value: 10,
+    minSubtotal: null,
+    productIds: [],
+    categoryIds: [],
+    brands: [],
+    offerStacking: 'exclude',
+    usageLimit: null,
+    perCustomerLimit: null,
+    startsAt: null,
+    endsAt: null,
+    active: true,
+    ...overrides,
+  });
+
+  const lineArbitrary = fc.record({
+    productId: fc.integer({ min: 1, max: 1000 }),
+    priceCents: fc.integer({ min: 1, max: 20000 }),
+    quantity: fc.integer({ min: 1, max: 5 }),
+    discountPercent: fc.constantFrom(0, 0, 10, 25, 50),
+    brand: fc.constantFrom('maybelline', 'nyx', 'clinique'),
+  });
+
+  const priced = specs =>
+    specs.map((spec, index) => {
+      const unitAmount = Math.round(
+        spec.priceCents - (spec.priceCents * spec.discountPercent) / 100
+      );
+      return {
+        productId: spec.productId * 10 + index,
+        name: `Product ${index}`,
+        brand: spec.brand,
+        quantity: spec.quantity,
+        price: spec.priceCents / 100,
+        discountPercent: spec.discountPercent,
+        unitAmount,
+        lineAmount: unitAmount * spec.quantity,
+      };
+    });
+
+  const cartArbitrary = fc
+    .array(lineArbitrary, { minLength: 1, maxLength: 6 })
+    .map(priced);
+
+  describe('Property 25.1: Discounts stay within the eligible lines', () => {
+    it('should never discount more than a line costs, nor ineligible lines', () => {
+      fc.assert(
+        fc.property(
+          cartArbitrary,
+          fc.constantFrom('percentage', 'fixed'),
+          fc.integer({ min: 1, max: 100 }),
+          fc.constantFrom('exclude', 'stack', 'best'),
+          fc.subarray(['maybelline', 'nyx', 'clinique']),
+          (lines, type, value, offerStacking, brands) => {
+            const subject = coupon({
+              type,
+              value: type === 'fixed' ? value * 100 : value,
+              offerStacking,
+              brands,
+            });
+
+            const { amount, lines: discounted } = CouponService.discountLines(
+              subject,
+              lines
+            );
+
+            expect(amount).to.equal(
+              discounted.reduce((sum, line) => sum + line.discountAmount, 0)
+            );
+            discounted.forEach((line, index) => {
+              const cartLine = lines[index];
+              expect(line.discountAmount).to.be.within(0, cartLine.lineAmount);
+              if (!CouponService.isEligible(subject, cartLine)) {
+                expect(line.discountAmount).to.equal(0);
+              }
+              if (brands.length && !brands.includes(cartLine.brand)) {
+                expect(line.discountAmount).to.equal(0);
+              }
+            });
+            if (type === 'fixed') {
+              expect(amount).to.be.at.most(subject.value);
+            }
+          }
+        ),
+        { numRuns: 300 }
+      );
+    });
+
+    it('should split a fixed discount over eligible lines to the cent', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 0, max: 100000 }),
+          fc.array(fc.integer({ min: 0, max: 50000 }), {
+            minLength: 1,
+            maxLength: 8,
+          }),
+          (amount, weights) => {
+            const total = weights.reduce((sum, weight) => sum + weight, 0);
+            const shares = CouponService.allocate(amount, weights);
+
+            expect(shares.reduce((sum, share) => sum + share, 0)).to.equal(
+              total === 0 ? 0 : amount
+            );
+            shares.forEach((share, index) => {
+              if (total > 0) {
+                expect(
+                  Math.abs(share - (amount * weights[index]) / total)
+                ).to.be.below(1);
+              }
+            });
+          }
+        ),
+        { numRuns: 300 }
+      );
+    });
+  });
+
+  describe('Property 25.2: Stacking with offers follows the coupon rule', () => {
+    it('should exclude, stack on, or keep the best of each product offer', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 100, max: 20000 }),
+          fc.integer({ min: 1, max: 4 }),
+          fc.constantFrom(10, 25, 50),
+          fc.integer({ min: 1, max: 90 }),
+          (priceCents, quantity, offer, percent) => {
+            const [line] = priced([
+              {
+                productId: 1,
+                priceCents,
+                quantity,
+                discountPercent: offer,
+                brand: 'nyx',
+              },
+            ]);
+            const full = priceCents * quantity;
+            const discountOf = offerStacking =>
+              CouponService.discountLines(
+                coupon({ value: percent, offerStacking }),
+                [line]
+              ).amount;
+
+            expect(discountOf('exclude')).to.equal(0);
+            expect(discountOf('stack')).to.equal(
+              Math.round((line.lineAmount * percent) / 100)
+            );
+
+            // The shopper pays the lower of the offer price and the coupon price
+            const couponPrice = full - Math.round((full * percent) / 100);
+            expect(line.lineAmount - discountOf('best')).to.equal(
+              Math.min(line.lineAmount, couponPrice)
+            );
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+  });
+
+  describe('Property 25.3: Coupons are rejected outside their rules', () => {
+    const lines = priced([
+      {
+        productId: 1,
+        priceCents: 5000,
+        quantity: 1,
+        discountPercent: 0,
+        brand: 'nyx',
+      },
+    ]);
+    const rejects = (subject, usage = NO_USAGE, cart = lines) => {
+      try {
+        CouponService.evaluate(subject, { lines: cart, usage });
+      } catch (error) {
+        expect(error.statusCode).to.equal(422);
+        expect(error.code).to.equal('COUPON_INVALID');
+        return error.details.reason;
+      }
+      return null;
+    };
+
+    it('should reject inactive, early, expired and under-minimum coupons', () => {
+      const hour = 60 * 60 * 1000;
+      expect(rejects(coupon({ active: false }))).to.equal('COUPON_INACTIVE');
+      expect(
+        rejects(coupon({ startsAt: new Date(Date.now() + hour) }))
+      ).to.equal('COUPON_NOT_STARTED');
+      expect(rejects(coupon({ endsAt: new Date(Date.now() - hour) }))).to.equal(
+        'COUPON_EXPIRED'
+      );
+      expect(rejects(coupon({ minSubtotal: 5001 }))).to.equal(
+        'COUPON_MIN_SUBTOTAL'
+      );
+      expect(rejects(coupon({ productIds: [999] }))).to.equal(
+        'COUPON_NOT_ELIGIBLE'
+      );
+      expect(
+        rejects(
+          coupon({
+            minSubtotal: 5000,
+            startsAt: new Date(Date.now() - hour),
+            endsAt: new Date(Date.now() + hour),
+          })
+        )
+      ).to.be.null;
+    });
+
+    it('should reject coupons used up globally or by the customer', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 1, max: 5 }),
+          fc.integer({ min: 0, max: 10 }),
+          fc.integer({ min: 1, max: 5 }),
+          fc.integer({ min: 0, max: 10 }),
+          (usageLimit, total, perCustomerLimit, customer) => {
+            const reason = rejects(coupon({ usageLimit, perCustomerLimit }), {
+              total,
+              customer,
+            });
+
+            if (total >= usageLimit) {
+              expect(reason).to.equal('COUPON_USAGE_LIMIT');
+            } else if (customer >= perCustomerLimit) {
+              expect(reason).to.equal('COUPON_CUSTOMER_LIMIT');
+            } else {
+              expect(reason).to.be.null;
+            }
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    it('should never let concurrent checkouts redeem past the usage limit', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 1, max: 4 }),
+          fc.array(fc.integer({ min: 1, max: 3 }), {
+            minLength: 1,
+            maxLength: 10,
+          }),
+          async (usageLimit, shoppers) => {
+            sandbox.restore();
+            const stored = coupon({ usageLimit });
+            const redemptions = [];
+
+            let lock = Promise.resolve();
+            sandbox.stub(database, 'transaction').callsFake(work => {
+              const run = lock.then(() => work({ LOCK: { UPDATE: 'UPDATE' } }));
+              lock = run.catch(() => null);
+              return run;
+            });
+            sandbox.stub(Coupon, 'findByPk').resolves(stored);
+            sandbox
+              .stub(CouponRedemption, 'count')
+              .callsFake(
+                async ({ where }) =>
+                  redemptions.filter(
+                    r =>
+                      where.status.includes(r.status) &&
+                      (!where.userId || r.userId === where.userId)
+                  ).length
+              );
+            sandbox.stub(CouponRedemption, 'destroy').resolves(0);
+            sandbox.stub(CouponRedemption, 'create').callsFake(async values => {
+              const redemption = { status: 'pending', ...values };
+              redemptions.push(redemption);
+              return redemption;
+            });
+
+            const applied = CouponService.evaluate(stored, {
+              lines,
+              usage: NO_USAGE,
+            });
+            const outcomes = await Promise.allSettled(
+              shoppers.map((userId, index) =>
+                CouponService.reserve(applied, {
+                  orderId: `order-${index}`,
+                  userId,
+                })
+              )
+            );
+
+            const reserved = outcomes.filter(o => o.status === 'fulfilled');
+            expect(reserved).to.have.length(
+              Math.min(usageLimit, shoppers.length)
+            );
+            outcomes
+              .filter(o => o.status === 'rejected')
+              .forEach(o =>
+                expect(o.reason.details.reason).to.equal('COUPON_USAGE_LIMIT')
+              );
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  describe('Property 25.4: The discount reaches payment and refunds', () => {
+    it('should charge exactly the discounted lines and refund exactly what was paid', () => {
+      fc.assert(
+        fc.property(
+          cartArbitrary,
+          fc.integer({ min: 1, max: 5000 }),
+          (lines, fixed) => {
+            const applied = CouponService.discountLines(
+              coupon({ type: 'fixed', value: fixed, offerStacking: 'stack' }),
+              lines
+            );
+            const discounted = lines.map((line, index) => ({
+              ...line,
+              discountAmount: applied.lines[index].discountAmount,
+            }));
+
+            const items = CartPricingService.toStripeLineItems(discounted);
+            expect(items.length).to.be.at.most(2 * lines.length);
+            const charged = items.reduce(
+              (sum, item) => sum + item.price_data.unit_amount * item.quantity,
+              0
+            );
+            const subtotal = lines.reduce(
+              (sum, line) => sum + line.lineAmount,
+              0
+            );
+            expect(charged).to.equal(subtotal - applied.amount);
+
+            // Refunding each line one unit at a time returns what it cost
+            discounted.forEach(line => {
+              let refunded = 0;
+              for (let unit = 0; unit < line.quantity; unit += 1) {
+                refunded += RefundService.lineRefundAmount(line, 1, unit);
+              }
+              expect(refunded).to.equal(line.lineAmount - line.discountAmount);
+            });
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+  });
+
+  describe('Property 25.5: Per-customer limits follow the signed-in user', () => {
+    const lines = priced([
+      {
+        productId: 1,
+        priceCents: 5000,
+        quantity: 1,
+        discountPercent: 0,
+        brand: 'nyx',
+      },
+    ]);
+
+    const reasonOf = async promise => {
+      try {
+        await promise;
+        return null;
+      } catch (error) {
+        expect(error.statusCode).to.equal(422);
+        return error.details.reason;
+      }
+    };
+
+    it('should count the signed-in user, and ask guests to sign in', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 1, max: 3 }),
+          fc.integer({ min: 0, max: 5 }),
+          fc.option(fc.constantFrom(5, '5', 9), { nil: null }),
+          async (perCustomerLimit, used, userId) => {
+            sandbox.restore();
+            sandbox
+              .stub(Coupon, 'findOne')
+              .resolves(coupon({ perCustomerLimit }));
+            const count = sandbox
+              .stub(CouponRedemption, 'count')
+              .callsFake(async ({ where }) =>
+                where.userId === '5' ? used : 0
+              );
+
+            const reason = await reasonOf(
+              CouponService.apply({ code: 'save10', lines, userId })
+            );
+
+            if (userId === null) {
+              expect(reason).to.equal('COUPON_SIGN_IN_REQUIRED');
+              expect(count.called).to.equal(false);
+            } else if (String(userId) === '5' && used >= perCustomerLimit) {
+              expect(reason).to.equal('COUPON_CUSTOMER_LIMIT');
+            } else {
+              expect(reason).to.be.null;
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should let guests use coupons without a per-customer limit', async () => {
+      sandbox.stub(Coupon, 'findOne').resolves(coupon({ usageLimit: 10 }));
+      sandbox.stub(CouponRedemption, 'count').resolves(3);
+
+      expect(
+        await reasonOf(
+          CouponService.apply({ code: 'SAVE10', lines, userId: null })
+        )
+      ).to.be.null;
+    });
+
+    it('should check the coupon for the token user, never a user id in the body', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.option(fc.integer({ min: 1, max: 100 }), { nil: undefined }),
+          fc.option(fc.integer({ min: 1, max: 100 }), { nil: undefined }),
+          async (bodyUserId, tokenUserId) => {
+            sandbox.restore();
+            sandbox
+              .stub(CartPricingService, 'priceCart')
+              .resolves({ lines, errors: [] });
+            const apply = sandbox
+              .stub(CouponService, 'apply')
+              .resolves({
+                ...CouponService.evaluate(coupon(), { lines, usage: NO_USAGE }),
+              });
+
+            await new Promise((resolve, reject) => {
+              const res = { status: sinon.stub() };
+              res.json = sinon.stub().callsFake(resolve);
+              res.status.returns(res);
+              applyCoupon(
+                {
+                  body: {
+                    code: 'SAVE10',
+                    cartProducts: [{ id: 1, quantity: 1 }],
+                    ...(bodyUserId && { userId: bodyUserId }),
+                  },
+                  ...(tokenUserId && { user: { userId: tokenUserId } }),
+                },
+                res,
+                reject
+              );
+            });
+
+            expect(apply.firstCall.args[0].userId).to.equal(
+              tokenUserId ?? null
+            );
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should record guest redemptions without a customer', async () => {
+      const stored = coupon({ usageLimit: 5 });
+      sandbox
+        .stub(database, 'transaction')
+        .callsFake(work => work({ LOCK: { UPDATE: 'UPDATE' } }));
+      sandbox.stub(Coupon, 'findByPk').resolves(stored);
+      sandbox.stub(CouponRedemption, 'count').resolves(0);
+      sandbox.stub(CouponRedemption, 'destroy').resolves(0);
+      const create = sandbox
+        .stub(CouponRedemption, 'create')
+        .callsFake(async values => values);
+      const applied = CouponService.evaluate(stored, {
+        lines,
+        usage: NO_USAGE,
+      });
+
+      await CouponService.reserve(applied, {
+        orderId: 'order-1',
+        userId: null,
+      });
+      await CouponService.reserve(applied, { orderId: 'order-2', userId: 7 });
+
+      expect(create.firstCall.args[0].userId).to.equal(null);
+      expect(create.secondCall.args[0].userId).to.equal('7');
+    });
+  });
+});
@@ -1,6 +1,6 @@
 const { expect } = require("chai");
 const fc = require("fast-check");
-const { Sequelize } = require("sequelize");
+const { Sequelize, DataTypes } = require("sequelize");
 const semver = require("semver");
 
 describe("Feature: ecommerce-modernization, Property 5: Database version and configuration compliance", () => {
@@ -100,6 +100,7 @@ describe("Feature: ecommerce-modernization, Property 5: Database version and con
               // Create mock models with required methods
               const createMockModel = (name) => ({
                 hasMany: () => {},
+                hasOne: () => {},
                 belongsTo: () => {},
                 belongsToMany: () => {},
                 associate: () => {},
@@ -113,12 +114,26 @@ describe("Feature: ecommerce-modernization, Property 5: Database version and con
                 Rol: createMockModel("Rol"),
                 User: createMockModel("User"),
                 Ofert: createMockModel("Ofert"),
+                StockReservation: createMockModel("StockReservation"),
+                InventoryMovement: createMockModel("InventoryMovement"),
+                OrderStatusHistory: createMockModel("OrderStatusHistory"),
+                PaymentEvent: createMockModel("PaymentEvent"),
+                Refund: createMockModel("Refund"),
+                ShippingZone: createMockModel("ShippingZone"),
+                ShippingMethod: createMockModel("ShippingMethod"),
+                Coupon: createMockModel("Coupon"),
+                CouponRedemption: createMockModel("CouponRedemption"),
+                Cart: createMockModel("Cart"),
+                CartItem: createMockModel("CartItem"),
+                PasswordResetToken: createMockModel("PasswordResetToken"),
+                RefreshToken: createMockModel("RefreshToken"),
+                UserSession: createMockModel("UserSession"),
               };
             }
 
             // Replace Sequelize temporarily
             require.cache[require.resolve("sequelize")] = {
-              exports: { Sequelize: MockSequelize },
+              exports: { Sequelize: MockSequelize, DataTypes },
             };
 
             // Import db.js to test configuration
@@ -196,6 +211,7 @@ describe("Feature: ecommerce-modernization, Property 5: Database version and con
             // Create mock models with required methods
             const createMockModel = (name) => ({
               hasMany: () => {},
+              hasOne: () => {},
               belongsTo: () => {},
               belongsToMany: () => {},
               associate: () => {},
@@ -209,11 +225,25 @@ describe("Feature: ecommerce-modernization, Property 5: Database version and con
               Rol: createMockModel("Rol"),
               User: createMockModel("User"),
               Ofert: createMockModel("Ofert"),
+              StockReservation: createMockModel("StockReservation"),
+              InventoryMovement: createMockModel("InventoryMovement"),
+              OrderStatusHistory: createMockModel("OrderStatusHistory"),
+              PaymentEvent: createMockModel("PaymentEvent"),
+              Refund: createMockModel("Refund"),
+              ShippingZone: createMockModel("ShippingZone"),
+              ShippingMethod: createMockModel("ShippingMethod"),
+              Coupon: createMockModel("Coupon"),
+              CouponRedemption: createMockModel("CouponRedemption"),
+              Cart: createMockModel("Cart"),
+              CartItem: createMockModel("CartItem"),
+              PasswordResetToken: createMockModel("PasswordResetToken"),
+              RefreshToken: createMockModel("RefreshToken"),
+              UserSession: createMockModel("UserSession"),
             };
           }
 
           require.cache[require.resolve("sequelize")] = {
-            exports: { Sequelize: MockSequelize },
+            exports: { Sequelize: MockSequelize, DataTypes },
           };
 
           delete require.cache[require.resolve("../../src/db.js")];
@@ -0,0 +1,402 @@
+const { expect } = require('chai');
+const fc = require('fast-check');
+const sinon = require('sinon');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { Rol, User } = require('../../src/db');
+const {
+  JWT_SECRET,
+  bindCheckoutBuyer,
+  generateAccessToken,
+  requireVerifiedEmail,
+  verifyToken,
+} = require('../../src/middleware/auth');
+const EmailVerificationService = require('../../src/services/emailVerificationService');
+const { emailService } = require('../../src/helpers/emailService');
+const checkoutRoute = require('../../src/routes/checkout');
+const { getLogin } = require('../../src/controllers/authorization/login');
+const SessionService = require('../../src/services/sessionService');
+const sendEmailUsers = require('../../src/helpers/sendEmailUsers');
+
+/**
+ * **Feature: ecommerce-modernization, Property 30: Email verification**
+ * **Validates: Requirements 8.14**
+ *
+ * Property-based tests for email verification
+ * Tests that verification links are signed, expiring and bound to the
+ * address they were sent to, that they never pass as access tokens, that
+ * resends are throttled, that routes can require a verified email, that
+ * checkout cannot be paid as a registered user without signing in, and
+ * that only the link, never the client, marks an email verified
+ */
+
+describe('Email Verification Properties', function () {
+  this.timeout(20000);
+
+  let sandbox;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  const userArbitrary = fc.record({
+    id: fc.integer({ min: 1, max: 100000 }),
+    email: fc.emailAddress(),
+  });
+
+  const storedUser = (values = {}) => ({
+    id: 7,
+    name: 'Ana',
+    email: 'ana@example.com',
+    email_verified: false,
+    email_verification_sent_at: null,
+    update: sinon.stub().callsFake(async function (changes) {
+      Object.assign(this, changes);
+      return this;
+    }),
+    ...values,
+  });
+
+  const failure = async promise => {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    return null;
+  };
+
+  describe('Property 30.1: Verification links are signed and bound to the address', () => {
+    it('should read back the user and email of any token it issued', () => {
+      fc.assert(
+        fc.property(userArbitrary, user => {
+          const payload = EmailVerificationService.readToken(
+            EmailVerificationService.issueToken(user)
+          );
+          expect(payload.userId).to.equal(user.id);
+          expect(payload.email).to.equal(user.email);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should never accept access tokens as links, nor links as access tokens', () => {
+      fc.assert(
+        fc.property(userArbitrary, user => {
+          const link = EmailVerificationService.issueToken(user);
+          const access = generateAccessToken({ userId: user.id });
+
+          expect(() => verifyToken(link)).to.throw();
+          expect(() => EmailVerificationService.readToken(access))
+            .to.throw('Invalid verification link')
+            .with.property('code', 'INVALID_EMAIL_VERIFICATION_TOKEN');
+        }),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should reject tampered and expired links', () => {
+      const token = EmailVerificationService.issueToken({
+        id: 7,
+        email: 'ana@example.com',
+      });
+      const [header, , signature] = token.split('.');
+      const forged = Buffer.from(
+        JSON.stringify({ userId: 1, email: 'admin@example.com' })
+      ).toString('base64url');
+      expect(() =>
+        EmailVerificationService.readToken(`${header}.${forged}.${signature}`)
+      ).to.throw('Invalid verification link');
+
+      const expired = jwt.sign(
+        { userId: 7, email: 'ana@example.com' },
+        JWT_SECRET,
+        {
+          expiresIn: -10,
+          issuer: 'tuspacio-api',
+          audience: EmailVerificationService.AUDIENCE,
+        }
+      );
+      expect(() => EmailVerificationService.readToken(expired))
+        .to.throw('expired')
+        .with.property('code', 'EMAIL_VERIFICATION_EXPIRED');
+    });
+
+    it('should verify once, accept the link again, and refuse it after the email changed', async () => {
+      const user = storedUser();
+      sandbox.stub(User, 'findByPk').resolves(user);
+      const token = EmailVerificationService.issueToken(user);
+
+      await EmailVerificationService.verify(token);
+      await EmailVerificationService.verify(token);
+
+      expect(user.email_verified).to.be.true;
+      expect(user.update.calledOnce).to.be.true;
+
+      user.email = 'new@example.com';
+      const error = await failure(EmailVerificationService.verify(token));
+      expect(error.statusCode).to.equal(400);
+      expect(error.code).to.equal('INVALID_EMAIL_VERIFICATION_TOKEN');
+    });
+  });
+
+  describe('Property 30.2: Resends are throttled per user', () => {
+    it('should send again only once the throttle window has passed', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.option(fc.integer({ min: 0, max: 300 }), { nil: null }),
+          fc.integer({ min: 1, max: 120 }),
+          async (secondsAgo, window) => {
+            sandbox.restore();
+            process.env.EMAIL_VERIFICATION_RESEND_SECONDS = String(window);
+            const now = new Date('2026-06-15T12:00:00Z');
+            const user = storedUser({
+              email_verification_sent_at:
+                secondsAgo === null
+                  ? null
+                  : new Date(now.getTime() - secondsAgo * 1000),
+            });
+            sandbox.stub(User, 'findByPk').resolves(user);
+            const send = sandbox
+              .stub(emailService, 'sendVerificationEmail')
+              .resolves({ success: true });
+
+            const error = await failure(
+              EmailVerificationService.resend(user.id, now)
+            );
+
+            if (secondsAgo !== null && secondsAgo < window) {
+              expect(error.statusCode).to.equal(429);
+              expect(error.details.retryAfter).to.equal(window - secondsAgo);
+              expect(send.called).to.be.false;
+            } else {
+              expect(error).to.be.null;
+              expect(user.email_verification_sent_at).to.equal(now);
+              const { token } = send.firstCall.args[1];
+              expect(EmailVerificationService.readToken(token).userId).to.equal(
+                user.id
+              );
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+      delete process.env.EMAIL_VERIFICATION_RESEND_SECONDS;
+    });
+
+    it('should not send links to verified users', async () => {
+      sandbox
+        .stub(User, 'findByPk')
+        .resolves(storedUser({ email_verified: true }));
+      const send = sandbox.stub(emailService, 'sendVerificationEmail');
+
+      const result = await EmailVerificationService.resend(7);
+
+      expect(result).to.deep.equal({ sent: false, alreadyVerified: true });
+      expect(send.called).to.be.false;
+    });
+  });
+
+  describe('Property 30.3: Routes can require a verified email', () => {
+    it('should let verified users and guests through and stop the rest', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.constantFrom('guest', 'verified', 'unverified', 'deleted'),
+          async who => {
+            sandbox.restore();
+            sandbox
+              .stub(User, 'findByPk')
+              .resolves(
+                who === 'deleted'
+                  ? null
+                  : { id: 7, email_verified: who === 'verified' }
+              );
+            const req = { user: who === 'guest' ? null : { userId: 7 } };
+            const res = {
+              status: sinon.stub().returnsThis(),
+              json: sinon.stub().returnsThis(),
+            };
+            const next = sinon.stub();
+
+            await requireVerifiedEmail(req, res, next);
+
+            if (who === 'guest' || who === 'verified') {
+              expect(next.calledOnceWithExactly()).to.be.true;
+              expect(res.status.called).to.be.false;
+            } else {
+              expect(next.called).to.be.false;
+              expect(res.status.calledWith(403)).to.be.true;
+              expect(res.json.firstCall.args[0].code).to.equal(
+                'EMAIL_NOT_VERIFIED'
+              );
+            }
+          }
+        ),
+        { numRuns: 40 }
+      );
+    });
+  });
+
+  describe('Property 30.4: Registered users check out signed in', () => {
+    const REGISTERED = [7, 42];
+
+    const stubUsers = () =>
+      sandbox
+        .stub(User, 'findByPk')
+        .callsFake(async id =>
+          REGISTERED.includes(id) ? { id, email_verified: id === 42 } : null
+        );
+
+    it('should bind signed-in users to themselves and stop guests naming a registered user', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.option(fc.constantFrom(7, 42), { nil: null }),
+          fc.option(
+            fc.oneof(
+              fc.constantFrom(7, 42, '7', 1000),
+              fc.string({ maxLength: 12 })
+            ),
+            { nil: undefined }
+          ),
+          async (signedIn, bodyId) => {
+            sandbox.restore();
+            const findByPk = stubUsers();
+            const req = {
+              user: signedIn === null ? null : { userId: signedIn },
+              body: { ...(bodyId !== undefined && { id: bodyId }) },
+            };
+            const res = {
+              status: sinon.stub().returnsThis(),
+              json: sinon.stub().returnsThis(),
+            };
+            const next = sinon.stub();
+
+            await bindCheckoutBuyer(req, res, next);
+
+            if (signedIn !== null) {
+              expect(req.body.id).to.equal(signedIn);
+              expect(next.calledOnceWithExactly()).to.be.true;
+              expect(findByPk.called).to.be.false;
+            } else if (REGISTERED.map(String).includes(String(bodyId))) {
+              expect(next.called).to.be.false;
+              expect(res.status.calledWith(401)).to.be.true;
+              expect(res.json.firstCall.args[0].code).to.equal(
+                'AUTHENTICATION_REQUIRED'
+              );
+            } else {
+              expect(req.body.id).to.equal(bodyId);
+              expect(next.calledOnceWithExactly()).to.be.true;
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should not let an unverified user pay by leaving the token out', async () => {
+      stubUsers();
+      const app = express();
+      app.use(express.json());
+      app.use('/checkout', checkoutRoute);
+      const body = {
+        id: 7,
+        cartProducts: [{ id: 1, quantity: 1 }],
+      };
+
+      const signedIn = await request(app)
+        .post('/checkout')
+        .set(
+          'Authorization',
+          `Bearer ${generateAccessToken({ userId: 7, role: 'user' })}`
+        )
+        .send(body);
+      const tokenless = await request(app).post('/checkout').send(body);
+
+      expect(signedIn.status).to.equal(403);
+      expect(signedIn.body.code).to.equal('EMAIL_NOT_VERIFIED');
+      expect(tokenless.status).to.equal(401);
+      expect(tokenless.body.code).to.equal('AUTHENTICATION_REQUIRED');
+    });
+  });
+
+  describe('Property 30.5: Only the link verifies an email', () => {
+    const socialLogin = (body, oidcUser) =>
+      new Promise(resolve => {
+        const req = {
+          body,
+          headers: {},
+          session: {},
+          oidc: { user: oidcUser, isAuthenticated: () => true },
+        };
+        const res = { status: sinon.stub() };
+        res.json = sinon.stub().callsFake(resolve);
+        res.status.returns(res);
+
+        getLogin(req, res, resolve);
+      });
+
+    it('should create social login users unverified and send them a link', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.emailAddress(),
+          fc.boolean(),
+          fc.constantFrom(true, 'true', 1),
+          async (email, claimedByProvider, claimedByClient) => {
+            sandbox.restore();
+            sandbox.stub(console, 'log');
+            sandbox
+              .stub(Rol, 'findOne')
+              .resolves({ id: 2, rolName: 'user', status: true });
+            sandbox.stub(User, 'findOne').resolves(null);
+            const create = sandbox
+              .stub(User, 'create')
+              .callsFake(async values => ({ id: 7, ...values }));
+            sandbox
+              .stub(SessionService, 'start')
+              .resolves({ session: { id: 'session-1' }, refreshToken: 'r' });
+            sandbox.stub(sendEmailUsers, 'sendMail');
+            const send = sandbox
+              .stub(EmailVerificationService, 'send')
+              .resolves({ sent: true });
+
+            const body = await socialLogin(
+              { email, email_verified: claimedByClient },
+              { email, email_verified: claimedByProvider }
+            );
+
+            expect(create.firstCall.args[0].email_verified).to.be.false;
+            expect(body.user.email_verified).to.be.false;
+            expect(send.calledOnce).to.be.true;
+            expect(send.firstCall.args[0].id).to.equal(7);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should leave the verification of existing users as it is', async () => {
+      sandbox.stub(console, 'log');
+      const user = storedUser({ status: true, rol_id: 2 });
+      sandbox.stub(User, 'findOne').resolves(user);
+      sandbox
+        .stub(SessionService, 'start')
+        .resolves({ session: { id: 'session-1' }, refreshToken: 'r' });
+      sandbox.stub(sendEmailUsers, 'sendMail');
+      const send = sandbox.stub(EmailVerificationService, 'send');
+
+      await socialLogin(
+        { email_verified: true },
+        { email: user.email, email_verified: true }
+      );
+
+      expect(user.email_verified).to.be.false;
+      expect(user.update.called).to.be.false;
+      expect(send.called).to.be.false;
+    });
+  });
+});
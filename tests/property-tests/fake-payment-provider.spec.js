@@ -0,0 +1,428 @@
+const { expect } = require('chai');
+const fc = require('fast-check');
+const sinon = require('sinon');
+const { Op } = require('sequelize');
+const {
+  Order,
+  OrderStatusHistory,
+  PaymentEvent,
+  database,
+} = require('../../src/db');
+const {
+  FakePaymentProvider,
+  getPaymentProvider,
+  setPaymentProvider,
+} = require('../../src/services/payments');
+const OrderService = require('../../src/services/orderService');
+const OrderStatusService = require('../../src/services/orderStatusService');
+const PaymentEventService = require('../../src/services/paymentEventService');
+const StockReservationService = require('../../src/services/stockReservationService');
+const sendEmailUsers = require('../../src/helpers/sendEmailUsers');
+
+/**
+ * **Feature: ecommerce-modernization, Property 21: Offline payment provider**
+ * **Validates: Requirements 8.5**
+ *
+ * Property-based tests for the fake payment provider
+ * Tests that its webhooks only verify when signed with its secret, and that
+ * a purchase runs from checkout session to paid, failed, expired or refunded
+ * order without any network access
+ */
+
+describe('Fake Payment Provider Properties', function () {
+  this.timeout(20000);
+
+  let sandbox;
+  let provider;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    provider = new FakePaymentProvider({ webhookSecret: 'test_secret' });
+    setPaymentProvider(provider);
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+    setPaymentProvider(null);
+  });
+
+  // Whether a claim's conditions match a stored event
+  const claimable = (row, where) =>
+    where[Op.or].some(
+      condition =>
+        [].concat(condition.status).includes(row.status) &&
+        (!condition.updatedAt || row.updatedAt < condition.updatedAt[Op.lt])
+    );
+
+  /**
+   * Back orders and payment events with in-memory tables
+   */
+  const stubStore = () => {
+    const orders = new Map();
+    const events = new Map();
+
+    sandbox
+      .stub(Order, 'findByPk')
+      .callsFake(async id => orders.get(id) || null);
+    sandbox
+      .stub(Order, 'findOne')
+      .callsFake(async ({ where }) => orders.get(where.id) || null);
+    sandbox.stub(Order, 'update').callsFake(async (changes, { where }) => {
+      const row = orders.get(where.id);
+      if (row && row.status === where.status) {
+        Object.assign(row, changes);
+      }
+      return [row ? 1 : 0];
+    });
+    sandbox
+      .stub(database, 'transaction')
+      .callsFake(work => work({ LOCK: { UPDATE: 'UPDATE' } }));
+    sandbox.stub(OrderStatusHistory, 'create').resolves({});
+    sandbox
+      .stub(OrderStatusService, 'notify')
+      .returns(() => Promise.resolve(null));
+
+    sandbox
+      .stub(PaymentEvent, 'findOrCreate')
+      .callsFake(async ({ where, defaults }) => {
+        if (events.has(where.eventId)) {
+          return [events.get(where.eventId), false];
+        }
+        const row = {
+          id: where.eventId,
+          eventId: where.eventId,
+          status: 'received',
+          attempts: 0,
+          ...defaults,
+          update: async changes => Object.assign(row, changes),
+        };
+        events.set(where.eventId, row);
+        return [row, true];
+      });
+    sandbox
+      .stub(PaymentEvent, 'update')
+      .callsFake(async (changes, { where }) => {
+        const row = events.get(where.id);
+        if (!row || !claimable(row, where)) {
+          return [0];
+        }
+        row.status = changes.status;
+        row.attempts += 1;
+        row.updatedAt = new Date();
+        return [1];
+      });
+
+    sandbox
+      .stub(StockReservationService, 'commit')
+      .resolves({ committed: 1, products: [] });
+    sandbox.stub(StockReservationService, 'release').resolves(1);
+    sandbox.stub(sendEmailUsers, 'sendMail').resolves({});
+    sandbox.stub(OrderService, 'awaitPayment').callsFake(async session => {
+      const order = orders.get(OrderService.orderIdFromSession(session));
+      return order.update({ checkoutSessionId: session.id });
+    });
+
+    return { orders, events };
+  };
+
+  const linesArbitrary = fc.array(
+    fc.record({
+      name: fc.string({ minLength: 1, maxLength: 20 }),
+      unitAmount: fc.integer({ min: 50, max: 50000 }),
+      quantity: fc.integer({ min: 1, max: 5 }),
+    }),
+    { minLength: 1, maxLength: 4 }
+  );
+
+  const shippingOptions = [0, 2500].map(amount => ({
+    shipping_rate_data: {
+      type: 'fixed_amount',
+      fixed_amount: { amount, currency: 'usd' },
+      display_name: amount ? 'Fast shipping' : 'Free shipping',
+    },
+  }));
+
+  /**
+   * Open a checkout session for a new pending order, as the checkout route does
+   */
+  const openCheckout = async (orders, lines, index = 1) => {
+    const order = {
+      id: `${String(index).padStart(8, '0')}-0000-4000-8000-000000000000`,
+      userId: String(index),
+      number: null,
+      status: 'pending',
+      checkoutSessionId: null,
+      paymentIntentId: null,
+      createdAt: new Date(Date.UTC(2024, 0, 1)),
+      update: async changes => Object.assign(order, changes),
+    };
+    orders.set(order.id, order);
+
+    const customer = await provider.createCustomer({
+      id: index,
+      email: `shopper${index}@test.com`,
+      name: `Shopper ${index}`,
+    });
+    const session = await provider.createCheckoutSession({
+      customerId: customer.id,
+      lineItems: lines.map(line => ({
+        price_data: {
+          currency: 'usd',
+          product_data: { name: line.name },
+          unit_amount: line.unitAmount,
+        },
+        quantity: line.quantity,
+      })),
+      successUrl: 'http://shop.test/success?session_id={CHECKOUT_SESSION_ID}',
+      cancelUrl: 'http://shop.test/cart',
+      shippingOptions,
+      clientReferenceId: order.id,
+      metadata: { order_id: order.id, reservation_key: `rsv_${index}` },
+    });
+    await OrderService.attachSession(order.id, session.id);
+
+    return { order, session };
+  };
+
+  /**
+   * Deliver the events of an outcome through signature verification
+   */
+  const deliver = async (sessionId, outcome, details) => {
+    const outcomes = [];
+    for (const event of provider.simulate(sessionId, outcome, details)) {
+      const { payload, signature } = provider.signEvent(event);
+      outcomes.push(
+        await PaymentEventService.process(
+          provider.verifyWebhook(Buffer.from(payload), signature)
+        )
+      );
+    }
+    return outcomes;
+  };
+
+  describe('Property 21.1: Webhooks verify only with a valid signature', () => {
+    it('should accept its own signed events and reject any tampering', () => {
+      fc.assert(
+        fc.property(
+          fc.record({
+            id: fc.stringMatching(/^evt_[a-z0-9]{8}$/),
+            type: fc.constantFrom(
+              'checkout.session.completed',
+              'payment_intent.payment_failed'
+            ),
+            data: fc.record({
+              object: fc.record({ amount_total: fc.nat() }),
+            }),
+          }),
+          fc.integer({ min: 1, max: 1000 }),
+          (event, amount) => {
+            const { payload, signature } = provider.signEvent(event);
+            expect(provider.verifyWebhook(payload, signature)).to.deep.equal(
+              event
+            );
+
+            const tampered = payload.replace(
+              `"amount_total":${event.data.object.amount_total}`,
+              `"amount_total":${event.data.object.amount_total + amount}`
+            );
+            const other = new FakePaymentProvider({ webhookSecret: 'other' });
+            const stale = provider.signEvent(
+              event,
+              Math.floor(Date.now() / 1000) -
+                FakePaymentProvider.SIGNATURE_TOLERANCE -
+                1
+            );
+
+            [
+              () => provider.verifyWebhook(tampered, signature),
+              () => provider.verifyWebhook(payload, `${signature}0`),
+              () => provider.verifyWebhook(payload, undefined),
+              () => provider.verifyWebhook(stale.payload, stale.signature),
+              () =>
+                provider.verifyWebhook(
+                  payload,
+                  other.signEvent(event).signature
+                ),
+            ].forEach(verify => {
+              expect(verify)
+                .to.throw()
+                .with.property('code', 'WEBHOOK_SIGNATURE_INVALID');
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Property 21.2: A purchase completes offline', () => {
+    it('should pay, confirm and refund the order of a session exactly once', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          linesArbitrary,
+          fc.constantFrom(0, 1),
+          fc.boolean(),
+          async (lines, shippingOption, redeliver) => {
+            sandbox.restore();
+            provider.reset();
+            const { orders } = stubStore();
+            const { order, session } = await openCheckout(orders, lines);
+            const subtotal = lines.reduce(
+              (sum, line) => sum + line.unitAmount * line.quantity,
+              0
+            );
+
+            const outcomes = await deliver(session.id, 'succeed', {
+              shippingOption,
+            });
+            if (redeliver) {
+              for (const { paymentEvent } of outcomes) {
+                const again = await PaymentEventService.process(
+                  paymentEvent.payload
+                );
+                expect(again.duplicate).to.equal(true);
+              }
+            }
+
+            expect(
+              outcomes.map(outcome => outcome.paymentEvent.status)
+            ).to.deep.equal(['processed', 'processed']);
+            expect(order.status).to.equal('created');
+            expect(order.subtotal).to.equal(subtotal);
+            expect(order.total).to.equal(
+              subtotal + (shippingOption ? 2500 : 0)
+            );
+            expect(order.checkoutSessionId).to.equal(session.id);
+            expect(order.paymentIntentId).to.match(/^pi_fake_/);
+            expect(order.number).to.match(/^TS-\d{8}-[0-9A-F]{8}$/);
+            expect(StockReservationService.commit.calledOnce).to.equal(true);
+            // The confirmation is the email of the created status, only
+            expect(
+              OrderStatusService.notify
+                .getCalls()
+                .map(call => call.args[0].status)
+            ).to.deep.equal(['created']);
+            expect(sendEmailUsers.sendMail.called).to.equal(false);
+
+            // A shopper cannot pay the same session twice
+            expect(() => provider.simulate(session.id, 'succeed'))
+              .to.throw()
+              .with.property('statusCode', 409);
+
+            // Refunds are bounded by the payment and idempotent per key
+            const refund = await provider.createRefund({
+              paymentIntentId: order.paymentIntentId,
+              idempotencyKey: 'refund_1',
+            });
+            expect(refund.status).to.equal('succeeded');
+            expect(refund.amount).to.equal(order.total);
+            const again = await provider.createRefund({
+              paymentIntentId: order.paymentIntentId,
+              idempotencyKey: 'refund_1',
+            });
+            expect(again.id).to.equal(refund.id);
+            try {
+              await provider.createRefund({
+                paymentIntentId: order.paymentIntentId,
+                amount: 1,
+              });
+              expect.fail('nothing is left to refund');
+            } catch (error) {
+              expect(error.code).to.equal('INVALID_PAYMENT_REQUEST');
+            }
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  describe('Property 21.3: Unhappy paths reach the order', () => {
+    it('should fail, expire or await the order as the shopper acts', async () => {
+      const expected = {
+        decline: 'failed',
+        expire: 'expired',
+        async_fail: 'failed',
+        async_succeed: 'created',
+      };
+
+      await fc.assert(
+        fc.asyncProperty(
+          linesArbitrary,
+          fc.constantFrom(...Object.keys(expected)),
+          async (lines, outcome) => {
+            sandbox.restore();
+            provider.reset();
+            const { orders } = stubStore();
+            const { order, session } = await openCheckout(orders, lines);
+
+            if (outcome.startsWith('async_')) {
+              await deliver(session.id, 'async_pending');
+              expect(order.status).to.equal('pending');
+              expect(OrderService.awaitPayment.calledOnce).to.equal(true);
+              expect(StockReservationService.commit.called).to.equal(false);
+            }
+
+            await deliver(session.id, outcome);
+
+            expect(order.status).to.equal(expected[outcome]);
+            expect(StockReservationService.release.called).to.equal(
+              expected[outcome] !== 'created'
+            );
+            expect(StockReservationService.commit.called).to.equal(
+              expected[outcome] === 'created'
+            );
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should surface injected provider failures to the caller', async () => {
+      provider.failNext('createCheckoutSession');
+
+      try {
+        await provider.createCheckoutSession({ lineItems: [] });
+        expect.fail('injected failure should be thrown');
+      } catch (error) {
+        expect(error.code).to.equal('PAYMENT_SERVICE_ERROR');
+      }
+
+      try {
+        await provider.createCheckoutSession({ lineItems: [] });
+        expect.fail('empty sessions should be rejected');
+      } catch (error) {
+        expect(error.code).to.equal('INVALID_LINE_ITEMS');
+      }
+    });
+  });
+
+  describe('Provider selection', () => {
+    it('should use the configured provider and refuse the fake in production', () => {
+      setPaymentProvider(null);
+      const previous = { ...process.env };
+
+      try {
+        process.env.PAYMENT_PROVIDER = 'fake';
+        expect(getPaymentProvider().name).to.equal('fake');
+        expect(getPaymentProvider()).to.equal(getPaymentProvider());
+        expect(getPaymentProvider('stripe').name).to.equal('stripe');
+
+        process.env.PAYMENT_PROVIDER = 'paypal';
+        expect(() => getPaymentProvider()).to.throw('Unknown payment provider');
+
+        process.env.NODE_ENV = 'production';
+        expect(() => new FakePaymentProvider()).to.throw('production');
+      } finally {
+        process.env.PAYMENT_PROVIDER = previous.PAYMENT_PROVIDER;
+        process.env.NODE_ENV = previous.NODE_ENV;
+        if (previous.PAYMENT_PROVIDER === undefined) {
+          delete process.env.PAYMENT_PROVIDER;
+        }
+        if (previous.NODE_ENV === undefined) {
+          delete process.env.NODE_ENV;
+        }
+      }
+    });
+  });
+});
@@ -0,0 +1,387 @@
+const { expect } = require('chai');
+const fc = require('fast-check');
+const sinon = require('sinon');
+const { Product, InventoryMovement, database } = require('../../src/db');
+const InventoryService = require('../../src/services/inventoryService');
+const { PaginationMiddleware } = require('../../src/middleware/pagination');
+const { getMovements } = require('../../src/controllers/updateStock');
+
+/**
+ * **Feature: ecommerce-modernization, Property 40: Inventory ledger**
+ * **Validates: Requirements 8.23**
+ *
+ * Property-based tests for the inventory movement ledger
+ * Tests that the stock of a product always equals the sum of its movements,
+ * opening balance included, that stock never goes negative, that
+ * reconciling finds and repairs drift, and that history lists movements
+ * newest first
+ */
+
+describe('Inventory Ledger Properties', function () {
+  this.timeout(20000);
+
+  let sandbox;
+  let products;
+  let movements;
+
+  const stored = (id, stock) => ({
+    id,
+    stock,
+    update: async function (changes) {
+      Object.assign(this, changes);
+      return this;
+    },
+  });
+
+  const ledgerOf = productId =>
+    movements.filter(movement => movement.product_id === productId);
+
+  const sum = rows => rows.reduce((total, row) => total + row.delta, 0);
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    products = new Map();
+    movements = [];
+    sandbox
+      .stub(database, 'transaction')
+      .callsFake(work => work({ LOCK: { UPDATE: 'UPDATE' } }));
+    sandbox
+      .stub(Product, 'findByPk')
+      .callsFake(async id => products.get(Number(id)) || null);
+    sandbox
+      .stub(InventoryMovement, 'count')
+      .callsFake(async ({ where }) => ledgerOf(where.product_id).length);
+    sandbox.stub(InventoryMovement, 'create').callsFake(async values => {
+      const movement = {
+        id: movements.length + 1,
+        createdAt: new Date(Date.UTC(2026, 5, 15, 12, movements.length)),
+        ...values,
+      };
+      movements.push(movement);
+      return movement;
+    });
+    sandbox.stub(InventoryMovement, 'findAll').callsFake(async ({ where }) => {
+      const rows = ledgerOf(Number(where.product_id));
+      return [
+        { ledgerStock: String(sum(rows)), movements: String(rows.length) },
+      ];
+    });
+    sandbox
+      .stub(InventoryMovement, 'findAndCountAll')
+      .callsFake(async ({ where, limit, offset = 0 }) => {
+        const rows = ledgerOf(Number(where.product_id)).sort(
+          (a, b) => b.createdAt - a.createdAt || b.id - a.id
+        );
+        return {
+          rows: rows.slice(
+            offset,
+            limit === undefined ? undefined : offset + limit
+          ),
+          count: rows.length,
+        };
+      });
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  const attempt = async promise => {
+    try {
+      return { result: await promise };
+    } catch (error) {
+      return { error };
+    }
+  };
+
+  const operationArbitrary = fc.oneof(
+    fc.record({
+      kind: fc.constant('movement'),
+      reason: fc.constantFrom(...InventoryService.REASONS),
+      delta: fc.integer({ min: -15, max: 15 }),
+      clamp: fc.boolean(),
+    }),
+    fc.record({
+      kind: fc.constant('set'),
+      stock: fc.integer({ min: -2, max: 30 }),
+    })
+  );
+
+  const apply = operation =>
+    operation.kind === 'set'
+      ? InventoryService.setStock(1, operation.stock, { actorId: 7 })
+      : InventoryService.recordMovement(
+          {
+            productId: 1,
+            delta: operation.delta,
+            reason: operation.reason,
+            actorId: 7,
+          },
+          { clamp: operation.clamp }
+        );
+
+  describe('Property 40.1: Stock is the sum of the ledger', () => {
+    it('should keep stock equal to the sum of movements, and never negative', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 0, max: 20 }),
+          fc.array(operationArbitrary, { maxLength: 15 }),
+          async (opening, operations) => {
+            products = new Map([[1, stored(1, opening)]]);
+            movements = [];
+
+            for (const operation of operations) {
+              const before = products.get(1).stock;
+              const recorded = movements.length;
+              const { error } = await attempt(apply(operation));
+              const product = products.get(1);
+
+              if (error) {
+                expect(error.statusCode).to.be.oneOf([400, 409]);
+                if (error.statusCode === 409) {
+                  expect(operation.clamp).to.be.false;
+                  expect(before + operation.delta).to.be.below(0);
+                }
+                expect(product.stock).to.equal(before);
+                expect(movements).to.have.length(recorded);
+              }
+
+              expect(product.stock).to.be.at.least(0);
+              if (movements.length > 0) {
+                expect(sum(ledgerOf(1))).to.equal(product.stock);
+              }
+            }
+
+            // Every movement records the stock it left behind
+            let running = 0;
+            ledgerOf(1).forEach(movement => {
+              running += movement.delta;
+              expect(movement.delta).to.not.equal(0);
+              expect(movement.stockAfter).to.equal(running);
+            });
+          }
+        ),
+        { numRuns: 150 }
+      );
+    });
+
+    it('should open the ledger with the stock a product had before it, once', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 0, max: 20 }),
+          fc.integer({ min: 1, max: 5 }),
+          fc.integer({ min: 1, max: 4 }),
+          async (opening, quantity, times) => {
+            products = new Map([[1, stored(1, opening)]]);
+            movements = [];
+
+            for (let i = 0; i < times; i++) {
+              await InventoryService.recordMovement({
+                productId: 1,
+                delta: quantity,
+                reason: 'restock',
+              });
+            }
+
+            const openings = movements.filter(
+              movement => movement.note === 'Opening balance'
+            );
+            expect(openings).to.have.length(opening > 0 ? 1 : 0);
+            if (opening > 0) {
+              expect(movements[0]).to.include({
+                delta: opening,
+                reason: 'adjustment',
+                actorId: 'system',
+              });
+            }
+            expect(products.get(1).stock).to.equal(opening + quantity * times);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should only accept deltas with the sign of their reason', () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom(...InventoryService.REASONS, 'theft'),
+          fc.integer({ min: -10, max: 10 }),
+          (reason, delta) => {
+            const signs = { sale: -1, damage: -1, restock: 1, return: 1 };
+            let error = null;
+            try {
+              InventoryService.validateMovement(delta, reason);
+            } catch (caught) {
+              error = caught;
+            }
+
+            const valid =
+              reason !== 'theft' &&
+              delta !== 0 &&
+              (signs[reason] === undefined ||
+                Math.sign(delta) === signs[reason]);
+            if (valid) {
+              expect(error).to.be.null;
+            } else {
+              expect(error.statusCode).to.equal(400);
+            }
+          }
+        ),
+        { numRuns: 300 }
+      );
+    });
+
+    it('should cap clamped removals at the stock on hand', async () => {
+      products = new Map([[1, stored(1, 3)]]);
+
+      const movement = await InventoryService.recordMovement(
+        { productId: 1, delta: -8, reason: 'sale' },
+        { clamp: true }
+      );
+
+      expect(movement.delta).to.equal(-3);
+      expect(products.get(1).stock).to.equal(0);
+      expect(
+        await InventoryService.recordMovement(
+          { productId: 1, delta: -1, reason: 'sale' },
+          { clamp: true }
+        )
+      ).to.be.null;
+    });
+
+    it('should answer 404 for unknown products', async () => {
+      const { error } = await attempt(
+        InventoryService.recordMovement({
+          productId: 99,
+          delta: 1,
+          reason: 'restock',
+        })
+      );
+
+      expect(error.statusCode).to.equal(404);
+      expect(movements).to.be.empty;
+    });
+  });
+
+  describe('Property 40.2: Reconcile finds and repairs drift', () => {
+    it('should report the drift between the stock column and the ledger, and repair it unless dry run', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(fc.integer({ min: 1, max: 10 }), {
+            minLength: 1,
+            maxLength: 6,
+          }),
+          fc.integer({ min: -5, max: 5 }),
+          fc.boolean(),
+          async (restocks, drift, dryRun) => {
+            products = new Map([[1, stored(1, 0)]]);
+            movements = [];
+            for (const quantity of restocks) {
+              await InventoryService.recordMovement({
+                productId: 1,
+                delta: quantity,
+                reason: 'restock',
+              });
+            }
+            const ledgerStock = sum(ledgerOf(1));
+            // A write that bypassed the ledger
+            products.get(1).stock = Math.max(ledgerStock + drift, 0);
+            const cachedStock = products.get(1).stock;
+
+            const report = await InventoryService.reconcile(1, { dryRun });
+
+            expect(report).to.include({
+              cachedStock,
+              ledgerStock,
+              drift: cachedStock - ledgerStock,
+              movements: restocks.length,
+              repaired: cachedStock !== ledgerStock && !dryRun,
+            });
+            expect(products.get(1).stock).to.equal(
+              dryRun ? cachedStock : ledgerStock
+            );
+            expect(report.stock).to.equal(products.get(1).stock);
+            expect(movements).to.have.length(restocks.length);
+
+            if (!dryRun) {
+              const again = await InventoryService.reconcile(1);
+              expect(again.drift).to.equal(0);
+              expect(again.repaired).to.be.false;
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should count stock from before the ledger as an opening balance, not drift', async () => {
+      products = new Map([[1, stored(1, 12)]]);
+
+      const report = await InventoryService.reconcile(1);
+
+      expect(report).to.include({ ledgerStock: 12, drift: 0, movements: 1 });
+    });
+  });
+
+  describe('Property 40.3: Movement history', () => {
+    const history = query =>
+      new Promise((resolve, reject) => {
+        const req = { params: { id: '1' }, query, originalUrl: '/' };
+        const res = { status: sinon.stub() };
+        res.json = sinon.stub().callsFake(resolve);
+        res.status.returns(res);
+
+        PaginationMiddleware.paginate({
+          defaultLimit: 20,
+          defaultSort: 'createdAt',
+          defaultOrder: 'DESC',
+        })(req, res, error =>
+          error ? reject(error) : getMovements(req, res, reject)
+        );
+      });
+
+    it('should list the movements of a product newest first, a page at a time', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 1, max: 12 }),
+          fc.integer({ min: 1, max: 5 }),
+          fc.integer({ min: 1, max: 4 }),
+          async (count, limit, page) => {
+            products = new Map([
+              [1, stored(1, 0)],
+              [2, stored(2, 0)],
+            ]);
+            movements = [];
+            for (let i = 0; i < count; i++) {
+              await InventoryService.recordMovement({
+                productId: 1 + (i % 2),
+                delta: i + 1,
+                reason: 'restock',
+              });
+            }
+
+            const body = await history({
+              page: String(page),
+              limit: String(limit),
+            });
+
+            const own = ledgerOf(1)
+              .map(movement => movement.id)
+              .reverse();
+            expect(body.data.map(movement => movement.id)).to.deep.equal(
+              own.slice((page - 1) * limit, page * limit)
+            );
+            expect(body.pagination.totalItems).to.equal(own.length);
+          }
+        ),
+        { numRuns: 60 }
+      );
+    });
+
+    it('should answer 404 for the history of an unknown product', async () => {
+      const { error } = await attempt(InventoryService.history(99));
+
+      expect(error.statusCode).to.equal(404);
+    });
+  });
+});
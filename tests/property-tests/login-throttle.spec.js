@@ -0,0 +1,416 @@
+const { expect } = require('chai');
+const fc = require('fast-check');
+const sinon = require('sinon');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { LoginThrottle, User, database } = require('../../src/db');
+const { generateAccessToken } = require('../../src/middleware/auth');
+const LoginThrottleService = require('../../src/services/loginThrottleService');
+const { emailService } = require('../../src/helpers/emailService');
+const logger = require('../../src/utils/logger');
+const {
+  getLogin,
+  loginWithPassword,
+} = require('../../src/controllers/authorization/login');
+
+/**
+ * **Feature: ecommerce-modernization, Property 34: Login brute-force protection**
+ * **Validates: Requirements 8.18**
+ *
+ * Property-based tests for login throttling
+ * Tests that failed password logins make later attempts wait longer, that
+ * accounts and IPs are locked once they reach their limits and unlocked by
+ * time, by the emailed link or by an admin, that every step is recorded
+ * as a security event, and that social login offers nothing to guess
+ */
+
+describe('Login Throttle Properties', function () {
+  this.timeout(20000);
+
+  const NOW = new Date('2026-06-15T12:00:00Z');
+  const SECOND = 1000;
+
+  let sandbox;
+  let rows;
+  let security;
+  let lockedEmail;
+
+  const at = seconds => new Date(NOW.getTime() + seconds * SECOND);
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    rows = [];
+    sandbox.stub(database, 'transaction').callsFake(work => work({}));
+    sandbox
+      .stub(LoginThrottle, 'findAll')
+      .callsFake(async ({ where }) =>
+        rows.filter(row =>
+          where[Op.or]
+            ? where[Op.or].some(
+                key => key.scope === row.scope && key.subject === row.subject
+              )
+            : row.lockedUntil > where.lockedUntil[Op.gt] &&
+              (!where.scope || where.scope === row.scope)
+        )
+      );
+    sandbox
+      .stub(LoginThrottle, 'findOrCreate')
+      .callsFake(async ({ where, defaults }) => {
+        let row = rows.find(
+          stored =>
+            stored.scope === where.scope && stored.subject === where.subject
+        );
+        if (!row) {
+          row = {
+            id: crypto.randomUUID(),
+            ...where,
+            lastFailedAt: null,
+            lockedUntil: null,
+            ...defaults,
+            update: async function (changes) {
+              Object.assign(this, changes);
+              return this;
+            },
+          };
+          rows.push(row);
+        }
+        return [row, false];
+      });
+    sandbox
+      .stub(LoginThrottle, 'findOne')
+      .callsFake(
+        async ({ where }) =>
+          rows.find(
+            row => row.scope === where.scope && row.subject === where.subject
+          ) || null
+      );
+    sandbox
+      .stub(LoginThrottle, 'findByPk')
+      .callsFake(async id => rows.find(row => row.id === id) || null);
+    sandbox.stub(LoginThrottle, 'destroy').callsFake(async ({ where }) => {
+      rows = rows.filter(
+        row => !(row.scope === where.scope && row.subject === where.subject)
+      );
+    });
+    lockedEmail = sandbox
+      .stub(emailService, 'sendAccountLockedEmail')
+      .resolves({ success: true });
+    security = sandbox.stub(logger, 'logSecurity');
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+    delete process.env.LOGIN_MAX_ACCOUNT_FAILURES;
+    delete process.env.LOGIN_MAX_IP_FAILURES;
+  });
+
+  const failure = async promise => {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    return null;
+  };
+
+  const fail = (times, email, ip, user, now) =>
+    (async () => {
+      for (let i = 0; i < times; i++) {
+        await LoginThrottleService.recordFailure(email, ip, user, now);
+      }
+    })();
+
+  const customer = { id: 7, name: 'Ana', email: 'ana@example.com' };
+
+  describe('Property 34.1: Failed attempts make the next ones wait longer', () => {
+    it('should grow the delay with each failure, up to its cap', () => {
+      const settings = LoginThrottleService.settings();
+      let previous = 0;
+      for (let failures = 0; failures < 20; failures++) {
+        const delay = LoginThrottleService.delaySeconds(failures, settings);
+        expect(delay).to.be.at.least(previous);
+        expect(delay).to.be.at.most(settings.maxDelaySeconds);
+        previous = delay;
+      }
+      expect(LoginThrottleService.delaySeconds(1, settings)).to.equal(0);
+    });
+
+    it('should hold back attempts until the delay of the last failure has passed', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 1, max: 4 }),
+          fc.integer({ min: 0, max: 10 }),
+          async (failures, waited) => {
+            rows = [];
+            await fail(failures, 'Ana@Example.com ', '203.0.113.9', null, NOW);
+
+            const block = await LoginThrottleService.check(
+              'ana@example.com',
+              '198.51.100.1',
+              at(waited)
+            );
+
+            const delay = LoginThrottleService.delaySeconds(failures);
+            if (waited < delay) {
+              expect(block.code).to.equal('LOGIN_DELAYED');
+              expect(block.retryAfter).to.equal(delay - waited);
+            } else {
+              expect(block).to.be.null;
+            }
+          }
+        ),
+        { numRuns: 80 }
+      );
+    });
+
+    it('should forget failures after a quiet window', async () => {
+      const { windowMinutes } = LoginThrottleService.settings();
+      await fail(4, 'ana@example.com', null, null, NOW);
+
+      const [row] = await LoginThrottleService.recordFailure(
+        'ana@example.com',
+        null,
+        null,
+        at(windowMinutes * 60)
+      );
+
+      expect(row.failures).to.equal(1);
+    });
+  });
+
+  describe('Property 34.2: Too many failures lock the account or the IP', () => {
+    it('should lock an account at its limit, email its owner once, and count again after the lockout', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 2, max: 8 }),
+          fc.boolean(),
+          async (max, known) => {
+            rows = [];
+            lockedEmail.resetHistory();
+            process.env.LOGIN_MAX_ACCOUNT_FAILURES = String(max);
+            const { lockoutMinutes } = LoginThrottleService.settings();
+            const user = known ? customer : null;
+
+            await fail(max - 1, 'ana@example.com', '203.0.113.9', user, NOW);
+            const before = await LoginThrottleService.check(
+              'ana@example.com',
+              null,
+              at(3600)
+            );
+            expect(before).to.be.null;
+
+            await fail(1, 'ana@example.com', '203.0.113.9', user, NOW);
+            const locked = await LoginThrottleService.check(
+              'ana@example.com',
+              '198.51.100.1',
+              at(60)
+            );
+            expect(locked.code).to.equal('ACCOUNT_LOCKED');
+            expect(locked.retryAfter).to.equal(lockoutMinutes * 60 - 60);
+            expect(lockedEmail.callCount).to.equal(known ? 1 : 0);
+            expect(security.calledWith('Account locked', sinon.match.object)).to
+              .be.true;
+
+            // Other accounts are not affected
+            expect(
+              await LoginThrottleService.check('leo@example.com', null, at(60))
+            ).to.be.null;
+
+            const after = at(lockoutMinutes * 60);
+            expect(
+              await LoginThrottleService.check('ana@example.com', null, after)
+            ).to.be.null;
+            const [row] = await LoginThrottleService.recordFailure(
+              'ana@example.com',
+              null,
+              user,
+              after
+            );
+            expect(row.failures).to.equal(1);
+            expect(row.lockedUntil).to.be.null;
+          }
+        ),
+        { numRuns: 40 }
+      );
+    });
+
+    it('should lock an IP guessing across many accounts', async () => {
+      process.env.LOGIN_MAX_IP_FAILURES = '6';
+      for (let i = 0; i < 6; i++) {
+        await LoginThrottleService.recordFailure(
+          `user${i}@example.com`,
+          '203.0.113.9',
+          null,
+          NOW
+        );
+      }
+
+      const block = await LoginThrottleService.check(
+        'fresh@example.com',
+        '203.0.113.9',
+        at(60)
+      );
+      expect(block.code).to.equal('IP_LOCKED');
+      expect(
+        await LoginThrottleService.check(
+          'fresh@example.com',
+          '198.51.100.1',
+          at(60)
+        )
+      ).to.be.null;
+      expect(lockedEmail.called).to.be.false;
+    });
+
+    it('should clear the account on success, but not the IP', async () => {
+      await fail(3, 'ana@example.com', '203.0.113.9', null, NOW);
+
+      await LoginThrottleService.recordSuccess('ANA@example.com');
+
+      expect(rows.map(row => row.scope)).to.deep.equal(['ip']);
+      expect(rows[0].failures).to.equal(3);
+    });
+  });
+
+  describe('Property 34.3: Lockouts end by time, by the emailed link or by an admin', () => {
+    it('should unlock with the link of the current lockout only', async () => {
+      process.env.LOGIN_MAX_ACCOUNT_FAILURES = '3';
+      await fail(3, 'ana@example.com', null, customer, NOW);
+      const { token } = lockedEmail.firstCall.args[1];
+
+      const wrong = await failure(
+        LoginThrottleService.unlock(generateAccessToken({ userId: 7 }))
+      );
+      expect(wrong.code).to.equal('INVALID_UNLOCK_TOKEN');
+
+      await LoginThrottleService.unlock(token);
+      expect(await LoginThrottleService.check('ana@example.com', null, at(1)))
+        .to.be.null;
+      expect(security.calledWith('Account unlocked')).to.be.true;
+
+      // Spent once used, and useless for a later lockout
+      const again = await failure(LoginThrottleService.unlock(token));
+      expect(again.statusCode).to.equal(400);
+      await fail(3, 'ana@example.com', null, customer, at(5));
+      const stale = await failure(LoginThrottleService.unlock(token));
+      expect(stale.code).to.equal('INVALID_UNLOCK_TOKEN');
+    });
+
+    it('should list locked accounts and IPs to admins and let them clear one', async () => {
+      process.env.LOGIN_MAX_ACCOUNT_FAILURES = '2';
+      process.env.LOGIN_MAX_IP_FAILURES = '4';
+      await fail(2, 'ana@example.com', '203.0.113.9', null, NOW);
+      await fail(2, 'leo@example.com', '203.0.113.9', null, NOW);
+      await fail(1, 'eva@example.com', '198.51.100.1', null, NOW);
+
+      const locked = await LoginThrottleService.list({ now: at(1) });
+      expect(locked.map(row => row.subject)).to.have.members([
+        'ana@example.com',
+        'leo@example.com',
+        '203.0.113.9',
+      ]);
+      const ips = await LoginThrottleService.list({ scope: 'ip', now: at(1) });
+      expect(ips.map(row => row.subject)).to.deep.equal(['203.0.113.9']);
+
+      await LoginThrottleService.clear(ips[0].id, 1);
+      expect(
+        await LoginThrottleService.check(
+          'eva@example.com',
+          '203.0.113.9',
+          at(1)
+        )
+      ).to.be.null;
+      expect(security.calledWith('Lockout cleared')).to.be.true;
+
+      const missing = await failure(
+        LoginThrottleService.clear(crypto.randomUUID(), 1)
+      );
+      expect(missing.statusCode).to.equal(404);
+    });
+  });
+
+  describe('Property 34.4: Password login honours the throttle', () => {
+    const response = () => {
+      const res = {
+        set: sinon.stub(),
+        status: sinon.stub(),
+        json: sinon.stub(),
+      };
+      res.status.returns(res);
+      res.json.returns(res);
+      return res;
+    };
+
+    it('should refuse blocked attempts without looking at the password', async () => {
+      process.env.LOGIN_MAX_ACCOUNT_FAILURES = '2';
+      await fail(2, 'ana@example.com', null, null, new Date());
+      const findOne = sandbox.stub(User, 'findOne');
+      const res = response();
+
+      await loginWithPassword(
+        {
+          body: { email: 'ana@example.com', password: 'Secret1!pass' },
+          ip: '203.0.113.9',
+        },
+        res
+      );
+
+      expect(findOne.called).to.be.false;
+      expect(res.status.calledWith(429)).to.be.true;
+      expect(res.json.firstCall.args[0].code).to.equal('ACCOUNT_LOCKED');
+      expect(res.set.calledWith('Retry-After')).to.be.true;
+    });
+
+    it('should count unknown emails like wrong passwords', async () => {
+      sandbox.stub(User, 'findOne').resolves(null);
+      const res = response();
+
+      await loginWithPassword(
+        {
+          body: { email: 'ghost@example.com', password: 'Secret1!pass' },
+          ip: '203.0.113.9',
+        },
+        res
+      );
+
+      expect(res.status.calledWith(401)).to.be.true;
+      expect(
+        rows.map(row => [row.scope, row.subject, row.failures])
+      ).to.have.deep.members([
+        ['account', 'ghost@example.com', 1],
+        ['ip', '203.0.113.9', 1],
+      ]);
+      expect(security.calledWith('Failed password login')).to.be.true;
+    });
+
+    it('should answer social login attempts without a session with no lookup and no lockout', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.emailAddress(),
+          fc.integer({ min: 1, max: 30 }),
+          async (email, attempts) => {
+            rows = [];
+            const findOne = sandbox.stub(User, 'findOne');
+
+            for (let i = 0; i < attempts; i++) {
+              const res = response();
+              await getLogin(
+                { body: { email, rol: 'admin' }, ip: '203.0.113.9' },
+                res
+              );
+
+              expect(res.status.calledWith(401)).to.be.true;
+              expect(res.json.firstCall.args[0].code).to.equal(
+                'SOCIAL_LOGIN_REQUIRED'
+              );
+            }
+
+            expect(findOne.called).to.be.false;
+            expect(rows).to.be.empty;
+            findOne.restore();
+          }
+        ),
+        { numRuns: 20 }
+      );
+    });
+  });
+});
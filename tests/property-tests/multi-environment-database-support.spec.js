@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const fc = require("fast-check");
+const { DataTypes } = require("sequelize");
 
 describe("Feature: ecommerce-modernization, Property 6: Multi-environment database support", () => {
   beforeEach(() => {
@@ -46,6 +47,7 @@ describe("Feature: ecommerce-modernization, Property 6: Multi-environment databa
               // Create mock models with required methods
               const createMockModel = (name) => ({
                 hasMany: () => {},
+                hasOne: () => {},
                 belongsTo: () => {},
                 belongsToMany: () => {},
                 associate: () => {},
@@ -59,11 +61,25 @@ describe("Feature: ecommerce-modernization, Property 6: Multi-environment databa
                 Rol: createMockModel("Rol"),
                 User: createMockModel("User"),
                 Ofert: createMockModel("Ofert"),
+                StockReservation: createMockModel("StockReservation"),
+                InventoryMovement: createMockModel("InventoryMovement"),
+                OrderStatusHistory: createMockModel("OrderStatusHistory"),
+                PaymentEvent: createMockModel("PaymentEvent"),
+                Refund: createMockModel("Refund"),
+                ShippingZone: createMockModel("ShippingZone"),
+                ShippingMethod: createMockModel("ShippingMethod"),
+                Coupon: createMockModel("Coupon"),
+                CouponRedemption: createMockModel("CouponRedemption"),
+                Cart: createMockModel("Cart"),
+                CartItem: createMockModel("CartItem"),
+                PasswordResetToken: createMockModel("PasswordResetToken"),
+                RefreshToken: createMockModel("RefreshToken"),
+                UserSession: createMockModel("UserSession"),
               };
             }
 
             require.cache[require.resolve("sequelize")] = {
-              exports: { Sequelize: MockSequelize },
+              exports: { Sequelize: MockSequelize, DataTypes },
             };
 
             // Import db.js to test configuration
@@ -134,6 +150,7 @@ describe("Feature: ecommerce-modernization, Property 6: Multi-environment databa
               // Create mock models with required methods
               const createMockModel = (name) => ({
                 hasMany: () => {},
+                hasOne: () => {},
                 belongsTo: () => {},
                 belongsToMany: () => {},
                 associate: () => {},
@@ -147,11 +164,25 @@ describe("Feature: ecommerce-modernization, Property 6: Multi-environment databa
                 Rol: createMockModel("Rol"),
                 User: createMockModel("User"),
                 Ofert: createMockModel("Ofert"),
+                StockReservation: createMockModel("StockReservation"),
+                InventoryMovement: createMockModel("InventoryMovement"),
+                OrderStatusHistory: createMockModel("OrderStatusHistory"),
+                PaymentEvent: createMockModel("PaymentEvent"),
+                Refund: createMockModel("Refund"),
+                ShippingZone: createMockModel("ShippingZone"),
+                ShippingMethod: createMockModel("ShippingMethod"),
+                Coupon: createMockModel("Coupon"),
+                CouponRedemption: createMockModel("CouponRedemption"),
+                Cart: createMockModel("Cart"),
+                CartItem: createMockModel("CartItem"),
+                PasswordResetToken: createMockModel("PasswordResetToken"),
+                RefreshToken: createMockModel("RefreshToken"),
+                UserSession: createMockModel("UserSession"),
               };
             }
 
             require.cache[require.resolve("sequelize")] = {
-              exports: { Sequelize: MockSequelize },
+              exports: { Sequelize: MockSequelize, DataTypes },
             };
 
             delete require.cache[require.resolve("../../src/db.js")];
@@ -245,6 +276,7 @@ describe("Feature: ecommerce-modernization, Property 6: Multi-environment databa
               // Create mock models with required methods
               const createMockModel = (name) => ({
                 hasMany: () => {},
+                hasOne: () => {},
                 belongsTo: () => {},
                 belongsToMany: () => {},
                 associate: () => {},
@@ -258,11 +290,25 @@ describe("Feature: ecommerce-modernization, Property 6: Multi-environment databa
                 Rol: createMockModel("Rol"),
                 User: createMockModel("User"),
                 Ofert: createMockModel("Ofert"),
+                StockReservation: createMockModel("StockReservation"),
+                InventoryMovement: createMockModel("InventoryMovement"),
+                OrderStatusHistory: createMockModel("OrderStatusHistory"),
+                PaymentEvent: createMockModel("PaymentEvent"),
+                Refund: createMockModel("Refund"),
+                ShippingZone: createMockModel("ShippingZone"),
+                ShippingMethod: createMockModel("ShippingMethod"),
+                Coupon: createMockModel("Coupon"),
+                CouponRedemption: createMockModel("CouponRedemption"),
+                Cart: createMockModel("Cart"),
+                CartItem: createMockModel("CartItem"),
+                PasswordResetToken: createMockModel("PasswordResetToken"),
+                RefreshToken: createMockModel("RefreshToken"),
+                UserSession: createMockModel("UserSession"),
               };
             }
 
             require.cache[require.resolve("sequelize")] = {
-              exports: { Sequelize: MockSequelize },
+              exports: { Sequelize: MockSequelize, DataTypes },
             };
 
             delete require.cache[require.resolve("../../src/db.js")];
@@ -334,6 +380,7 @@ describe("Feature: ecommerce-modernization, Property 6: Multi-environment databa
               // Create mock models with required methods
               const createMockModel = (name) => ({
                 hasMany: () => {},
+                hasOne: () => {},
                 belongsTo: () => {},
                 belongsToMany: () => {},
                 associate: () => {},
@@ -347,11 +394,25 @@ describe("Feature: ecommerce-modernization, Property 6: Multi-environment databa
                 Rol: createMockModel("Rol"),
                 User: createMockModel("User"),
                 Ofert: createMockModel("Ofert"),
+                StockReservation: createMockModel("StockReservation"),
+                InventoryMovement: createMockModel("InventoryMovement"),
+                OrderStatusHistory: createMockModel("OrderStatusHistory"),
+                PaymentEvent: createMockModel("PaymentEvent"),
+                Refund: createMockModel("Refund"),
+                ShippingZone: createMockModel("ShippingZone"),
+                ShippingMethod: createMockModel("ShippingMethod"),
+                Coupon: createMockModel("Coupon"),
+                CouponRedemption: createMockModel("CouponRedemption"),
+                Cart: createMockModel("Cart"),
+                CartItem: createMockModel("CartItem"),
+                PasswordResetToken: createMockModel("PasswordResetToken"),
+                RefreshToken: createMockModel("RefreshToken"),
+                UserSession: createMockModel("UserSession"),
               };
             }
 
             require.cache[require.resolve("sequelize")] = {
-              exports: { Sequelize: MockSequelize },
+              exports: { Sequelize: MockSequelize, DataTypes },
             };
 
             delete require.cache[require.resolve("../../src/db.js")];
@@ -422,6 +483,7 @@ describe("Feature: ecommerce-modernization, Property 6: Multi-environment databa
               // Create mock models with required methods
               const createMockModel = (name) => ({
                 hasMany: () => {},
+                hasOne: () => {},
                 belongsTo: () => {},
                 belongsToMany: () => {},
                 associate: () => {},
@@ -435,11 +497,25 @@ describe("Feature: ecommerce-modernization, Property 6: Multi-environment databa
                 Rol: createMockModel("Rol"),
                 User: createMockModel("User"),
                 Ofert: createMockModel("Ofert"),
+                StockReservation: createMockModel("StockReservation"),
+                InventoryMovement: createMockModel("InventoryMovement"),
+                OrderStatusHistory: createMockModel("OrderStatusHistory"),
+                PaymentEvent: createMockModel("PaymentEvent"),
+                Refund: createMockModel("Refund"),
+                ShippingZone: createMockModel("ShippingZone"),
+                ShippingMethod: createMockModel("ShippingMethod"),
+                Coupon: createMockModel("Coupon"),
+                CouponRedemption: createMockModel("CouponRedemption"),
+                Cart: createMockModel("Cart"),
+                CartItem: createMockModel("CartItem"),
+                PasswordResetToken: createMockModel("PasswordResetToken"),
+                RefreshToken: createMockModel("RefreshToken"),
+                UserSession: createMockModel("UserSession"),
               };
             }
 
             require.cache[require.resolve("sequelize")] = {
-              exports: { Sequelize: MockSequelize },
+              exports: { Sequelize: MockSequelize, DataTypes },
             };
 
             delete require.cache[require.resolve("../../src/db.js")];
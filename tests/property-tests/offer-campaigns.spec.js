@@ -0,0 +1,261 @@
+const { expect } = require('chai');
+const fc = require('fast-check');
+const sinon = require('sinon');
+const express = require('express');
+const request = require('supertest');
+const { Op } = require('sequelize');
+const { Ofert, Product } = require('../../src/db');
+const OfferService = require('../../src/services/offerService');
+const { generateAccessToken } = require('../../src/middleware/auth');
+const ofertsRoute = require('../../src/routes/oferts');
+
+/**
+ * **Feature: ecommerce-modernization, Property 27: Campaign offers**
+ * **Validates: Requirements 8.11**
+ *
+ * Property-based tests for campaign offers
+ * Tests that an offer targeting products, categories, brands or product
+ * types reaches exactly the matching products, that catalog changes relink
+ * products to the campaigns targeting them, that priority decides which
+ * offer prices a product when several apply, and that only admins manage
+ * campaigns
+ */
+
+describe('Offer Campaign Properties', function () {
+  this.timeout(20000);
+
+  let sandbox;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(OfferService, 'invalidateProductCaches');
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  const BRANDS = ['maybelline', 'nyx', 'clinique'];
+  const TYPES = ['lipstick', 'mascara', 'foundation'];
+
+  const productArbitrary = fc.record({
+    id: fc.integer({ min: 1, max: 30 }),
+    brand: fc.constantFrom(...BRANDS),
+    product_type: fc.constantFrom(...TYPES),
+    categories: fc.subarray([1, 2, 3, 4]).map(ids => ids.map(id => ({ id }))),
+  });
+
+  const campaignArbitrary = fc.record({
+    id: fc.integer({ min: 1, max: 1000 }),
+    productIds: fc.subarray([1, 2, 3, 5, 8, 13, 21]),
+    categoryIds: fc.subarray([1, 2, 3, 4]),
+    // Admins do not type brands and types the way the catalog stores them
+    brands: fc.subarray([...BRANDS, 'Maybelline', 'NYX', 'dior']),
+    productTypes: fc.subarray([...TYPES, 'Lipstick']),
+  });
+
+  const expectedMatch = (campaign, product) =>
+    campaign.productIds.includes(product.id) ||
+    product.categories.some(category =>
+      campaign.categoryIds.includes(category.id)
+    ) ||
+    campaign.brands.some(brand => brand.toLowerCase() === product.brand) ||
+    campaign.productTypes.some(
+      type => type.toLowerCase() === product.product_type
+    );
+
+  describe('Property 27.1: Campaigns reach exactly the products they target', () => {
+    it('should match a product when any target does, ignoring case', () => {
+      fc.assert(
+        fc.property(
+          campaignArbitrary,
+          productArbitrary,
+          (campaign, product) => {
+            expect(OfferService.matchesTargets(campaign, product)).to.equal(
+              expectedMatch(campaign, product)
+            );
+          }
+        ),
+        { numRuns: 500 }
+      );
+    });
+
+    it('should normalize targets and only keep the ones given', () => {
+      expect(
+        OfferService.normalizeTargets({
+          productIds: ['4', 4, 7, 'x'],
+          brands: [' nyx ', 'nyx', ''],
+          description: 'Not a target',
+        })
+      ).to.deep.equal({ productIds: [4, 7], brands: ['nyx'] });
+      expect(OfferService.normalizeTargets({})).to.deep.equal({});
+      expect(OfferService.hasTargets({ productIds: [], brands: [] })).to.be
+        .false;
+    });
+
+    it('should resolve every target in one product query and link the result', async () => {
+      await fc.assert(
+        fc.asyncProperty(campaignArbitrary, async campaign => {
+          sandbox.restore();
+          const resolved = [{ id: 1 }, { id: 2 }];
+          const findAll = sandbox.stub(Product, 'findAll').resolves(resolved);
+          const ofert = {
+            id: campaign.id,
+            ...campaign,
+            setProducts: sandbox.stub().resolves(),
+          };
+
+          const products = await OfferService.applyTargets(ofert);
+
+          if (!OfferService.hasTargets(campaign)) {
+            expect(findAll.called).to.be.false;
+            expect(ofert.setProducts.calledWith([])).to.be.true;
+            return;
+          }
+          const { where } = findAll.firstCall.args[0];
+          const targeted = [
+            campaign.productIds,
+            campaign.categoryIds,
+            campaign.brands,
+            campaign.productTypes,
+          ].filter(list => list.length > 0);
+          expect(where[Op.or]).to.have.length(targeted.length);
+          expect(products).to.equal(resolved);
+          expect(ofert.setProducts.calledWith(resolved)).to.be.true;
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Property 27.2: Catalog changes relink campaigns', () => {
+    it('should link a product to matching campaigns only and keep legacy offers', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          productArbitrary,
+          fc.array(campaignArbitrary, { maxLength: 6 }),
+          async (product, campaigns) => {
+            sandbox.restore();
+            const legacy = {
+              id: 9999,
+              productIds: [],
+              categoryIds: [],
+              brands: [],
+              productTypes: [],
+            };
+            const stored = {
+              ...product,
+              addOferts: sandbox.stub().resolves(),
+              removeOferts: sandbox.stub().resolves(),
+            };
+            sandbox.stub(Product, 'findByPk').resolves(stored);
+            sandbox.stub(Ofert, 'findAll').resolves([...campaigns, legacy]);
+
+            await OfferService.syncProduct(product.id);
+
+            const [linked] = stored.addOferts.firstCall.args;
+            const [unlinked] = stored.removeOferts.firstCall.args;
+            expect(linked).to.deep.equal(
+              campaigns.filter(
+                campaign =>
+                  OfferService.hasTargets(campaign) &&
+                  expectedMatch(campaign, product)
+              )
+            );
+            expect(linked.length + unlinked.length).to.equal(
+              campaigns.filter(campaign => OfferService.hasTargets(campaign))
+                .length
+            );
+            expect([...linked, ...unlinked]).to.not.include(legacy);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Property 27.3: Priority decides between offers that apply', () => {
+    it('should price with the highest priority offer, then the highest discount', () => {
+      fc.assert(
+        fc.property(
+          fc.array(
+            fc.record({
+              id: fc.integer({ min: 1, max: 1000 }),
+              priority: fc.integer({ min: 0, max: 3 }),
+              discountPercent: fc.integer({ min: 1, max: 90 }),
+            }),
+            { minLength: 1, maxLength: 8 }
+          ),
+          oferts => {
+            const best = OfferService.bestOffer(oferts);
+            const top = Math.max(...oferts.map(ofert => ofert.priority));
+            const contenders = oferts.filter(ofert => ofert.priority === top);
+
+            expect(best.priority).to.equal(top);
+            expect(best.discountPercent).to.equal(
+              Math.max(...contenders.map(ofert => ofert.discountPercent))
+            );
+          }
+        ),
+        { numRuns: 300 }
+      );
+    });
+  });
+
+  describe('Property 27.4: Only admins manage campaigns', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/products/oferts', ofertsRoute);
+
+    const ROUTES = [
+      ['post', '/products/oferts'],
+      ['post', '/products/oferts/12'],
+      ['put', '/products/oferts/3'],
+      ['delete', '/products/oferts/3'],
+    ];
+
+    const send = ([method, path], role) => {
+      const pending = request(app)[method](path).send({ discountPercent: 0 });
+      return role
+        ? pending.set(
+            'Authorization',
+            `Bearer ${generateAccessToken({ userId: 7, role })}`
+          )
+        : pending;
+    };
+
+    it('should refuse to create, update or disable offers without an admin', async () => {
+      const writes = [
+        sandbox.stub(Ofert, 'create'),
+        sandbox.stub(Ofert, 'update'),
+        sandbox.stub(Ofert, 'findByPk'),
+      ];
+
+      await fc.assert(
+        fc.asyncProperty(
+          fc.constantFrom(...ROUTES),
+          fc.constantFrom(undefined, 'user', 'guest'),
+          async (route, role) => {
+            const response = await send(route, role);
+
+            expect(response.status).to.equal(role ? 403 : 401);
+          }
+        ),
+        { numRuns: 40 }
+      );
+      writes.forEach(write => expect(write.called).to.equal(false));
+    });
+
+    it('should let admins through to the offer checks', async () => {
+      sandbox.stub(Ofert, 'findByPk').resolves(null);
+
+      const statuses = [];
+      for (const route of ROUTES) {
+        statuses.push((await send(route, 'admin')).status);
+      }
+
+      // Invalid bodies are refused, and the offer to disable does not exist
+      expect(statuses).to.deep.equal([400, 400, 400, 404]);
+    });
+  });
+});
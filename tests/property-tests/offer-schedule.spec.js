@@ -0,0 +1,255 @@
+const { expect } = require('chai');
+const fc = require('fast-check');
+const sinon = require('sinon');
+const { Ofert } = require('../../src/db');
+const OfferService = require('../../src/services/offerService');
+const ProductCatalogService = require('../../src/services/productCatalogService');
+const { cacheInstance } = require('../../src/middleware/cache');
+const { cache } = require('../../src/utils/cache');
+
+/**
+ * **Feature: ecommerce-modernization, Property 26: Scheduled offers**
+ * **Validates: Requirements 8.10**
+ *
+ * Property-based tests for offer windows
+ * Tests that offer dates are read in the right time zone, that an offer
+ * only prices a product inside its window, that the best offer in effect is
+ * the one used, and that the scheduler flips statuses and drops product caches
+ */
+
+describe('Offer Schedule Properties', function () {
+  this.timeout(20000);
+
+  let sandbox;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  const HOUR = 60 * 60 * 1000;
+  const NOW = new Date('2026-06-15T12:00:00Z');
+
+  const offerArbitrary = fc.record({
+    id: fc.integer({ min: 1, max: 1000 }),
+    discountPercent: fc.integer({ min: 1, max: 90 }),
+    status: fc.boolean(),
+    startDate: fc.option(fc.integer({ min: -72, max: 72 }), { nil: null }),
+    endDate: fc.option(fc.integer({ min: -72, max: 72 }), { nil: null }),
+  });
+
+  const at = hours =>
+    hours === null ? null : new Date(NOW.getTime() + hours * HOUR);
+
+  const dated = offer => ({
+    ...offer,
+    startDate: at(offer.startDate),
+    endDate: at(offer.endDate),
+  });
+
+  describe('Property 26.1: Offer dates are time zone aware', () => {
+    it('should read dates without an offset in the store time zone', () => {
+      const parse = (value, timeZone, endOfDay = false) =>
+        OfferService.parseDate(value, { timeZone, endOfDay }).toISOString();
+
+      expect(parse('2026-11-27', 'America/Argentina/Buenos_Aires')).to.equal(
+        '2026-11-27T03:00:00.000Z'
+      );
+      expect(parse('2026-11-27T09:30', 'America/Mexico_City')).to.equal(
+        '2026-11-27T15:30:00.000Z'
+      );
+      // New York is on daylight time in July and standard time in January
+      expect(parse('2026-07-01T00:00', 'America/New_York')).to.equal(
+        '2026-07-01T04:00:00.000Z'
+      );
+      expect(parse('2026-01-01T00:00', 'America/New_York')).to.equal(
+        '2026-01-01T05:00:00.000Z'
+      );
+      // A bare end date covers the whole day
+      expect(parse('2026-11-30', 'UTC', true)).to.equal(
+        '2026-12-01T00:00:00.000Z'
+      );
+      // An explicit offset wins over the store time zone
+      expect(parse('2026-11-27T00:00:00-03:00', 'Asia/Tokyo')).to.equal(
+        '2026-11-27T03:00:00.000Z'
+      );
+    });
+
+    it('should round-trip any wall-clock time of a store time zone', () => {
+      fc.assert(
+        fc.property(
+          fc.date({
+            min: new Date('2020-01-01T00:00:00Z'),
+            max: new Date('2030-12-31T00:00:00Z'),
+          }),
+          fc.constantFrom(
+            'UTC',
+            'America/Sao_Paulo',
+            'America/Bogota',
+            'Europe/Madrid',
+            'Asia/Kolkata'
+          ),
+          (date, timeZone) => {
+            const instant = new Date(Math.floor(date.getTime() / 1000) * 1000);
+            const wallClock = new Date(
+              instant.getTime() + OfferService.zoneOffset(instant, timeZone)
+            )
+              .toISOString()
+              .slice(0, 19);
+
+            const parsed = OfferService.parseDate(wallClock, { timeZone });
+            // Wall-clock times repeated when clocks go back may map to either instant
+            expect(Math.abs(parsed.getTime() - instant.getTime())).to.be.oneOf([
+              0,
+              HOUR,
+            ]);
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    it('should reject malformed dates and empty windows', () => {
+      ['tomorrow', '2026-13', '27/11/2026', '2026-11-27T25:99:00Z'].forEach(
+        value => {
+          expect(() => OfferService.parseDate(value)).to.throw(
+            'Invalid offer date'
+          );
+        }
+      );
+      expect(() =>
+        OfferService.schedule({
+          startDate: '2026-11-27T00:00:00Z',
+          endDate: '2026-11-26T00:00:00Z',
+        })
+      ).to.throw('end date must be after');
+    });
+  });
+
+  describe('Property 26.2: Only the best offer in effect prices a product', () => {
+    it('should price with the highest discount of the offers inside their window', () => {
+      fc.assert(
+        fc.property(
+          fc.array(offerArbitrary, { maxLength: 6 }),
+          fc.integer({ min: 100, max: 100000 }),
+          (specs, priceCents) => {
+            // Disabled offers are filtered by the query, only enabled ones reach here
+            const oferts = specs.map(spec => ({
+              ...dated(spec),
+              status: true,
+            }));
+            const effective = oferts.filter(
+              ofert =>
+                (!ofert.startDate || ofert.startDate <= NOW) &&
+                (!ofert.endDate || ofert.endDate > NOW)
+            );
+
+            const best = OfferService.bestOffer(oferts, NOW);
+            if (effective.length === 0) {
+              expect(best).to.be.null;
+              return;
+            }
+            expect(best.discountPercent).to.equal(
+              Math.max(...effective.map(ofert => ofert.discountPercent))
+            );
+
+            const clock = sandbox.useFakeTimers(NOW.getTime());
+            const price = priceCents / 100;
+            const product = ProductCatalogService.serialize({
+              price,
+              oferts,
+            });
+            clock.restore();
+
+            expect(product.oferts).to.have.length(effective.length);
+            expect(product.oferts[0]).to.equal(best);
+            expect(product.discountPrice).to.equal(
+              Math.round((price - (price * best.discountPercent) / 100) * 100) /
+                100
+            );
+          }
+        ),
+        { numRuns: 300 }
+      );
+
+      const { where } = ProductCatalogService.activeOfferInclude();
+      expect(where.status).to.equal(true);
+    });
+
+    it('should keep status in line with the window when offers are saved', () => {
+      fc.assert(
+        fc.property(offerArbitrary, spec => {
+          const { startDate, endDate } = dated(spec);
+          fc.pre(!startDate || !endDate || endDate > startDate);
+
+          const saved = OfferService.schedule({ startDate, endDate }, {}, NOW);
+          expect(saved.status).to.equal(
+            OfferService.isWithinWindow({ startDate, endDate }, NOW)
+          );
+
+          // A disabled offer never comes back inside its window
+          const disabled = { ...saved, ...OfferService.disable(saved, NOW) };
+          [0, 1, 24, 1000].forEach(hours => {
+            expect(OfferService.isWithinWindow(disabled, at(hours))).to.be
+              .false;
+          });
+        }),
+        { numRuns: 200 }
+      );
+    });
+  });
+
+  describe('Property 26.3: The scheduler flips offers and drops product caches', () => {
+    it('should activate and expire by window and invalidate caches only on change', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(offerArbitrary, { maxLength: 8 }),
+          async specs => {
+            sandbox.restore();
+            const oferts = specs.map(dated);
+            const matches = (ofert, where) =>
+              ofert.status === where.status &&
+              (where.status
+                ? (ofert.endDate && ofert.endDate <= NOW) ||
+                  (ofert.startDate && ofert.startDate > NOW)
+                : ofert.startDate &&
+                  ofert.startDate <= NOW &&
+                  (!ofert.endDate || ofert.endDate > NOW));
+            sandbox.stub(Ofert, 'update').callsFake(async (values, options) => {
+              const flipped = oferts.filter(ofert =>
+                matches(ofert, options.where)
+              );
+              return [flipped.length];
+            });
+            const invalidated = sandbox.stub(
+              cacheInstance,
+              'invalidatePattern'
+            );
+            sandbox.stub(cache, 'deleteMatching').returns(0);
+
+            const { activated, expired } = await OfferService.syncStatuses(NOW);
+
+            const { where: activateWhere } = Ofert.update
+              .getCalls()
+              .find(call => call.args[0].status === true).args[1];
+            expect(activateWhere.status).to.equal(false);
+            expect(activated).to.equal(
+              oferts.filter(ofert => matches(ofert, { status: false })).length
+            );
+            expect(expired).to.equal(
+              oferts.filter(ofert => matches(ofert, { status: true })).length
+            );
+            expect(invalidated.called).to.equal(activated + expired > 0);
+            if (invalidated.called) {
+              expect(invalidated.calledWith('products')).to.be.true;
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const { expect } = require('chai');
+const fc = require('fast-check');
+const sinon = require('sinon');
+const { Order, OrderStatusHistory, database } = require('../../src/db');
+const OrderStatusService = require('../../src/services/orderStatusService');
+
+/**
+ * **Feature: ecommerce-modernization, Property 17: Order status state machine**
+ * **Validates: Requirements 8.2, 9.1**
+ *
+ * Property-based tests for order status transitions
+ * Tests that only transitions in the table are applied, that every applied
+ * transition leaves a history record, and that illegal ones change nothing
+ */
+
+describe('Order Status State Machine Properties', function () {
+  this.timeout(10000);
+
+  const { STATUSES, TRANSITIONS } = OrderStatusService;
+
+  let sandbox;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  /**
+   * Back the service with an in-memory order and history table
+   */
+  const stubStore = initialStatus => {
+    const order = {
+      id: '6f1c2a7e-1b2c-4d5e-8f90-0a1b2c3d4e5f',
+      number: 'TS-1',
+      status: initialStatus,
+      update: async changes => Object.assign(order, changes),
+    };
+    const history = [];
+
+    sandbox
+      .stub(database, 'transaction')
+      .callsFake(work => work({ LOCK: { UPDATE: 'UPDATE' } }));
+    sandbox.stub(Order, 'findOne').resolves(order);
+    sandbox.stub(OrderStatusHistory, 'create').callsFake(async record => {
+      history.push(record);
+      return record;
+    });
+    const notify = sandbox
+      .stub(OrderStatusService, 'notify')
+      .returns(() => Promise.resolve(null));
+
+    return { order, history, notify };
+  };
+
+  describe('Property 17.1: Only table transitions are applied', () => {
+    it('should apply allowed transitions and reject every other one', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.constantFrom(...STATUSES),
+          fc.constantFrom(...STATUSES),
+          async (from, to) => {
+            sandbox.restore();
+            const { order, history, notify } = stubStore(from);
+
+            if (TRANSITIONS[from].includes(to)) {
+              await OrderStatusService.transition(order.number, to, {
+                actorId: 7,
+                note: 'test',
+              });
+
+              expect(order.status).to.equal(to);
+              expect(history).to.deep.equal([
+                {
+                  orderId: order.id,
+                  fromStatus: from,
+                  toStatus: to,
+                  actorId: '7',
+                  note: 'test',
+                },
+              ]);
+              expect(notify.calledOnceWith(order, from)).to.equal(true);
+            } else {
+              try {
+                await OrderStatusService.transition(order.number, to);
+                expect.fail('transition should have been rejected');
+              } catch (error) {
+                expect(error.statusCode).to.equal(409);
+                expect(error.code).to.equal('INVALID_STATUS_TRANSITION');
+                expect(error.details).to.deep.equal({
+                  from,
+                  to,
+                  allowed: TRANSITIONS[from],
+                });
+              }
+
+              expect(order.status).to.equal(from);
+              expect(history).to.be.empty;
+              expect(notify.called).to.equal(false);
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should never leave a terminal status', () => {
+      ['refunded', 'cancelled'].forEach(terminal => {
+        STATUSES.forEach(to => {
+          expect(OrderStatusService.canTransition(terminal, to)).to.equal(
+            false
+          );
+        });
+      });
+      expect(OrderStatusService.canTransition('completed', 'pending')).to.equal(
+        false
+      );
+      expect(
+        OrderStatusService.canTransition('completed', 'refunded')
+      ).to.equal(true);
+    });
+
+    it('should reject unknown statuses before touching the order', async () => {
+      const { order } = stubStore('pending');
+
+      try {
+        await OrderStatusService.transition(order.number, 'teleported');
+        expect.fail('transition should have been rejected');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+        expect(Order.findOne.called).to.equal(false);
+      }
+    });
+  });
+
+  describe('Property 17.2: History replays the order lifecycle', () => {
+    it('should record one entry per applied step of any walk through the table', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(fc.nat(), { minLength: 1, maxLength: 8 }),
+          async choices => {
+            sandbox.restore();
+            const { order, history } = stubStore('pending');
+            const walk = [];
+
+            for (const choice of choices) {
+              const next = TRANSITIONS[order.status];
+              if (next.length === 0) {
+                break;
+              }
+              const to = next[choice % next.length];
+              walk.push([order.status, to]);
+              await OrderStatusService.transition(order.id, to);
+            }
+
+            expect(
+              history.map(entry => [entry.fromStatus, entry.toStatus])
+            ).to.deep.equal(walk);
+            expect(order.status).to.equal(
+              walk.length ? walk[walk.length - 1][1] : 'pending'
+            );
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+});
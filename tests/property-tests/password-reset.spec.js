@@ -0,0 +1,229 @@
+const { expect } = require('chai');
+const fc = require('fast-check');
+const sinon = require('sinon');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const {
+  PasswordResetToken,
+  RefreshToken,
+  User,
+  UserSession,
+  database,
+} = require('../../src/db');
+const { comparePassword, hashPassword } = require('../../src/middleware/auth');
+const PasswordResetService = require('../../src/services/passwordResetService');
+const { emailService } = require('../../src/helpers/emailService');
+const { forgotPassword } = require('../../src/controllers/authorization/login');
+
+/**
+ * **Feature: ecommerce-modernization, Property 31: Password reset**
+ * **Validates: Requirements 8.15**
+ *
+ * Property-based tests for password reset and change
+ * Tests that reset tokens are only stored hashed, expire and work once,
+ * that the forgot-password answer is the same for every address, and that
+ * changing a password revokes the refresh tokens issued before it
+ */
+
+describe('Password Reset Properties', function () {
+  this.timeout(30000);
+
+  let sandbox;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(database, 'transaction').callsFake(work => work({}));
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  const NOW = new Date('2026-06-15T12:00:00Z');
+  const PASSWORD = 'Current1!pass';
+  const NEW_PASSWORD = 'Brand2@newpass';
+
+  const storedUser = (values = {}) => ({
+    id: 7,
+    name: 'Ana',
+    email: 'ana@example.com',
+    status: true,
+    update: sinon.stub().callsFake(async function (changes) {
+      Object.assign(this, changes);
+      return this;
+    }),
+    ...values,
+  });
+
+  const failure = async promise => {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    return null;
+  };
+
+  describe('Property 31.1: Reset tokens are only stored hashed', () => {
+    it('should store the hash of the emailed token and replace older links', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.emailAddress(),
+          fc.integer({ min: 5, max: 120 }),
+          async (email, minutes) => {
+            sandbox.restore();
+            sandbox.stub(database, 'transaction').callsFake(work => work({}));
+            process.env.PASSWORD_RESET_EXPIRES_MINUTES = String(minutes);
+            sandbox.stub(User, 'findOne').resolves(storedUser({ email }));
+            const destroy = sandbox.stub(PasswordResetToken, 'destroy');
+            const create = sandbox.stub(PasswordResetToken, 'create');
+            const send = sandbox
+              .stub(emailService, 'sendPasswordResetEmail')
+              .resolves({ success: true });
+
+            expect(await PasswordResetService.request(email, NOW)).to.be.true;
+
+            const { token } = send.firstCall.args[1];
+            const stored = create.firstCall.args[0];
+            expect(token).to.match(/^[0-9a-f]{64}$/);
+            expect(stored.tokenHash).to.equal(
+              crypto.createHash('sha256').update(token).digest('hex')
+            );
+            expect(Object.values(stored)).to.not.include(token);
+            expect(stored.expiresAt.getTime() - NOW.getTime()).to.equal(
+              minutes * 60 * 1000
+            );
+            expect(destroy.firstCall.args[0].where).to.deep.equal({
+              userId: 7,
+              usedAt: null,
+            });
+            expect(destroy.calledBefore(create)).to.be.true;
+          }
+        ),
+        { numRuns: 50 }
+      );
+      delete process.env.PASSWORD_RESET_EXPIRES_MINUTES;
+    });
+
+    it('should answer the same whether or not the email has an account', async () => {
+      const answers = [];
+      for (const user of [storedUser(), storedUser({ status: false }), null]) {
+        sandbox.restore();
+        sandbox.stub(database, 'transaction').callsFake(work => work({}));
+        sandbox.stub(User, 'findOne').resolves(user);
+        const create = sandbox.stub(PasswordResetToken, 'create');
+        sandbox.stub(PasswordResetToken, 'destroy');
+        sandbox
+          .stub(emailService, 'sendPasswordResetEmail')
+          .resolves({ success: true });
+        const res = { status: sinon.stub() };
+
+        // catchAsync does not hand back the promise, so wait for the answer
+        await new Promise(resolve => {
+          res.json = sinon.stub().callsFake(resolve);
+          res.status.returns(res);
+          forgotPassword({ body: { email: 'ana@example.com' } }, res, resolve);
+        });
+
+        expect(create.called).to.equal(user?.status === true);
+        answers.push([res.status.firstCall.args, res.json.firstCall.args]);
+      }
+
+      expect(answers[1]).to.deep.equal(answers[0]);
+      expect(answers[2]).to.deep.equal(answers[0]);
+    });
+  });
+
+  describe('Property 31.2: Reset links work once, before they expire', () => {
+    it('should refuse unknown, used and expired links alike', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.constantFrom('unknown', 'claimed-elsewhere', 'inactive'),
+          async situation => {
+            sandbox.restore();
+            sandbox.stub(database, 'transaction').callsFake(work => work({}));
+            const findOne = sandbox
+              .stub(PasswordResetToken, 'findOne')
+              .resolves(
+                situation === 'unknown' ? null : { id: 'reset-1', userId: 7 }
+              );
+            sandbox
+              .stub(PasswordResetToken, 'update')
+              .resolves([situation === 'claimed-elsewhere' ? 0 : 1]);
+            sandbox
+              .stub(User, 'findByPk')
+              .resolves(storedUser({ status: false }));
+
+            const error = await failure(
+              PasswordResetService.reset('a'.repeat(64), NEW_PASSWORD, NOW)
+            );
+
+            expect(error.statusCode).to.equal(400);
+            expect(error.code).to.equal('INVALID_PASSWORD_RESET_TOKEN');
+            const { where } = findOne.firstCall.args[0];
+            expect(where.tokenHash).to.equal(
+              PasswordResetService.hashToken('a'.repeat(64))
+            );
+            expect(where.usedAt).to.be.null;
+            expect(where.expiresAt[Op.gt]).to.equal(NOW);
+          }
+        ),
+        { numRuns: 15 }
+      );
+    });
+
+    it('should set the new password, use up the link and revoke refresh tokens', async () => {
+      const user = storedUser();
+      const revoke = sandbox.stub(RefreshToken, 'update').resolves([2]);
+      sandbox.stub(UserSession, 'update').resolves([1]);
+      sandbox
+        .stub(PasswordResetToken, 'findOne')
+        .resolves({ id: 'reset-1', userId: 7 });
+      const claim = sandbox.stub(PasswordResetToken, 'update').resolves([1]);
+      const destroy = sandbox.stub(PasswordResetToken, 'destroy');
+      sandbox.stub(User, 'findByPk').resolves(user);
+
+      await PasswordResetService.reset('b'.repeat(64), NEW_PASSWORD, NOW);
+
+      expect(claim.firstCall.args[0]).to.deep.equal({ usedAt: NOW });
+      expect(claim.firstCall.args[1].where).to.deep.equal({
+        id: 'reset-1',
+        usedAt: null,
+      });
+      expect(await comparePassword(NEW_PASSWORD, user.password)).to.be.true;
+      expect(revoke.firstCall.args[1].where.userId).to.equal(7);
+      expect(revoke.firstCall.args[1].where.revokedAt).to.be.null;
+      expect(destroy.firstCall.args[0].where).to.deep.equal({
+        userId: 7,
+        usedAt: null,
+      });
+    });
+  });
+
+  describe('Property 31.3: Password changes need the current password', () => {
+    it('should require the current password and a different new one', async () => {
+      const user = storedUser({ password: await hashPassword(PASSWORD) });
+      sandbox.stub(User, 'findByPk').resolves(user);
+      const revoke = sandbox.stub(RefreshToken, 'update').resolves([1]);
+      sandbox.stub(UserSession, 'update').resolves([1]);
+
+      const wrong = await failure(
+        PasswordResetService.changePassword(7, 'Wrong1!pass', NEW_PASSWORD)
+      );
+      expect(wrong.statusCode).to.equal(401);
+      expect(wrong.code).to.equal('INVALID_CURRENT_PASSWORD');
+
+      const same = await failure(
+        PasswordResetService.changePassword(7, PASSWORD, PASSWORD)
+      );
+      expect(same.statusCode).to.equal(400);
+      expect(user.update.called).to.be.false;
+      expect(revoke.called).to.be.false;
+
+      await PasswordResetService.changePassword(7, PASSWORD, NEW_PASSWORD);
+      expect(await comparePassword(NEW_PASSWORD, user.password)).to.be.true;
+      expect(revoke.calledOnce).to.be.true;
+      expect(revoke.firstCall.args[1].where.userId).to.equal(7);
+    });
+  });
+});
@@ -0,0 +1,258 @@
+const { expect } = require('chai');
+const fc = require('fast-check');
+const sinon = require('sinon');
+const { User, database } = require('../../src/db');
+const { FakePaymentProvider } = require('../../src/services/payments');
+const PaymentCustomerService = require('../../src/services/paymentCustomerService');
+
+/**
+ * **Feature: ecommerce-modernization, Property 22: One payment customer per user**
+ * **Validates: Requirements 8.6**
+ *
+ * Property-based tests for payment customers
+ * Tests that however many checkouts a user starts, concurrently or not, one
+ * customer is created and reused, and that de-duplication leaves exactly one
+ * customer per user, stored on the user
+ */
+
+describe('Payment Customer Reuse Properties', function () {
+  this.timeout(20000);
+
+  let sandbox;
+  let provider;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    provider = new FakePaymentProvider();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  /**
+   * Back users with an in-memory table. Transactions run one at a time,
+   * as the row lock on the user serializes them.
+   */
+  const stubUsers = count => {
+    const users = new Map();
+    for (let id = 1; id <= count; id += 1) {
+      const user = {
+        id,
+        email: `user${id}@test.com`,
+        name: `User ${id}`,
+        payment_customer_id: null,
+        payment_provider: null,
+        update: async changes => Object.assign(user, changes),
+      };
+      users.set(id, user);
+    }
+
+    let lock = Promise.resolve();
+    sandbox.stub(database, 'transaction').callsFake(work => {
+      const run = lock.then(() => work({ LOCK: { UPDATE: 'UPDATE' } }));
+      lock = run.catch(() => null);
+      return run;
+    });
+    sandbox
+      .stub(User, 'findByPk')
+      .callsFake(async id => users.get(Number(id)) || null);
+    sandbox
+      .stub(User, 'findAll')
+      .callsFake(async ({ where }) =>
+        where.id.map(id => users.get(id)).filter(Boolean)
+      );
+
+    return users;
+  };
+
+  describe('Property 22.1: Checkouts reuse the user customer', () => {
+    it('should create one customer per user however checkouts interleave', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(fc.integer({ min: 1, max: 4 }), {
+            minLength: 1,
+            maxLength: 12,
+          }),
+          async checkouts => {
+            sandbox.restore();
+            provider.reset();
+            const users = stubUsers(4);
+
+            const customerIds = await Promise.all(
+              checkouts.map(id =>
+                PaymentCustomerService.customerIdFor(
+                  { id, email: 'typed@test.com', name: 'Typed' },
+                  provider
+                )
+              )
+            );
+
+            const shoppers = new Set(checkouts);
+            expect(provider.customers.size).to.equal(shoppers.size);
+            checkouts.forEach((id, index) => {
+              expect(customerIds[index]).to.equal(
+                users.get(id).payment_customer_id
+              );
+              expect(users.get(id).payment_provider).to.equal('fake');
+            });
+            provider.customers.forEach(customer => {
+              const user = users.get(Number(customer.metadata.user_id));
+              expect(customer.email).to.equal(user.email);
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should give guests a new customer and users a new one per provider', async () => {
+      const users = stubUsers(1);
+      users.get(1).payment_customer_id = 'cus_from_stripe';
+      users.get(1).payment_provider = 'stripe';
+
+      const guest = { id: 'guest-1', email: 'guest@test.com', name: 'Guest' };
+      const first = await PaymentCustomerService.customerIdFor(guest, provider);
+      const second = await PaymentCustomerService.customerIdFor(
+        guest,
+        provider
+      );
+      expect(first).to.not.equal(second);
+
+      const customerId = await PaymentCustomerService.customerIdFor(
+        { id: 1 },
+        provider
+      );
+      expect(customerId).to.match(/^cus_fake_/);
+      expect(users.get(1).payment_customer_id).to.equal(customerId);
+    });
+  });
+
+  describe('Property 22.2: Profile changes reach the customer', () => {
+    it('should update the customer only when email or name changed', async () => {
+      const users = stubUsers(1);
+      const user = users.get(1);
+      await PaymentCustomerService.customerIdFor({ id: 1 }, provider);
+      const update = sandbox.spy(provider, 'updateCustomer');
+
+      await PaymentCustomerService.syncProfile(
+        user,
+        { email: user.email, name: user.name },
+        provider
+      );
+      expect(update.called).to.equal(false);
+
+      const previous = { email: user.email, name: user.name };
+      user.email = 'renamed@test.com';
+      await PaymentCustomerService.syncProfile(user, previous, provider);
+      expect(update.calledOnce).to.equal(true);
+      expect(provider.customers.get(user.payment_customer_id).email).to.equal(
+        'renamed@test.com'
+      );
+
+      provider.failNext('updateCustomer');
+      const result = await PaymentCustomerService.syncProfile(
+        user,
+        previous,
+        provider
+      );
+      expect(result).to.equal(null);
+    });
+  });
+
+  describe('Property 22.3: De-duplication keeps one customer per user', () => {
+    const customersArbitrary = fc.array(
+      fc.record({
+        userId: fc.integer({ min: 1, max: 5 }),
+        created: fc.integer({ min: 1600000000, max: 1700000000 }),
+      }),
+      { maxLength: 20 }
+    );
+
+    it('should plan to keep the stored customer, or else the oldest', () => {
+      fc.assert(
+        fc.property(customersArbitrary, fc.boolean(), (specs, storeLast) => {
+          const customers = specs.map((spec, index) => ({
+            id: `cus_${index}`,
+            created: spec.created,
+            metadata: { user_id: String(spec.userId) },
+          }));
+          const storedIds = new Map();
+          if (storeLast) {
+            customers.forEach(customer =>
+              storedIds.set(customer.metadata.user_id, customer.id)
+            );
+          }
+
+          const plan = PaymentCustomerService.planDedupe(customers, storedIds);
+
+          expect(plan).to.have.length(
+            new Set(specs.map(spec => spec.userId)).size
+          );
+          plan.forEach(({ userId, keep, remove }) => {
+            const group = customers.filter(
+              customer => customer.metadata.user_id === userId
+            );
+            expect([keep, ...remove].sort()).to.deep.equal(
+              group.map(customer => customer.id).sort()
+            );
+            const kept = group.find(customer => customer.id === keep);
+            if (storeLast) {
+              expect(keep).to.equal(storedIds.get(userId));
+            } else {
+              group.forEach(customer => {
+                expect(kept.created).to.be.at.most(customer.created);
+              });
+            }
+          });
+        }),
+        { numRuns: 200 }
+      );
+    });
+
+    it('should leave one customer per user, stored on the user, only when applied', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(fc.integer({ min: 1, max: 5 }), { maxLength: 30 }),
+          async userIds => {
+            sandbox.restore();
+            provider.reset();
+            const users = stubUsers(5);
+            for (const id of userIds) {
+              await provider.createCustomer({
+                id,
+                email: `user${id}@test.com`,
+              });
+            }
+            const before = provider.customers.size;
+
+            const dryRun = await PaymentCustomerService.dedupe({ provider });
+            expect(provider.customers.size).to.equal(before);
+            expect(dryRun.scanned).to.equal(before);
+
+            const report = await PaymentCustomerService.dedupe({
+              apply: true,
+              provider,
+            });
+
+            const remaining = [...provider.customers.values()];
+            expect(remaining).to.have.length(new Set(userIds).size);
+            expect(report.removed).to.equal(before - remaining.length);
+            remaining.forEach(customer => {
+              const user = users.get(Number(customer.metadata.user_id));
+              expect(user.payment_customer_id).to.equal(customer.id);
+            });
+
+            const again = await PaymentCustomerService.dedupe({
+              apply: true,
+              provider,
+            });
+            expect(again.removed).to.equal(0);
+            expect(again.linked).to.equal(0);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+});
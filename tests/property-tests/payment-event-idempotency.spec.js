@@ -0,0 +1,349 @@
+const { expect } = require('chai');
+const fc = require('fast-check');
+const sinon = require('sinon');
+const { Op } = require('sequelize');
+const { PaymentEvent } = require('../../src/db');
+const PaymentEventService = require('../../src/services/paymentEventService');
+
+/**
+ * **Feature: ecommerce-modernization, Property 19: Idempotent webhook processing**
+ * **Validates: Requirements 8.3**
+ *
+ * Property-based tests for the payment event log
+ * Tests that an event's side effects run once however many times it is
+ * delivered, that events abandoned in processing are picked up again, and
+ * that only failed or abandoned events can be replayed
+ */
+
+describe('Payment Event Idempotency Properties', function () {
+  this.timeout(10000);
+
+  let sandbox;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  // Whether a claim's conditions match a stored event
+  const claimable = (row, where) =>
+    where[Op.or].some(
+      condition =>
+        [].concat(condition.status).includes(row.status) &&
+        (!condition.updatedAt || row.updatedAt < condition.updatedAt[Op.lt])
+    );
+
+  /**
+   * Back the PaymentEvent model with an in-memory table
+   */
+  const stubEvents = () => {
+    const rows = new Map();
+    let sequence = 0;
+
+    sandbox
+      .stub(PaymentEvent, 'findOrCreate')
+      .callsFake(async ({ where, defaults }) => {
+        const existing = [...rows.values()].find(
+          row => row.eventId === where.eventId
+        );
+        if (existing) {
+          return [existing, false];
+        }
+        sequence += 1;
+        const row = {
+          id: `evt-row-${sequence}`,
+          eventId: where.eventId,
+          status: 'received',
+          attempts: 0,
+          result: null,
+          error: null,
+          updatedAt: new Date(),
+          ...defaults,
+          update: async changes => Object.assign(row, changes),
+        };
+        rows.set(row.id, row);
+        return [row, true];
+      });
+    sandbox
+      .stub(PaymentEvent, 'update')
+      .callsFake(async (changes, { where }) => {
+        const row = rows.get(where.id);
+        if (!row || !claimable(row, where)) {
+          return [0];
+        }
+        row.status = changes.status;
+        row.attempts += 1;
+        row.updatedAt = new Date();
+        return [1];
+      });
+    sandbox
+      .stub(PaymentEvent, 'findByPk')
+      .callsFake(async id => rows.get(id) || null);
+
+    return rows;
+  };
+
+  const eventArbitrary = fc.record({
+    id: fc.stringMatching(/^evt_[A-Za-z0-9]{8,16}$/),
+    type: fc.constantFrom(
+      'checkout.session.completed',
+      'payment_intent.succeeded',
+      'customer.created'
+    ),
+    data: fc.constant({ object: { object: 'payment_intent', id: 'pi_1' } }),
+  });
+
+  describe('Property 19.1: Side effects run once per event', () => {
+    it('should handle an event once however often and concurrently it is delivered', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          eventArbitrary,
+          fc.integer({ min: 1, max: 6 }),
+          fc.boolean(),
+          async (event, deliveries, concurrent) => {
+            sandbox.restore();
+            const rows = stubEvents();
+            const handle = sandbox
+              .stub(PaymentEventService, 'handle')
+              .resolves({ processed: true, reason: null });
+
+            const deliver = () => PaymentEventService.process(event);
+            const outcomes = [];
+            if (concurrent) {
+              outcomes.push(
+                ...(await Promise.all(
+                  Array.from({ length: deliveries }, deliver)
+                ))
+              );
+            } else {
+              for (let i = 0; i < deliveries; i += 1) {
+                outcomes.push(await deliver());
+              }
+            }
+
+            expect(handle.calledOnce).to.equal(true);
+            expect(
+              outcomes.filter(outcome => !outcome.duplicate)
+            ).to.have.length(1);
+            expect(rows.size).to.equal(1);
+            const [row] = rows.values();
+            expect(row.status).to.equal('processed');
+            expect(row.attempts).to.equal(1);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should mark unhandled event types as ignored', async () => {
+      const rows = stubEvents();
+      sandbox
+        .stub(PaymentEventService, 'handle')
+        .resolves({ processed: false, reason: 'Unhandled event type' });
+
+      await PaymentEventService.process({
+        id: 'evt_unhandled',
+        type: 'invoice.created',
+        data: { object: {} },
+      });
+
+      expect([...rows.values()][0].status).to.equal('ignored');
+    });
+
+    it('should reject events without an id', async () => {
+      stubEvents();
+
+      try {
+        await PaymentEventService.process({ type: 'customer.created' });
+        expect.fail('event without id should be rejected');
+      } catch (error) {
+        expect(error.code).to.equal('WEBHOOK_EVENT_INVALID');
+        expect(PaymentEvent.findOrCreate.called).to.equal(false);
+      }
+    });
+  });
+
+  describe('Property 19.2: Failed events are retried and replayed', () => {
+    it('should record the failure and process it on the next delivery or replay', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          eventArbitrary,
+          fc.boolean(),
+          async (event, replay) => {
+            sandbox.restore();
+            const rows = stubEvents();
+            const handle = sandbox.stub(PaymentEventService, 'handle');
+            handle.onFirstCall().rejects(new Error('database unavailable'));
+            handle.onSecondCall().resolves({ processed: true, reason: null });
+
+            try {
+              await PaymentEventService.process(event);
+              expect.fail('first delivery should fail');
+            } catch (error) {
+              expect(error.message).to.equal('database unavailable');
+            }
+
+            const [row] = rows.values();
+            expect(row.status).to.equal('failed');
+            expect(row.error).to.equal('database unavailable');
+
+            const outcome = replay
+              ? await PaymentEventService.replay(row.id, { actorId: 1 })
+              : await PaymentEventService.process(event);
+
+            expect(outcome.duplicate).to.equal(false);
+            expect(row.status).to.equal('processed');
+            expect(row.error).to.equal(null);
+            expect(row.attempts).to.equal(2);
+            expect(handle.calledTwice).to.equal(true);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should refuse to replay events that did not fail', async () => {
+      const rows = stubEvents();
+      sandbox
+        .stub(PaymentEventService, 'handle')
+        .resolves({ processed: true, reason: null });
+      await PaymentEventService.process({
+        id: 'evt_done',
+        type: 'customer.created',
+        data: { object: {} },
+      });
+
+      try {
+        await PaymentEventService.replay([...rows.keys()][0]);
+        expect.fail('processed event should not be replayed');
+      } catch (error) {
+        expect(error.statusCode).to.equal(409);
+      }
+      expect(PaymentEventService.handle.calledOnce).to.equal(true);
+    });
+  });
+
+  describe('Property 19.3: Abandoned events are picked up again', () => {
+    const NOW = new Date('2026-06-15T12:00:00Z');
+    const MINUTE = 60 * 1000;
+
+    afterEach(() => {
+      delete process.env.PAYMENT_EVENT_STALE_MINUTES;
+    });
+
+    // A worker claims the event, then dies before recording the outcome
+    const abandon = async event => {
+      const { paymentEvent } = await PaymentEventService.record(event);
+      expect(await PaymentEventService.claim(paymentEvent)).to.equal(true);
+      return paymentEvent;
+    };
+
+    it('should leave an event in processing alone until it goes stale, then reclaim it', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          eventArbitrary,
+          fc.option(fc.integer({ min: 1, max: 60 }), { nil: undefined }),
+          fc.integer({ min: 0, max: 90 }),
+          fc.boolean(),
+          async (event, staleMinutes, idleMinutes, replay) => {
+            sandbox.restore();
+            const clock = sandbox.useFakeTimers({
+              now: NOW,
+              toFake: ['Date'],
+            });
+            if (staleMinutes === undefined) {
+              delete process.env.PAYMENT_EVENT_STALE_MINUTES;
+            } else {
+              process.env.PAYMENT_EVENT_STALE_MINUTES = String(staleMinutes);
+            }
+            stubEvents();
+            const handle = sandbox
+              .stub(PaymentEventService, 'handle')
+              .resolves({ processed: true, reason: null });
+            const row = await abandon(event);
+
+            clock.tick(idleMinutes * MINUTE);
+            const stale = idleMinutes > (staleMinutes ?? 10);
+            expect(PaymentEventService.isStale(row)).to.equal(stale);
+
+            let outcome;
+            try {
+              outcome = replay
+                ? await PaymentEventService.replay(row.id, { actorId: 1 })
+                : await PaymentEventService.process(event);
+            } catch (error) {
+              expect(replay && !stale).to.equal(true);
+              expect(error.statusCode).to.equal(409);
+            }
+
+            if (stale) {
+              expect(outcome.duplicate).to.equal(false);
+              expect(row.status).to.equal('processed');
+              expect(row.attempts).to.equal(2);
+              expect(handle.calledOnce).to.equal(true);
+            } else {
+              expect(outcome?.duplicate ?? true).to.equal(true);
+              expect(row.status).to.equal('processing');
+              expect(row.attempts).to.equal(1);
+              expect(handle.called).to.equal(false);
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should let only one of concurrent deliveries reclaim a stale event', async () => {
+      const clock = sandbox.useFakeTimers({ now: NOW, toFake: ['Date'] });
+      stubEvents();
+      const handle = sandbox
+        .stub(PaymentEventService, 'handle')
+        .resolves({ processed: true, reason: null });
+      const event = {
+        id: 'evt_stuck',
+        type: 'checkout.session.completed',
+        data: { object: {} },
+      };
+      await abandon(event);
+      clock.tick(11 * MINUTE);
+
+      const outcomes = await Promise.all(
+        Array.from({ length: 4 }, () => PaymentEventService.process(event))
+      );
+
+      expect(outcomes.filter(outcome => !outcome.duplicate)).to.have.length(1);
+      expect(handle.calledOnce).to.equal(true);
+    });
+  });
+
+  describe('Order correlation', () => {
+    it('should link events to the order their object references', () => {
+      fc.assert(
+        fc.property(fc.uuid(), orderId => {
+          const event = {
+            data: {
+              object: {
+                object: 'checkout.session',
+                id: 'cs_test_1',
+                client_reference_id: orderId,
+              },
+            },
+          };
+          expect(PaymentEventService.orderIdFor(event)).to.equal(orderId);
+          expect(PaymentEventService.checkoutSessionIdFor(event)).to.equal(
+            'cs_test_1'
+          );
+        }),
+        { numRuns: 50 }
+      );
+      expect(
+        PaymentEventService.orderIdFor({
+          data: { object: { metadata: { order_id: 'not-a-uuid' } } },
+        })
+      ).to.equal(null);
+    });
+  });
+});
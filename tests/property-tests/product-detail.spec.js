@@ -0,0 +1,254 @@
+const { expect } = require('chai');
+const fc = require('fast-check');
+const sinon = require('sinon');
+const { Op } = require('sequelize');
+const { Product, Review, StockReservation } = require('../../src/db');
+const ProductCatalogService = require('../../src/services/productCatalogService');
+const { getDetailProduct } = require('../../src/controllers/detailproduct');
+
+/**
+ * **Feature: ecommerce-modernization, Property 37: Product detail page**
+ * **Validates: Requirements 8.21**
+ *
+ * Property-based tests for the product detail payload
+ * Tests that missing and disabled products answer 404, that availability
+ * is the stock left once active reservations are taken out, and that
+ * related products share a brand or category and never include the
+ * product itself
+ */
+
+describe('Product Detail Properties', function () {
+  this.timeout(20000);
+
+  const HOUR = 60 * 60 * 1000;
+
+  let sandbox;
+  let catalog;
+  let reservations;
+
+  const plain = values => ({ ...values, toJSON: () => values });
+
+  // Category IDs listed in the raw condition of a related products query
+  const categoryIdsOf = condition =>
+    condition.val
+      .match(/IN \(([^)]*)\)/)[1]
+      .split(', ')
+      .map(Number);
+
+  const matches = (row, where) => {
+    if (Array.isArray(where.id)) {
+      return where.id.includes(row.id);
+    }
+    return (
+      row.status === where.status &&
+      row.id !== where.id[Op.ne] &&
+      where[Op.or].some(match =>
+        match.val
+          ? row.categories.some(category =>
+              categoryIdsOf(match).includes(category.id)
+            )
+          : row.brand === match.brand
+      )
+    );
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    catalog = [];
+    reservations = [];
+    sandbox.stub(Product, 'findAll').callsFake(async ({ where, limit }) =>
+      catalog
+        .filter(row => matches(row, where))
+        .sort((a, b) => b.rating - a.rating || a.id - b.id)
+        .slice(0, limit)
+        .map(row => plain({ ...row, oferts: [] }))
+    );
+    sandbox
+      .stub(Product, 'findOne')
+      .callsFake(
+        async ({ where }) =>
+          catalog
+            .filter(row => row.id === Number(where.id) && row.status)
+            .map(row => plain({ ...row, oferts: [] }))[0] || null
+      );
+    sandbox.stub(Review, 'findAll').resolves([]);
+    sandbox.stub(StockReservation, 'findAll').callsFake(async ({ where }) => {
+      const totals = new Map();
+      reservations
+        .filter(
+          reservation =>
+            where.product_id.includes(reservation.product_id) &&
+            reservation.status === where.status &&
+            reservation.expiresAt > where.expiresAt[Op.gt]
+        )
+        .forEach(reservation => {
+          totals.set(
+            reservation.product_id,
+            (totals.get(reservation.product_id) || 0) + reservation.quantity
+          );
+        });
+      return [...totals].map(([product_id, reserved]) => ({
+        product_id,
+        reserved: String(reserved),
+      }));
+    });
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  const productArbitrary = fc.record({
+    id: fc.integer({ min: 1, max: 40 }),
+    brand: fc.constantFrom('nyx', 'dior', 'clinique'),
+    status: fc.boolean(),
+    rating: fc.integer({ min: 0, max: 5 }),
+    stock: fc.integer({ min: 0, max: 30 }),
+    price: fc.constant(10),
+    categories: fc
+      .subarray([1, 2, 3, 4])
+      .map(ids => ids.map(id => ({ id, name: `Category ${id}` }))),
+  });
+
+  const catalogArbitrary = fc.uniqueArray(productArbitrary, {
+    minLength: 1,
+    maxLength: 25,
+    selector: product => product.id,
+  });
+
+  describe('Property 37.1: Only enabled products have a page', () => {
+    it('should answer 404 for missing and disabled products', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          catalogArbitrary,
+          fc.integer({ min: 1, max: 50 }),
+          async (products, id) => {
+            catalog = products;
+            const product = products.find(row => row.id === id);
+            let error = null;
+
+            try {
+              await ProductCatalogService.getProductDetail(id);
+            } catch (caught) {
+              error = caught;
+            }
+
+            if (product && product.status) {
+              expect(error).to.be.null;
+            } else {
+              expect(error.statusCode).to.equal(404);
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should pass the 404 on from the endpoint', async () => {
+      const error = await new Promise(resolve =>
+        getDetailProduct({ params: { id: '404' } }, {}, resolve)
+      );
+
+      expect(error.statusCode).to.equal(404);
+      expect(Product.findOne.firstCall.args[0].where).to.deep.equal({
+        id: '404',
+        status: true,
+      });
+    });
+  });
+
+  describe('Property 37.2: Availability is net of active reservations', () => {
+    it('should take active, unexpired reservations out of the stock', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 0, max: 30 }),
+          fc.array(
+            fc.record({
+              product_id: fc.constantFrom(1, 2),
+              quantity: fc.integer({ min: 1, max: 8 }),
+              status: fc.constantFrom('active', 'committed', 'released'),
+              expiresInHours: fc.integer({ min: -2, max: 2 }),
+            }),
+            { maxLength: 8 }
+          ),
+          async (stock, specs) => {
+            catalog = [
+              {
+                id: 1,
+                brand: 'nyx',
+                status: true,
+                rating: 4,
+                stock,
+                price: 10,
+                categories: [],
+              },
+            ];
+            const now = Date.now();
+            reservations = specs.map(spec => ({
+              ...spec,
+              expiresAt: new Date(now + (spec.expiresInHours || 1) * HOUR),
+            }));
+
+            const { availability, product } =
+              await ProductCatalogService.getProductDetail(1);
+
+            const held = reservations
+              .filter(
+                reservation =>
+                  reservation.product_id === 1 &&
+                  reservation.status === 'active' &&
+                  reservation.expiresAt.getTime() > now
+              )
+              .reduce((sum, reservation) => sum + reservation.quantity, 0);
+            const quantity = Math.max(stock - held, 0);
+
+            expect(availability.quantity).to.equal(quantity);
+            expect(product.availableStock).to.equal(quantity);
+            expect(availability.inStock).to.equal(quantity > 0);
+            if (quantity === 0) {
+              expect(availability.status).to.equal('out_of_stock');
+            } else if (quantity <= 5) {
+              expect(availability.status).to.equal('low_stock');
+            } else {
+              expect(availability.status).to.equal('in_stock');
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Property 37.3: Related products', () => {
+    it('should share a brand or category, be enabled and never be the product itself', async () => {
+      await fc.assert(
+        fc.asyncProperty(catalogArbitrary, fc.nat(), async (products, pick) => {
+          catalog = products;
+          const enabled = products.filter(row => row.status);
+          fc.pre(enabled.length > 0);
+          const product = enabled[pick % enabled.length];
+          const categoryIds = product.categories.map(category => category.id);
+
+          const { related } = await ProductCatalogService.getProductDetail(
+            product.id
+          );
+
+          const expected = enabled.filter(
+            row =>
+              row.id !== product.id &&
+              (row.brand === product.brand ||
+                row.categories.some(category =>
+                  categoryIds.includes(category.id)
+                ))
+          );
+          expect(related.map(row => row.id)).to.not.include(product.id);
+          expect(related).to.have.length(Math.min(expected.length, 8));
+          related.forEach(row => {
+            expect(expected.map(match => match.id)).to.include(row.id);
+          });
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
@@ -0,0 +1,279 @@
+const { expect } = require('chai');
+const fc = require('fast-check');
+const sinon = require('sinon');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { RefreshToken, User, UserSession, database } = require('../../src/db');
+const {
+  JWT_SECRET,
+  authenticateToken,
+  generateAccessToken,
+  refreshTokenHandler,
+  verifyToken,
+} = require('../../src/middleware/auth');
+const RefreshTokenService = require('../../src/services/refreshTokenService');
+
+/**
+ * **Feature: ecommerce-modernization, Property 32: Refresh token rotation**
+ * **Validates: Requirements 8.16**
+ *
+ * Property-based tests for refresh tokens
+ * Tests that refresh tokens are opaque and only stored hashed, that each
+ * one works once, that replaying an exchanged token revokes its whole
+ * family and nothing else, that logout revokes one login or all of them,
+ * and that access and refresh tokens are never taken for one another
+ */
+
+describe('Refresh Token Properties', function () {
+  this.timeout(20000);
+
+  const NOW = new Date('2026-06-15T12:00:00Z');
+  const MINUTE = 60 * 1000;
+
+  let sandbox;
+  let rows;
+
+  // Reads a where clause the way the database would
+  const matches = (row, where) =>
+    Object.entries(where).every(([key, value]) =>
+      value !== null && typeof value === 'object' && !(value instanceof Date)
+        ? row[key] > value[Op.gt]
+        : row[key] === value ||
+          (value instanceof Date && row[key]?.getTime() === value.getTime())
+    );
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    rows = [];
+    sandbox.stub(database, 'transaction').callsFake(work => work({}));
+    sandbox.stub(RefreshToken, 'create').callsFake(async values => {
+      const row = {
+        id: crypto.randomUUID(),
+        usedAt: null,
+        revokedAt: null,
+        ...values,
+      };
+      rows.push(row);
+      return row;
+    });
+    sandbox
+      .stub(RefreshToken, 'findOne')
+      .callsFake(
+        async ({ where }) => rows.find(row => matches(row, where)) || null
+      );
+    sandbox
+      .stub(RefreshToken, 'update')
+      .callsFake(async (changes, { where }) => {
+        const matched = rows.filter(row => matches(row, where));
+        matched.forEach(row => Object.assign(row, changes));
+        return [matched.length];
+      });
+    sandbox.stub(UserSession, 'update').resolves([1]);
+    sandbox
+      .stub(User, 'findByPk')
+      .callsFake(async id => ({ id, email: 'ana@example.com', status: true }));
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  // Each call is a login of its own, a new family
+  const login = (userId, now) =>
+    RefreshTokenService.issue(
+      { id: userId },
+      { familyId: crypto.randomUUID(), now }
+    );
+
+  const failure = async promise => {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    return null;
+  };
+
+  const response = () => ({
+    status: sinon.stub().returnsThis(),
+    json: sinon.stub().returnsThis(),
+  });
+
+  describe('Property 32.1: Refresh tokens are opaque and stored hashed', () => {
+    it('should store only the hash of each token, with the configured lifetime', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 1, max: 90 }),
+          fc.constantFrom('m', 'h', 'd'),
+          async (amount, unit) => {
+            rows = [];
+            process.env.JWT_REFRESH_EXPIRES_IN = `${amount}${unit}`;
+            const token = await login(7, NOW);
+
+            const [stored] = rows;
+            expect(stored.tokenHash).to.equal(
+              crypto.createHash('sha256').update(token).digest('hex')
+            );
+            expect(Object.values(stored)).to.not.include(token);
+            expect(stored.expiresAt.getTime() - NOW.getTime()).to.equal(
+              amount * { m: MINUTE, h: 60 * MINUTE, d: 24 * 60 * MINUTE }[unit]
+            );
+          }
+        ),
+        { numRuns: 50 }
+      );
+      delete process.env.JWT_REFRESH_EXPIRES_IN;
+    });
+
+    it('should never take a refresh token for an access token, nor the reverse', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.integer({ min: 1, max: 100000 }), async userId => {
+          const refreshToken = await login(userId);
+          const accessToken = generateAccessToken({ userId, type: 'refresh' });
+
+          expect(verifyToken(accessToken).type).to.equal('access');
+          expect(() => verifyToken(refreshToken)).to.throw();
+          expect(
+            await failure(RefreshTokenService.rotate(accessToken))
+          ).to.have.property('code', 'INVALID_REFRESH_TOKEN');
+
+          // A client JWT without the access type, like the old refresh tokens
+          const untyped = jwt.sign({ userId }, JWT_SECRET, {
+            expiresIn: '7d',
+            issuer: 'tuspacio-api',
+            audience: 'tuspacio-client',
+          });
+          const res = response();
+          const next = sinon.stub();
+          authenticateToken(
+            { headers: { authorization: `Bearer ${untyped}` } },
+            res,
+            next
+          );
+          expect(next.called).to.be.false;
+          expect(res.status.calledWith(401)).to.be.true;
+        }),
+        { numRuns: 30 }
+      );
+    });
+  });
+
+  describe('Property 32.2: Each token works once, reuse revokes the family', () => {
+    it('should rotate along a family and revoke it when an exchanged token comes back', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 1, max: 6 }),
+          fc.nat(),
+          async (rotations, pick) => {
+            rows = [];
+            const other = await login(7);
+            const chain = [await login(7)];
+            const sessions = new Set();
+            for (let i = 0; i < rotations; i++) {
+              const { user, sessionId, refreshToken } =
+                await RefreshTokenService.rotate(chain[chain.length - 1]);
+              expect(user.id).to.equal(7);
+              sessions.add(sessionId);
+              chain.push(refreshToken);
+            }
+
+            const family = rows.find(
+              row => row.tokenHash === RefreshTokenService.hashToken(chain[0])
+            ).familyId;
+            expect(rows.filter(row => row.familyId === family)).to.have.length(
+              chain.length
+            );
+            expect(new Set(chain).size).to.equal(chain.length);
+            expect([...sessions]).to.deep.equal([family]);
+
+            const replayed = chain[pick % (chain.length - 1)];
+            const reuse = await failure(RefreshTokenService.rotate(replayed));
+            expect(reuse.statusCode).to.equal(401);
+            expect(reuse.code).to.equal('REFRESH_TOKEN_REUSED');
+
+            // The newest token of the family is revoked too, other logins are not
+            const latest = await failure(
+              RefreshTokenService.rotate(chain[chain.length - 1])
+            );
+            expect(latest.code).to.equal('REFRESH_TOKEN_REVOKED');
+            expect(await RefreshTokenService.rotate(other)).to.have.property(
+              'refreshToken'
+            );
+          }
+        ),
+        { numRuns: 60 }
+      );
+    });
+
+    it('should refuse unknown and expired tokens without revoking anything', async () => {
+      const token = await login(
+        7,
+        new Date(NOW.getTime() - 8 * 24 * 60 * MINUTE)
+      );
+
+      const expired = await failure(RefreshTokenService.rotate(token, NOW));
+      expect(expired.code).to.equal('REFRESH_TOKEN_EXPIRED');
+      const unknown = await failure(RefreshTokenService.rotate('not-a-token'));
+      expect(unknown.code).to.equal('INVALID_REFRESH_TOKEN');
+      expect(rows[0].revokedAt).to.be.null;
+      expect(rows[0].usedAt).to.be.null;
+    });
+
+    it('should answer the refresh endpoint with a new pair, then refuse the old token', async () => {
+      const token = await login(7);
+
+      const res = response();
+      await refreshTokenHandler({ body: { refreshToken: token } }, res);
+      const body = res.json.firstCall.args[0];
+      expect(res.status.called).to.be.false;
+      expect(verifyToken(body.accessToken).userId).to.equal(7);
+      expect(body.refreshToken).to.be.a('string').and.not.equal(token);
+
+      const again = response();
+      await refreshTokenHandler({ body: { refreshToken: token } }, again);
+      expect(again.status.calledWith(401)).to.be.true;
+      expect(again.json.firstCall.args[0].code).to.equal(
+        'REFRESH_TOKEN_REUSED'
+      );
+    });
+  });
+
+  describe('Property 32.3: Logout revokes one login or all of them', () => {
+    it('should sign out only the login of the token, or every login of the user', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 1, max: 5 }),
+          fc.boolean(),
+          async (logins, everywhere) => {
+            rows = [];
+            const tokens = [];
+            for (let i = 0; i < logins; i++) {
+              tokens.push(await login(7));
+            }
+            const stranger = await login(8);
+
+            if (everywhere) {
+              expect(await RefreshTokenService.revokeAll(7)).to.equal(logins);
+            } else {
+              expect(await RefreshTokenService.revoke(tokens[0])).to.be.true;
+              expect(await RefreshTokenService.revoke(tokens[0])).to.be.false;
+            }
+
+            for (const [index, token] of tokens.entries()) {
+              const error = await failure(RefreshTokenService.rotate(token));
+              if (everywhere || index === 0) {
+                expect(error.code).to.equal('REFRESH_TOKEN_REVOKED');
+              } else {
+                expect(error).to.be.null;
+              }
+            }
+            expect(await failure(RefreshTokenService.rotate(stranger))).to.be
+              .null;
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+});
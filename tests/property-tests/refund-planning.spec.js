@@ -0,0 +1,227 @@
+const { expect } = require('chai');
+const fc = require('fast-check');
+const sinon = require('sinon');
+const { Order, Refund, database } = require('../../src/db');
+const RefundService = require('../../src/services/refundService');
+const OrderStatusService = require('../../src/services/orderStatusService');
+const InventoryService = require('../../src/services/inventoryService');
+
+/**
+ * **Feature: ecommerce-modernization, Property 20: Refund accounting**
+ * **Validates: Requirements 8.4**
+ *
+ * Property-based tests for refunds
+ * Tests that no sequence of refunds can refund more money or more units than
+ * the order was paid for, and that a refund is applied to its order only once
+ */
+
+describe('Refund Accounting Properties', function () {
+  this.timeout(10000);
+
+  let sandbox;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  const orderArbitrary = fc
+    .uniqueArray(
+      fc.record({
+        productId: fc.integer({ min: 1, max: 50 }),
+        quantity: fc.integer({ min: 1, max: 5 }),
+        unitAmount: fc.integer({ min: 50, max: 20000 }),
+      }),
+      { minLength: 1, maxLength: 5, selector: line => line.productId }
+    )
+    .chain(lines =>
+      fc.record({
+        lineItems: fc.constant(
+          lines.map(line => ({
+            ...line,
+            name: `Product ${line.productId}`,
+            lineAmount: line.unitAmount * line.quantity,
+          }))
+        ),
+        shipping: fc.constantFrom(0, 2500),
+      })
+    )
+    .map(({ lineItems, shipping }) => ({
+      lineItems,
+      total:
+        lineItems.reduce((sum, line) => sum + line.lineAmount, 0) + shipping,
+    }));
+
+  const requestArbitrary = fc.oneof(
+    fc.record({
+      lines: fc.array(
+        fc.record({
+          productId: fc.integer({ min: 1, max: 50 }),
+          quantity: fc.integer({ min: 1, max: 5 }),
+        }),
+        { minLength: 1, maxLength: 3 }
+      ),
+    }),
+    fc.record({ amount: fc.integer({ min: 1, max: 50000 }) }),
+    fc.constant({})
+  );
+
+  describe('Property 20.1: Refunds never exceed the payment', () => {
+    it('should keep refunded money and units within what was paid', () => {
+      fc.assert(
+        fc.property(
+          orderArbitrary,
+          fc.array(requestArbitrary, { maxLength: 8 }),
+          (order, requests) => {
+            const refunds = [];
+
+            requests.forEach(request => {
+              try {
+                refunds.push(RefundService.planRefund(order, refunds, request));
+              } catch (error) {
+                expect(error.statusCode).to.equal(400);
+              }
+            });
+
+            const refunded = refunds.reduce(
+              (sum, refund) => sum + refund.amount,
+              0
+            );
+            expect(refunded).to.be.at.most(order.total);
+
+            const units = RefundService.refundedQuantities(refunds);
+            order.lineItems.forEach(line => {
+              expect(units.get(line.productId) || 0).to.be.at.most(
+                line.quantity
+              );
+            });
+            units.forEach((_, productId) => {
+              expect(
+                order.lineItems.some(line => line.productId === productId)
+              ).to.equal(true);
+            });
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    it('should refund exactly what is left when no lines or amount are given', () => {
+      fc.assert(
+        fc.property(
+          orderArbitrary,
+          fc.array(requestArbitrary, { maxLength: 4 }),
+          (order, requests) => {
+            const refunds = [];
+            requests.forEach(request => {
+              try {
+                refunds.push(RefundService.planRefund(order, refunds, request));
+              } catch (error) {
+                // Rejected requests leave nothing behind
+              }
+            });
+            const before = refunds.reduce((sum, r) => sum + r.amount, 0);
+
+            if (before === order.total) {
+              expect(() => RefundService.planRefund(order, refunds)).to.throw(
+                'Nothing left to refund'
+              );
+              return;
+            }
+
+            const rest = RefundService.planRefund(order, refunds);
+            expect(before + rest.amount).to.equal(order.total);
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    it('should price line refunds at the amount paid per unit', () => {
+      fc.assert(
+        fc.property(orderArbitrary, order => {
+          const [line] = order.lineItems;
+          const plan = RefundService.planRefund(order, [], {
+            lines: [{ productId: line.productId, quantity: line.quantity }],
+          });
+
+          expect(plan.amount).to.equal(line.unitAmount * line.quantity);
+          expect(plan.lines).to.have.length(1);
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Property 20.2: A refund is applied once', () => {
+    it('should move money, status and stock once however often it is applied', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          orderArbitrary,
+          fc.boolean(),
+          fc.integer({ min: 1, max: 4 }),
+          async (orderData, restock, applications) => {
+            sandbox.restore();
+            const order = {
+              id: '6f1c2a7e-1b2c-4d5e-8f90-0a1b2c3d4e5f',
+              status: 'completed',
+              refundedAmount: 0,
+              ...orderData,
+              update: async changes => Object.assign(order, changes),
+            };
+            const plan = RefundService.planRefund(order, []);
+            const refund = {
+              id: 'refund-1',
+              orderId: order.id,
+              status: 'succeeded',
+              appliedAt: null,
+              restock,
+              ...plan,
+              update: async changes => Object.assign(refund, changes),
+            };
+
+            sandbox
+              .stub(database, 'transaction')
+              .callsFake(work => work({ LOCK: { UPDATE: 'UPDATE' } }));
+            sandbox.stub(Refund, 'findByPk').resolves(refund);
+            sandbox.stub(Order, 'findByPk').resolves(order);
+            const transition = sandbox
+              .stub(OrderStatusService, 'transition')
+              .callsFake(async (target, status, { changes }) => {
+                Object.assign(order, changes, { status });
+                return { order };
+              });
+            const movement = sandbox
+              .stub(InventoryService, 'recordMovement')
+              .resolves({});
+            const notify = sandbox.stub(RefundService, 'notify').resolves(null);
+
+            const outcomes = [];
+            for (let i = 0; i < applications; i += 1) {
+              outcomes.push(await RefundService.apply(refund.id));
+            }
+
+            expect(outcomes.map(outcome => outcome.applied)).to.deep.equal(
+              outcomes.map((_, index) => index === 0)
+            );
+            expect(order.refundedAmount).to.equal(order.total);
+            expect(order.status).to.equal('refunded');
+            expect(transition.calledOnce).to.equal(true);
+            expect(notify.calledOnce).to.equal(true);
+            expect(movement.callCount).to.equal(
+              restock ? order.lineItems.length : 0
+            );
+            movement.getCalls().forEach(call => {
+              expect(call.args[0].reason).to.equal('return');
+              expect(call.args[0].delta).to.be.above(0);
+            });
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+});
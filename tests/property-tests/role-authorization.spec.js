@@ -0,0 +1,305 @@
+const { expect } = require('chai');
+const fc = require('fast-check');
+const sinon = require('sinon');
+const { Rol, User } = require('../../src/db');
+const {
+  authorizeRoles,
+  resolveRoleName,
+  verifyToken,
+} = require('../../src/middleware/auth');
+const { getLogin } = require('../../src/controllers/authorization/login');
+const SessionService = require('../../src/services/sessionService');
+const sendEmailUsers = require('../../src/helpers/sendEmailUsers');
+const EmailVerificationService = require('../../src/services/emailVerificationService');
+
+/**
+ * **Feature: ecommerce-modernization, Property 39: Role authorization**
+ * **Validates: Requirements 4.2, 4.4**
+ *
+ * Property-based tests for role-based authorization
+ * Tests that the role claim of a token, a numeric rol_id or a role name,
+ * resolves to the name of an enabled role, and that only users whose role
+ * is allowed get through, and that social login takes neither the role
+ * nor the identity of a user from the client
+ */
+
+describe('Role Authorization Properties', function () {
+  this.timeout(20000);
+
+  const ROLES = [
+    { id: 1, rolName: 'admin', status: true },
+    { id: 2, rolName: 'user', status: true },
+    { id: 3, rolName: 'admin', status: false },
+  ];
+
+  let sandbox;
+  let findByPk;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    findByPk = sandbox
+      .stub(Rol, 'findByPk')
+      .callsFake(async id => ROLES.find(rol => rol.id === Number(id)) || null);
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  // Run the middleware, settling on next() or on the response it sends
+  const authorize = (allowedRoles, user) =>
+    new Promise(resolve => {
+      const req = { user };
+      const res = { status: sinon.stub() };
+      res.json = sinon
+        .stub()
+        .callsFake(body =>
+          resolve({ req, status: res.status.firstCall.args[0], body })
+        );
+      res.status.returns(res);
+
+      authorizeRoles(allowedRoles)(req, res, error =>
+        resolve({ req, status: null, error })
+      );
+    });
+
+  describe('Property 39.1: Role claims resolve to enabled role names', () => {
+    it('should look numeric rol_ids up and only name enabled roles', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 1, max: 5 }),
+          fc.constantFrom(
+            id => id,
+            id => String(id),
+            id => [id]
+          ),
+          async (id, claimOf) => {
+            const rol = ROLES.find(candidate => candidate.id === id);
+
+            const name = await resolveRoleName(claimOf(id));
+
+            expect(name).to.equal(rol && rol.status ? rol.rolName : null);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should take role names as they are, without a lookup', async () => {
+      expect(await resolveRoleName('admin')).to.equal('admin');
+      expect(await resolveRoleName(['user'])).to.equal('user');
+      expect(findByPk.called).to.be.false;
+    });
+
+    it('should resolve missing claims to no role', async () => {
+      for (const claim of [undefined, null, '', []]) {
+        expect(await resolveRoleName(claim)).to.be.null;
+      }
+      expect(findByPk.called).to.be.false;
+    });
+  });
+
+  describe('Property 39.2: Only allowed roles get through', () => {
+    it('should let a numeric rol_id of an allowed role through, with its name', async () => {
+      const { status, error, req } = await authorize(['admin'], {
+        userId: 7,
+        role: 1,
+      });
+
+      expect(status).to.be.null;
+      expect(error).to.be.undefined;
+      expect(req.user.roleName).to.equal('admin');
+      expect(findByPk.calledOnceWith(1)).to.be.true;
+    });
+
+    it('should let a string role of an allowed role through', async () => {
+      const { status, req } = await authorize(['admin'], {
+        userId: 7,
+        role: 'admin',
+      });
+
+      expect(status).to.be.null;
+      expect(req.user.roleName).to.equal('admin');
+    });
+
+    it('should refuse a disabled role, even one named as allowed', async () => {
+      const { status, body } = await authorize(['admin'], {
+        userId: 7,
+        role: 3,
+      });
+
+      expect(status).to.equal(403);
+      expect(body.error).to.equal('Forbidden');
+    });
+
+    it('should refuse unknown roles and roles not allowed', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.oneof(
+            fc.integer({ min: 2, max: 50 }),
+            fc.constantFrom('user', 'guest', 'Admin', '99')
+          ),
+          async role => {
+            const { status } = await authorize(['admin'], { userId: 7, role });
+
+            expect(status).to.equal(403);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should ask for authentication when there is no user', async () => {
+      const { status } = await authorize(['admin'], undefined);
+
+      expect(status).to.equal(401);
+      expect(findByPk.called).to.be.false;
+    });
+
+    it('should pass lookup failures on to the error handler', async () => {
+      findByPk.rejects(new Error('connection refused'));
+
+      const { status, error } = await authorize(['admin'], {
+        userId: 7,
+        role: 1,
+      });
+
+      expect(status).to.be.null;
+      expect(error.message).to.equal('connection refused');
+    });
+  });
+
+  describe('Property 39.3: Social login never takes a role from the client', () => {
+    let users;
+
+    beforeEach(() => {
+      users = [];
+      sandbox
+        .stub(Rol, 'findOne')
+        .callsFake(
+          async ({ where }) =>
+            ROLES.find(rol => rol.rolName === where.rolName && rol.status) ||
+            null
+        );
+      sandbox
+        .stub(User, 'findOne')
+        .callsFake(
+          async ({ where }) =>
+            users.find(user => user.email === where.email) || null
+        );
+      sandbox.stub(User, 'create').callsFake(async values => {
+        const user = { id: users.length + 1, ...values };
+        users.push(user);
+        return user;
+      });
+      sandbox
+        .stub(SessionService, 'start')
+        .resolves({ session: { id: 'session-1' }, refreshToken: 'refresh' });
+      sandbox.stub(sendEmailUsers, 'sendMail');
+      sandbox.stub(EmailVerificationService, 'send').resolves({ sent: true });
+      sandbox.stub(console, 'log');
+    });
+
+    const login = (body, oidcUser) =>
+      new Promise(resolve => {
+        const req = { body, headers: {}, session: {} };
+        if (oidcUser !== undefined) {
+          req.oidc = {
+            user: oidcUser,
+            isAuthenticated: () => Boolean(oidcUser),
+          };
+        }
+        const res = { status: sinon.stub() };
+        res.json = sinon.stub().callsFake(payload =>
+          resolve({
+            status: res.status.called ? res.status.firstCall.args[0] : 200,
+            body: payload,
+          })
+        );
+        res.status.returns(res);
+
+        getLogin(req, res, resolve);
+      });
+
+    it('should refuse to issue tokens without a social login session', async () => {
+      for (const oidcUser of [undefined, null, { name: 'No Email' }]) {
+        const { status, body } = await login(
+          { email: 'victim@example.com', rol: 'admin' },
+          oidcUser
+        );
+
+        expect(status).to.equal(401);
+        expect(body.code).to.equal('SOCIAL_LOGIN_REQUIRED');
+        expect(body.accessToken).to.be.undefined;
+      }
+      expect(User.findOne.called).to.be.false;
+      expect(User.create.called).to.be.false;
+    });
+
+    it('should create new users with the default role, whatever the body says', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.constantFrom('admin', 'user', 'superadmin', undefined),
+          fc.emailAddress(),
+          fc.emailAddress(),
+          async (rol, email, claimed) => {
+            users = [];
+
+            const { status, body } = await login(
+              { email: claimed, rol, rol_id: 1 },
+              { email, name: 'Ana', nickname: 'ana' }
+            );
+
+            expect(status).to.equal(200);
+            expect(body.user.email).to.equal(email);
+            expect(body.user.rol_id).to.equal(2);
+            expect(verifyToken(body.accessToken)).to.include({
+              userId: body.user.id,
+              role: 2,
+              sessionId: 'session-1',
+            });
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should sign existing users in with their own role, by email only', async () => {
+      users = [
+        {
+          id: 1,
+          email: 'admin@example.com',
+          nickname: 'ana',
+          rol_id: 1,
+          status: true,
+        },
+        {
+          id: 2,
+          email: 'ana@example.com',
+          nickname: 'other',
+          rol_id: 2,
+          status: true,
+        },
+      ];
+
+      const { body } = await login(
+        { email: 'admin@example.com', rol: 'admin' },
+        { email: 'ana@example.com', nickname: 'ana' }
+      );
+
+      expect(body.user.id).to.equal(2);
+      expect(verifyToken(body.accessToken).role).to.equal(2);
+      expect(User.create.called).to.be.false;
+    });
+
+    it('should refuse deactivated accounts', async () => {
+      users = [{ id: 1, email: 'ana@example.com', rol_id: 2, status: false }];
+
+      const { status, body } = await login({}, { email: 'ana@example.com' });
+
+      expect(status).to.equal(401);
+      expect(body.accessToken).to.be.undefined;
+      expect(SessionService.start.called).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,278 @@
+const { expect } = require('chai');
+const fc = require('fast-check');
+const sinon = require('sinon');
+const { Cart, CartItem, database } = require('../../src/db');
+const CartService = require('../../src/services/cartService');
+const CartPricingService = require('../../src/services/cartPricingService');
+
+/**
+ * **Feature: ecommerce-modernization, Property 28: Server-side carts**
+ * **Validates: Requirements 8.12**
+ *
+ * Property-based tests for stored carts
+ * Tests that carts belong to the signed-in user or the guest session, that
+ * lines never exceed what can be bought, that a guest cart merged at login
+ * keeps every unit of both carts, and that carts are priced live
+ */
+
+describe('Server-side Cart Properties', function () {
+  this.timeout(20000);
+
+  let sandbox;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  const itemsArbitrary = fc
+    .uniqueArray(
+      fc.record({
+        productId: fc.integer({ min: 1, max: 20 }),
+        quantity: fc.integer({ min: 1, max: 99 }),
+      }),
+      { selector: item => item.productId, maxLength: 8 }
+    )
+    .map(items =>
+      items.map(item => ({
+        ...item,
+        update: sinon.stub().callsFake(async function (values) {
+          Object.assign(this, values);
+          return this;
+        }),
+      }))
+    );
+
+  const storedCart = (id, userId, items) => ({
+    id,
+    userId,
+    status: 'active',
+    items,
+    changed: sinon.stub(),
+    save: sinon.stub().callsFake(async function () {
+      return this;
+    }),
+    update: sinon.stub().callsFake(async function (values) {
+      Object.assign(this, values);
+      return this;
+    }),
+  });
+
+  describe('Property 28.1: Carts belong to the user or the guest session', () => {
+    it('should use the user cart when signed in and the session cart otherwise', () => {
+      fc.assert(
+        fc.property(
+          fc.option(fc.integer({ min: 1, max: 1000 }), { nil: null }),
+          fc.option(fc.uuid(), { nil: undefined }),
+          (userId, cartId) => {
+            const owner = CartService.ownerOf({
+              user: userId === null ? null : { userId },
+              session: { cartId },
+            });
+
+            if (userId !== null) {
+              expect(owner).to.deep.equal({
+                userId: String(userId),
+                cartId: null,
+              });
+            } else {
+              expect(owner).to.deep.equal({
+                userId: null,
+                cartId: cartId || null,
+              });
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should remember a new guest cart in the session', async () => {
+      sandbox.stub(Cart, 'findOne').resolves(null);
+      sandbox.stub(Cart, 'create').resolves({ id: 'guest-cart' });
+      const req = { user: null, session: {} };
+
+      const cart = await CartService.forRequest(req);
+
+      expect(Cart.create.firstCall.args[0]).to.deep.equal({ userId: null });
+      expect(req.session.cartId).to.equal('guest-cart');
+      expect(cart.items).to.deep.equal([]);
+    });
+  });
+
+  describe('Property 28.2: Lines never exceed what can be bought', () => {
+    it('should refuse quantities above the stock without touching the cart', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          itemsArbitrary,
+          fc.integer({ min: 1, max: 20 }),
+          fc.integer({ min: 1, max: 99 }),
+          fc.integer({ min: 0, max: 99 }),
+          async (items, productId, quantity, available) => {
+            sandbox.restore();
+            const cart = storedCart('cart-1', '7', items);
+            const existing = items.find(item => item.productId === productId);
+            const total = (existing?.quantity || 0) + quantity;
+            sandbox
+              .stub(CartPricingService, 'priceCart')
+              .callsFake(async () => ({
+                lines: [],
+                subtotal: 0,
+                errors:
+                  total > available
+                    ? [
+                        {
+                          productId,
+                          code: 'INSUFFICIENT_STOCK',
+                          message: `Only ${available} units are available`,
+                          available,
+                        },
+                      ]
+                    : [],
+              }));
+            const create = sandbox.stub(CartItem, 'create').resolves({});
+
+            let error = null;
+            try {
+              await CartService.addItem(cart, productId, quantity);
+            } catch (caught) {
+              error = caught;
+            }
+
+            if (total > CartService.MAX_LINE_QUANTITY) {
+              expect(error.code).to.equal('CART_QUANTITY_LIMIT');
+              expect(error.statusCode).to.equal(400);
+            } else if (total > available) {
+              expect(error.code).to.equal('INSUFFICIENT_STOCK');
+              expect(error.statusCode).to.equal(409);
+              expect(error.details.available).to.equal(available);
+            } else {
+              expect(error).to.be.null;
+            }
+
+            if (error) {
+              expect(create.called).to.be.false;
+              expect(existing?.update.called || false).to.be.false;
+            } else if (existing) {
+              expect(existing.quantity).to.equal(total);
+            } else {
+              expect(create.firstCall.args[0]).to.deep.equal({
+                cartId: 'cart-1',
+                productId,
+                quantity,
+              });
+            }
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+  });
+
+  describe('Property 28.3: Merging at login keeps every unit of both carts', () => {
+    it('should add guest quantities into the user cart and close the guest cart', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          itemsArbitrary,
+          itemsArbitrary,
+          fc.boolean(),
+          async (guestItems, userItems, hasUserCart) => {
+            sandbox.restore();
+            const guest = storedCart('guest-cart', null, guestItems);
+            const user = hasUserCart
+              ? storedCart('user-cart', '42', userItems)
+              : null;
+            const created = [];
+
+            sandbox.stub(database, 'transaction').callsFake(work => work({}));
+            sandbox
+              .stub(Cart, 'findOne')
+              .callsFake(async ({ where }) =>
+                where.userId ? user : where.id === guest.id ? guest : null
+              );
+            sandbox.stub(CartItem, 'create').callsFake(async values => {
+              created.push(values);
+              return values;
+            });
+
+            // Items are updated in place, so expect from the quantities before
+            const expected = new Map();
+            [...userItems, ...guestItems].forEach(item => {
+              expected.set(
+                item.productId,
+                Math.min(
+                  (expected.get(item.productId) || 0) + item.quantity,
+                  CartService.MAX_LINE_QUANTITY
+                )
+              );
+            });
+
+            const cart = await CartService.mergeGuestCart('guest-cart', 42);
+
+            if (!hasUserCart) {
+              expect(cart).to.equal(guest);
+              expect(guest.userId).to.equal('42');
+              expect(guest.status).to.equal('active');
+              return;
+            }
+
+            expect(cart).to.equal(user);
+            expect(guest.status).to.equal('merged');
+            const merged = new Map(
+              [...user.items, ...created].map(item => [
+                item.productId,
+                item.quantity,
+              ])
+            );
+            expect(merged).to.deep.equal(expected);
+            created.forEach(values =>
+              expect(values.cartId).to.equal('user-cart')
+            );
+          }
+        ),
+        { numRuns: 150 }
+      );
+    });
+
+    it('should leave nothing to merge without a guest cart', async () => {
+      expect(await CartService.mergeGuestCart(undefined, 42)).to.be.null;
+    });
+  });
+
+  describe('Property 28.4: Stored carts are priced live', () => {
+    it('should price exactly the stored lines against the catalog', async () => {
+      await fc.assert(
+        fc.asyncProperty(itemsArbitrary, async items => {
+          sandbox.restore();
+          const priceCart = sandbox
+            .stub(CartPricingService, 'priceCart')
+            .callsFake(async cartProducts => ({
+              lines: cartProducts.map(line => ({
+                productId: line.id,
+                quantity: line.quantity,
+              })),
+              errors: [],
+              subtotal: 0,
+            }));
+
+          const view = await CartService.view(storedCart('cart-1', '7', items));
+
+          expect(priceCart.called).to.equal(items.length > 0);
+          expect(view.items.map(line => line.productId)).to.deep.equal(
+            items.map(item => item.productId)
+          );
+          expect(view.itemCount).to.equal(
+            items.reduce((sum, item) => sum + item.quantity, 0)
+          );
+          expect(CartService.toCartProducts({ items })).to.deep.equal(
+            items.map(item => ({ id: item.productId, quantity: item.quantity }))
+          );
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
@@ -0,0 +1,302 @@
+const { expect } = require('chai');
+const fc = require('fast-check');
+const sinon = require('sinon');
+const { ShippingZone } = require('../../src/db');
+const ShippingService = require('../../src/services/shippingService');
+
+/**
+ * **Feature: ecommerce-modernization, Property 23: Configurable shipping rates**
+ * **Validates: Requirements 8.7**
+ *
+ * Property-based tests for the shipping rate engine
+ * Tests that the most specific zone prices a destination, that rates follow
+ * their subtotal and weight brackets and free-shipping thresholds, and that
+ * checkout gets the same options the cart page was quoted
+ */
+
+describe('Shipping Rate Properties', function () {
+  this.timeout(20000);
+
+  let sandbox;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  const method = (overrides = {}) => ({
+    id: 'method',
+    name: 'Standard',
+    rates: [{ amount: 500 }],
+    freeOverAmount: null,
+    minDays: 3,
+    maxDays: 5,
+    position: 0,
+    active: true,
+    ...overrides,
+  });
+
+  const zone = (overrides = {}) => ({
+    id: 'zone',
+    name: 'Zone',
+    countries: ['US'],
+    regions: [],
+    active: true,
+    methods: [method()],
+    ...overrides,
+  });
+
+  const line = (lineAmount, quantity = 1, weight = null) => ({
+    productId: 1,
+    quantity,
+    lineAmount,
+    weight,
+  });
+
+  describe('Property 23.1: The most specific zone prices a destination', () => {
+    it('should prefer a zone listing the region over one covering the country', () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom('CA', 'NY', 'TX', 'US-CA', 'us-ny'),
+          fc.boolean(),
+          (region, regionZoneFirst) => {
+            const code = ShippingService.regionCode('US', region);
+            const country = zone({ id: 'country' });
+            const regional = zone({ id: 'regional', regions: [code] });
+            const zones = regionZoneFirst
+              ? [regional, country]
+              : [country, regional];
+
+            expect(
+              ShippingService.zoneFor(zones, { country: 'us', region }).id
+            ).to.equal('regional');
+            expect(
+              ShippingService.zoneFor(zones, { country: 'US', region: 'WA' }).id
+            ).to.equal('country');
+            expect(
+              ShippingService.zoneFor(zones, { country: 'US' }).id
+            ).to.equal('country');
+            expect(ShippingService.zoneFor(zones, { country: 'FR', region })).to
+              .be.null;
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should skip inactive zones', () => {
+      const zones = [zone({ id: 'off', active: false })];
+      expect(ShippingService.zoneFor(zones, { country: 'US' })).to.be.null;
+    });
+  });
+
+  describe('Property 23.2: Rates follow brackets and free thresholds', () => {
+    it('should charge the bracket amount plus the per-kg amount for the cart', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 0, max: 100000 }),
+          fc.integer({ min: 0, max: 20000 }),
+          fc.integer({ min: 1, max: 50000 }),
+          fc.integer({ min: 0, max: 500 }),
+          (subtotal, weight, split, perKgAmount) => {
+            const shipping = method({
+              rates: [
+                { maxSubtotal: split, amount: 1000, perKgAmount },
+                { minSubtotal: split, amount: 300 },
+              ],
+            });
+
+            const amount = ShippingService.rateFor(shipping, {
+              subtotal,
+              weight,
+            });
+
+            if (subtotal < split) {
+              expect(amount).to.equal(
+                1000 + perKgAmount * Math.ceil(weight / 1000)
+              );
+            } else {
+              expect(amount).to.equal(300);
+            }
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    it('should not offer a method when no bracket covers the cart', () => {
+      const shipping = method({ rates: [{ maxWeight: 5000, amount: 700 }] });
+
+      expect(
+        ShippingService.rateFor(shipping, { subtotal: 100, weight: 4999 })
+      ).to.equal(700);
+      expect(ShippingService.rateFor(shipping, { subtotal: 100, weight: 5000 }))
+        .to.be.null;
+    });
+
+    it('should ship free from the threshold and report what is missing below it', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 0, max: 20000 }),
+          fc.integer({ min: 1, max: 20000 }),
+          (subtotal, freeOverAmount) => {
+            const { options } = ShippingService.quoteFor(
+              [zone({ methods: [method({ freeOverAmount })] })],
+              { subtotal, weight: 1000, country: 'US' }
+            );
+
+            expect(options).to.have.length(1);
+            const [option] = options;
+            if (subtotal >= freeOverAmount) {
+              expect(option.amount).to.equal(0);
+              expect(option.free).to.equal(true);
+              expect(option.amountToFree).to.be.null;
+            } else {
+              expect(option.amount).to.equal(500);
+              expect(option.amountToFree).to.equal(freeOverAmount - subtotal);
+            }
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    it('should weigh products without a weight at the default', () => {
+      const lines = [line(100, 2, 1500), line(100, 3)];
+      expect(ShippingService.weightOf(lines)).to.equal(
+        3000 + 3 * ShippingService.DEFAULT_ITEM_WEIGHT
+      );
+    });
+  });
+
+  describe('Property 23.3: Options are sorted and fit a checkout session', () => {
+    it('should list active options cheapest first and give checkout at most five', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(
+            fc.record({
+              amount: fc.integer({ min: 0, max: 5000 }),
+              active: fc.boolean(),
+            }),
+            { minLength: 1, maxLength: 8 }
+          ),
+          async specs => {
+            sandbox.restore();
+            const methods = specs.map((spec, index) =>
+              method({
+                id: `method-${index}`,
+                name: `Method ${index}`,
+                rates: [{ amount: spec.amount }],
+                position: index,
+                active: spec.active,
+              })
+            );
+            sandbox
+              .stub(ShippingService, 'activeZones')
+              .resolves([zone({ methods })]);
+
+            const quote = await ShippingService.quote({
+              lines: [line(2500)],
+              country: 'US',
+            });
+
+            const active = specs.filter(spec => spec.active);
+            expect(quote.options).to.have.length(active.length);
+            quote.options.slice(1).forEach((option, index) => {
+              expect(option.amount).to.be.at.least(quote.options[index].amount);
+            });
+
+            if (active.length === 0) {
+              try {
+                await ShippingService.checkoutOptions({
+                  lines: [line(2500)],
+                  country: 'US',
+                });
+                expect.fail('checkout without shipping options');
+              } catch (error) {
+                expect(error.statusCode).to.equal(422);
+                expect(error.code).to.equal('SHIPPING_UNAVAILABLE');
+              }
+              return;
+            }
+
+            const checkout = await ShippingService.checkoutOptions({
+              lines: [line(2500)],
+              country: 'US',
+            });
+            expect(checkout.allowedCountries).to.deep.equal(['US']);
+            expect(checkout.shippingOptions).to.have.length(
+              Math.min(active.length, 5)
+            );
+            checkout.shippingOptions.forEach((option, index) => {
+              const data = option.shipping_rate_data;
+              expect(data.fixed_amount.amount).to.equal(
+                quote.options[index].amount
+              );
+              expect(data.metadata.shipping_method_id).to.equal(
+                quote.options[index].methodId
+              );
+              expect(data.delivery_estimate.minimum.value).to.equal(3);
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Property 23.4: Checkout keeps working before zones are configured', () => {
+    it('should offer the former free and fast options while no zone exists', async () => {
+      sandbox.stub(ShippingZone, 'findAll').resolves([]);
+      sandbox.stub(ShippingZone, 'count').resolves(0);
+
+      const { shippingOptions, allowedCountries } =
+        await ShippingService.checkoutOptions({ lines: [line(1000)] });
+
+      expect(allowedCountries).to.deep.equal([ShippingService.DEFAULT_COUNTRY]);
+      expect(
+        shippingOptions.map(option => [
+          option.shipping_rate_data.display_name,
+          option.shipping_rate_data.fixed_amount.amount,
+        ])
+      ).to.deep.equal([
+        ['Free shipping', 0],
+        ['Fast shipping', 2500],
+      ]);
+    });
+
+    it('should not fall back to the defaults once zones are configured', async () => {
+      sandbox.stub(ShippingZone, 'findAll').resolves([]);
+      sandbox.stub(ShippingZone, 'count').resolves(2);
+
+      expect(await ShippingService.activeZones()).to.deep.equal([]);
+    });
+  });
+
+  describe('Property 23.5: Admin input is checked', () => {
+    it('should reject inverted brackets and delivery estimates', () => {
+      expect(() =>
+        ShippingService.validateMethod({
+          rates: [{ minWeight: 1000, maxWeight: 1000, amount: 100 }],
+        })
+      ).to.throw(/maxWeight must be greater than minWeight/);
+      expect(() =>
+        ShippingService.validateMethod({
+          rates: [{ amount: 100 }],
+          minDays: 5,
+          maxDays: 2,
+        })
+      ).to.throw(/maxDays cannot be less than minDays/);
+      expect(() =>
+        ShippingService.validateMethod({
+          rates: [{ maxSubtotal: 5000, amount: 100 }],
+          minDays: 2,
+          maxDays: 5,
+        })
+      ).to.not.throw();
+    });
+  });
+});
@@ -0,0 +1,183 @@
+const { expect } = require('chai');
+const fc = require('fast-check');
+const sinon = require('sinon');
+const { Product, StockReservation, database } = require('../../src/db');
+const {
+  FakePaymentProvider,
+  getPaymentProvider,
+  setPaymentProvider,
+} = require('../../src/services/payments');
+const StockReservationService = require('../../src/services/stockReservationService');
+
+/**
+ * **Feature: ecommerce-modernization, Property 38: Stock reservations**
+ * **Validates: Requirements 8.22**
+ *
+ * Property-based tests for stock reservations
+ * Tests that a checkout only reserves stock that is still available, and
+ * that the reservation lasts long enough for Stripe to accept the session
+ * created after it, whatever the configured lifetime
+ */
+
+describe('Stock Reservation Properties', function () {
+  this.timeout(20000);
+
+  const NOW = new Date('2026-06-15T12:00:00Z');
+  const MINUTE = 60 * 1000;
+
+  // Stripe rejects sessions expiring sooner than this after their creation
+  const STRIPE_MIN_EXPIRY_SECONDS = 30 * 60;
+
+  let sandbox;
+  let clock;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    clock = sandbox.useFakeTimers({ now: NOW, toFake: ['Date'] });
+    sandbox
+      .stub(database, 'transaction')
+      .callsFake(work => work({ LOCK: { UPDATE: 'UPDATE' } }));
+    sandbox.stub(StockReservation, 'bulkCreate').resolves([]);
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+    setPaymentProvider(null);
+    delete process.env.STOCK_RESERVATION_TTL_MINUTES;
+  });
+
+  const stock = (products, reserved = []) => {
+    Product.findAll.restore?.();
+    StockReservation.findAll.restore?.();
+    sandbox.stub(Product, 'findAll').resolves(products);
+    sandbox.stub(StockReservation, 'findAll').resolves(reserved);
+  };
+
+  const LINE_ITEMS = [
+    {
+      price_data: {
+        currency: 'usd',
+        product_data: { name: 'Lipstick' },
+        unit_amount: 1000,
+      },
+      quantity: 1,
+    },
+  ];
+
+  describe('Property 38.1: Stripe accepts the session of every reservation', () => {
+    it('should keep the lifetime inside the bounds Stripe accepts, with room to create the session', () => {
+      fc.assert(
+        fc.property(
+          fc.option(
+            fc.oneof(
+              fc.integer({ min: -100, max: 3000 }).map(String),
+              fc.constantFrom('', 'abc', '30', '1440')
+            ),
+            { nil: undefined }
+          ),
+          configured => {
+            if (configured === undefined) {
+              delete process.env.STOCK_RESERVATION_TTL_MINUTES;
+            } else {
+              process.env.STOCK_RESERVATION_TTL_MINUTES = configured;
+            }
+
+            const minutes = StockReservationService.ttlMinutes();
+            expect(minutes).to.be.at.least(35);
+            expect(minutes).to.be.at.most(24 * 60);
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    it('should send Stripe an expiry at least 30 minutes after the session is created, with the default config', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 0, max: 5 * 60 - 1 }),
+          async secondsToCreate => {
+            clock.setSystemTime(NOW);
+            stock([{ id: 1, name: 'Lipstick', stock: 3 }]);
+            // Speaks Stripe's session shape without the Stripe config
+            setPaymentProvider(new FakePaymentProvider());
+
+            const { expiresAt } = await StockReservationService.reserve([
+              { index: 0, productId: 1, quantity: 1 },
+            ]);
+            // Customer lookup and tax between the reservation and the session
+            clock.tick(secondsToCreate * 1000);
+            const { expires_at } =
+              await getPaymentProvider().createCheckoutSession({
+                lineItems: LINE_ITEMS,
+                successUrl: 'https://shop/success',
+                cancelUrl: 'https://shop/cart',
+                expiresAt,
+              });
+
+            const sentAt = Math.floor(Date.now() / 1000);
+            expect(expires_at - sentAt).to.be.at.least(
+              STRIPE_MIN_EXPIRY_SECONDS
+            );
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should hold the stock exactly as long as the session can be paid', async () => {
+      process.env.STOCK_RESERVATION_TTL_MINUTES = '90';
+      stock([{ id: 1, name: 'Lipstick', stock: 3 }]);
+
+      const { expiresAt } = await StockReservationService.reserve([
+        { index: 0, productId: 1, quantity: 2 },
+      ]);
+
+      expect(expiresAt.getTime() - NOW.getTime()).to.equal(90 * MINUTE);
+      expect(
+        StockReservation.bulkCreate.firstCall.args[0][0].expiresAt
+      ).to.equal(expiresAt);
+    });
+  });
+
+  describe('Property 38.2: Only available stock is reserved', () => {
+    it('should reject lines asking for more than the stock left unreserved', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 0, max: 10 }),
+          fc.integer({ min: 0, max: 10 }),
+          fc.integer({ min: 1, max: 10 }),
+          async (onHand, held, quantity) => {
+            StockReservation.bulkCreate.resetHistory();
+            stock(
+              [{ id: 1, name: 'Lipstick', stock: onHand }],
+              held > 0 ? [{ product_id: 1, reserved: String(held) }] : []
+            );
+            const available = Math.max(onHand - held, 0);
+            let error = null;
+
+            try {
+              await StockReservationService.reserve([
+                { index: 0, productId: 1, quantity },
+              ]);
+            } catch (caught) {
+              error = caught;
+            }
+
+            if (quantity <= available) {
+              expect(error).to.be.null;
+              expect(StockReservation.bulkCreate.calledOnce).to.be.true;
+            } else {
+              expect(error.statusCode).to.equal(409);
+              expect(error.details.lines[0]).to.include({
+                code: 'INSUFFICIENT_STOCK',
+                available,
+              });
+              expect(StockReservation.bulkCreate.called).to.be.false;
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
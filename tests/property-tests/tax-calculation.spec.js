@@ -0,0 +1,277 @@
+const { expect } = require('chai');
+const fc = require('fast-check');
+const { jurisdictions } = require('../../src/config/tax');
+const TaxService = require('../../src/services/taxService');
+const OrderService = require('../../src/services/orderService');
+const RefundService = require('../../src/services/refundService');
+
+/**
+ * **Feature: ecommerce-modernization, Property 24: Tax per destination**
+ * **Validates: Requirements 8.8**
+ *
+ * Property-based tests for the tax engine
+ * Tests the tax of every configured jurisdiction and category, that
+ * inclusive markets never charge more than the catalog price, that exclusive
+ * tax reaches the payment provider and that refunds return it exactly
+ */
+
+describe('Tax Calculation Properties', function () {
+  this.timeout(20000);
+
+  const line = (productId, lineAmount, taxCategory = 'standard') => ({
+    productId,
+    quantity: 1,
+    unitAmount: lineAmount,
+    lineAmount,
+    taxCategory,
+  });
+
+  // Tax in cents of a 100.00 line, per jurisdiction and category
+  const EXPECTED = {
+    US: { standard: 0, reduced: 0 },
+    'US-CA': { standard: 725, reduced: 725 },
+    'US-FL': { standard: 600, reduced: 600 },
+    'US-NY': { standard: 400, reduced: 400 },
+    'US-TX': { standard: 625, reduced: 625 },
+    CA: { standard: 500, reduced: 500 },
+    'CA-BC': { standard: 1200, reduced: 1200 },
+    'CA-NS': { standard: 1400, reduced: 1400 },
+    'CA-ON': { standard: 1300, reduced: 1300 },
+    'CA-QC': { standard: 1498, reduced: 1498 },
+    MX: { standard: 1379, reduced: 1379 },
+    AR: { standard: 1736, reduced: 950 },
+    BR: { standard: 1525, reduced: 1525 },
+    CL: { standard: 1597, reduced: 1597 },
+    CO: { standard: 1597, reduced: 476 },
+    PE: { standard: 1525, reduced: 1525 },
+    UY: { standard: 1803, reduced: 909 },
+    VE: { standard: 1379, reduced: 741 },
+  };
+
+  const destinationOf = code => {
+    const [country, region] = code.split('-');
+    return { country, region: region ? code : undefined };
+  };
+
+  describe('Property 24.1: Every configured jurisdiction is rated as expected', () => {
+    it('should have an expectation for every configured country and region', () => {
+      const configured = Object.entries(jurisdictions).flatMap(
+        ([country, config]) => [country, ...Object.keys(config.regions || {})]
+      );
+      expect(Object.keys(EXPECTED).sort()).to.deep.equal(configured.sort());
+    });
+
+    Object.entries(EXPECTED).forEach(([code, expected]) => {
+      it(`should tax a 100.00 line shipped to ${code}`, () => {
+        const destination = destinationOf(code);
+        const { inclusive } = jurisdictions[destination.country];
+
+        Object.entries(expected).forEach(([category, amount]) => {
+          const tax = TaxService.calculate({
+            lines: [line(1, 10000, category)],
+            ...destination,
+          });
+
+          expect(tax.jurisdiction).to.equal(code);
+          expect(tax.inclusive).to.equal(inclusive);
+          expect(tax.amount, `${code} ${category}`).to.equal(amount);
+          expect(tax.exclusiveAmount).to.equal(inclusive ? 0 : amount);
+        });
+
+        const exempt = TaxService.calculate({
+          lines: [line(1, 10000, 'exempt')],
+          ...destination,
+        });
+        expect(exempt.amount).to.equal(0);
+        expect(exempt.taxLines).to.deep.equal([]);
+      });
+    });
+
+    it('should use the country rate for regions without their own', () => {
+      const tax = TaxService.calculate({
+        lines: [line(1, 10000)],
+        country: 'CA',
+        region: 'AB',
+      });
+      expect(tax.jurisdiction).to.equal('CA');
+      expect(tax.amount).to.equal(500);
+    });
+
+    it('should charge no tax where no jurisdiction is configured', () => {
+      const tax = TaxService.calculate({
+        lines: [line(1, 10000)],
+        country: 'FR',
+      });
+      expect(tax.jurisdiction).to.be.null;
+      expect(tax.amount).to.equal(0);
+      expect(TaxService.toStripeLineItems(tax)).to.deep.equal([]);
+    });
+  });
+
+  describe('Property 24.2: Tax lines add up for any cart', () => {
+    const cartArbitrary = fc.array(
+      fc.record({
+        lineAmount: fc.integer({ min: 1, max: 500000 }),
+        taxCategory: fc.constantFrom('standard', 'reduced', 'exempt', 'other'),
+      }),
+      { minLength: 1, maxLength: 10 }
+    );
+
+    it('should add per-line tax into per-rate tax lines and never tax exempt lines', () => {
+      fc.assert(
+        fc.property(
+          cartArbitrary,
+          fc.constantFrom(...Object.keys(EXPECTED)),
+          (specs, code) => {
+            const lines = specs.map((spec, index) =>
+              line(index + 1, spec.lineAmount, spec.taxCategory)
+            );
+            const tax = TaxService.calculate({
+              lines,
+              ...destinationOf(code),
+            });
+
+            const perLine = tax.lines.reduce(
+              (sum, taxed) => sum + taxed.taxAmount,
+              0
+            );
+            expect(tax.amount).to.equal(perLine);
+            expect(
+              tax.taxLines.reduce((sum, taxLine) => sum + taxLine.amount, 0)
+            ).to.equal(tax.amount);
+
+            tax.lines.forEach((taxed, index) => {
+              if (specs[index].taxCategory === 'exempt') {
+                expect(taxed.taxAmount).to.equal(0);
+              }
+              if (specs[index].taxCategory === 'other') {
+                expect(taxed.category).to.equal('standard');
+              }
+            });
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    it('should keep inclusive tax within the price and charge exclusive tax on top', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 1, max: 1000000 }),
+          fc.double({ min: 0.5, max: 30, noNaN: true }),
+          fc.boolean(),
+          (amount, rate, inclusive) => {
+            const tax = TaxService.taxOf(amount, rate, inclusive);
+
+            if (inclusive) {
+              const net = amount - tax;
+              expect(tax).to.be.within(0, amount - 1);
+              expect(Math.abs(net * (1 + rate / 100) - amount)).to.be.at.most(
+                1 + rate / 100
+              );
+            } else {
+              expect(Math.abs(tax - (amount * rate) / 100)).to.be.at.most(0.5);
+            }
+          }
+        ),
+        { numRuns: 300 }
+      );
+    });
+  });
+
+  describe('Property 24.3: Exclusive tax reaches the payment provider', () => {
+    it('should add line items for exclusive tax only, matching its amount', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.integer({ min: 1, max: 100000 }), {
+            minLength: 1,
+            maxLength: 8,
+          }),
+          fc.constantFrom(...Object.keys(EXPECTED)),
+          (amounts, code) => {
+            const tax = TaxService.calculate({
+              lines: amounts.map((amount, index) => line(index + 1, amount)),
+              ...destinationOf(code),
+            });
+            const items = TaxService.toStripeLineItems(tax);
+
+            expect(
+              items.reduce(
+                (sum, item) =>
+                  sum + item.price_data.unit_amount * item.quantity,
+                0
+              )
+            ).to.equal(tax.exclusiveAmount);
+            if (tax.inclusive) {
+              expect(items).to.deep.equal([]);
+            }
+            expect(TaxService.toMetadata(tax).tax_amount).to.equal(
+              String(tax.amount)
+            );
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Property 24.4: Orders keep the tax of each line', () => {
+    it('should snapshot line tax and refund exactly the tax charged on top', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 1, max: 10 }),
+          fc.integer({ min: 1, max: 20000 }),
+          fc.constantFrom('US-CA', 'CA-QC', 'MX'),
+          fc.array(fc.integer({ min: 1, max: 3 }), { maxLength: 10 }),
+          (quantity, unitAmount, code, steps) => {
+            const lines = [
+              {
+                productId: 1,
+                name: 'Lipstick',
+                quantity,
+                unitAmount,
+                lineAmount: unitAmount * quantity,
+                taxCategory: 'standard',
+              },
+            ];
+            const tax = TaxService.calculate({
+              lines,
+              ...destinationOf(code),
+            });
+            const [snapshot] = OrderService.snapshotLines(lines, tax);
+
+            expect(snapshot.taxAmount).to.equal(tax.lines[0].taxAmount);
+            expect(snapshot.taxInclusive).to.equal(tax.inclusive);
+
+            // Refund the line a few units at a time, then the rest
+            let refunded = 0;
+            let total = 0;
+            steps.forEach(step => {
+              const units = Math.min(step, quantity - refunded);
+              if (units > 0) {
+                total += RefundService.lineRefundAmount(
+                  snapshot,
+                  units,
+                  refunded
+                );
+                refunded += units;
+              }
+            });
+            if (refunded < quantity) {
+              total += RefundService.lineRefundAmount(
+                snapshot,
+                quantity - refunded,
+                refunded
+              );
+            }
+
+            expect(total).to.equal(
+              snapshot.lineAmount + (tax.inclusive ? 0 : snapshot.taxAmount)
+            );
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+  });
+});
@@ -0,0 +1,379 @@
+const { expect } = require('chai');
+const fc = require('fast-check');
+const sinon = require('sinon');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { RefreshToken, User, UserSession, database } = require('../../src/db');
+const SessionService = require('../../src/services/sessionService');
+const RefreshTokenService = require('../../src/services/refreshTokenService');
+const { getUserSessions } = require('../../src/controllers/users');
+const {
+  authenticateToken,
+  generateAccessToken,
+  optionalAuth,
+} = require('../../src/middleware/auth');
+
+/**
+ * **Feature: ecommerce-modernization, Property 33: Session management**
+ * **Validates: Requirements 8.17**
+ *
+ * Property-based tests for user sessions
+ * Tests that every login is recorded with its device, that a user sees
+ * exactly their sessions that can still be refreshed, with the current one
+ * flagged, and that signing a session out revokes its refresh tokens and
+ * access tokens and no one else's
+ */
+
+describe('User Session Properties', function () {
+  this.timeout(20000);
+
+  const NOW = new Date('2026-06-15T12:00:00Z');
+  const HOUR = 60 * 60 * 1000;
+
+  const AGENTS = {
+    'Chrome on Windows':
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36',
+    'Edge on Windows':
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36 Edg/126.0.0.0',
+    'Safari on iOS':
+      'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1',
+    'Chrome on Android':
+      'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Mobile Safari/537.36',
+    'Firefox on Linux':
+      'Mozilla/5.0 (X11; Linux x86_64; rv:127.0) Gecko/20100101 Firefox/127.0',
+    'Safari on macOS':
+      'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Safari/605.1.15',
+    'Opera on Windows':
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36 OPR/111.0.0.0',
+  };
+
+  let sandbox;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(database, 'transaction').callsFake(work => work({}));
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  const failure = async promise => {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    return null;
+  };
+
+  const storedSession = (values = {}) => {
+    const session = {
+      id: crypto.randomUUID(),
+      userId: 7,
+      device: 'Chrome on Windows',
+      userAgent: AGENTS['Chrome on Windows'],
+      ip: '203.0.113.9',
+      createdAt: NOW,
+      lastUsedAt: NOW,
+      expiresAt: new Date(NOW.getTime() + 24 * HOUR),
+      revokedAt: null,
+      ...values,
+    };
+    return { ...session, toJSON: () => session };
+  };
+
+  describe('Property 33.1: Every login is recorded with its device', () => {
+    it('should describe the browser and system of common user agents', () => {
+      for (const [device, userAgent] of Object.entries(AGENTS)) {
+        expect(SessionService.describeDevice(userAgent)).to.equal(device);
+      }
+      expect(SessionService.describeDevice(undefined)).to.be.null;
+      expect(SessionService.describeDevice('curl/8.5.0')).to.equal(
+        'Unknown device'
+      );
+    });
+
+    it('should record the client of a login and start its token family', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.option(fc.string({ maxLength: 700 }), { nil: undefined }),
+          fc.option(fc.ipV4(), { nil: undefined }),
+          async (userAgent, ip) => {
+            sandbox.restore();
+            sandbox.stub(database, 'transaction').callsFake(work => work({}));
+            const create = sandbox
+              .stub(UserSession, 'create')
+              .callsFake(async values => ({
+                id: crypto.randomUUID(),
+                ...values,
+              }));
+            const issue = sandbox.stub(RefreshToken, 'create');
+
+            const client = SessionService.clientOf({
+              headers: { 'user-agent': userAgent },
+              ip,
+            });
+            const { session, refreshToken } = await SessionService.start(
+              { id: 7 },
+              client,
+              NOW
+            );
+
+            const stored = create.firstCall.args[0];
+            expect(stored.userId).to.equal(7);
+            expect(stored.ip).to.equal(ip || null);
+            expect(stored.userAgent).to.equal(
+              userAgent ? userAgent.slice(0, 512) : null
+            );
+            expect(stored.device).to.equal(
+              SessionService.describeDevice(stored.userAgent)
+            );
+            expect(stored.lastUsedAt).to.equal(NOW);
+            expect(refreshToken).to.be.a('string');
+            expect(issue.firstCall.args[0].familyId).to.equal(session.id);
+            expect(issue.firstCall.args[0].expiresAt).to.deep.equal(
+              stored.expiresAt
+            );
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should mark a session used when its refresh token is exchanged', async () => {
+      const familyId = crypto.randomUUID();
+      sandbox.stub(RefreshToken, 'findOne').resolves({
+        id: 'token-1',
+        userId: 7,
+        familyId,
+        usedAt: null,
+        revokedAt: null,
+        expiresAt: new Date(NOW.getTime() + HOUR),
+      });
+      sandbox.stub(RefreshToken, 'update').resolves([1]);
+      sandbox.stub(RefreshToken, 'create');
+      sandbox.stub(User, 'findByPk').resolves({ id: 7, status: true });
+      const touch = sandbox.stub(UserSession, 'update').resolves([1]);
+
+      const later = new Date(NOW.getTime() + 10 * 60 * 1000);
+      const { sessionId } = await RefreshTokenService.rotate('token', later);
+
+      expect(sessionId).to.equal(familyId);
+      expect(touch.firstCall.args[0].lastUsedAt).to.equal(later);
+      expect(touch.firstCall.args[1].where).to.deep.equal({ id: familyId });
+    });
+  });
+
+  describe('Property 33.2: Users see their active sessions', () => {
+    it('should list the sessions that can still be refreshed, the current one flagged', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(
+            fc.record({
+              userId: fc.constantFrom(7, 8),
+              revoked: fc.boolean(),
+              expiresInHours: fc.integer({ min: -48, max: 48 }),
+              usedHoursAgo: fc.integer({ min: 0, max: 48 }),
+            }),
+            { maxLength: 12 }
+          ),
+          fc.nat(),
+          async (specs, pick) => {
+            sandbox.restore();
+            const sessions = specs.map(spec =>
+              storedSession({
+                userId: spec.userId,
+                revokedAt: spec.revoked ? NOW : null,
+                expiresAt: new Date(NOW.getTime() + spec.expiresInHours * HOUR),
+                lastUsedAt: new Date(NOW.getTime() - spec.usedHoursAgo * HOUR),
+              })
+            );
+            const findAll = sandbox
+              .stub(UserSession, 'findAll')
+              .callsFake(async ({ where, order }) => {
+                expect(order).to.deep.equal([['lastUsedAt', 'DESC']]);
+                return sessions
+                  .filter(
+                    session =>
+                      session.userId === where.userId &&
+                      session.revokedAt === where.revokedAt &&
+                      session.expiresAt > where.expiresAt[Op.gt]
+                  )
+                  .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+              });
+            const current = sessions.length
+              ? sessions[pick % sessions.length].id
+              : null;
+
+            const listed = await SessionService.list(7, {
+              currentSessionId: current,
+              now: NOW,
+            });
+
+            const active = sessions.filter(
+              session =>
+                session.userId === 7 &&
+                !session.revokedAt &&
+                session.expiresAt > NOW
+            );
+            expect(listed.map(session => session.id)).to.have.members(
+              active.map(session => session.id)
+            );
+            expect(listed.filter(session => session.current)).to.have.length(
+              active.some(session => session.id === current) ? 1 : 0
+            );
+            expect(findAll.firstCall.args[0].attributes).to.include.members([
+              'device',
+              'ip',
+              'createdAt',
+              'lastUsedAt',
+            ]);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should answer admins with 404 for unknown users', async () => {
+      sandbox.stub(User, 'findByPk').resolves(null);
+      const next = sinon.stub();
+
+      await getUserSessions({ params: { id: 404 } }, {}, next);
+
+      expect(next.firstCall.args[0].statusCode).to.equal(404);
+    });
+  });
+
+  describe('Property 33.3: Signing a session out', () => {
+    it('should revoke the session and its tokens, and only for its owner', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.constantFrom(7, 8),
+          fc.boolean(),
+          async (requester, alreadyRevoked) => {
+            sandbox.restore();
+            const session = storedSession({
+              revokedAt: alreadyRevoked ? NOW : null,
+            });
+            sandbox
+              .stub(UserSession, 'findOne')
+              .callsFake(async ({ where }) =>
+                where.id === session.id &&
+                where.userId === session.userId &&
+                session.revokedAt === where.revokedAt
+                  ? session
+                  : null
+              );
+            const tokens = sandbox.stub(RefreshToken, 'update').resolves([1]);
+            const sessions = sandbox.stub(UserSession, 'update').resolves([1]);
+
+            const error = await failure(
+              SessionService.revoke(requester, session.id, NOW)
+            );
+
+            if (requester === 7 && !alreadyRevoked) {
+              expect(error).to.be.null;
+              expect(tokens.firstCall.args[0]).to.deep.equal({
+                revokedAt: NOW,
+              });
+              expect(tokens.firstCall.args[1].where.familyId).to.equal(
+                session.id
+              );
+              expect(sessions.firstCall.args[1].where.id).to.equal(session.id);
+            } else {
+              expect(error.statusCode).to.equal(404);
+              expect(tokens.called).to.be.false;
+              expect(sessions.called).to.be.false;
+            }
+          }
+        ),
+        { numRuns: 40 }
+      );
+    });
+
+    // Run the middleware, settling on next() or on the response it sends
+    const authenticate = (middleware, token) =>
+      new Promise(resolve => {
+        const req = { headers: { authorization: `Bearer ${token}` } };
+        const res = { status: sinon.stub() };
+        res.json = sinon
+          .stub()
+          .callsFake(body =>
+            resolve({ req, status: res.status.firstCall.args[0], body })
+          );
+        res.status.returns(res);
+
+        middleware(req, res, error => resolve({ req, status: null, error }));
+      });
+
+    it('should refuse the access tokens of a signed out session right away', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.boolean(), fc.boolean(), async (revoked, known) => {
+          sandbox.restore();
+          const session = storedSession({ revokedAt: revoked ? NOW : null });
+          const findOne = sandbox
+            .stub(UserSession, 'findOne')
+            .callsFake(async ({ where }) =>
+              known &&
+              where.id === session.id &&
+              session.revokedAt === where.revokedAt
+                ? session
+                : null
+            );
+          const token = generateAccessToken({
+            userId: 7,
+            role: 2,
+            sessionId: session.id,
+          });
+          const active = known && !revoked;
+
+          const strict = await authenticate(authenticateToken, token);
+          const optional = await authenticate(optionalAuth, token);
+
+          expect(findOne.calledTwice).to.be.true;
+          if (active) {
+            expect(strict.status).to.be.null;
+            expect(strict.req.user.sessionId).to.equal(session.id);
+            expect(optional.req.user.userId).to.equal(7);
+          } else {
+            expect(strict.status).to.equal(401);
+            expect(strict.body.code).to.equal('SESSION_REVOKED');
+            expect(strict.req.user).to.be.undefined;
+            expect(optional.status).to.be.null;
+            expect(optional.req.user).to.be.null;
+          }
+        }),
+        { numRuns: 40 }
+      );
+    });
+
+    it('should let tokens without a session through without a lookup', async () => {
+      const findOne = sandbox.stub(UserSession, 'findOne');
+
+      const { status, req } = await authenticate(
+        authenticateToken,
+        generateAccessToken({ userId: 7, role: 2 })
+      );
+
+      expect(status).to.be.null;
+      expect(req.user.userId).to.equal(7);
+      expect(findOne.called).to.be.false;
+    });
+
+    it('should pass session lookup failures on to the error handler', async () => {
+      sandbox
+        .stub(UserSession, 'findOne')
+        .rejects(new Error('connection refused'));
+
+      const { status, error, req } = await authenticate(
+        authenticateToken,
+        generateAccessToken({ userId: 7, sessionId: crypto.randomUUID() })
+      );
+
+      expect(status).to.be.null;
+      expect(error.message).to.equal('connection refused');
+      expect(req.user).to.be.undefined;
+    });
+  });
+});